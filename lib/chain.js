@@ -139,6 +139,31 @@ Chain.prototype.run = function run(req, res, done) {
         // next callback
         var handler = self._stack[index++];
 
+        // request answered with a timeout error, see Server#_onHandlerTimeout,
+        // the handlers left don't run and the chain is never done
+        if (req._timedOut) {
+            return;
+        }
+
+        // request aborted, e.g. past its deadline, see plugins.requestExpiry,
+        // unless it already got a response
+        if (
+            req.signal &&
+            req.signal.aborted &&
+            !res.headersSent &&
+            req.connectionState() !== 'close'
+        ) {
+            var reason =
+                err === undefined || err === null
+                    ? abortReason(req.signal)
+                    : err;
+
+            process.nextTick(function nextTick() {
+                return done(reason, req, res);
+            });
+            return;
+        }
+
         // all done or request closed
         if (!handler || req.connectionState() === 'close') {
             process.nextTick(function nextTick() {
@@ -160,6 +185,21 @@ Chain.prototype.run = function run(req, res, done) {
  * @private
  */
 
+/**
+ * Returns the error a request was aborted with.
+ *
+ * @private
+ * @param {AbortSignal} signal - aborted signal
+ * @returns {Error} error
+ */
+function abortReason(signal) {
+    if (signal.reason instanceof Error) {
+        return signal.reason;
+    }
+
+    return new customErrorTypes.RequestCloseError('request aborted');
+}
+
 /**
  * Invoke a handler.
  *
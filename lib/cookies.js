@@ -0,0 +1,331 @@
+'use strict';
+
+var crypto = require('crypto');
+
+var assert = require('assert-plus');
+
+var httpDate = require('./http_date');
+
+///--- Globals
+
+// prefix of the signed cookie values, as with the cookie-parser module
+var SIGNED_PREFIX = 's:';
+
+// cookie names are tokens, RFC 6265 section 4.1.1
+var TOKEN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// attribute values may hold any printable character but the semicolon
+var ATTRIBUTE = /^[ -:<-~]*$/;
+
+var SAME_SITE = {
+    strict: 'Strict',
+    lax: 'Lax',
+    none: 'None'
+};
+
+///--- Helpers
+
+/**
+ * Decodes a cookie value, leaving the values that are not URI encoded as is.
+ *
+ * @private
+ * @function decode
+ * @param    {String} value - raw value
+ * @returns  {String} value
+ */
+function decode(value) {
+    if (value.indexOf('%') === -1) {
+        return value;
+    }
+
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Computes the HMAC of a value.
+ *
+ * @private
+ * @function hmac
+ * @param    {String} value - value
+ * @param    {String} secret - secret
+ * @returns  {String} base64url signature
+ */
+function hmac(value, secret) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(value)
+        .digest('base64')
+        .replace(/[=]+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+///--- API
+
+/**
+ * Parses a `Cookie` header. The first of several cookies of a name wins, as
+ * browsers send the most specific one first.
+ *
+ * @public
+ * @function parse
+ * @param    {String} [header] - header value
+ * @returns  {Object} the values, by name
+ */
+function parse(header) {
+    var cookies = {};
+
+    if (!header) {
+        return cookies;
+    }
+
+    header.split(';').forEach(function forEach(pair) {
+        var eq = pair.indexOf('=');
+
+        if (eq === -1) {
+            return;
+        }
+
+        var name = pair.slice(0, eq).trim();
+        var value = pair.slice(eq + 1).trim();
+
+        if (!name || Object.prototype.hasOwnProperty.call(cookies, name)) {
+            return;
+        }
+
+        if (value[0] === '"' && value[value.length - 1] === '"') {
+            value = value.slice(1, -1);
+        }
+
+        cookies[name] = decode(value);
+    });
+
+    return cookies;
+}
+
+/**
+ * Signs a value with a secret.
+ *
+ * @public
+ * @function sign
+ * @param    {String} value - value
+ * @param    {String} secret - secret
+ * @returns  {String} the value followed by its signature
+ */
+function sign(value, secret) {
+    assert.string(value, 'value');
+    assert.string(secret, 'secret');
+
+    return value + '.' + hmac(value, secret);
+}
+
+/**
+ * Verifies a signed value against secrets, so that values signed with an old
+ * secret are still accepted while secrets are rotated.
+ *
+ * @public
+ * @function unsign
+ * @param    {String} signed - signed value
+ * @param    {String[]} secrets - secrets
+ * @returns  {String|false} the value, false when no secret verifies it
+ */
+function unsign(signed, secrets) {
+    var dot = signed.lastIndexOf('.');
+
+    if (dot === -1) {
+        return false;
+    }
+
+    var value = signed.slice(0, dot);
+    var signature = Buffer.from(signed.slice(dot + 1));
+
+    var valid = secrets.some(function some(secret) {
+        var expected = Buffer.from(hmac(value, secret));
+
+        return (
+            expected.length === signature.length &&
+            crypto.timingSafeEqual(expected, signature)
+        );
+    });
+
+    return valid ? value : false;
+}
+
+/**
+ * Splits the cookies of a request into the plain and signed ones. Signed
+ * cookies are verified, those failing to verify are set to false.
+ *
+ * @public
+ * @function parseRequest
+ * @param    {String} [header] - `Cookie` header value
+ * @param    {String[]} secrets - secrets, empty when cookies aren't signed
+ * @returns  {Object} the `cookies` and `signedCookies`
+ */
+function parseRequest(header, secrets) {
+    var cookies = parse(header);
+    var signedCookies = {};
+
+    if (secrets.length === 0) {
+        return { cookies: cookies, signedCookies: signedCookies };
+    }
+
+    Object.keys(cookies).forEach(function forEach(name) {
+        var value = cookies[name];
+
+        if (value.indexOf(SIGNED_PREFIX) !== 0) {
+            return;
+        }
+
+        signedCookies[name] = unsign(
+            value.slice(SIGNED_PREFIX.length),
+            secrets
+        );
+        delete cookies[name];
+    });
+
+    return { cookies: cookies, signedCookies: signedCookies };
+}
+
+/**
+ * Serializes a `Set-Cookie` header value.
+ *
+ * @public
+ * @function serialize
+ * @param    {String} name - cookie name
+ * @param    {String} value - cookie value
+ * @param    {Object} [opts] - cookie attributes
+ * @param    {Number} [opts.maxAge] - lifetime, in seconds
+ * @param    {Date} [opts.expires] - expiration date
+ * @param    {String} [opts.domain] - domain
+ * @param    {String} [opts.path='/'] - path
+ * @param    {Boolean} [opts.secure] - only sent over HTTPS
+ * @param    {Boolean} [opts.httpOnly] - hidden from scripts
+ * @param    {String|Boolean} [opts.sameSite] - `strict`, `lax` or `none`,
+ *                                              true for `strict`
+ * @param    {Boolean} [opts.partitioned] - partitioned by top level site,
+ *                                          requires `secure`
+ * @param    {String} [opts.secret] - signs the value with this secret
+ * @returns  {String} header value
+ */
+function serialize(name, value, opts) {
+    assert.string(name, 'name');
+    assert.string(value, 'value');
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalNumber(opts.maxAge, 'opts.maxAge');
+    assert.optionalDate(opts.expires, 'opts.expires');
+    assert.optionalString(opts.domain, 'opts.domain');
+    assert.optionalString(opts.path, 'opts.path');
+    assert.optionalBool(opts.secure, 'opts.secure');
+    assert.optionalBool(opts.httpOnly, 'opts.httpOnly');
+    assert.optionalBool(opts.partitioned, 'opts.partitioned');
+    assert.optionalString(opts.secret, 'opts.secret');
+    assert.ok(TOKEN.test(name), 'cookie name must be a token: ' + name);
+
+    var sameSite = opts.sameSite === true ? 'strict' : opts.sameSite;
+
+    if (sameSite !== undefined && sameSite !== false) {
+        assert.string(sameSite, 'opts.sameSite');
+        assert.ok(
+            SAME_SITE.hasOwnProperty(sameSite.toLowerCase()),
+            'opts.sameSite must be strict, lax or none'
+        );
+        sameSite = SAME_SITE[sameSite.toLowerCase()];
+    }
+
+    assert.ok(
+        !opts.partitioned || opts.secure,
+        'partitioned cookies must be secure'
+    );
+
+    if (opts.secret) {
+        value = SIGNED_PREFIX + sign(value, opts.secret);
+    }
+
+    var str = name + '=' + encodeURIComponent(value);
+
+    if (opts.maxAge !== undefined) {
+        var maxAge = Math.floor(opts.maxAge);
+        str += '; Max-Age=' + maxAge;
+
+        if (!opts.expires) {
+            str +=
+                '; Expires=' + httpDate(new Date(Date.now() + maxAge * 1000));
+        }
+    }
+
+    if (opts.expires) {
+        str += '; Expires=' + httpDate(opts.expires);
+    }
+
+    [
+        ['Domain', opts.domain],
+        ['Path', opts.path || '/']
+    ].forEach(function forEach(attribute) {
+        if (attribute[1] === undefined) {
+            return;
+        }
+
+        assert.ok(
+            ATTRIBUTE.test(attribute[1]),
+            'invalid cookie ' + attribute[0] + ': ' + attribute[1]
+        );
+        str += '; ' + attribute[0] + '=' + attribute[1];
+    });
+
+    if (opts.secure) {
+        str += '; Secure';
+    }
+
+    if (opts.httpOnly) {
+        str += '; HttpOnly';
+    }
+
+    if (sameSite) {
+        str += '; SameSite=' + sameSite;
+    }
+
+    if (opts.partitioned) {
+        str += '; Partitioned';
+    }
+
+    return str;
+}
+
+/**
+ * Normalizes the cookie secrets of the server, the first one signs the
+ * cookies, all of them verify them.
+ *
+ * @public
+ * @function normalizeSecrets
+ * @param    {String|String[]} [cookieSecrets] - secrets
+ * @returns  {String[]} secrets
+ */
+function normalizeSecrets(cookieSecrets) {
+    if (cookieSecrets === undefined) {
+        return [];
+    }
+
+    var list = Array.isArray(cookieSecrets) ? cookieSecrets : [cookieSecrets];
+
+    assert.arrayOfString(list, 'cookieSecrets');
+    list.forEach(function forEach(secret) {
+        assert.ok(secret.length > 0, 'cookieSecrets must not be empty');
+    });
+
+    return list;
+}
+
+///--- Exports
+
+module.exports = {
+    parse: parse,
+    parseRequest: parseRequest,
+    serialize: serialize,
+    sign: sign,
+    unsign: unsign,
+    normalizeSecrets: normalizeSecrets
+};
@@ -2,6 +2,8 @@
 
 'use strict';
 
+var stream = require('stream');
+
 ///--- Exports
 
 /**
@@ -24,4 +26,28 @@ function formatBinary(req, res, body) {
     return body;
 }
 
+/**
+ * Streaming binary formatter, used by `res.send()` for object mode streams and
+ * async iterables. Writes their Buffers, and the string representation of
+ * their other values, as they are read.
+ *
+ * @public
+ * @function formatBinaryStream
+ * @param    {Object} req - the request object (not used)
+ * @param    {Object} res - the response object (not used)
+ * @returns  {stream.Transform} stream of values to stream of bytes
+ */
+function formatBinaryStream(req, res) {
+    return new stream.Transform({
+        writableObjectMode: true,
+        transform: function transform(value, encoding, callback) {
+            callback(
+                null,
+                Buffer.isBuffer(value) ? value : Buffer.from(value.toString())
+            );
+        }
+    });
+}
+
 module.exports = formatBinary;
+module.exports.stream = formatBinaryStream;
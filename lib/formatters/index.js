@@ -14,6 +14,29 @@
  * @returns  {String} formatted response data
  */
 
+/**
+ * Optional `stream` property of a formatter, formatting object mode streams
+ * and async iterables sent with `res.send()` as they are read. The values are
+ * written to the returned transform stream, whose output is the response body.
+ *
+ * @public
+ * @typedef {Function} formatter~stream
+ * @param    {Object} req - the request object
+ * @param    {Object} res - the response object
+ * @returns  {stream.Transform} object mode on its writable side
+ * @example
+ * function formatCSV(req, res, body) { ... }
+ *
+ * formatCSV.stream = function formatCSVStream(req, res) {
+ *     return new stream.Transform({
+ *         writableObjectMode: true,
+ *         transform: function (row, encoding, callback) {
+ *             callback(null, row.join(',') + '\n');
+ *         }
+ *     });
+ * };
+ */
+
 module.exports = {
     'application/javascript; q=0.1': require('./jsonp'),
     'application/json; q=0.4': require('./json'),
@@ -2,6 +2,8 @@
 
 'use strict';
 
+var stream = require('stream');
+
 var errors = require('restify-errors');
 
 ///--- Exports
@@ -37,4 +39,46 @@ function formatJSON(req, res, body) {
     return data;
 }
 
+/**
+ * Streaming JSON formatter, used by `res.send()` for object mode streams and
+ * async iterables. Formats their values as the items of a JSON array, written
+ * as they are read.
+ *
+ * @public
+ * @function formatJSONStream
+ * @param    {Object} req - the request object (not used)
+ * @param    {Object} res - the response object (not used)
+ * @returns  {stream.Transform} stream of values to stream of JSON text
+ */
+function formatJSONStream(req, res) {
+    var first = true;
+
+    return new stream.Transform({
+        writableObjectMode: true,
+        transform: function transform(value, encoding, callback) {
+            var data;
+
+            try {
+                data = JSON.stringify(value);
+            } catch (e) {
+                callback(
+                    new errors.InternalServerError(
+                        { cause: e, info: { formatter: 'json' } },
+                        'could not format response body'
+                    )
+                );
+                return;
+            }
+
+            // like in arrays, values without JSON representation are null
+            callback(null, (first ? '[' : ',') + (data || 'null'));
+            first = false;
+        },
+        flush: function flush(callback) {
+            callback(null, first ? '[]' : ']');
+        }
+    });
+}
+
 module.exports = formatJSON;
+module.exports.stream = formatJSONStream;
@@ -2,6 +2,8 @@
 
 'use strict';
 
+var stream = require('stream');
+
 /**
  * Formats the body to 'text' by invoking a toString() on the body if it
  * exists. If it doesn't, then the response is a zero-length string.
@@ -26,4 +28,25 @@ function formatText(req, res, body) {
     return data;
 }
 
+/**
+ * Streaming text formatter, used by `res.send()` for object mode streams and
+ * async iterables. Writes the string representation of their values as they
+ * are read.
+ *
+ * @public
+ * @function formatTextStream
+ * @param    {Object} req - the request object (not used)
+ * @param    {Object} res - the response object (not used)
+ * @returns  {stream.Transform} stream of values to stream of text
+ */
+function formatTextStream(req, res) {
+    return new stream.Transform({
+        writableObjectMode: true,
+        transform: function transform(value, encoding, callback) {
+            callback(null, Buffer.isBuffer(value) ? value : value.toString());
+        }
+    });
+}
+
 module.exports = formatText;
+module.exports.stream = formatTextStream;
@@ -56,11 +56,36 @@ var InternalError = errors.InternalError;
  *  `res.writeContinue()` in `server.on('checkContinue')` when proxing
  * @param {Boolean} [options.ignoreTrailingSlash=false] - ignore trailing slash
  * on paths
+ * @param {Boolean} [options.handleOptionsStar=true] - respond with a 200 to
+ * `OPTIONS *` requests when no route matches. Set to false when CORS
+ * preflight requests are handled by the `cors` plugin.
  * @param {Boolean} [options.strictFormatters=true] - enables strict formatters
  * behavior: a formatter matching the response's content-type is required. If
  * not found, the response's content-type is automatically set to
  * 'application/octet-stream'. If a formatter for that content-type is not
  * found, sending the response errors.
+ * @param {Object} [options.tracing] - enables W3C Trace Context propagation
+ * and span tracing, with an `exporter` receiving the spans of each request and
+ * an optional `sampler(req)`.
+ * @param {Number} [options.handlerTimeout] - milliseconds the `use` and route
+ * handlers of a request may run before it is answered with a timeout error,
+ * routes can set their own `timeout`.
+ * @param {Number} [options.handlerTimeoutStatus=504] - status of the timeout
+ * responses, 504 for a `GatewayTimeoutError` or 503 for a
+ * `ServiceUnavailableError`.
+ * @param {Boolean|Number|String|String[]|Function} [options.trustProxy] - the
+ * proxies whose `X-Forwarded-*` or `Forwarded` headers are believed by
+ * `req.ip()`, `req.protocol()` and `req.hostname()`: true for all of them, a
+ * number of hops from the server, CIDR ranges, including the `loopback`,
+ * `linklocal` and `uniquelocal` presets, or a `trust(address, hop)` function.
+ * @param {String} [options.proxyHeader='x-forwarded'] - the headers the
+ * trusted proxies write: `x-forwarded` for `X-Forwarded-For`,
+ * `X-Forwarded-Proto` and `X-Forwarded-Host`, or `forwarded` for the
+ * `Forwarded` header of RFC 7239. The other headers are ignored, as clients
+ * can send them through the proxies.
+ * @param {String|String[]} [options.cookieSecrets] - secrets of the signed
+ * cookies, see `res.setCookie()`. The first one signs the cookies, all of them
+ * verify the cookies of `req.signedCookies`, so that secrets can be rotated.
  * @example
  * var restify = require('restify');
  * var server = restify.createServer();
@@ -109,7 +134,9 @@ function createServer(options) {
 
 module.exports.logger = pino;
 module.exports.createServer = createServer;
+module.exports.Router = Router;
 module.exports.formatters = require('./formatters');
 module.exports.plugins = require('./plugins');
 module.exports.pre = require('./plugins').pre;
+module.exports.tracing = require('./tracing');
 module.exports.helpers = { compose: require('./helpers/chainComposer') };
@@ -0,0 +1,294 @@
+'use strict';
+
+var http = require('http');
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+
+//
+// Injected requests go through the very same request handling path as the
+// ones received by the http.Server, without binding a port. The request and
+// response are regular http.IncomingMessage and http.ServerResponse
+// instances, so they carry all the restify patches, but they are attached to
+// a socket that doesn't go anywhere. The response keeps a copy of everything
+// that is written to it, so it can be handed back to the caller.
+//
+
+/**
+ * Create a socket that discards everything written to it.
+ *
+ * @private
+ * @function createNullSocket
+ * @param    {String} remoteAddress - address the request appears to come from
+ * @returns  {stream.Writable} socket
+ */
+function createNullSocket(remoteAddress) {
+    var socket = new stream.Writable({
+        write: function write(chunk, encoding, callback) {
+            setImmediate(callback);
+        }
+    });
+
+    socket.remoteAddress = remoteAddress;
+    socket.remotePort = 0;
+    socket.encrypted = false;
+    socket.setTimeout = function setTimeout() {
+        return socket;
+    };
+    socket.setNoDelay = function setNoDelay() {
+        return socket;
+    };
+    socket.setKeepAlive = function setKeepAlive() {
+        return socket;
+    };
+
+    return socket;
+}
+
+/**
+ * Create an injected request.
+ *
+ * @public
+ * @function createInjectedRequest
+ * @param    {Object} opts - an options object
+ * @param    {String} opts.url - request url, including the query string
+ * @param    {String} [opts.method='GET'] - HTTP method
+ * @param    {Object} [opts.headers] - request headers
+ * @param    {String|Buffer|Object} [opts.payload] - request body, objects are
+ *                                   serialized as JSON
+ * @param    {String} [opts.remoteAddress='127.0.0.1'] - client address
+ * @returns  {http.IncomingMessage} request
+ */
+function createInjectedRequest(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.url, 'opts.url');
+    assert.optionalString(opts.method, 'opts.method');
+    assert.optionalObject(opts.headers, 'opts.headers');
+    assert.optionalString(opts.remoteAddress, 'opts.remoteAddress');
+
+    var socket = createNullSocket(opts.remoteAddress || '127.0.0.1');
+    var req = new http.IncomingMessage(socket);
+    var headers = {};
+    var payload = opts.payload;
+
+    Object.keys(opts.headers || {}).forEach(function forEach(k) {
+        headers[k.toLowerCase()] = String(opts.headers[k]);
+    });
+
+    if (payload !== undefined && payload !== null) {
+        if (typeof payload === 'object' && !Buffer.isBuffer(payload)) {
+            payload = JSON.stringify(payload);
+            headers['content-type'] =
+                headers['content-type'] || 'application/json';
+        }
+
+        payload = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+
+        if (!headers['transfer-encoding']) {
+            headers['content-length'] = String(payload.length);
+        }
+    }
+
+    headers.host = headers.host || 'localhost';
+
+    req.method = (opts.method || 'GET').toUpperCase();
+    req.url = opts.url;
+    req.headers = headers;
+    req.rawHeaders = [];
+    Object.keys(headers).forEach(function forEach(k) {
+        req.rawHeaders.push(k, headers[k]);
+    });
+    req.httpVersionMajor = 1;
+    req.httpVersionMinor = 1;
+    req.httpVersion = '1.1';
+
+    if (payload) {
+        req.push(payload);
+    }
+    req.push(null);
+    req.complete = true;
+
+    return req;
+}
+
+/**
+ * A response that records the status, headers, body and trailers written
+ * to it.
+ *
+ * @private
+ * @class
+ * @param   {http.IncomingMessage} req - the injected request
+ * @returns {undefined} no return value
+ */
+function InjectedResponse(req) {
+    http.ServerResponse.call(this, req);
+
+    this._injected = {
+        chunks: [],
+        trailers: {}
+    };
+
+    this.assignSocket(req.socket);
+}
+util.inherits(InjectedResponse, http.ServerResponse);
+
+/**
+ * Record a chunk of the body, before any transfer encoding is applied.
+ *
+ * @private
+ * @memberof InjectedResponse
+ * @instance
+ * @function _record
+ * @param   {String|Buffer} chunk - body chunk
+ * @param   {String} [encoding] - string encoding
+ * @returns {undefined} no return value
+ */
+InjectedResponse.prototype._record = function _record(chunk, encoding) {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function') {
+        return;
+    }
+
+    this._injected.chunks.push(
+        Buffer.isBuffer(chunk)
+            ? chunk
+            : Buffer.from(
+                  String(chunk),
+                  typeof encoding === 'string' ? encoding : 'utf8'
+              )
+    );
+};
+
+/**
+ * Pass through to http.ServerResponse.write(), recording the chunk.
+ *
+ * @private
+ * @memberof InjectedResponse
+ * @instance
+ * @function write
+ * @param   {String|Buffer} chunk - body chunk
+ * @param   {String} [encoding] - string encoding
+ * @returns {Boolean} false if the caller should wait for 'drain'
+ */
+InjectedResponse.prototype.write = function write(chunk, encoding) {
+    this._record(chunk, encoding);
+    return http.ServerResponse.prototype.write.apply(this, arguments);
+};
+
+/**
+ * Pass through to http.ServerResponse.end(), recording the last chunk.
+ *
+ * @private
+ * @memberof InjectedResponse
+ * @instance
+ * @function end
+ * @param   {String|Buffer} [chunk] - body chunk
+ * @param   {String} [encoding] - string encoding
+ * @returns {InjectedResponse} the response
+ */
+InjectedResponse.prototype.end = function end(chunk, encoding) {
+    this._record(chunk, encoding);
+    return http.ServerResponse.prototype.end.apply(this, arguments);
+};
+
+/**
+ * Pass through to http.ServerResponse.addTrailers(), recording the trailers.
+ *
+ * @private
+ * @memberof InjectedResponse
+ * @instance
+ * @function addTrailers
+ * @param   {Object} headers - trailer headers
+ * @returns {undefined} no return value
+ */
+InjectedResponse.prototype.addTrailers = function addTrailers(headers) {
+    var self = this;
+
+    Object.keys(headers).forEach(function forEach(k) {
+        self._injected.trailers[k.toLowerCase()] = headers[k];
+    });
+
+    return http.ServerResponse.prototype.addTrailers.apply(this, arguments);
+};
+
+/**
+ * Parse the headers that were actually sent, including the ones passed to
+ * `writeHead()` directly.
+ *
+ * @private
+ * @memberof InjectedResponse
+ * @instance
+ * @function _sentHeaders
+ * @returns {Object} headers, keyed by lower cased name
+ */
+InjectedResponse.prototype._sentHeaders = function _sentHeaders() {
+    var headers = {};
+
+    if (typeof this._header !== 'string') {
+        return this.getHeaders();
+    }
+
+    this._header
+        .split('\r\n')
+        .slice(1)
+        .forEach(function forEach(line) {
+            var index = line.indexOf(':');
+
+            if (index === -1) {
+                return;
+            }
+
+            var key = line.slice(0, index).toLowerCase();
+            var value = line.slice(index + 1).trim();
+
+            if (headers[key] === undefined) {
+                headers[key] = value;
+            } else if (Array.isArray(headers[key])) {
+                headers[key].push(value);
+            } else {
+                headers[key] = [headers[key], value];
+            }
+        });
+
+    return headers;
+};
+
+/**
+ * Returns the recorded response.
+ *
+ * @private
+ * @memberof InjectedResponse
+ * @instance
+ * @function toResult
+ * @returns {Object} the status code, headers, body and trailers
+ */
+InjectedResponse.prototype.toResult = function toResult() {
+    var body = Buffer.concat(this._injected.chunks);
+
+    return {
+        statusCode: this.statusCode,
+        headers: this._sentHeaders(),
+        body: body.toString('utf8'),
+        rawPayload: body,
+        trailers: this._injected.trailers
+    };
+};
+
+/**
+ * Create the response for an injected request.
+ *
+ * @public
+ * @function createInjectedResponse
+ * @param    {http.IncomingMessage} req - the injected request
+ * @returns  {InjectedResponse} response
+ */
+function createInjectedResponse(req) {
+    return new InjectedResponse(req);
+}
+
+///--- Exports
+
+module.exports = {
+    createInjectedRequest: createInjectedRequest,
+    createInjectedResponse: createInjectedResponse
+};
@@ -0,0 +1,255 @@
+'use strict';
+
+var net = require('net');
+
+///--- Helpers
+
+/**
+ * Parses the bytes of an IPv4 address.
+ *
+ * @private
+ * @function parseIPv4
+ * @param    {String} address - IPv4 address
+ * @returns  {Number[]} 4 bytes
+ */
+function parseIPv4(address) {
+    return address.split('.').map(function map(part) {
+        return parseInt(part, 10);
+    });
+}
+
+/**
+ * Parses the bytes of an IPv6 address.
+ *
+ * @private
+ * @function parseIPv6
+ * @param    {String} address - IPv6 address, without zone
+ * @returns  {Number[]} 16 bytes
+ */
+function parseIPv6(address) {
+    var halves = address.split('::');
+    var head = halves[0] ? halves[0].split(':') : [];
+    var tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+
+    function toHextets(parts) {
+        var hextets = [];
+
+        parts.forEach(function forEach(part) {
+            // embedded IPv4, e.g. ::ffff:10.0.0.1
+            if (part.indexOf('.') !== -1) {
+                var bytes = parseIPv4(part);
+                hextets.push((bytes[0] << 8) | bytes[1]);
+                hextets.push((bytes[2] << 8) | bytes[3]);
+                return;
+            }
+
+            hextets.push(parseInt(part, 16));
+        });
+
+        return hextets;
+    }
+
+    var headHextets = toHextets(head);
+    var tailHextets = toHextets(tail);
+    var hextets = headHextets;
+
+    for (var i = headHextets.length + tailHextets.length; i < 8; i++) {
+        hextets.push(0);
+    }
+    hextets = hextets.concat(tailHextets);
+
+    var bytes = [];
+
+    hextets.forEach(function forEach(hextet) {
+        bytes.push(hextet >> 8, hextet & 0xff);
+    });
+
+    return bytes;
+}
+
+/**
+ * Returns whether IPv6 bytes hold an IPv4-mapped address, `::ffff:a.b.c.d`.
+ *
+ * @private
+ * @function isIPv4Mapped
+ * @param    {Number[]} bytes - 16 bytes
+ * @returns  {Boolean} true when mapped
+ */
+function isIPv4Mapped(bytes) {
+    for (var i = 0; i < 10; i++) {
+        if (bytes[i] !== 0) {
+            return false;
+        }
+    }
+
+    return bytes[10] === 0xff && bytes[11] === 0xff;
+}
+
+///--- API
+
+/**
+ * Parses an IP address. IPv4-mapped IPv6 addresses are read as IPv4, and
+ * IPv6 zones are ignored.
+ *
+ * @public
+ * @function parse
+ * @param    {String} address - IP address
+ * @returns  {Object|null} the `version` (4 or 6) and `bytes` of the address,
+ *                         null when it isn't an IP address
+ */
+function parse(address) {
+    if (typeof address !== 'string') {
+        return null;
+    }
+
+    var value = address.trim().replace(/^\[(.*)\]$/, '$1');
+    var zone = value.indexOf('%');
+
+    if (zone !== -1) {
+        value = value.slice(0, zone);
+    }
+
+    var version = net.isIP(value);
+
+    if (version === 4) {
+        return { version: 4, bytes: parseIPv4(value) };
+    }
+
+    if (version !== 6) {
+        return null;
+    }
+
+    var bytes = parseIPv6(value.toLowerCase());
+
+    if (isIPv4Mapped(bytes)) {
+        return { version: 4, bytes: bytes.slice(12) };
+    }
+
+    return { version: 6, bytes: bytes };
+}
+
+/**
+ * Masks a parsed address with a prefix length.
+ *
+ * @public
+ * @function mask
+ * @param    {Object} ip - parsed address
+ * @param    {Number} prefix - prefix length, in bits
+ * @returns  {Object} the masked address
+ */
+function mask(ip, prefix) {
+    var bytes = ip.bytes.map(function map(byte, i) {
+        var bits = Math.max(0, Math.min(8, prefix - i * 8));
+
+        return byte & ((0xff << (8 - bits)) & 0xff);
+    });
+
+    return { version: ip.version, bytes: bytes };
+}
+
+/**
+ * Formats a parsed address, IPv6 addresses are not compressed.
+ *
+ * @public
+ * @function format
+ * @param    {Object} ip - parsed address
+ * @returns  {String} address
+ */
+function format(ip) {
+    if (ip.version === 4) {
+        return ip.bytes.join('.');
+    }
+
+    var hextets = [];
+
+    for (var i = 0; i < 16; i += 2) {
+        hextets.push(((ip.bytes[i] << 8) | ip.bytes[i + 1]).toString(16));
+    }
+
+    return hextets.join(':');
+}
+
+/**
+ * Parses a CIDR range, e.g. `10.0.0.0/8` or `2001:db8::/32`. An address
+ * without prefix is a range of a single address.
+ *
+ * @public
+ * @function parseCidr
+ * @param    {String} cidr - CIDR range
+ * @returns  {Object|null} the `version`, masked `bytes` and `prefix` of the
+ *                         range, null when invalid
+ */
+function parseCidr(cidr) {
+    if (typeof cidr !== 'string') {
+        return null;
+    }
+
+    var slash = cidr.indexOf('/');
+    var ip = parse(slash === -1 ? cidr : cidr.slice(0, slash));
+
+    if (!ip) {
+        return null;
+    }
+
+    var max = ip.bytes.length * 8;
+    var prefix = max;
+
+    if (slash !== -1) {
+        var bits = cidr.slice(slash + 1);
+
+        if (!/^\d+$/.test(bits)) {
+            return null;
+        }
+
+        prefix = parseInt(bits, 10);
+
+        // IPv4-mapped ranges are read as IPv4 ones
+        if (ip.version === 4 && net.isIP(cidr.slice(0, slash)) === 6) {
+            prefix -= 96;
+        }
+    }
+
+    if (prefix < 0 || prefix > max) {
+        return null;
+    }
+
+    var range = mask(ip, prefix);
+    range.prefix = prefix;
+
+    return range;
+}
+
+/**
+ * Returns whether a range contains an address.
+ *
+ * @public
+ * @function contains
+ * @param    {Object} range - range, as returned by `parseCidr()`
+ * @param    {Object} ip - parsed address
+ * @returns  {Boolean} true when the address is in the range
+ */
+function contains(range, ip) {
+    if (range.version !== ip.version) {
+        return false;
+    }
+
+    var masked = mask(ip, range.prefix);
+
+    for (var i = 0; i < masked.bytes.length; i++) {
+        if (masked.bytes[i] !== range.bytes[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+///--- Exports
+
+module.exports = {
+    parse: parse,
+    parseCidr: parseCidr,
+    mask: mask,
+    format: format,
+    contains: contains
+};
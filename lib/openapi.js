@@ -0,0 +1,328 @@
+'use strict';
+
+var assert = require('assert-plus');
+
+///--- Globals
+
+// Methods an OpenAPI path item can describe
+var METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+// Headers OpenAPI describes on its own, they can't be parameters
+var RESERVED_HEADERS = ['accept', 'authorization', 'content-type'];
+
+///--- Helpers
+
+/**
+ * Returns the index of the parenthesis closing the one at `index`, the same
+ * way find-my-way reads regex params.
+ *
+ * @private
+ * @function closingParenthesis
+ * @param    {String} path - route path
+ * @param    {Number} index - index of the opening parenthesis
+ * @returns  {Number} index of the closing parenthesis
+ */
+function closingParenthesis(path, index) {
+    var depth = 1;
+
+    while (index < path.length) {
+        index++;
+
+        // skip escaped chars
+        if (path[index] === '\\') {
+            index++;
+            continue;
+        }
+
+        if (path[index] === ')') {
+            depth--;
+        } else if (path[index] === '(') {
+            depth++;
+        }
+
+        if (depth === 0) {
+            return index;
+        }
+    }
+
+    throw new TypeError('Invalid regexp expression in "' + path + '"');
+}
+
+/**
+ * Translates a find-my-way path into an OpenAPI path template, e.g.
+ * `/files/:name(^\\w+).png` becomes `/files/{name}.png`. The wildcard is
+ * named `wildcard`.
+ *
+ * @public
+ * @function translatePath
+ * @param    {String} path - route path
+ * @returns  {Object} the `template`, and its `params` with their regex
+ *                    `pattern` if any
+ * @example
+ * translatePath('/foo/:id/*');
+ * // => {
+ * //   template: '/foo/{id}/{wildcard}',
+ * //   params: [{ name: 'id' }, { name: 'wildcard' }]
+ * // }
+ */
+function translatePath(path) {
+    assert.string(path, 'path');
+
+    var template = '';
+    var params = [];
+    var i = 0;
+
+    while (i < path.length) {
+        var c = path[i];
+
+        // escaped colon
+        if (c === ':' && path[i + 1] === ':') {
+            template += ':';
+            i += 2;
+            continue;
+        }
+
+        if (c === '*') {
+            params.push({ name: 'wildcard' });
+            template += '{wildcard}';
+            i++;
+            continue;
+        }
+
+        if (c !== ':') {
+            template += c;
+            i++;
+            continue;
+        }
+
+        // param names end on a regex, a separator or the end of the segment
+        var end = i + 1;
+
+        while (end < path.length && '(-./'.indexOf(path[end]) === -1) {
+            end++;
+        }
+
+        var param = { name: path.slice(i + 1, end) };
+
+        if (path[end] === '(') {
+            var regexEnd = closingParenthesis(path, end);
+            param.pattern = path
+                .slice(end + 1, regexEnd)
+                .replace(/^\^/, '')
+                .replace(/\$$/, '');
+            param.pattern = '^' + param.pattern + '$';
+            end = regexEnd + 1;
+        }
+
+        params.push(param);
+        template += '{' + param.name + '}';
+        i = end;
+    }
+
+    return {
+        template: template,
+        params: params
+    };
+}
+
+/**
+ * Creates the parameters of a location from its JSON Schema.
+ *
+ * @private
+ * @function schemaParameters
+ * @param    {Object} [schema] - JSON Schema of the location
+ * @param    {String} location - `query` or `header`
+ * @returns  {Object[]} parameters
+ */
+function schemaParameters(schema, location) {
+    if (!schema || !schema.properties) {
+        return [];
+    }
+
+    var required = schema.required || [];
+
+    return Object.keys(schema.properties)
+        .filter(function filter(name) {
+            return (
+                location !== 'header' ||
+                RESERVED_HEADERS.indexOf(name.toLowerCase()) === -1
+            );
+        })
+        .map(function map(name) {
+            return {
+                name: name,
+                in: location,
+                required: required.indexOf(name) !== -1,
+                schema: schema.properties[name]
+            };
+        });
+}
+
+/**
+ * Creates the OpenAPI responses of a route. Responses are keyed by status
+ * code, their `schema` describes a JSON body.
+ *
+ * @private
+ * @function createResponses
+ * @param    {Object} [responses] - route responses
+ * @returns  {Object} OpenAPI responses
+ */
+function createResponses(responses) {
+    if (!responses) {
+        return {
+            default: {
+                description: 'Default response'
+            }
+        };
+    }
+
+    var result = {};
+
+    Object.keys(responses).forEach(function forEach(status) {
+        var response = responses[status];
+
+        result[status] = {
+            description: response.description || ''
+        };
+
+        if (response.headers) {
+            result[status].headers = response.headers;
+        }
+
+        if (response.schema) {
+            result[status].content = {
+                'application/json': {
+                    schema: response.schema
+                }
+            };
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Creates the OpenAPI operation of a route.
+ *
+ * @private
+ * @function createOperation
+ * @param    {Object} route - route
+ * @param    {Object[]} pathParams - params of the path template
+ * @returns  {Object} OpenAPI operation
+ */
+function createOperation(route, pathParams) {
+    var spec = route.spec;
+    var schema = spec.schema || {};
+    var paramsSchema = schema.params || {};
+    var operation = {
+        operationId: route.name
+    };
+
+    ['summary', 'description', 'tags', 'deprecated'].forEach(function forEach(
+        key
+    ) {
+        if (spec[key] !== undefined) {
+            operation[key] = spec[key];
+        }
+    });
+
+    var parameters = pathParams.map(function map(param) {
+        var paramSchema = (paramsSchema.properties || {})[param.name];
+
+        if (!paramSchema) {
+            paramSchema = { type: 'string' };
+
+            if (param.pattern) {
+                paramSchema.pattern = param.pattern;
+            }
+        }
+
+        return {
+            name: param.name,
+            in: 'path',
+            required: true,
+            schema: paramSchema
+        };
+    });
+
+    parameters = parameters
+        .concat(schemaParameters(schema.query, 'query'))
+        .concat(schemaParameters(schema.headers, 'header'));
+
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+
+    if (schema.body) {
+        operation.requestBody = {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: schema.body
+                }
+            }
+        };
+    }
+
+    operation.responses = createResponses(spec.responses);
+
+    return operation;
+}
+
+///--- API
+
+/**
+ * Creates an OpenAPI 3.1 document describing routes.
+ *
+ * Only the first route mounted on a method and path is described, e.g. the
+ * first version of versioned routes. Routes mounted with `openapi: false` are
+ * left out.
+ *
+ * @public
+ * @function createDocument
+ * @param    {Object} routes - routes, keyed by name
+ * @param    {Object} info - OpenAPI info object
+ * @param    {String} info.title - title of the API
+ * @param    {String} info.version - version of the API
+ * @returns  {Object} OpenAPI document
+ */
+function createDocument(routes, info) {
+    assert.object(routes, 'routes');
+    assert.object(info, 'info');
+    assert.string(info.title, 'info.title');
+    assert.string(info.version, 'info.version');
+
+    var paths = {};
+
+    Object.keys(routes).forEach(function forEach(name) {
+        var route = routes[name];
+        var method = route.method.toLowerCase();
+
+        if (route.spec.openapi === false || METHODS.indexOf(method) === -1) {
+            return;
+        }
+
+        var path = translatePath(route.path);
+        var pathItem = paths[path.template] || {};
+
+        if (pathItem[method]) {
+            return;
+        }
+
+        pathItem[method] = createOperation(route, path.params);
+        paths[path.template] = pathItem;
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: info,
+        paths: paths
+    };
+}
+
+///--- Exports
+
+module.exports = {
+    createDocument: createDocument,
+    translatePath: translatePath
+};
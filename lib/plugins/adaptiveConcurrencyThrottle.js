@@ -0,0 +1,303 @@
+'use strict';
+
+var assert = require('assert-plus');
+var ServiceUnavailableError = require('restify-errors').ServiceUnavailableError;
+
+///--- Globals
+
+var ALGORITHMS = ['gradient', 'aimd'];
+
+///--- Helpers
+
+/**
+ * Returns the milliseconds elapsed since a `process.hrtime()` time.
+ *
+ * @private
+ * @function elapsed
+ * @param    {Number[]} start - start time
+ * @returns  {Number} milliseconds
+ */
+function elapsed(start) {
+    var diff = process.hrtime(start);
+
+    return diff[0] * 1e3 + diff[1] / 1e6;
+}
+
+/**
+ * Adds a sample to an exponentially weighted moving average over a number of
+ * samples.
+ *
+ * @private
+ * @function average
+ * @param    {Number|undefined} value - current average
+ * @param    {Number} sample - new sample
+ * @param    {Number} window - number of samples
+ * @returns  {Number} new average
+ */
+function average(value, sample, window) {
+    if (value === undefined) {
+        return sample;
+    }
+
+    var alpha = 2 / (window + 1);
+
+    return value + alpha * (sample - value);
+}
+
+///--- API
+
+/**
+ * The `adaptiveConcurrencyThrottle` module limits the number of requests the
+ * server handles at once, like `inflightRequestThrottle`, but continuously
+ * adjusts the limit to the latency of the requests, measured from the time
+ * this plugin admits them until their response emits `finish`, or `close` when
+ * the connection goes away first.
+ *
+ * With the `gradient` algorithm, the default, the limit follows the ratio
+ * between the long term and the recent average latencies: it grows while the
+ * latency holds, and shrinks as soon as requests start to queue up.
+ *
+ * With the `aimd` algorithm, the limit grows by one after each request faster
+ * than `latencyThreshold`, and is multiplied by `backoffRatio` after each
+ * slower one.
+ *
+ * Requests above the limit are rejected with a `503 ServiceUnavailableError`,
+ * or your own error, and a `Retry-After` header.
+ *
+ * This plugin should be registered as early as possible, using `pre` or
+ * `first`. As a `first` handler, it ends rejected requests itself, with a JSON
+ * body, before restify does any work for them.
+ *
+ * An admitted request holds its slot until its response finishes or closes,
+ * even when a later handler rejects it.
+ *
+ * The current limit is exposed on the `state` property of the handler, e.g.
+ * to report it as a metric.
+ *
+ * @public
+ * @function adaptiveConcurrencyThrottle
+ * @param {Object} opts - configure this plugin
+ * @param {String} [opts.algorithm='gradient'] - `gradient` or `aimd`
+ * @param {Number} [opts.initialLimit=20] - number of concurrent requests
+ *    allowed at first
+ * @param {Number} [opts.minLimit=1] - lowest limit
+ * @param {Number} [opts.maxLimit=1000] - highest limit
+ * @param {Number} [opts.smoothing=0.2] - how fast the `gradient` limit moves
+ *    toward its new value, between 0 and 1
+ * @param {Number} [opts.tolerance=1.5] - how much the recent latency may exceed
+ *    the long term one before the `gradient` limit shrinks
+ * @param {Number} [opts.shortWindow=10] - number of requests of the recent
+ *    average latency
+ * @param {Number} [opts.longWindow=600] - number of requests of the long term
+ *    average latency
+ * @param {Number} [opts.latencyThreshold=1000] - latency, in milliseconds,
+ *    above which the `aimd` limit shrinks
+ * @param {Number} [opts.backoffRatio=0.9] - ratio by which the `aimd` limit
+ *    shrinks
+ * @param {Number} [opts.retryAfter=1] - value of the `Retry-After` header, in
+ *    seconds
+ * @param {Error} [opts.err] - A restify error used as a response when the
+ *    limit is exceeded
+ * @returns {Function} middleware to be registered on server.pre or
+ *    server.first
+ * @example
+ * var restify = require('restify');
+ *
+ * var server = restify.createServer();
+ * var throttle = restify.plugins.adaptiveConcurrencyThrottle({
+ *     maxLimit: 200
+ * });
+ *
+ * server.first(throttle);
+ *
+ * setInterval(function () {
+ *     console.log('concurrency limit', throttle.state.limit);
+ * }, 10000);
+ */
+function adaptiveConcurrencyThrottle(opts) {
+    // Scrub input and populate our configuration
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.algorithm, 'opts.algorithm');
+    assert.optionalNumber(opts.initialLimit, 'opts.initialLimit');
+    assert.optionalNumber(opts.minLimit, 'opts.minLimit');
+    assert.optionalNumber(opts.maxLimit, 'opts.maxLimit');
+    assert.optionalNumber(opts.smoothing, 'opts.smoothing');
+    assert.optionalNumber(opts.tolerance, 'opts.tolerance');
+    assert.optionalNumber(opts.shortWindow, 'opts.shortWindow');
+    assert.optionalNumber(opts.longWindow, 'opts.longWindow');
+    assert.optionalNumber(opts.latencyThreshold, 'opts.latencyThreshold');
+    assert.optionalNumber(opts.backoffRatio, 'opts.backoffRatio');
+    assert.optionalNumber(opts.retryAfter, 'opts.retryAfter');
+
+    if (opts.err !== undefined && opts.err !== null) {
+        assert.ok(opts.err instanceof Error, 'opts.err must be an error');
+        assert.optionalNumber(opts.err.statusCode, 'opts.err.statusCode');
+    }
+
+    var plugin = {};
+    plugin._algorithm = opts.algorithm || 'gradient';
+    plugin._minLimit = typeof opts.minLimit === 'number' ? opts.minLimit : 1;
+    plugin._maxLimit = opts.maxLimit || 1000;
+    plugin._limit = opts.initialLimit || Math.min(20, plugin._maxLimit);
+    plugin._smoothing =
+        typeof opts.smoothing === 'number' ? opts.smoothing : 0.2;
+    plugin._tolerance = opts.tolerance || 1.5;
+    plugin._shortWindow = opts.shortWindow || 10;
+    plugin._longWindow = opts.longWindow || 600;
+    plugin._latencyThreshold = opts.latencyThreshold || 1000;
+    plugin._backoffRatio = opts.backoffRatio || 0.9;
+    plugin._retryAfter = opts.retryAfter || 1;
+    plugin._err = opts.err || new ServiceUnavailableError('concurrency limit');
+
+    assert.ok(
+        ALGORITHMS.indexOf(plugin._algorithm) !== -1,
+        'opts.algorithm must be one of ' + ALGORITHMS.join(', ')
+    );
+    assert.ok(
+        plugin._minLimit >= 1 && plugin._minLimit <= plugin._maxLimit,
+        'minLimit must be at least 1 and at most maxLimit'
+    );
+    assert.ok(
+        plugin._limit >= plugin._minLimit && plugin._limit <= plugin._maxLimit,
+        'initialLimit must be between minLimit and maxLimit'
+    );
+    assert.ok(
+        plugin._smoothing > 0 && plugin._smoothing <= 1,
+        'smoothing must be between 0 and 1'
+    );
+
+    // plugin._inflight counts the requests this plugin let through that have
+    // not finished yet
+    plugin._inflight = 0;
+
+    // recent and long term average latencies, in milliseconds
+    plugin._shortLatency = undefined;
+    plugin._longLatency = undefined;
+
+    // the limit is a float so that it can move by less than one request at a
+    // time, requests are admitted while they are below its integer part
+    function updateLimit(latency, inflight) {
+        var limit = plugin._limit;
+
+        plugin._shortLatency = average(
+            plugin._shortLatency,
+            latency,
+            plugin._shortWindow
+        );
+        plugin._longLatency = average(
+            plugin._longLatency,
+            latency,
+            plugin._longWindow
+        );
+
+        if (plugin._algorithm === 'aimd') {
+            if (latency > plugin._latencyThreshold) {
+                limit = limit * plugin._backoffRatio;
+            } else if (inflight * 2 >= limit) {
+                limit = limit + 1;
+            }
+        } else {
+            // an application that doesn't use its limit tells nothing about
+            // the limit it could handle
+            if (inflight < limit / 2) {
+                return;
+            }
+
+            var gradient = Math.max(
+                0.5,
+                Math.min(
+                    1,
+                    plugin._tolerance *
+                        (plugin._longLatency / plugin._shortLatency)
+                )
+            );
+
+            // the square root of the limit leaves room for some queueing, so
+            // that the limit can grow while the latency holds
+            var target = limit * gradient + Math.sqrt(limit);
+
+            limit =
+                limit * (1 - plugin._smoothing) + target * plugin._smoothing;
+        }
+
+        plugin._limit = Math.max(
+            plugin._minLimit,
+            Math.min(plugin._maxLimit, limit)
+        );
+    }
+
+    function reject(req, res, next) {
+        var err = plugin._err;
+
+        // as a first handler, the response is ours to end, and restify hasn't
+        // set up the request logger yet
+        if (!next) {
+            res.writeHead(err.statusCode || 503, {
+                'Content-Type': 'application/json',
+                'Retry-After': plugin._retryAfter
+            });
+            res.end(JSON.stringify(err.body || { message: err.message }));
+            return false;
+        }
+
+        req.log.trace(
+            {
+                plugin: 'adaptiveConcurrencyThrottle',
+                inflightRequests: plugin._inflight,
+                limit: Math.floor(plugin._limit)
+            },
+            'concurrency limit exceeded, rejecting request'
+        );
+
+        res.header('Retry-After', plugin._retryAfter);
+        return next(err);
+    }
+
+    function onRequest(req, res, next) {
+        if (plugin._inflight >= Math.floor(plugin._limit)) {
+            return reject(req, res, next);
+        }
+
+        var start = process.hrtime();
+        var released = false;
+
+        // restify never emits `after` for requests a later first handler
+        // rejects, the response is what always ends, one way or another
+        function release() {
+            if (released) {
+                return;
+            }
+
+            released = true;
+            res.removeListener('finish', release);
+            res.removeListener('close', release);
+            updateLimit(elapsed(start), plugin._inflight);
+            plugin._inflight--;
+        }
+
+        plugin._inflight++;
+        res.once('finish', release);
+        res.once('close', release);
+
+        return next ? next() : true;
+    }
+
+    // Expose internal plugin state for introspection
+    Object.defineProperty(onRequest, 'state', {
+        get: function get() {
+            return {
+                algorithm: plugin._algorithm,
+                limit: Math.floor(plugin._limit),
+                minLimit: plugin._minLimit,
+                maxLimit: plugin._maxLimit,
+                inflightRequests: plugin._inflight,
+                shortLatency: plugin._shortLatency,
+                longLatency: plugin._longLatency
+            };
+        }
+    });
+
+    return onRequest;
+}
+
+module.exports = adaptiveConcurrencyThrottle;
@@ -12,14 +12,44 @@ var errors = require('restify-errors');
 ///--- Globals
 
 var BadDigestError = errors.BadDigestError;
+var InvalidContentError = errors.InvalidContentError;
 var RequestEntityTooLargeError = errors.RequestEntityTooLargeError;
 var PayloadTooLargeError = errors.PayloadTooLargeError;
 var UnsupportedMediaTypeError = errors.UnsupportedMediaTypeError;
 
 var MD5_MSG = "Content-MD5 '%s' didn't match '%s'";
 
+// Content encodings we can decode, advertised on unsupported encodings
+var DECODERS = {
+    gzip: zlib.createGunzip,
+    'x-gzip': zlib.createGunzip,
+    deflate: zlib.createInflate,
+    br: zlib.createBrotliDecompress
+};
+var SUPPORTED_ENCODINGS = 'gzip, deflate, br';
+
 ///--- Helpers
 
+/**
+ * Parses a `Content-Encoding` header into the list of codings applied to the
+ * body, in the order they were applied. `identity` is ignored.
+ *
+ * @private
+ * @function parseContentEncoding
+ * @param    {String} header - `Content-Encoding` header
+ * @returns  {String[]} codings
+ */
+function parseContentEncoding(header) {
+    return header
+        .split(',')
+        .map(function map(coding) {
+            return coding.trim().toLowerCase();
+        })
+        .filter(function filter(coding) {
+            return coding !== '' && coding !== 'identity';
+        });
+}
+
 function createBodyWriter(req) {
     var buffers = [];
 
@@ -56,10 +86,20 @@ function createBodyWriter(req) {
 /**
  * Reads the body of the request.
  *
+ * Bodies encoded with `gzip`, `deflate` or `br` are decoded, including
+ * stacked encodings such as `Content-Encoding: gzip, br`. `maxBodySize`
+ * applies to both the received and the decoded sizes, so that small
+ * compressed bodies can't expand into huge ones. Other encodings are rejected
+ * with an `UnsupportedMediaTypeError`, and an `Accept-Encoding` header listing
+ * the supported ones.
+ *
  * @public
  * @function bodyReader
- * @throws   {BadDigestError | PayloadTooLargeError}
+ * @throws   {BadDigestError | PayloadTooLargeError | InvalidContentError |
+ *            UnsupportedMediaTypeError}
  * @param    {Object} options - an options object
+ * @param    {Number} [options.maxBodySize=0] - maximum size of the body, in
+ *                                              bytes, 0 for no limit
  * @returns  {Function} Handler
  */
 function bodyReader(options) {
@@ -89,11 +129,14 @@ function bodyReader(options) {
         }
         var bodyWriter = createBodyWriter(req);
 
+        var contentEncoding = req.headers['content-encoding'];
         var bytesReceived = 0;
+        var bytesDecoded = 0;
         var digest;
-        var gz;
+        var decoder;
         var hash;
         var md5;
+        var reqEnded = false;
 
         var unsupportedContentEncoding;
 
@@ -118,7 +161,7 @@ function bodyReader(options) {
                 return;
             }
 
-            if (maxBodySize && bytesReceived > maxBodySize) {
+            if (tooLarge()) {
                 var msg = 'Request body size exceeds ' + maxBodySize;
                 var err;
 
@@ -148,35 +191,103 @@ function bodyReader(options) {
             next();
         }
 
-        if (req.headers['content-encoding'] === undefined) {
-            // This handles the original else branch
-            req.once('end', done);
-        } else if (req.headers['content-encoding'] === 'gzip') {
-            gz = zlib.createGunzip();
-            gz.on('data', bodyWriter.write);
-            gz.once('end', done);
-            req.once('end', gz.end.bind(gz));
-        } else {
-            unsupportedContentEncoding = req.headers['content-encoding'];
-            res.setHeader('Accept-Encoding', 'gzip');
-            req.once('end', done);
+        function tooLarge() {
+            return (
+                maxBodySize > 0 &&
+                (bytesReceived > maxBodySize || bytesDecoded > maxBodySize)
+            );
         }
 
+        // Decodes the codings in the reverse order they were applied, and
+        // returns the first stream of the chain
+        function createDecoder(codings) {
+            var streams = codings
+                .slice()
+                .reverse()
+                .map(function map(coding) {
+                    return DECODERS[coding]();
+                });
+            var last = streams[streams.length - 1];
+
+            streams.forEach(function forEach(stream, i) {
+                stream.on('error', function onError(err) {
+                    next(
+                        new InvalidContentError(
+                            {
+                                cause: err,
+                                info: { contentEncoding: contentEncoding }
+                            },
+                            'failed to decode request body'
+                        )
+                    );
+                });
+
+                if (i > 0) {
+                    streams[i - 1].pipe(stream);
+                }
+            });
+
+            last.on('data', function onDecodedData(chunk) {
+                bytesDecoded += chunk.length;
+
+                if (tooLarge()) {
+                    // stop inflating, the body is rejected anyway
+                    streams.forEach(function forEach(stream) {
+                        stream.destroy();
+                    });
+
+                    if (reqEnded) {
+                        done();
+                    }
+                    return;
+                }
+
+                bodyWriter.write(chunk);
+            });
+            last.once('end', done);
+
+            return streams[0];
+        }
+
+        var codings = contentEncoding
+            ? parseContentEncoding(contentEncoding)
+            : [];
+        var unsupported = codings.filter(function filter(coding) {
+            return !DECODERS.hasOwnProperty(coding);
+        });
+
+        if (unsupported.length > 0) {
+            unsupportedContentEncoding = contentEncoding;
+            res.setHeader('Accept-Encoding', SUPPORTED_ENCODINGS);
+        } else if (codings.length > 0) {
+            decoder = createDecoder(codings);
+        }
+
+        req.once('end', function onRequestEnd() {
+            reqEnded = true;
+
+            if (decoder && !tooLarge()) {
+                decoder.end();
+            } else {
+                done();
+            }
+        });
+
         req.on('data', function onRequestData(chunk) {
             if (maxBodySize) {
                 bytesReceived += chunk.length;
+            }
 
-                if (bytesReceived > maxBodySize) {
-                    return;
-                }
+            if (tooLarge()) {
+                return;
             }
 
             if (hash) {
                 hash.update(chunk, 'binary');
             }
 
-            if (gz) {
-                gz.write(chunk);
+            if (decoder) {
+                decoder.write(chunk);
             } else {
                 bodyWriter.write(chunk);
             }
@@ -0,0 +1,325 @@
+'use strict';
+
+var zlib = require('zlib');
+
+var assert = require('assert-plus');
+
+///--- Globals
+
+var DEFAULT_ENCODINGS = ['br', 'gzip', 'deflate'];
+var SUPPORTED_ENCODINGS = ['br', 'gzip', 'deflate'];
+
+// text, JSON, XML, JavaScript and a few other formats known to compress well
+var COMPRESSIBLE_TYPE = new RegExp(
+    '^(?:text/|application/(?:[^;]*[+/])?(?:json|xml|javascript|ecmascript|' +
+        'x-www-form-urlencoded|wasm)\\b|image/svg\\+xml)',
+    'i'
+);
+
+///--- Helpers
+
+/**
+ * Returns whether a response's content type is worth compressing.
+ *
+ * @private
+ * @function isCompressible
+ * @param    {Object} req - the request object
+ * @param    {Object} res - the response object
+ * @returns  {Boolean} true when the content type is compressible
+ */
+function isCompressible(req, res) {
+    var type = res.getHeader('Content-Type');
+
+    return typeof type === 'string' && COMPRESSIBLE_TYPE.test(type);
+}
+
+/**
+ * Adds a field to the `Vary` header, unless it is already there.
+ *
+ * @private
+ * @function addVary
+ * @param    {Object} res - the response object
+ * @param    {String} field - header name
+ * @returns  {undefined} no return value
+ */
+function addVary(res, field) {
+    var vary = res.getHeader('Vary');
+
+    if (!vary) {
+        res.setHeader('Vary', field);
+        return;
+    }
+
+    var fields = String(vary)
+        .split(',')
+        .map(function map(value) {
+            return value.trim().toLowerCase();
+        });
+
+    if (
+        fields.indexOf('*') === -1 &&
+        fields.indexOf(field.toLowerCase()) === -1
+    ) {
+        res.setHeader('Vary', vary + ', ' + field);
+    }
+}
+
+/**
+ * Creates the compression stream of an encoding.
+ *
+ * @private
+ * @function createStream
+ * @param    {String} encoding - `br`, `gzip` or `deflate`
+ * @param    {Object} opts - plugin options
+ * @returns  {Object} zlib stream
+ */
+function createStream(encoding, opts) {
+    if (encoding === 'br') {
+        return zlib.createBrotliCompress(opts.brotli);
+    }
+
+    if (encoding === 'gzip') {
+        return zlib.createGzip(opts.zlib);
+    }
+
+    return zlib.createDeflate(opts.zlib);
+}
+
+///--- API
+
+/**
+ * Compresses responses with the `br`, `gzip` or `deflate` encoding, the one
+ * the client prefers according to its `Accept-Encoding` header.
+ *
+ * Compression is decided when the response headers are written, it is skipped
+ * when:
+ *
+ * * the client did not send `Accept-Encoding`, or prefers `identity`
+ * * the response already has a `Content-Encoding`, e.g. pre-compressed files
+ * * the content type is not compressible, e.g. images or archives
+ * * the body is smaller than the threshold, when its size is known
+ * * the response has no body, or `Cache-Control: no-transform`
+ *
+ * `Vary: Accept-Encoding` is added to compressible responses, even those that
+ * are not compressed, so that caches keep the representations apart.
+ *
+ * Compressed responses are streamed, `Content-Length` is removed, and
+ * `res.flush()` flushes the data compressed so far, e.g. for server-sent
+ * events.
+ *
+ * @public
+ * @function compressResponse
+ * @param    {Object} [opts] - an options object
+ * @param    {String[]} [opts.encodings=['br', 'gzip', 'deflate']] - supported
+ *  encodings, used in this order when the client has no preference
+ * @param    {Number} [opts.threshold=1024] - minimum body size to compress, in
+ *  bytes
+ * @param    {Function} [opts.filter] - `filter(req, res)` returns whether a
+ *  response should be compressed, the default only accepts compressible
+ *  content types
+ * @param    {Object} [opts.zlib] - options of the gzip and deflate streams,
+ *  see `zlib.createGzip`
+ * @param    {Object} [opts.brotli] - options of the brotli streams, see
+ *  `zlib.createBrotliCompress`
+ * @returns  {Function} Handler
+ * @example
+ * server.use(restify.plugins.compressResponse({ threshold: 2048 }));
+ */
+function compressResponse(opts) {
+    assert.optionalObject(opts, 'options');
+
+    var options = opts || {};
+
+    assert.optionalArrayOfString(options.encodings, 'options.encodings');
+    assert.optionalNumber(options.threshold, 'options.threshold');
+    assert.optionalFunc(options.filter, 'options.filter');
+    assert.optionalObject(options.zlib, 'options.zlib');
+    assert.optionalObject(options.brotli, 'options.brotli');
+
+    var encodings = options.encodings || DEFAULT_ENCODINGS;
+    var threshold = options.threshold !== undefined ? options.threshold : 1024;
+    var filter = options.filter || isCompressible;
+
+    encodings.forEach(function forEach(encoding) {
+        assert.ok(
+            SUPPORTED_ENCODINGS.indexOf(encoding) !== -1,
+            'unsupported encoding: ' + encoding
+        );
+    });
+
+    function compress(req, res, next) {
+        var origWriteHead = res.writeHead;
+        var origWrite = res.write;
+        var origEnd = res.end;
+        var decided = false;
+        var stream = null;
+
+        // returns the encoding to use, or null
+        function negotiate(size) {
+            var encoding = res.getHeader('Content-Encoding');
+
+            if (
+                req.method === 'HEAD' ||
+                res.statusCode === 204 ||
+                res.statusCode === 304 ||
+                (encoding && encoding !== 'identity') ||
+                !filter(req, res)
+            ) {
+                return null;
+            }
+
+            addVary(res, 'Accept-Encoding');
+
+            if (
+                /\bno-transform\b/i.test(
+                    res.getHeader('Cache-Control') || ''
+                ) ||
+                (size !== undefined && size < threshold) ||
+                !req.headers['accept-encoding']
+            ) {
+                return null;
+            }
+
+            var preferred = req.acceptsEncoding(encodings.concat('identity'));
+
+            return preferred && preferred !== 'identity' ? preferred : null;
+        }
+
+        // decides whether to compress, once the headers are known
+        function decide(size) {
+            if (decided) {
+                return;
+            }
+
+            decided = true;
+
+            var length = res.getHeader('Content-Length');
+
+            if (length !== undefined) {
+                size = parseInt(length, 10);
+            }
+
+            var encoding = negotiate(size);
+
+            if (!encoding) {
+                res.write = origWrite;
+                res.end = origEnd;
+                return;
+            }
+
+            var etag = res.getHeader('ETag');
+
+            // the compressed representation is not byte for byte the same
+            if (typeof etag === 'string' && etag.indexOf('W/') !== 0) {
+                res.setHeader('ETag', 'W/' + etag);
+            }
+
+            res.removeHeader('Content-Length');
+            res.setHeader('Content-Encoding', encoding);
+
+            stream = createStream(encoding, options);
+            stream.on('data', function onData(chunk) {
+                if (origWrite.call(res, chunk) === false) {
+                    stream.pause();
+                }
+            });
+            stream.once('end', function onEnd() {
+                origEnd.call(res);
+            });
+            stream.on('drain', res.emit.bind(res, 'drain'));
+            // e.g. a write after the end, the response can't be completed
+            stream.on('error', function onError(err) {
+                res.log.warn(
+                    { req: req, err: err },
+                    'error compressing response, destroying the connection'
+                );
+                res.destroy();
+            });
+            res.on('drain', function onDrain() {
+                stream.resume();
+            });
+        }
+
+        res.writeHead = function writeHead(statusCode, reason, headers) {
+            if (typeof reason !== 'string') {
+                headers = reason;
+                reason = undefined;
+            }
+
+            // headers passed to writeHead take part in the decision
+            if (headers && typeof headers === 'object') {
+                Object.keys(headers).forEach(function forEach(name) {
+                    res.setHeader(name, headers[name]);
+                });
+            }
+
+            if (statusCode !== undefined) {
+                res.statusCode = statusCode;
+            }
+
+            decide();
+            res.writeHead = origWriteHead;
+
+            if (reason !== undefined) {
+                return origWriteHead.call(res, res.statusCode, reason);
+            }
+
+            return origWriteHead.call(res, res.statusCode);
+        };
+
+        res.write = function write(chunk, encoding, callback) {
+            decide();
+
+            if (!stream) {
+                return origWrite.apply(res, arguments);
+            }
+
+            return stream.write(chunk, encoding, callback);
+        };
+
+        res.end = function end(chunk, encoding, callback) {
+            if (typeof chunk === 'function') {
+                callback = chunk;
+                chunk = undefined;
+            } else if (typeof encoding === 'function') {
+                callback = encoding;
+                encoding = undefined;
+            }
+
+            // the body is known when the response ends before any write
+            if (!decided && !res.headersSent) {
+                decide(chunk ? Buffer.byteLength(chunk, encoding) : 0);
+            }
+
+            if (!stream) {
+                return origEnd.apply(res, arguments);
+            }
+
+            if (callback) {
+                res.once('finish', callback);
+            }
+
+            if (chunk) {
+                stream.end(chunk, encoding);
+            } else {
+                stream.end();
+            }
+
+            return res;
+        };
+
+        res.flush = function flush() {
+            if (stream) {
+                stream.flush();
+            }
+        };
+
+        next();
+    }
+
+    return compress;
+}
+
+///--- Exports
+
+module.exports = compressResponse;
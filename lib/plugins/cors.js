@@ -0,0 +1,226 @@
+'use strict';
+
+var assert = require('assert-plus');
+
+///--- Helpers
+
+/**
+ * Returns true if the origin is allowed by the configured origins.
+ *
+ * @private
+ * @function isOriginAllowed
+ * @param    {Array|Function} origins - configured origins
+ * @param    {String} origin - value of the Origin header
+ * @param    {Request} req - the request object
+ * @returns  {Boolean} is allowed
+ */
+function isOriginAllowed(origins, origin, req) {
+    if (typeof origins === 'function') {
+        return !!origins(origin, req);
+    }
+
+    return origins.some(function some(allowed) {
+        if (allowed instanceof RegExp) {
+            return allowed.test(origin);
+        }
+        return allowed === '*' || allowed === origin;
+    });
+}
+
+/**
+ * Appends a value to the Vary header unless it is already listed.
+ *
+ * @private
+ * @function vary
+ * @param    {Response} res - the response object
+ * @param    {String} field - header name to add
+ * @returns  {undefined} no return value
+ */
+function vary(res, field) {
+    var current = res.getHeader('Vary');
+
+    if (!current) {
+        res.setHeader('Vary', field);
+        return;
+    }
+
+    var fields = String(current)
+        .split(/\s*,\s*/)
+        .map(function map(f) {
+            return f.toLowerCase();
+        });
+
+    if (fields.indexOf('*') === -1 && fields.indexOf(field.toLowerCase()) < 0) {
+        res.setHeader('Vary', current + ', ' + field);
+    }
+}
+
+///--- API
+
+/**
+ * Handles Cross-Origin Resource Sharing for all mounted routes.
+ *
+ * For simple requests the plugin sets `Access-Control-Allow-Origin` (and the
+ * credentials and exposed headers, if configured) whenever the `Origin` header
+ * is allowed.
+ *
+ * Preflight requests (`OPTIONS` with an `Access-Control-Request-Method`
+ * header) are answered directly, without running any further handlers. The
+ * `Access-Control-Allow-Methods` header lists every method that has a route
+ * mounted for the requested path. When no route matches, the request is left
+ * to the router, which responds with a 404 or 405.
+ *
+ * This plugin must be registered with `server.pre()`, as preflight requests
+ * usually target paths that have no `OPTIONS` route mounted. You may also want
+ * to disable the router's built-in `OPTIONS *` handling with the
+ * `handleOptionsStar` server option.
+ *
+ * @public
+ * @function cors
+ * @param    {Object} opts - an options object
+ * @param    {Object} opts.server - the restify server, used to look up the
+ *                                  methods mounted for a path
+ * @param    {Array|Function} [opts.origins=['*']] - allowed origins. Each
+ *                    element is either an exact origin, `'*'` or a RegExp.
+ *                    A function `(origin, req)` returning a boolean can be
+ *                    given instead.
+ * @param    {Boolean} [opts.credentials=false] - sets
+ *                    `Access-Control-Allow-Credentials: true`. The request
+ *                    origin is always echoed back in this case, as browsers
+ *                    reject a wildcard origin for credentialed requests.
+ * @param    {String[]} [opts.allowHeaders] - headers sent in
+ *                    `Access-Control-Allow-Headers`. Defaults to the headers
+ *                    listed in the `Access-Control-Request-Headers` header.
+ * @param    {String[]} [opts.exposeHeaders=[]] - headers sent in
+ *                    `Access-Control-Expose-Headers`
+ * @param    {Number} [opts.maxAge] - seconds a preflight response may be
+ *                    cached, sent in `Access-Control-Max-Age`
+ * @param    {Number} [opts.preflightStatus=204] - status code of preflight
+ *                    responses
+ * @returns  {Function} Handler
+ * @example
+ * server.pre(restify.plugins.cors({
+ *     server: server,
+ *     origins: ['https://example.com', /\.example\.org$/],
+ *     credentials: true,
+ *     exposeHeaders: ['x-request-id'],
+ *     maxAge: 600
+ * }));
+ */
+function cors(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.server, 'opts.server');
+    assert.object(opts.server.router, 'opts.server.router');
+    assert.optionalBool(opts.credentials, 'opts.credentials');
+    assert.optionalArrayOfString(opts.allowHeaders, 'opts.allowHeaders');
+    assert.optionalArrayOfString(opts.exposeHeaders, 'opts.exposeHeaders');
+    assert.optionalNumber(opts.maxAge, 'opts.maxAge');
+    assert.optionalNumber(opts.preflightStatus, 'opts.preflightStatus');
+
+    var origins = opts.origins || ['*'];
+
+    if (typeof origins !== 'function') {
+        assert.array(origins, 'opts.origins');
+        origins.forEach(function forEach(origin) {
+            assert.ok(
+                typeof origin === 'string' || origin instanceof RegExp,
+                'opts.origins must contain strings or RegExps'
+            );
+        });
+    }
+
+    var router = opts.server.router;
+    var credentials = opts.credentials === true;
+    var exposeHeaders = (opts.exposeHeaders || []).join(', ');
+    var preflightStatus = opts.preflightStatus || 204;
+
+    // Origins that don't depend on the request can be answered with a
+    // wildcard, everything else varies by origin
+    var wildcard =
+        !credentials && Array.isArray(origins) && origins.indexOf('*') !== -1;
+
+    function setOriginHeaders(req, res, origin) {
+        if (wildcard) {
+            res.setHeader('Access-Control-Allow-Origin', '*');
+        } else {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            vary(res, 'Origin');
+        }
+
+        if (credentials) {
+            res.setHeader('Access-Control-Allow-Credentials', 'true');
+        }
+    }
+
+    function preflight(req, res, next, origin) {
+        var methods = router.getAllowedMethods(req.getUrl().pathname);
+
+        // Let the router respond with a 404
+        if (methods.length === 0) {
+            next();
+            return;
+        }
+
+        setOriginHeaders(req, res, origin);
+        res.setHeader('Access-Control-Allow-Methods', methods.join(', '));
+
+        var allowHeaders = opts.allowHeaders
+            ? opts.allowHeaders.join(', ')
+            : req.headers['access-control-request-headers'];
+
+        if (allowHeaders) {
+            res.setHeader('Access-Control-Allow-Headers', allowHeaders);
+        }
+
+        if (!opts.allowHeaders) {
+            vary(res, 'Access-Control-Request-Headers');
+        }
+
+        if (opts.maxAge !== undefined) {
+            res.setHeader('Access-Control-Max-Age', String(opts.maxAge));
+        }
+
+        res.setHeader('Content-Length', 0);
+        res.send(preflightStatus);
+        next(false);
+    }
+
+    function corsHandler(req, res, next) {
+        var origin = req.headers.origin;
+
+        if (!origin) {
+            next();
+            return;
+        }
+
+        if (!isOriginAllowed(origins, origin, req)) {
+            if (!wildcard) {
+                vary(res, 'Origin');
+            }
+            next();
+            return;
+        }
+
+        if (
+            req.method === 'OPTIONS' &&
+            req.headers['access-control-request-method']
+        ) {
+            preflight(req, res, next, origin);
+            return;
+        }
+
+        setOriginHeaders(req, res, origin);
+
+        if (exposeHeaders) {
+            res.setHeader('Access-Control-Expose-Headers', exposeHeaders);
+        }
+
+        next();
+    }
+
+    return corsHandler;
+}
+
+///--- Exports
+
+module.exports = cors;
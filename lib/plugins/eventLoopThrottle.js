@@ -0,0 +1,263 @@
+'use strict';
+
+var perfHooks = require('perf_hooks');
+
+var assert = require('assert-plus');
+var errors = require('restify-errors');
+var EWMA = require('ewma');
+
+/**
+ * eventLoopThrottle is a middleware that rejects a variable number of requests
+ * (between 0% and 100%) based on a historical view of the event loop delay of
+ * a Node.js process. A process blocked on synchronous work, e.g. parsing or
+ * serializing large payloads, may show a moderate CPU usage while every
+ * request waits on the event loop. The event loop delay measures this wait
+ * directly.
+ *
+ * It works like `cpuUsageThrottle`. You define a delay, `limit`, at which the
+ * plugin starts rejecting requests, and a delay, `max`, at which it rejects all
+ * of them. In between, the share of rejected requests grows linearly. For
+ * example, with a limit of 50ms and a max of 250ms, an average delay of 150ms
+ * rejects approximately 50% of all requests.
+ *
+ * The delay is measured with `perf_hooks.monitorEventLoopDelay`. Every
+ * `interval`, the mean delay of the interval, or one of its percentiles, is
+ * added to an exponentially weighted moving average whose `halfLife` sets how
+ * fast the plugin reacts to spikes, as for `cpuUsageThrottle`.
+ *
+ * Rejected requests get a `503 ServiceUnavailableError` whose `info` holds the
+ * state of the plugin, so that it shows up in the audit log.
+ *
+ * @public
+ * @function eventLoopThrottle
+ * @param {Object} [opts] - Configure this plugin.
+ * @param {Number} [opts.limit] - The event loop delay, in milliseconds, at
+ *    which restify will begin rejecting a % of all requests at the front door.
+ *    Defaults to 50.
+ * @param {Number} [opts.max] - The event loop delay, in milliseconds, at which
+ *    restify will reject 100% of all requests at the front door. Defaults to
+ *    250.
+ * @param {Number} [opts.interval] - How frequently, in milliseconds, we add the
+ *    delay measured since the last interval to the moving average. Defaults to
+ *    250.
+ * @param {Number} [opts.halfLife] - How quickly, in milliseconds, a measurement
+ *    decays to half its value in the moving average. The lower the halfLife,
+ *    the more responsive the plugin is to spikes. Defaults to 250.
+ * @param {Number} [opts.resolution] - The sampling rate of
+ *    `monitorEventLoopDelay`, in milliseconds, which is subtracted from the
+ *    delays it measures. Defaults to 10.
+ * @param {Number} [opts.percentile] - Measure a percentile of the delay, e.g.
+ *    99, instead of its mean.
+ * @returns {Function} middleware to be registered on server.pre
+ * @example
+ * var restify = require('restify');
+ *
+ * var server = restify.createServer();
+ * const options = {
+ *   limit: 40,
+ *   max: 200,
+ *   interval: 250,
+ *   halfLife: 500,
+ * }
+ *
+ * server.pre(restify.plugins.eventLoopThrottle(options));
+ * @example
+ * <caption>
+ * You can also update the plugin during runtime using the `.update()` function.
+ * This function accepts the same `opts` object as a constructor, except for
+ * `resolution`.
+ * </caption>
+ * var plugin = restify.plugins.eventLoopThrottle(options);
+ * server.pre(plugin);
+ *
+ * plugin.update({ limit: 100, halfLife: 5000 });
+ */
+function eventLoopThrottlePlugin(opts) {
+    // Scrub input and populate our configuration
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalNumber(opts.limit, 'opts.limit');
+    assert.optionalNumber(opts.max, 'opts.max');
+    assert.optionalNumber(opts.interval, 'opts.interval');
+    assert.optionalNumber(opts.halfLife, 'opts.halfLife');
+    assert.optionalNumber(opts.resolution, 'opts.resolution');
+    assert.optionalNumber(opts.percentile, 'opts.percentile');
+    assert.func(
+        perfHooks.monitorEventLoopDelay,
+        'perf_hooks.monitorEventLoopDelay (requires node >= 11.10)'
+    );
+
+    var plugin = {};
+    plugin._limit = typeof opts.limit === 'number' ? opts.limit : 50;
+    plugin._max = typeof opts.max === 'number' ? opts.max : 250;
+    plugin._interval = opts.interval || 250;
+    plugin._halfLife = typeof opts.halfLife === 'number' ? opts.halfLife : 250;
+    plugin._percentile = opts.percentile;
+    plugin._resolution = opts.resolution || 10;
+    assert.ok(plugin._max > plugin._limit, 'limit must be less than max');
+
+    plugin._ewma = new EWMA(plugin._halfLife);
+
+    // plugin._histogram records the event loop delay between two invocations
+    // of updateReject(), in nanoseconds.
+    plugin._histogram = perfHooks.monitorEventLoopDelay({
+        resolution: plugin._resolution
+    });
+    plugin._histogram.enable();
+
+    // plugin._reject represents the % of traffic that we should reject at the
+    // current point in time based on how much over our limit we are. This is
+    // updated on an interval by updateReject().
+    plugin._reject = 0;
+
+    // plugin._delay is the moving average of the event loop delay, in
+    // milliseconds.
+    plugin._delay = 0;
+
+    // plugin._timeout keeps track of the current handle for the setTimeout we
+    // use to sample the event loop delay, this allows us to cancel the timeout
+    // when shutting down restify.
+    plugin._timeout = null;
+
+    // updateReject should be called on an interval, it reads the event loop
+    // delay since the previous invocation of updateReject.
+    function updateReject() {
+        plugin._timeout = setTimeout(updateReject, plugin._interval);
+
+        var histogram = plugin._histogram;
+        var delay =
+            plugin._percentile !== undefined
+                ? histogram.percentile(plugin._percentile)
+                : histogram.mean;
+
+        histogram.reset();
+
+        // The histogram holds no measurement until the event loop ran for
+        // `resolution`, don't make any new decisions without one.
+        if (typeof delay !== 'number' || Number.isNaN(delay)) {
+            return;
+        }
+
+        // The histogram records nanoseconds, of the time between two samples
+        // rather than of their delay, an idle event loop measures about
+        // `resolution`
+        plugin._ewma.insert(Math.max(0, delay / 1e6 - plugin._resolution));
+        plugin._delay = plugin._ewma.value();
+
+        // Update reject with the % of traffic we should be rejecting. This is
+        // safe since max > limit so the denominator can never be 0. If the
+        // current delay is less that the limit, _reject will be negative and
+        // we will never shed load
+        plugin._reject =
+            (plugin._delay - plugin._limit) / (plugin._max - plugin._limit);
+    }
+
+    // Kick off updating our _reject value
+    updateReject();
+
+    function eventLoopThrottle(req, res, next) {
+        // Check to see if this request gets rejected, with a `plugin._reject`%
+        // chance, like cpuUsageThrottle does.
+        var probabilityDraw = Math.random();
+
+        if (probabilityDraw >= plugin._reject) {
+            return next(); // Don't reject this request
+        }
+
+        var err = new errors.ServiceUnavailableError(
+            {
+                info: {
+                    plugin: 'eventLoopThrottle',
+                    eventLoopDelay: plugin._delay,
+                    limit: plugin._limit,
+                    max: plugin._max,
+                    reject: plugin._reject,
+                    halfLife: plugin._halfLife,
+                    interval: plugin._interval,
+                    percentile: plugin._percentile,
+                    probabilityDraw: probabilityDraw
+                }
+            },
+            'event loop overloaded'
+        );
+
+        return next(err);
+    }
+
+    // Allow the app to clear the timeout and stop monitoring the event loop,
+    // without this we would never be able to clear the event loop when
+    // letting Node shut down gracefully
+    function close() {
+        clearTimeout(plugin._timeout);
+        plugin._histogram.disable();
+    }
+    eventLoopThrottle.close = close;
+
+    // Expose internal plugin state for introspection
+    Object.defineProperty(eventLoopThrottle, 'state', {
+        get: function get() {
+            return {
+                limit: plugin._limit,
+                max: plugin._max,
+                interval: plugin._interval,
+                halfLife: plugin._halfLife,
+                percentile: plugin._percentile,
+                eventLoopDelay: plugin._delay,
+                reject: plugin._reject
+            };
+        }
+    });
+
+    /**
+     * eventLoopThrottle.update
+     *
+     * Allow the plugin's configuration to be updated during runtime.
+     *
+     * @private
+     * @param {Object} newOpts - The opts object for reconfiguring this plugin,
+     *    it follows the same format as the constructor for this plugin.
+     * @returns {undefined} no return value
+     */
+    eventLoopThrottle.update = function update(newOpts) {
+        assert.object(newOpts, 'newOpts');
+        assert.optionalNumber(newOpts.limit, 'newOpts.limit');
+        assert.optionalNumber(newOpts.max, 'newOpts.max');
+        assert.optionalNumber(newOpts.interval, 'newOpts.interval');
+        assert.optionalNumber(newOpts.halfLife, 'newOpts.halfLife');
+        assert.optionalNumber(newOpts.percentile, 'newOpts.percentile');
+
+        if (newOpts.limit !== undefined) {
+            plugin._limit = newOpts.limit;
+        }
+
+        if (newOpts.max !== undefined) {
+            plugin._max = newOpts.max;
+        }
+
+        if (newOpts.interval !== undefined) {
+            plugin._interval = newOpts.interval;
+        }
+
+        if (newOpts.percentile !== undefined) {
+            plugin._percentile = newOpts.percentile;
+        }
+
+        if (newOpts.halfLife !== undefined) {
+            plugin._halfLife = newOpts.halfLife;
+            // start the new ewma from the current average, in lieu of having
+            // access to true historical data.
+            plugin._ewma = new EWMA(plugin._halfLife, plugin._delay);
+        }
+
+        // Ensure new values are still valid
+        assert.ok(plugin._max > plugin._limit, 'limit must be less than max');
+
+        // Update _reject with the new settings
+        plugin._reject =
+            (plugin._delay - plugin._limit) / (plugin._max - plugin._limit);
+    };
+
+    return eventLoopThrottle;
+}
+
+module.exports = eventLoopThrottlePlugin;
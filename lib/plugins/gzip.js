@@ -37,6 +37,10 @@ function _writeHead(originalFunction) {
  * `transfer-encoding: chunked` will *always* be set when this is in effect.
  * This plugin has no impact if the client does not send
  * `accept-encoding: gzip`.
+ * `res.flush()` flushes the data compressed so far, e.g. for server-sent
+ * events.
+ * See `compressResponse` for brotli and deflate, content negotiation and
+ * size thresholds.
  *
  * https://github.com/restify/node-restify/issues/284
  *
@@ -65,14 +69,19 @@ function gzipResponse(opts) {
         var origWrite = res.write;
         var origEnd = res.end;
         var origWriteHead = res.writeHead;
+        var origFlush = res.flush;
         res.handledGzip = function _handledGzip() {
             res.write = origWrite;
             res.end = origEnd;
             res.writeHead = origWriteHead;
+            res.flush = origFlush;
         };
 
         res.write = gz.write.bind(gz);
         res.end = gz.end.bind(gz);
+        res.flush = function flush() {
+            gz.flush();
+        };
 
         res.writeHead = _writeHead.bind(res, res.writeHead);
         res.setHeader('Content-Encoding', 'gzip');
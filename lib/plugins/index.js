@@ -6,14 +6,18 @@
 
 module.exports = {
     acceptParser: require('./accept'),
+    adaptiveConcurrencyThrottle: require('./adaptiveConcurrencyThrottle'),
     auditLogger: require('./audit'),
     authorizationParser: require('./authorization'),
     bodyParser: require('./bodyParser'),
     bodyReader: require('./bodyReader'),
+    compressResponse: require('./compress'),
     conditionalHandler: require('./conditionalHandler'),
     conditionalRequest: require('./conditionalRequest'),
+    cors: require('./cors'),
     cpuUsageThrottle: require('./cpuUsageThrottle.js'),
     dateParser: require('./date'),
+    eventLoopThrottle: require('./eventLoopThrottle'),
     fullResponse: require('./fullResponse'),
     gzipResponse: require('./gzip'),
     inflightRequestThrottle: require('./inflightRequestThrottle'),
@@ -21,10 +25,15 @@ module.exports = {
     jsonp: require('./jsonp'),
     multipartBodyParser: require('./multipartBodyParser'),
     oauth2TokenParser: require('./oauth2TokenParser'),
+    openapi: require('./openapi'),
+    priorityQueueThrottle: require('./priorityQueueThrottle'),
+    prometheus: require('./prometheus'),
     queryParser: require('./query'),
     metrics: require('./metrics'),
     requestExpiry: require('./requestExpiry'),
     requestLogger: require('./requestLogger'),
+    serverTiming: require('./serverTiming'),
+    session: require('./session'),
     serveStatic: require('./static'),
     serveStaticFiles: require('./staticFiles'),
     throttle: require('./throttle'),
@@ -32,6 +32,9 @@ var hrTimeDurationInMs = require('./utils/hrTimeDurationInMs');
  * A plugin that listens to the server's after event and emits information
  * about that request.
  *
+ * The `prometheus` plugin builds on it to aggregate these metrics in
+ * histograms and counters.
+ *
  * @public
  * @function metrics
  * @param {Object} opts - an options obj
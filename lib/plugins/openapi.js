@@ -0,0 +1,55 @@
+'use strict';
+
+var assert = require('assert-plus');
+
+///--- API
+
+/**
+ * Serves the OpenAPI document of a server, as returned by
+ * `server.toOpenAPI()`. Mount it on the route of your choice, with
+ * `openapi: false` to leave that route out of the document.
+ *
+ * The document is generated on the first request, routes mounted afterwards
+ * are not described.
+ *
+ * @public
+ * @function openapi
+ * @param    {Object} opts - an options object
+ * @param    {Server} opts.server - the restify server to describe
+ * @param    {Object} opts.info - OpenAPI info object, with at least a `title`
+ *                                and a `version`
+ * @returns  {Function} Handler
+ * @example
+ * server.get(
+ *     { path: '/openapi.json', openapi: false },
+ *     restify.plugins.openapi({
+ *         server: server,
+ *         info: { title: 'Accounts', version: '2.0.0' }
+ *     })
+ * );
+ */
+function openapi(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.server, 'opts.server');
+    assert.func(opts.server.toOpenAPI, 'opts.server.toOpenAPI');
+    assert.object(opts.info, 'opts.info');
+    assert.string(opts.info.title, 'opts.info.title');
+    assert.string(opts.info.version, 'opts.info.version');
+
+    var document;
+
+    function serveOpenAPI(req, res, next) {
+        if (!document) {
+            document = opts.server.toOpenAPI(opts.info);
+        }
+
+        res.send(200, document);
+        next();
+    }
+
+    return serveOpenAPI;
+}
+
+///--- Exports
+
+module.exports = openapi;
@@ -0,0 +1,266 @@
+'use strict';
+
+var assert = require('assert-plus');
+var ServiceUnavailableError = require('restify-errors').ServiceUnavailableError;
+
+/**
+ * The `priorityQueueThrottle` module limits the number of requests the server
+ * handles at once, like `inflightRequestThrottle`, but holds the requests over
+ * the limit in queues instead of rejecting them right away.
+ *
+ * Each request is given a priority by the `classify` function, e.g. from its
+ * path or an API key. Requests wait in the queue of their priority, and are let
+ * through as the inflight requests finish, the highest priorities first. A
+ * health check or a paid-tier request thus overtakes the waiting best-effort
+ * requests.
+ *
+ * Requests are rejected with a `503 ServiceUnavailableError` when the queue of
+ * their priority is full, or when they waited for longer than `queueTimeout`.
+ * Requests whose client disconnected while they waited are dropped.
+ *
+ * This plugin should be registered as early as possible using `pre`, the
+ * `classify` function runs before routing.
+ *
+ * @public
+ * @function priorityQueueThrottle
+ * @param {Object} opts - configure this plugin
+ * @param {Object} opts.server - the instance of the restify server this plugin
+ *    will throttle.
+ * @param {Number} opts.limit - maximum number of inflight requests the server
+ *    will handle, before queueing the others
+ * @param {String[]} [opts.priorities=['default']] - names of the priorities,
+ *    from the highest to the lowest
+ * @param {Function} [opts.classify] - `classify(req)` returns the priority of
+ *    a request, unknown priorities are the lowest. Defaults to the lowest
+ *    priority.
+ * @param {Number|Object} [opts.queueSize=100] - maximum number of requests
+ *    waiting in each queue, or an object of sizes by priority
+ * @param {Number} [opts.queueTimeout=5000] - maximum time, in milliseconds, a
+ *    request waits in its queue
+ * @returns {Function} middleware to be registered on server.pre
+ * @example
+ * var restify = require('restify');
+ *
+ * var server = restify.createServer();
+ *
+ * server.pre(restify.plugins.priorityQueueThrottle({
+ *     server: server,
+ *     limit: 100,
+ *     priorities: ['health', 'paid', 'free'],
+ *     queueSize: { health: 10, paid: 500, free: 100 },
+ *     classify: function (req) {
+ *         if (req.getPath() === '/health') {
+ *             return 'health';
+ *         }
+ *
+ *         return req.header('X-Plan') === 'paid' ? 'paid' : 'free';
+ *     }
+ * }));
+ */
+function priorityQueueThrottle(opts) {
+    // Scrub input and populate our configuration
+    assert.object(opts, 'opts');
+    assert.object(opts.server, 'opts.server');
+    assert.func(opts.server.on, 'opts.server.on');
+    assert.number(opts.limit, 'opts.limit');
+    assert.optionalArrayOfString(opts.priorities, 'opts.priorities');
+    assert.optionalFunc(opts.classify, 'opts.classify');
+    assert.optionalNumber(opts.queueTimeout, 'opts.queueTimeout');
+
+    if (typeof opts.queueSize !== 'number') {
+        assert.optionalObject(opts.queueSize, 'opts.queueSize');
+    }
+
+    var plugin = {};
+    plugin._limit = opts.limit;
+    plugin._priorities = opts.priorities || ['default'];
+    plugin._classify = opts.classify;
+    plugin._queueTimeout = opts.queueTimeout || 5000;
+    plugin._server = opts.server;
+
+    assert.ok(plugin._priorities.length > 0, 'opts.priorities is empty');
+
+    // plugin._queues holds the waiting requests of each priority, in order,
+    // plugin._sizes their maximum lengths.
+    plugin._queues = {};
+    plugin._sizes = {};
+
+    plugin._priorities.forEach(function forEach(priority) {
+        var size = 100;
+
+        if (typeof opts.queueSize === 'number') {
+            size = opts.queueSize;
+        } else if (opts.queueSize && opts.queueSize[priority] !== undefined) {
+            size = opts.queueSize[priority];
+            assert.number(size, 'opts.queueSize.' + priority);
+        }
+
+        plugin._queues[priority] = [];
+        plugin._sizes[priority] = size;
+    });
+
+    // plugin._inflight counts the requests this plugin let through that have
+    // not finished yet.
+    plugin._inflight = 0;
+    plugin._admitted = new WeakSet();
+
+    function lowestPriority() {
+        return plugin._priorities[plugin._priorities.length - 1];
+    }
+
+    function classify(req) {
+        var priority = plugin._classify
+            ? plugin._classify(req)
+            : lowestPriority();
+
+        if (!Object.prototype.hasOwnProperty.call(plugin._queues, priority)) {
+            return lowestPriority();
+        }
+
+        return priority;
+    }
+
+    function reject(entry, reason) {
+        var err = new ServiceUnavailableError(
+            {
+                info: {
+                    plugin: 'priorityQueueThrottle',
+                    priority: entry.priority,
+                    reason: reason,
+                    inflightRequests: plugin._inflight,
+                    limit: plugin._limit
+                }
+            },
+            'request %s',
+            reason
+        );
+
+        entry.req.log.trace(
+            {
+                plugin: 'priorityQueueThrottle',
+                priority: entry.priority,
+                inflightRequests: plugin._inflight,
+                limit: plugin._limit
+            },
+            'request %s, rejecting request',
+            reason
+        );
+
+        entry.next(err);
+    }
+
+    function admit(entry) {
+        plugin._inflight++;
+        plugin._admitted.add(entry.req);
+        entry.next();
+    }
+
+    // removes a request from its queue, once it leaves the queue for any
+    // reason
+    function dequeue(entry) {
+        var queue = plugin._queues[entry.priority];
+        var index = queue.indexOf(entry);
+
+        if (index !== -1) {
+            queue.splice(index, 1);
+        }
+
+        clearTimeout(entry.timeout);
+        entry.res.removeListener('close', entry.onClose);
+    }
+
+    // lets waiting requests through while the server is under its limit
+    function drain() {
+        for (var i = 0; i < plugin._priorities.length; i++) {
+            var queue = plugin._queues[plugin._priorities[i]];
+
+            while (queue.length > 0 && plugin._inflight < plugin._limit) {
+                var entry = queue[0];
+
+                dequeue(entry);
+                admit(entry);
+            }
+        }
+    }
+
+    function onAfter(req) {
+        if (!plugin._admitted.has(req)) {
+            return;
+        }
+
+        plugin._admitted.delete(req);
+        plugin._inflight--;
+        drain();
+    }
+
+    plugin._server.on('after', onAfter);
+
+    function onRequest(req, res, next) {
+        var entry = {
+            req: req,
+            res: res,
+            next: next,
+            priority: classify(req)
+        };
+
+        if (plugin._inflight < plugin._limit) {
+            admit(entry);
+            return;
+        }
+
+        var queue = plugin._queues[entry.priority];
+
+        if (queue.length >= plugin._sizes[entry.priority]) {
+            reject(entry, 'queue full');
+            return;
+        }
+
+        entry.timeout = setTimeout(function onTimeout() {
+            dequeue(entry);
+            reject(entry, 'queue timeout');
+        }, plugin._queueTimeout);
+
+        // the client is gone, stop the request without handling it
+        entry.onClose = function onClose() {
+            dequeue(entry);
+            next(false);
+        };
+
+        res.once('close', entry.onClose);
+        queue.push(entry);
+    }
+
+    // Allow the app to stop the plugin, the waiting requests are rejected
+    function close() {
+        plugin._server.removeListener('after', onAfter);
+
+        plugin._priorities.forEach(function forEach(priority) {
+            plugin._queues[priority].slice().forEach(function reject503(entry) {
+                dequeue(entry);
+                reject(entry, 'queue closed');
+            });
+        });
+    }
+    onRequest.close = close;
+
+    // Expose internal plugin state for introspection
+    Object.defineProperty(onRequest, 'state', {
+        get: function get() {
+            var queued = {};
+
+            plugin._priorities.forEach(function forEach(priority) {
+                queued[priority] = plugin._queues[priority].length;
+            });
+
+            return {
+                limit: plugin._limit,
+                inflightRequests: plugin._inflight,
+                queued: queued
+            };
+        }
+    });
+
+    return onRequest;
+}
+
+module.exports = priorityQueueThrottle;
@@ -0,0 +1,440 @@
+'use strict';
+
+var assert = require('assert-plus');
+var createMetrics = require('./metrics');
+
+///--- Globals
+
+// Prometheus client libraries' default buckets, in seconds
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+var PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+var OPENMETRICS_CONTENT_TYPE =
+    'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Label value used once a label reached its maximum number of values
+var OVERFLOW_VALUE = 'other';
+// Route label of requests that did not match any route
+var UNMATCHED_ROUTE = 'unmatched';
+
+var REQUEST_LABELS = ['method', 'route', 'status_code'];
+var PHASE_LABELS = ['method', 'route', 'phase'];
+var PHASES = {
+    pre: 'preLatency',
+    use: 'useLatency',
+    route: 'routeLatency'
+};
+
+///--- Helpers
+
+/**
+ * Escapes a label value for the text exposition formats.
+ *
+ * @private
+ * @function escapeLabelValue
+ * @param    {String} value - label value
+ * @returns  {String} escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a set of labels, e.g. `{method="GET",route="get"}`.
+ *
+ * @private
+ * @function formatLabels
+ * @param    {String[]} names - label names
+ * @param    {String[]} values - label values, in the same order
+ * @returns  {String} labels, empty when there are none
+ */
+function formatLabels(names, values) {
+    if (names.length === 0) {
+        return '';
+    }
+
+    var pairs = names.map(function map(name, i) {
+        return name + '="' + escapeLabelValue(values[i]) + '"';
+    });
+
+    return '{' + pairs.join(',') + '}';
+}
+
+/**
+ * Formats a sample value, with the `+Inf` notation for infinity.
+ *
+ * @private
+ * @function formatValue
+ * @param    {Number} value - value
+ * @returns  {String} formatted value
+ */
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+
+    return String(value);
+}
+
+///--- Internal Class (Metric)
+
+/**
+ * A metric and its series, one per set of label values.
+ *
+ * @private
+ * @class Metric
+ * @param {Object} options - an options object
+ * @param {String} options.name - metric name, without the `_total` suffix of
+ *                                counters
+ * @param {String} options.type - `counter`, `gauge` or `histogram`
+ * @param {String} options.help - metric description
+ * @param {String[]} [options.labels] - label names
+ * @param {Number[]} [options.buckets] - upper bounds of histogram buckets
+ */
+function Metric(options) {
+    assert.object(options, 'options');
+    assert.string(options.name, 'options.name');
+    assert.string(options.type, 'options.type');
+    assert.string(options.help, 'options.help');
+    assert.optionalArrayOfString(options.labels, 'options.labels');
+    assert.optionalArrayOfNumber(options.buckets, 'options.buckets');
+
+    this.name = options.name;
+    this.type = options.type;
+    this.help = options.help;
+    this.labels = options.labels || [];
+    this.buckets = options.buckets || [];
+    this.series = new Map();
+}
+
+/**
+ * Returns the series of a set of label values, creating it if needed.
+ *
+ * @private
+ * @memberof Metric
+ * @instance
+ * @function get
+ * @param    {String[]} values - label values
+ * @returns  {Object} series
+ */
+Metric.prototype.get = function get(values) {
+    var key = values.join('\u0000');
+    var series = this.series.get(key);
+
+    if (!series) {
+        series = {
+            labels: values,
+            value: 0,
+            sum: 0,
+            counts: this.buckets.map(function map() {
+                return 0;
+            })
+        };
+        this.series.set(key, series);
+    }
+
+    return series;
+};
+
+/**
+ * Increments a counter.
+ *
+ * @private
+ * @memberof Metric
+ * @instance
+ * @function inc
+ * @param    {String[]} values - label values
+ * @returns  {undefined} no return value
+ */
+Metric.prototype.inc = function inc(values) {
+    this.get(values).value++;
+};
+
+/**
+ * Sets the value of a gauge.
+ *
+ * @private
+ * @memberof Metric
+ * @instance
+ * @function set
+ * @param    {String[]} values - label values
+ * @param    {Number} value - value
+ * @returns  {undefined} no return value
+ */
+Metric.prototype.set = function set(values, value) {
+    this.get(values).value = value;
+};
+
+/**
+ * Observes a value in a histogram.
+ *
+ * @private
+ * @memberof Metric
+ * @instance
+ * @function observe
+ * @param    {String[]} values - label values
+ * @param    {Number} value - observed value
+ * @returns  {undefined} no return value
+ */
+Metric.prototype.observe = function observe(values, value) {
+    var series = this.get(values);
+
+    this.buckets.forEach(function forEach(bound, i) {
+        if (value <= bound) {
+            series.counts[i]++;
+        }
+    });
+    series.value++;
+    series.sum += value;
+};
+
+/**
+ * Serializes the metric in the Prometheus text format, or OpenMetrics.
+ *
+ * @private
+ * @memberof Metric
+ * @instance
+ * @function serialize
+ * @param    {Boolean} openMetrics - use the OpenMetrics format
+ * @returns  {String} lines
+ */
+Metric.prototype.serialize = function serialize(openMetrics) {
+    var self = this;
+    var counter = self.type === 'counter';
+    // OpenMetrics names the counter family without its suffix
+    var family = counter && !openMetrics ? self.name + '_total' : self.name;
+    var lines = [
+        '# HELP ' + family + ' ' + self.help,
+        '# TYPE ' + family + ' ' + self.type
+    ];
+
+    self.series.forEach(function forEach(series) {
+        var labels = formatLabels(self.labels, series.labels);
+
+        if (self.type !== 'histogram') {
+            var name = counter ? self.name + '_total' : self.name;
+            lines.push(name + labels + ' ' + formatValue(series.value));
+            return;
+        }
+
+        var bucketLabels = self.labels.concat('le');
+
+        self.buckets.concat(Infinity).forEach(function forEachBucket(bound, i) {
+            var count = bound === Infinity ? series.value : series.counts[i];
+            lines.push(
+                self.name +
+                    '_bucket' +
+                    formatLabels(
+                        bucketLabels,
+                        series.labels.concat(formatValue(bound))
+                    ) +
+                    ' ' +
+                    count
+            );
+        });
+        lines.push(self.name + '_sum' + labels + ' ' + series.sum);
+        lines.push(self.name + '_count' + labels + ' ' + series.value);
+    });
+
+    return lines.join('\n');
+};
+
+///--- Internal Class (LabelGuard)
+
+/**
+ * Caps the number of distinct values of each label. Once a label reached its
+ * maximum, new values are replaced by `other`, so that a misbehaving label
+ * can't create an unbounded number of series.
+ *
+ * @private
+ * @class LabelGuard
+ * @param {Number} max - maximum number of values per label
+ */
+function LabelGuard(max) {
+    this.max = max;
+    this.values = {};
+}
+
+/**
+ * Returns the value to use for a label.
+ *
+ * @private
+ * @memberof LabelGuard
+ * @instance
+ * @function check
+ * @param    {String} label - label name
+ * @param    {String} value - label value
+ * @returns  {String} the value, or `other` when over the limit
+ */
+LabelGuard.prototype.check = function check(label, value) {
+    var values = this.values[label];
+
+    if (!values) {
+        values = this.values[label] = new Set();
+    }
+
+    if (values.has(value)) {
+        return value;
+    }
+
+    if (values.size >= this.max) {
+        return OVERFLOW_VALUE;
+    }
+
+    values.add(value);
+    return value;
+};
+
+///--- API
+
+/**
+ * Collects request metrics in Prometheus histograms and counters, and serves
+ * them in the Prometheus text exposition format, or in the OpenMetrics format
+ * when the scraper accepts it.
+ *
+ * The collector is built on the `metrics` plugin and exposes:
+ *
+ * * `http_requests_total`: requests, by method, route and status code
+ * * `http_request_duration_seconds`: histogram of the `totalLatency`, by
+ *   method, route and status code
+ * * `http_request_phase_duration_seconds`: histogram of the `preLatency`,
+ *   `useLatency` and `routeLatency`, by method, route and phase
+ * * `http_inflight_requests`: inflight requests, when scraped
+ *
+ * Requests that did not match a route are labelled with the `unmatched`
+ * route.
+ *
+ * @public
+ * @function prometheus
+ * @param    {Object} opts - an options object
+ * @param    {Server} opts.server - restify server
+ * @param    {String} [opts.prefix=''] - prefix of the metric names
+ * @param    {Number[]} [opts.buckets] - upper bounds of the histogram buckets,
+ *                                       in seconds
+ * @param    {Number} [opts.maxLabelValues=100] - maximum number of distinct
+ *  values per label, further values are reported as `other`
+ * @returns  {Object} collector, with a `collect` listener for the server's
+ *  `after` event, an `observe` callback for the `metrics` plugin, a
+ *  `serialize(openMetrics)` method and a `handler` serving the metrics
+ * @example
+ * var prometheus = restify.plugins.prometheus({ server: server });
+ *
+ * server.on('after', prometheus.collect);
+ * server.get('/metrics', prometheus.handler);
+ */
+function prometheus(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.server, 'opts.server');
+    assert.optionalString(opts.prefix, 'opts.prefix');
+    assert.optionalArrayOfNumber(opts.buckets, 'opts.buckets');
+    assert.optionalNumber(opts.maxLabelValues, 'opts.maxLabelValues');
+
+    var prefix = opts.prefix || '';
+    var buckets = opts.buckets || DEFAULT_BUCKETS;
+    var guard = new LabelGuard(opts.maxLabelValues || 100);
+
+    buckets.forEach(function forEach(bound, i) {
+        assert.ok(
+            i === 0 || bound > buckets[i - 1],
+            'opts.buckets must be in increasing order'
+        );
+    });
+
+    var requests = new Metric({
+        name: prefix + 'http_requests',
+        type: 'counter',
+        help: 'Requests handled by the server.',
+        labels: REQUEST_LABELS
+    });
+    var duration = new Metric({
+        name: prefix + 'http_request_duration_seconds',
+        type: 'histogram',
+        help: 'Time spent handling requests.',
+        labels: REQUEST_LABELS,
+        buckets: buckets
+    });
+    var phases = new Metric({
+        name: prefix + 'http_request_phase_duration_seconds',
+        type: 'histogram',
+        help: 'Time spent in the pre, use and route handler chains.',
+        labels: PHASE_LABELS,
+        buckets: buckets
+    });
+    var inflight = new Metric({
+        name: prefix + 'http_inflight_requests',
+        type: 'gauge',
+        help: 'Requests being handled by the server.'
+    });
+
+    // errors are already reflected in the status codes
+    // eslint-disable-next-line handle-callback-err
+    function observe(err, metrics, req, res, route) {
+        var method = guard.check('method', metrics.method);
+        var routeName = guard.check(
+            'route',
+            route ? route.name : UNMATCHED_ROUTE
+        );
+        var statusCode = guard.check(
+            'status_code',
+            String(metrics.statusCode || 'unknown')
+        );
+        var labels = [method, routeName, statusCode];
+
+        requests.inc(labels);
+
+        if (typeof metrics.totalLatency === 'number') {
+            duration.observe(labels, metrics.totalLatency / 1000);
+        }
+
+        Object.keys(PHASES).forEach(function forEach(phase) {
+            var latency = metrics[PHASES[phase]];
+
+            // phases are skipped when no handler ran, e.g. use for 404s
+            if (typeof latency === 'number') {
+                phases.observe([method, routeName, phase], latency / 1000);
+            }
+        });
+    }
+
+    function serialize(openMetrics) {
+        inflight.set([], opts.server.inflightRequests());
+
+        var text = [requests, duration, phases, inflight]
+            .map(function map(metric) {
+                return metric.serialize(openMetrics);
+            })
+            .join('\n');
+
+        return text + (openMetrics ? '\n# EOF\n' : '\n');
+    }
+
+    function servePrometheusMetrics(req, res, next) {
+        var openMetrics =
+            (req.headers.accept || '').indexOf(
+                'application/openmetrics-text'
+            ) !== -1;
+        var body = serialize(openMetrics);
+
+        res.setHeader(
+            'Content-Type',
+            openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE
+        );
+        res.setHeader('Content-Length', Buffer.byteLength(body));
+        res.writeHead(200);
+        res.end(body);
+        next();
+    }
+
+    return {
+        collect: createMetrics({ server: opts.server }, observe),
+        observe: observe,
+        serialize: serialize,
+        handler: servePrometheusMetrics
+    };
+}
+
+///--- Exports
+
+module.exports = prometheus;
@@ -3,6 +3,50 @@
 var assert = require('assert-plus');
 var GatewayTimeoutError = require('restify-errors').GatewayTimeoutError;
 
+var RequestCloseError = require('../errorTypes').RequestCloseError;
+
+///--- Globals
+
+// milliseconds by grpc-timeout unit
+var GRPC_TIMEOUT_UNITS = {
+    H: 3600000,
+    M: 60000,
+    S: 1000,
+    m: 1,
+    u: 0.001,
+    n: 0.000001
+};
+
+// setTimeout() fires right away past this delay
+var MAX_TIMEOUT = 2147483647;
+
+// global since node 15, req.signal isn't set on older versions
+var AbortController = global.AbortController;
+
+///--- Helpers
+
+/**
+ * Parses a gRPC timeout, e.g. `100m` for 100 milliseconds, at most 8 digits
+ * followed by a unit: `H`ours, `M`inutes, `S`econds, `m`illiseconds,
+ * `u`microseconds or `n`anoseconds.
+ *
+ * @private
+ * @function parseGrpcTimeout
+ * @param    {String} value - header value
+ * @returns  {Number} timeout in milliseconds, NaN when invalid
+ */
+function parseGrpcTimeout(value) {
+    var match = /^(\d{1,8})([HMSmun])$/.exec(value || '');
+
+    if (!match) {
+        return NaN;
+    }
+
+    return parseInt(match[1], 10) * GRPC_TIMEOUT_UNITS[match[2]];
+}
+
+///--- API
+
 /**
  * Request Expiry can be used to throttle requests that have already exceeded
  * their client timeouts. Requests can be sent with a configurable client
@@ -15,7 +59,7 @@ var GatewayTimeoutError = require('restify-errors').GatewayTimeoutError;
  * processing unnecessary requests.
  *
  * Request expiry will use headers to tell if the incoming request has expired.
- * There are two options for this plugin:
+ * There are three options for this plugin:
  *  1. Absolute Time
  *     * Time in Milliseconds since Epoch when this request should be
  *     considered expired
@@ -24,6 +68,23 @@ var GatewayTimeoutError = require('restify-errors').GatewayTimeoutError;
  *     * A timeout, in milliseconds, is given
  *     * The timeout is added to the request start time to arrive at the
  *       absolute time in which the request is considered expired
+ *  3. gRPC Timeout
+ *     * A timeout in the `grpc-timeout` format is given, e.g. `250m` for
+ *       250 milliseconds, `5S` for 5 seconds, with the `H`, `M`, `S`, `m`,
+ *       `u` and `n` units
+ *     * The timeout is added to the time the server received the request
+ *
+ * When several options are given, the earliest deadline wins.
+ *
+ * The deadline also reaches the handlers down the chain:
+ *  * `req.deadline()` returns it, in milliseconds since epoch, `Infinity` when
+ *    the request never expires
+ *  * `req.timeRemaining()` returns the milliseconds left until then
+ *  * `req.signal` is an `AbortSignal` aborted when the deadline passes or the
+ *    client disconnects, pass it on to `fetch()`, database drivers and other
+ *    cancellable work. Once it is aborted, restify stops calling the next
+ *    handlers and responds with a `504 GatewayTimeoutError`. It is
+ *    `undefined` before node 15, which has no `AbortController`.
  *
  * #### Using an external storage mechanism for key/bucket mappings.
  *
@@ -43,11 +104,13 @@ var GatewayTimeoutError = require('restify-errors').GatewayTimeoutError;
  * @param    {Object} opts - an options object
  * @param    {String} [opts.absoluteHeader] - The header key to be used for
  *                                   the expiry time of each request.
- * @param    {String} opts.startHeader - The header key for the start time
+ * @param    {String} [opts.startHeader] - The header key for the start time
  *                                   of the request.
- * @param    {String} opts.timeoutHeader - The header key for the time in
+ * @param    {String} [opts.timeoutHeader] - The header key for the time in
  *                                   milliseconds that should ellapse before
  *                                   the request is considered expired.
+ * @param    {String} [opts.grpcTimeoutHeader] - The header key for a timeout
+ *                                   in the gRPC format, e.g. `grpc-timeout`.
  * @returns  {Function} Handler
  * @example
  * <caption>
@@ -57,12 +120,26 @@ var GatewayTimeoutError = require('restify-errors').GatewayTimeoutError;
  * server.use(restify.plugins.requestExpiry({
  *     header: 'x-request-expiry-time'
  * });
+ * @example
+ * <caption>
+ * Handlers can stop their work along with the request:
+ * </caption>
+ * server.use(restify.plugins.requestExpiry({
+ *     grpcTimeoutHeader: 'grpc-timeout'
+ * }));
+ *
+ * server.get('/search', async function (req, res) {
+ *     var upstream = await fetch(SEARCH_URL, { signal: req.signal });
+ *
+ *     res.send(await upstream.json());
+ * });
  */
 function requestExpiry(opts) {
     assert.object(opts, 'opts');
     assert.optionalString(opts.absoluteHeader, 'opts.absoluteHeader');
+    assert.optionalString(opts.grpcTimeoutHeader, 'opts.grpcTimeoutHeader');
 
-    if (!opts.absoluteHeader) {
+    if (!opts.absoluteHeader && !opts.grpcTimeoutHeader) {
         assert.string(opts.startHeader, 'opts.startHeader');
         assert.string(opts.timeoutHeader, 'opts.timeoutHeader');
     }
@@ -71,6 +148,98 @@ function requestExpiry(opts) {
     var absoluteHeaderKey = opts.absoluteHeader;
     var startHeaderKey = opts.startHeader;
     var timeoutHeaderKey = opts.timeoutHeader;
+    var grpcTimeoutHeaderKey = opts.grpcTimeoutHeader;
+
+    // returns the expiry time and mode of a request, from the earliest of
+    // its deadlines
+    function getExpiry(req) {
+        var expiry = { time: Infinity, mode: undefined };
+
+        function consider(time, mode) {
+            if (!isNaN(time) && time < expiry.time) {
+                expiry.time = time;
+                expiry.mode = mode;
+            }
+        }
+
+        if (useAbsolute) {
+            consider(parseInt(req.headers[absoluteHeaderKey], 10), 'absolute');
+        } else if (startHeaderKey && timeoutHeaderKey) {
+            // Use the start time header and add the timeout header to it
+            // to arrive at the expiration time
+            var startTime = parseInt(req.headers[startHeaderKey], 10);
+            var timeout = parseInt(req.headers[timeoutHeaderKey], 10);
+
+            consider(startTime + timeout, 'relative');
+        }
+
+        if (grpcTimeoutHeaderKey) {
+            var grpcTimeout = parseGrpcTimeout(
+                req.headers[grpcTimeoutHeaderKey]
+            );
+            var received = req.time ? req.time() : Date.now();
+
+            consider(received + grpcTimeout, 'grpc');
+        }
+
+        return expiry;
+    }
+
+    function expiredError(req) {
+        return new GatewayTimeoutError({
+            message: 'Request has expired',
+            context: {
+                expiryTime: req._expiryTime,
+                mode: req._expiryMode
+            }
+        });
+    }
+
+    // aborts req.signal at the deadline, or when the client disconnects
+    function setupSignal(req, res) {
+        if (typeof AbortController !== 'function') {
+            return;
+        }
+
+        var controller = new AbortController();
+        var timer;
+
+        function abort(reason) {
+            clearTimeout(timer);
+            res.removeListener('finish', onFinish);
+            res.removeListener('close', onClose);
+
+            if (!controller.signal.aborted) {
+                controller.abort(reason);
+            }
+        }
+
+        function onFinish() {
+            clearTimeout(timer);
+            res.removeListener('close', onClose);
+        }
+
+        function onClose() {
+            abort(new RequestCloseError('client disconnected'));
+        }
+
+        req.signal = controller.signal;
+
+        if (typeof res.once === 'function') {
+            res.once('finish', onFinish);
+            res.once('close', onClose);
+        }
+
+        var remaining = req.timeRemaining();
+
+        if (remaining <= 0) {
+            abort(expiredError(req));
+        } else if (remaining <= MAX_TIMEOUT) {
+            timer = setTimeout(function onDeadline() {
+                abort(expiredError(req));
+            }, remaining);
+        }
+    }
 
     return function requestExpirationCheck(req, res, next) {
         /*
@@ -80,41 +249,29 @@ function requestExpiry(opts) {
          */
         if (!req._expiryTime) {
             // if the headers don't exist, then the request will never expire.
-            req._expiryTime = Infinity;
-
-            if (useAbsolute) {
-                var expiryTime = parseInt(req.headers[absoluteHeaderKey], 10);
-
-                if (!isNaN(expiryTime)) {
-                    req._expiryTime = expiryTime;
-                }
-            } else {
-                // Use the start time header and add the timeout header to it
-                // to arrive at the expiration time
-                var startTime = parseInt(req.headers[startHeaderKey], 10);
-                var timeout = parseInt(req.headers[timeoutHeaderKey], 10);
-
-                if (!isNaN(startTime) && !isNaN(timeout)) {
-                    req._expiryTime = startTime + timeout;
-                }
-            }
+            var expiry = getExpiry(req);
+
+            req._expiryTime = expiry.time;
+            req._expiryMode = expiry.mode;
 
             req.isExpired = function isExpired() {
                 return Date.now() > req._expiryTime;
             };
+
+            req.deadline = function deadline() {
+                return req._expiryTime;
+            };
+
+            req.timeRemaining = function timeRemaining() {
+                return Math.max(0, req._expiryTime - Date.now());
+            };
+
+            setupSignal(req, res);
         }
 
         if (req.isExpired()) {
             // The request has expired
-            return next(
-                new GatewayTimeoutError({
-                    message: 'Request has expired',
-                    context: {
-                        expiryTime: req._expiryTime,
-                        mode: opts.absoluteHeader ? 'absolute' : 'relative'
-                    }
-                })
-            );
+            return next(expiredError(req));
         } else {
             // Happy case
             return next();
@@ -0,0 +1,197 @@
+'use strict';
+
+var assert = require('assert-plus');
+
+///--- Globals
+
+// characters not allowed in a header token, metric names must be tokens
+var NON_TOKEN = /[^!#$%&'*+.^_`|~0-9A-Za-z-]/g;
+
+///--- Helpers
+
+/**
+ * Returns the milliseconds between two `process.hrtime()` times, rounded to
+ * the microsecond.
+ *
+ * @private
+ * @function duration
+ * @param    {Number[]} start - start time
+ * @param    {Number[]} end - end time
+ * @returns  {Number} milliseconds
+ */
+function duration(start, end) {
+    var ms = (end[0] - start[0]) * 1e3 + (end[1] - start[1]) / 1e6;
+
+    return Math.round(ms * 1e3) / 1e3;
+}
+
+/**
+ * Formats a `Server-Timing` metric.
+ *
+ * @private
+ * @function metric
+ * @param    {String} name - metric name
+ * @param    {Number} dur - duration, in milliseconds
+ * @param    {String} [desc] - description
+ * @returns  {String} metric
+ */
+function metric(name, dur, desc) {
+    var str = String(name).replace(NON_TOKEN, '_');
+
+    if (desc) {
+        str += ';desc="' + desc + '"';
+    }
+
+    return str + ';dur=' + dur;
+}
+
+/**
+ * Formats the timings recorded so far for a request. Phases that haven't
+ * ended yet, e.g. the route handlers of a response being sent, are measured
+ * until now.
+ *
+ * @private
+ * @function formatTimings
+ * @param    {Request} req - request
+ * @param    {Boolean} handlers - whether to include each handler
+ * @returns  {String} the `Server-Timing` value
+ */
+function formatTimings(req, handlers) {
+    var now = process.hrtime();
+    var metrics = [];
+
+    [
+        ['pre', req._timePreStart, req._timePreEnd],
+        ['use', req._timeUseStart, req._timeUseEnd],
+        ['route', req._timeRouteStart, req._timeRouteEnd]
+    ].forEach(function forEach(phase) {
+        if (phase[1]) {
+            metrics.push(metric(phase[0], duration(phase[1], phase[2] || now)));
+        }
+    });
+
+    if (handlers) {
+        // handlers may run more than once, e.g. nested ones, add their times
+        // up like the audit logger does
+        var timers = {};
+        var names = [];
+
+        (req.timers || []).forEach(function forEach(timer) {
+            if (!Object.prototype.hasOwnProperty.call(timers, timer.name)) {
+                timers[timer.name] = 0;
+                names.push(timer.name);
+            }
+
+            timers[timer.name] += duration([0, 0], timer.time);
+        });
+
+        names.forEach(function forEach(name) {
+            var dur = Math.round(timers[name] * 1e3) / 1e3;
+            metrics.push(metric(name, dur, 'handler'));
+        });
+    }
+
+    if (req._timeStart) {
+        metrics.push(metric('total', duration(req._timeStart, now)));
+    }
+
+    return metrics.join(', ');
+}
+
+///--- API
+
+/**
+ * Adds a
+ * [`Server-Timing`](https://www.w3.org/TR/server-timing/) header to the
+ * responses, with the durations of the `pre`, `use` and `route` phases of
+ * the request, and the total time spent in restify, in milliseconds. With
+ * `handlers`, the header also holds the duration of each handler, as recorded
+ * in `req.timers`. Browsers show these timings in their developer tools.
+ *
+ * The header is written with the response head, while the route handlers may
+ * still be running: their phase is measured until then. Streamed responses,
+ * sent with the chunked encoding, also get a `Server-Timing` trailer with the
+ * timings of the whole response.
+ *
+ * Timings tell about the internals of a server, use the `expose` predicate to
+ * only send them to trusted callers.
+ *
+ * This plugin should be registered with `pre`, so that the `pre` handlers
+ * registered after it are measured.
+ *
+ * @public
+ * @function serverTiming
+ * @param    {Object} [opts] - an options object
+ * @param    {Function} [opts.expose] - `expose(req)` returns whether to send
+ *    timings for a request. Defaults to all requests.
+ * @param    {Boolean} [opts.handlers=false] - include the duration of each
+ *    handler
+ * @param    {Boolean} [opts.trailer=true] - send a trailer for streamed
+ *    responses
+ * @returns  {Function} Handler
+ * @example
+ * server.pre(restify.plugins.serverTiming({
+ *     handlers: true,
+ *     expose: function (req) {
+ *         return req.header('X-Internal-Token') === process.env.TOKEN;
+ *     }
+ * }));
+ *
+ * // Server-Timing: pre;dur=0.112, use;dur=2.51, route;dur=12.004,
+ * //     getUser;desc="handler";dur=11.872, total;dur=15.311
+ */
+function serverTiming(opts) {
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalFunc(opts.expose, 'opts.expose');
+    assert.optionalBool(opts.handlers, 'opts.handlers');
+    assert.optionalBool(opts.trailer, 'opts.trailer');
+
+    var expose = opts.expose;
+    var handlers = opts.handlers === true;
+    var trailer = opts.trailer !== false;
+
+    function setServerTiming(req, res, next) {
+        if (expose && !expose(req)) {
+            return next();
+        }
+
+        res.once('header', function onHeader() {
+            var value = formatTimings(req, handlers);
+            var current = res.getHeader('Server-Timing');
+
+            // keep the timings set by the application
+            if (current) {
+                value = current + ', ' + value;
+            }
+
+            res.setHeader('Server-Timing', value);
+        });
+
+        if (trailer) {
+            var end = res.end;
+
+            // the chunked encoding is decided once the head is written, any
+            // other response would ignore the trailer
+            res.end = function endWithTrailer() {
+                res.end = end;
+
+                if (res.chunkedEncoding) {
+                    res.addTrailers({
+                        'Server-Timing': formatTimings(req, handlers)
+                    });
+                }
+
+                return end.apply(res, arguments);
+            };
+        }
+
+        return next();
+    }
+
+    return setServerTiming;
+}
+
+///--- Exports
+
+module.exports = serverTiming;
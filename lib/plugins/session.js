@@ -0,0 +1,501 @@
+'use strict';
+
+var crypto = require('crypto');
+
+var assert = require('assert-plus');
+var errors = require('restify-errors');
+
+var stores = require('./sessionStores');
+
+///--- Globals
+
+var ID = /^[A-Za-z0-9_-]{32}$/;
+
+///--- Helpers
+
+/**
+ * Generates a session ID, 24 random bytes in base64url.
+ *
+ * @private
+ * @function generateId
+ * @returns  {String} session ID
+ */
+function generateId() {
+    return crypto
+        .randomBytes(24)
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Calls a store method, supporting both callbacks and returned promises.
+ *
+ * @private
+ * @function callStore
+ * @param    {Object} store - session store
+ * @param    {String} method - method name
+ * @param    {Array} args - arguments, without callback
+ * @param    {Function} callback - called once with an error or the result
+ * @returns  {undefined} no return value
+ */
+function callStore(store, method, args, callback) {
+    var called = false;
+
+    function done(err, result) {
+        if (called) {
+            return;
+        }
+
+        called = true;
+        callback(err || null, result);
+    }
+
+    var returned;
+
+    try {
+        returned = store[method].apply(store, args.concat(done));
+    } catch (e) {
+        done(e);
+        return;
+    }
+
+    if (returned && typeof returned.then === 'function') {
+        returned.then(
+            function onResolve(result) {
+                done(null, result);
+            },
+            function onReject(err) {
+                done(err || new Error('session store ' + method + ' failed'));
+            }
+        );
+    }
+}
+
+///--- Internal Class (Session)
+
+/**
+ * The session of a request, `req.session`. Its own enumerable properties
+ * are the data of the session, its methods and state are kept off them, so
+ * that they never get saved.
+ *
+ * @public
+ * @class Session
+ * @param {Object} ctx - the `store`, `ttl` and `log` of the plugin
+ * @param {String} id - session ID
+ * @param {Object|null} data - stored data, null for a new session
+ */
+function Session(ctx, id, data) {
+    var self = this;
+
+    Object.defineProperty(self, '_state', {
+        value: {
+            ctx: ctx,
+            id: id,
+            isNew: data === null,
+            saved: false,
+            regenerated: false,
+            destroyed: false,
+            snapshot: null
+        }
+    });
+
+    if (data) {
+        Object.keys(data).forEach(function forEach(key) {
+            self[key] = data[key];
+        });
+    }
+
+    self._state.snapshot = JSON.stringify(self);
+}
+
+/**
+ * The session ID.
+ *
+ * @public
+ * @memberof Session
+ * @instance
+ * @name id
+ * @type {String}
+ */
+Object.defineProperty(Session.prototype, 'id', {
+    get: function getId() {
+        return this._state.id;
+    }
+});
+
+/**
+ * Whether the session was created by this request.
+ *
+ * @public
+ * @memberof Session
+ * @instance
+ * @name isNew
+ * @type {Boolean}
+ */
+Object.defineProperty(Session.prototype, 'isNew', {
+    get: function getIsNew() {
+        return this._state.isNew;
+    }
+});
+
+/**
+ * Returns whether the data of the session changed since it was loaded or
+ * saved.
+ *
+ * @public
+ * @memberof Session
+ * @instance
+ * @function isModified
+ * @returns  {Boolean} true when modified
+ */
+Session.prototype.isModified = function isModified() {
+    return JSON.stringify(this) !== this._state.snapshot;
+};
+
+/**
+ * Saves the session now, rather than once the response headers are written.
+ *
+ * @public
+ * @memberof Session
+ * @instance
+ * @function save
+ * @param    {Function} [callback] - called with an error
+ * @returns  {undefined} no return value
+ */
+Session.prototype.save = function save(callback) {
+    var state = this._state;
+    var data = JSON.stringify(this);
+
+    callStore(
+        state.ctx.store,
+        'set',
+        [state.id, JSON.parse(data), state.ctx.ttl],
+        function onSet(err) {
+            if (!err) {
+                state.snapshot = data;
+                state.saved = true;
+            }
+
+            if (callback) {
+                callback(err);
+            }
+        }
+    );
+};
+
+/**
+ * Gives the session a new ID, keeping its data, and deletes the old one from
+ * the store. Regenerate the session when the privileges of the client
+ * change, e.g. as it logs in, so that an ID planted beforehand by an attacker
+ * is useless.
+ *
+ * @public
+ * @memberof Session
+ * @instance
+ * @function regenerate
+ * @param    {Function} [callback] - called with an error
+ * @returns  {undefined} no return value
+ * @example
+ * server.post('/login', function (req, res, next) {
+ *     req.session.regenerate(function (err) {
+ *         if (err) {
+ *             return next(err);
+ *         }
+ *
+ *         req.session.user = user.id;
+ *         res.send(204);
+ *         return next();
+ *     });
+ * });
+ */
+Session.prototype.regenerate = function regenerate(callback) {
+    var state = this._state;
+    var oldId = state.id;
+
+    state.id = generateId();
+    state.regenerated = true;
+    state.saved = false;
+
+    if (state.isNew) {
+        if (callback) {
+            setImmediate(callback, null);
+        }
+        return;
+    }
+
+    callStore(state.ctx.store, 'destroy', [oldId], function onDestroy(err) {
+        if (callback) {
+            callback(err);
+        }
+    });
+};
+
+/**
+ * Deletes the session from the store, clears its data and expires its
+ * cookie, e.g. as the client logs out.
+ *
+ * @public
+ * @memberof Session
+ * @instance
+ * @function destroy
+ * @param    {Function} [callback] - called with an error
+ * @returns  {undefined} no return value
+ */
+Session.prototype.destroy = function destroy(callback) {
+    var self = this;
+    var state = self._state;
+
+    Object.keys(self).forEach(function forEach(key) {
+        delete self[key];
+    });
+    state.destroyed = true;
+
+    callStore(state.ctx.store, 'destroy', [state.id], function onDestroy(err) {
+        if (callback) {
+            callback(err);
+        }
+    });
+};
+
+///--- API
+
+/**
+ * Loads the session of the request, from the ID in its session cookie, into
+ * `req.session`. Handlers read and write the data of the session as
+ * properties of `req.session`, which is saved to the store when the response
+ * headers are written if it was modified, and given a cookie when new.
+ * Sessions without data are neither saved nor given a cookie, unless
+ * `saveUninitialized` is set.
+ *
+ * The response ends once the session is saved, so that the next request of
+ * the client sees its changes. Changes made after the headers are written
+ * are not saved, unless `req.session.save()` is called.
+ *
+ * Sessions expire `ttl` seconds after they were last saved, or with
+ * `rolling`, after the last request of the client.
+ *
+ * Sessions are kept in memory by default, see `MemoryStore` and `FileStore`
+ * for the interface of the stores.
+ *
+ * This plugin should be registered with `pre` or as the first `use` handler,
+ * so that the session is loaded before the other handlers run.
+ *
+ * @public
+ * @function session
+ * @param    {Object} [opts] - an options object
+ * @param    {Object} [opts.store] - session store, a `MemoryStore` by default
+ * @param    {String} [opts.name='sid'] - name of the session cookie
+ * @param    {Number} [opts.ttl=86400] - lifetime of the sessions, in seconds
+ * @param    {Boolean} [opts.rolling=false] - extend the lifetime of sessions
+ *                                            on every request, the store
+ *                                            must implement `touch()`
+ * @param    {Boolean} [opts.saveUninitialized=false] - save new sessions
+ *                                                      without data
+ * @param    {Boolean} [opts.signed=false] - sign the session cookie, with the
+ *                                           `cookieSecrets` server option
+ * @param    {Object} [opts.cookie] - attributes of the session cookie, as
+ *                                    for `res.setCookie()`. `httpOnly` and
+ *                                    `sameSite: 'lax'` by default.
+ * @returns  {Function} Handler
+ * @example
+ * server.pre(restify.plugins.session({
+ *     rolling: true,
+ *     ttl: 1800,
+ *     cookie: { secure: true }
+ * }));
+ *
+ * server.get('/cart', function (req, res, next) {
+ *     req.session.views = (req.session.views || 0) + 1;
+ *     res.send(req.session.cart || []);
+ *     return next();
+ * });
+ */
+function session(opts) {
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalObject(opts.store, 'opts.store');
+    assert.optionalString(opts.name, 'opts.name');
+    assert.optionalNumber(opts.ttl, 'opts.ttl');
+    assert.optionalBool(opts.rolling, 'opts.rolling');
+    assert.optionalBool(opts.saveUninitialized, 'opts.saveUninitialized');
+    assert.optionalBool(opts.signed, 'opts.signed');
+    assert.optionalObject(opts.cookie, 'opts.cookie');
+
+    var store = opts.store || new stores.MemoryStore();
+    var name = opts.name || 'sid';
+    var rolling = opts.rolling === true;
+    var saveUninitialized = opts.saveUninitialized === true;
+    var signed = opts.signed === true;
+    var ctx = {
+        store: store,
+        ttl: opts.ttl || 86400
+    };
+
+    assert.func(store.get, 'opts.store.get');
+    assert.func(store.set, 'opts.store.set');
+    assert.func(store.destroy, 'opts.store.destroy');
+    assert.ok(
+        !rolling || typeof store.touch === 'function',
+        'opts.store must implement touch() for rolling sessions'
+    );
+
+    var cookie = {
+        path: '/',
+        httpOnly: true,
+        sameSite: 'lax'
+    };
+
+    Object.keys(opts.cookie || {}).forEach(function forEach(key) {
+        cookie[key] = opts.cookie[key];
+    });
+
+    cookie.signed = signed;
+
+    function cookieOptions(maxAge) {
+        var attributes = {};
+
+        Object.keys(cookie).forEach(function forEach(key) {
+            attributes[key] = cookie[key];
+        });
+
+        if (maxAge !== undefined) {
+            attributes.maxAge = maxAge;
+        }
+
+        return attributes;
+    }
+
+    function loadSession(req, res, next) {
+        var id = signed ? req.signedCookies[name] : req.cookies[name];
+
+        if (typeof id !== 'string' || !ID.test(id)) {
+            id = null;
+        }
+
+        function start(data) {
+            var sess = new Session(ctx, data ? id : generateId(), data);
+            var committed = false;
+            var saving = false;
+            var ending = null;
+
+            req.session = sess;
+
+            function onSaved(err) {
+                saving = false;
+
+                if (err) {
+                    req.log.warn({ err: err }, 'session save failed');
+                }
+
+                if (ending) {
+                    ending();
+                }
+            }
+
+            // decides, as the headers are written, whether the session needs
+            // a cookie and to be saved
+            function commit() {
+                var state = sess._state;
+
+                if (committed) {
+                    return;
+                }
+
+                committed = true;
+
+                if (state.destroyed) {
+                    if (id) {
+                        res.clearCookie(name, cookieOptions());
+                    }
+                    return;
+                }
+
+                var modified = sess.isModified();
+
+                if (
+                    state.isNew &&
+                    !state.saved &&
+                    !state.regenerated &&
+                    !modified &&
+                    !saveUninitialized
+                ) {
+                    return;
+                }
+
+                var write =
+                    modified ||
+                    state.regenerated ||
+                    (state.isNew && !state.saved);
+
+                if (state.isNew || state.regenerated || rolling) {
+                    res.setCookie(name, state.id, cookieOptions(ctx.ttl));
+                }
+
+                if (write) {
+                    saving = true;
+                    sess.save(onSaved);
+                } else if (rolling) {
+                    saving = true;
+                    callStore(
+                        store,
+                        'touch',
+                        [state.id, JSON.parse(JSON.stringify(sess)), ctx.ttl],
+                        onSaved
+                    );
+                }
+            }
+
+            res.once('header', commit);
+
+            var end = res.end;
+
+            // the response ends once the session is saved
+            res.end = function endAfterSave() {
+                var args = arguments;
+
+                if (!res.headersSent) {
+                    commit();
+                }
+
+                if (!saving) {
+                    res.end = end;
+                    return end.apply(res, args);
+                }
+
+                ending = function onSavedEnd() {
+                    ending = null;
+                    res.end = end;
+                    end.apply(res, args);
+                };
+
+                return res;
+            };
+
+            return next();
+        }
+
+        if (!id) {
+            return start(null);
+        }
+
+        return callStore(store, 'get', [id], function onGet(err, data) {
+            if (err) {
+                return next(
+                    new errors.InternalServerError(err, 'session store failed')
+                );
+            }
+
+            return start(data || null);
+        });
+    }
+
+    return loadSession;
+}
+
+///--- Exports
+
+module.exports = session;
+module.exports.Session = Session;
+module.exports.MemoryStore = stores.MemoryStore;
+module.exports.FileStore = stores.FileStore;
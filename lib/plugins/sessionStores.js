@@ -0,0 +1,367 @@
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var LRU = require('lru-cache');
+
+///--- Globals
+
+// session IDs are base64url, which keeps them from escaping the directory of
+// the FileStore
+var ID = /^[A-Za-z0-9_-]+$/;
+
+///--- API
+
+/**
+ * Keeps the sessions of the `session` plugin in memory, in an LRU: the least
+ * recently used sessions are forgotten once it holds `maxSessions` of them.
+ * Sessions are lost when the process exits, and aren't shared by the
+ * processes of a cluster.
+ *
+ * Stores implement:
+ *
+ * * `get(id, callback)`, calling back with an error, or the data of the
+ *   session, null when it doesn't exist or expired
+ * * `set(id, data, ttl, callback)`, saving the data of a session for `ttl`
+ *   seconds
+ * * `destroy(id, callback)`, deleting a session
+ * * optionally, `touch(id, data, ttl, callback)`, extending the lifetime of a
+ *   session whose data didn't change, required by `rolling` sessions
+ *
+ * Instead of calling back, the methods of a store may return promises, e.g.
+ * as `async` functions, which makes it easy to wrap the clients of external
+ * backends.
+ *
+ * @public
+ * @class MemoryStore
+ * @param {Object} [options] - an options object
+ * @param {Number} [options.maxSessions=10000] - size of the LRU
+ */
+function MemoryStore(options) {
+    var opts = options || {};
+
+    assert.object(opts, 'options');
+    assert.optionalNumber(opts.maxSessions, 'options.maxSessions');
+
+    this.table = new LRU({ max: opts.maxSessions || 10000 });
+}
+
+/**
+ * Reads a session.
+ *
+ * @public
+ * @memberof MemoryStore
+ * @instance
+ * @function get
+ * @param    {String} id - session ID
+ * @param    {Function} callback - called with an error or the data
+ * @returns  {undefined} no return value
+ */
+MemoryStore.prototype.get = function get(id, callback) {
+    var entry = this.table.get(id);
+
+    if (entry && entry.expires <= Date.now()) {
+        this.table.delete(id);
+        entry = undefined;
+    }
+
+    // sessions are stored serialized, so that they are copies of the data of
+    // the request
+    callback(null, entry ? JSON.parse(entry.data) : null);
+};
+
+/**
+ * Saves a session.
+ *
+ * @public
+ * @memberof MemoryStore
+ * @instance
+ * @function set
+ * @param    {String} id - session ID
+ * @param    {Object} data - session data
+ * @param    {Number} ttl - lifetime, in seconds
+ * @param    {Function} callback - called with an error
+ * @returns  {undefined} no return value
+ */
+MemoryStore.prototype.set = function set(id, data, ttl, callback) {
+    this.table.set(id, {
+        data: JSON.stringify(data),
+        expires: Date.now() + ttl * 1000
+    });
+    callback(null);
+};
+
+/**
+ * Extends the lifetime of a session.
+ *
+ * @public
+ * @memberof MemoryStore
+ * @instance
+ * @function touch
+ * @param    {String} id - session ID
+ * @param    {Object} data - session data
+ * @param    {Number} ttl - lifetime, in seconds
+ * @param    {Function} callback - called with an error
+ * @returns  {undefined} no return value
+ */
+MemoryStore.prototype.touch = function touch(id, data, ttl, callback) {
+    var entry = this.table.get(id);
+
+    if (!entry) {
+        this.set(id, data, ttl, callback);
+        return;
+    }
+
+    entry.expires = Date.now() + ttl * 1000;
+    callback(null);
+};
+
+/**
+ * Deletes a session.
+ *
+ * @public
+ * @memberof MemoryStore
+ * @instance
+ * @function destroy
+ * @param    {String} id - session ID
+ * @param    {Function} callback - called with an error
+ * @returns  {undefined} no return value
+ */
+MemoryStore.prototype.destroy = function destroy(id, callback) {
+    this.table.delete(id);
+    callback(null);
+};
+
+/**
+ * Keeps the sessions of the `session` plugin in a directory, a JSON file per
+ * session, so that they survive restarts and are shared by the processes of
+ * a host.
+ *
+ * Files are atomically replaced when sessions are saved. Expired sessions
+ * are removed when they are read, `prune()` removes all of them, e.g. on an
+ * interval.
+ *
+ * @public
+ * @class FileStore
+ * @param {Object} options - an options object
+ * @param {String} options.path - path of the directory, created if needed
+ * @example
+ * server.pre(restify.plugins.session({
+ *     store: new restify.plugins.session.FileStore({
+ *         path: '/var/lib/myapp/sessions'
+ *     })
+ * }));
+ */
+function FileStore(options) {
+    assert.object(options, 'options');
+    assert.string(options.path, 'options.path');
+
+    this.path = options.path;
+}
+
+/**
+ * Returns the path of the file of a session.
+ *
+ * @private
+ * @memberof FileStore
+ * @instance
+ * @function _file
+ * @param    {String} id - session ID
+ * @returns  {String|null} path, null for invalid IDs
+ */
+FileStore.prototype._file = function _file(id) {
+    return ID.test(id) ? path.join(this.path, id + '.json') : null;
+};
+
+/**
+ * Reads a session.
+ *
+ * @public
+ * @memberof FileStore
+ * @instance
+ * @function get
+ * @param    {String} id - session ID
+ * @param    {Function} callback - called with an error or the data
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype.get = function get(id, callback) {
+    var file = this._file(id);
+
+    if (!file) {
+        callback(null, null);
+        return;
+    }
+
+    fs.readFile(file, 'utf8', function onRead(err, contents) {
+        if (err) {
+            callback(err.code === 'ENOENT' ? null : err, null);
+            return;
+        }
+
+        var entry;
+
+        try {
+            entry = JSON.parse(contents);
+        } catch (e) {
+            callback(e);
+            return;
+        }
+
+        if (entry.expires > Date.now()) {
+            callback(null, entry.data);
+            return;
+        }
+
+        fs.unlink(file, function onUnlink() {
+            callback(null, null);
+        });
+    });
+};
+
+/**
+ * Saves a session.
+ *
+ * @public
+ * @memberof FileStore
+ * @instance
+ * @function set
+ * @param    {String} id - session ID
+ * @param    {Object} data - session data
+ * @param    {Number} ttl - lifetime, in seconds
+ * @param    {Function} callback - called with an error
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype.set = function set(id, data, ttl, callback) {
+    var self = this;
+    var file = self._file(id);
+
+    if (!file) {
+        callback(new Error('invalid session ID ' + id));
+        return;
+    }
+
+    var contents = JSON.stringify({
+        data: data,
+        expires: Date.now() + ttl * 1000
+    });
+    // concurrent saves of a session each write their own file, the last
+    // rename wins
+    var tmpFile =
+        file +
+        '.' +
+        process.pid +
+        '.' +
+        crypto.randomBytes(6).toString('hex') +
+        '.tmp';
+
+    fs.mkdir(self.path, { recursive: true }, function onMkdir(mkdirErr) {
+        if (mkdirErr) {
+            callback(mkdirErr);
+            return;
+        }
+
+        fs.writeFile(tmpFile, contents, function onWrite(writeErr) {
+            if (writeErr) {
+                callback(writeErr);
+                return;
+            }
+
+            fs.rename(tmpFile, file, callback);
+        });
+    });
+};
+
+/**
+ * Extends the lifetime of a session, rewriting its file.
+ *
+ * @public
+ * @memberof FileStore
+ * @instance
+ * @function touch
+ * @param    {String} id - session ID
+ * @param    {Object} data - session data
+ * @param    {Number} ttl - lifetime, in seconds
+ * @param    {Function} callback - called with an error
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype.touch = function touch(id, data, ttl, callback) {
+    // the file holds the expiry along with the data, it is written anew
+    this.set(id, data, ttl, callback);
+};
+
+/**
+ * Deletes a session.
+ *
+ * @public
+ * @memberof FileStore
+ * @instance
+ * @function destroy
+ * @param    {String} id - session ID
+ * @param    {Function} callback - called with an error
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype.destroy = function destroy(id, callback) {
+    var file = this._file(id);
+
+    if (!file) {
+        callback(null);
+        return;
+    }
+
+    fs.unlink(file, function onUnlink(err) {
+        callback(err && err.code !== 'ENOENT' ? err : null);
+    });
+};
+
+/**
+ * Removes the expired sessions.
+ *
+ * @public
+ * @memberof FileStore
+ * @instance
+ * @function prune
+ * @param    {Function} callback - called with an error
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype.prune = function prune(callback) {
+    var self = this;
+
+    fs.readdir(self.path, function onReaddir(err, files) {
+        if (err) {
+            callback(err.code === 'ENOENT' ? null : err);
+            return;
+        }
+
+        var ids = files
+            .filter(function filter(file) {
+                return /\.json$/.test(file);
+            })
+            .map(function map(file) {
+                return file.slice(0, -'.json'.length);
+            });
+
+        // reading a session removes it once expired
+        function pruneNext() {
+            if (ids.length === 0) {
+                callback(null);
+                return;
+            }
+
+            self.get(ids.shift(), function onGet() {
+                pruneNext();
+            });
+        }
+
+        pruneNext();
+    });
+};
+
+///--- Exports
+
+module.exports = {
+    MemoryStore: MemoryStore,
+    FileStore: FileStore
+};
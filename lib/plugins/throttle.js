@@ -5,11 +5,14 @@
 var sprintf = require('util').format;
 
 var assert = require('assert-plus');
-var LRU = require('lru-cache');
 var errors = require('restify-errors');
 
+var ip = require('../ip');
+var stores = require('./throttleStores');
+
 ///--- Globals
 
+var ServiceUnavailableError = errors.ServiceUnavailableError;
 var TooManyRequestsError = errors.TooManyRequestsError;
 
 var MESSAGE = 'You have exceeded your request rate of %s r/s.';
@@ -34,137 +37,300 @@ function xor() {
     return x;
 }
 
-///--- Internal Class (TokenBucket)
-
 /**
- * An implementation of the Token Bucket algorithm.
- *
- * Basically, in network throttling, there are two "mainstream"
- * algorithms for throttling requests, Token Bucket and Leaky Bucket.
- * For restify, I went with Token Bucket.  For a good description of the
- * algorithm, see: http://en.wikipedia.org/wiki/Token_bucket
- *
- * In the options object, you pass in the total tokens and the fill rate.
- * Practically speaking, this means "allow `fill rate` requests/second,
- * with bursts up to `total tokens`".  Note that the bucket is initialized
- * to full.
- *
- * Also, in googling, I came across a concise python implementation, so this
- * is just a port of that. Thanks http://code.activestate.com/recipes/511490 !
+ * Formats the `RateLimit-Policy` header of a token bucket, its quota is the
+ * burst and its window the time the bucket takes to fill up.
  *
  * @private
- * @class TokenBucket
- * @param {Object} options - contains the parameters:
- *                   - {Number} capacity the maximum burst.
- *                   - {Number} fillRate the rate to refill tokens.
+ * @function formatPolicy
+ * @param    {String} name - policy name
+ * @param    {Number} burst - burst
+ * @param    {Number} rate - rate
+ * @returns  {String} header value
  */
-function TokenBucket(options) {
-    assert.object(options, 'options');
-    assert.number(options.capacity, 'options.capacity');
-    assert.number(options.fillRate, 'options.fillRate');
-
-    this.tokens = this.capacity = options.capacity;
-    this.fillRate = options.fillRate;
-    this.time = Date.now();
+function formatPolicy(name, burst, rate) {
+    return sprintf('"%s";q=%d;w=%d', name, burst, Math.ceil(burst / rate));
 }
 
 /**
- * Consume N tokens from the bucket.
+ * Formats the `RateLimit` header of a consume result.
  *
- * If there is not capacity, the tokens are not pulled from the bucket.
+ * @private
+ * @function formatRateLimit
+ * @param    {String} name - policy name
+ * @param    {Object} result - consume result
+ * @returns  {String} header value
+ */
+function formatRateLimit(name, result) {
+    return sprintf(
+        '"%s";r=%d;t=%d',
+        name,
+        Math.floor(result.remaining),
+        Math.ceil(result.reset / 1000)
+    );
+}
+
+/**
+ * Returns the client address of the `X-Forwarded-For` header. When the server
+ * trusts proxies, it is the address they tell, see `req.ip()`, otherwise the
+ * first entry of the header, which clients can spoof.
  *
  * @private
- * @memberof TokenBucket
- * @instance
- * @function consume
- * @param    {Number}  tokens - the number of tokens to pull out.
- * @returns  {Boolean}        true if capacity, false otherwise.
+ * @function forwardedFor
+ * @param    {Object} req - the request object
+ * @returns  {String|undefined} address
  */
-TokenBucket.prototype.consume = function consume(tokens) {
-    if (tokens <= this._fill()) {
-        this.tokens -= tokens;
-        return true;
+function forwardedFor(req) {
+    if (req._trustProxy) {
+        return req.ip();
+    }
+
+    var header = req.headers['x-forwarded-for'];
+
+    if (!header) {
+        return undefined;
     }
 
-    return false;
-};
+    return String(header)
+        .split(',')[0]
+        .trim();
+}
 
 /**
- * Fills the bucket with more tokens.
- *
- * Rather than do some whacky setTimeout() deal, we just approximate refilling
- * the bucket by tracking elapsed time from the last time we touched the bucket.
+ * Splits overrides into exact keys and CIDR ranges, the ranges sorted from
+ * the most to the least specific.
  *
- * Simply, we set the bucket size to min(totalTokens,
- *                                       current + (fillRate * elapsed time)).
+ * @private
+ * @function compileOverrides
+ * @param    {Object} [overrides] - overrides, by key or CIDR range
+ * @returns  {Object} the `exact` overrides and the `ranges`
+ */
+function compileOverrides(overrides) {
+    var compiled = { exact: {}, ranges: [] };
+
+    Object.keys(overrides || {}).forEach(function forEach(key) {
+        var override = overrides[key];
+
+        // an override needs both a burst and a rate to apply
+        if (
+            !override ||
+            override.burst === undefined ||
+            override.rate === undefined
+        ) {
+            return;
+        }
+
+        var range = key.indexOf('/') !== -1 ? ip.parseCidr(key) : null;
+
+        if (range) {
+            compiled.ranges.push({ range: range, override: override });
+        } else {
+            compiled.exact[key] = override;
+        }
+    });
+
+    compiled.ranges.sort(function sort(a, b) {
+        return b.range.prefix - a.range.prefix;
+    });
+
+    return compiled;
+}
+
+/**
+ * Finds the override of a key, an exact match first, then the most specific
+ * CIDR range containing it.
  *
  * @private
- * @memberof TokenBucket
- * @instance
- * @function _fill
- * @returns  {Number} the current number of tokens in the bucket.
+ * @function findOverride
+ * @param    {Object} overrides - compiled overrides
+ * @param    {String} key - throttling key
+ * @returns  {Object|undefined} override
  */
-TokenBucket.prototype._fill = function _fill() {
-    var now = Date.now();
+function findOverride(overrides, key) {
+    if (Object.prototype.hasOwnProperty.call(overrides.exact, key)) {
+        return overrides.exact[key];
+    }
+
+    if (overrides.ranges.length === 0) {
+        return undefined;
+    }
 
-    // reset account for clock drift (like DST)
-    if (now < this.time) {
-        this.time = now - 1000;
+    var address = ip.parse(key);
+
+    if (!address) {
+        return undefined;
     }
 
-    if (this.tokens < this.capacity) {
-        var delta = this.fillRate * ((now - this.time) / 1000);
-        this.tokens = Math.min(this.capacity, this.tokens + delta);
+    for (var i = 0; i < overrides.ranges.length; i++) {
+        if (ip.contains(overrides.ranges[i].range, address)) {
+            return overrides.ranges[i].override;
+        }
     }
-    this.time = now;
 
-    return this.tokens;
-};
+    return undefined;
+}
 
-///--- Internal Class (TokenTable)
 /**
- * Just a wrapper over LRU that supports put/get to store token -> bucket
- * mappings.
+ * Groups IPv6 addresses by subnet, since a single host usually owns a whole
+ * /64 and could rotate its address to dodge a per-address limit.
  *
  * @private
- * @class TokenTable
- * @param {Object} options -      an options object
- * @param {Number} options.size - size of the LRU
+ * @function groupAddress
+ * @param    {String} key - client address
+ * @param    {Number} prefix - IPv6 subnet prefix length
+ * @returns  {String} bucket key
  */
-function TokenTable(options) {
-    assert.object(options, 'options');
+function groupAddress(key, prefix) {
+    var address = ip.parse(key);
+
+    if (!address || (address.version === 6 && prefix >= 128)) {
+        return key;
+    }
 
-    this.table = new LRU({ max: options.size || 10000 });
+    if (address.version === 4) {
+        return ip.format(address);
+    }
+
+    return ip.format(ip.mask(address, prefix)) + '/' + prefix;
 }
 
 /**
- * Puts a value in the token table
+ * Validates the configuration of a limit.
  *
  * @private
- * @memberof TokenTable
- * @instance
- * @function put
- * @param {String}      key -   a name
- * @param {TokenBucket} value - a TokenBucket
- * @returns {undefined} no return value
+ * @function createLimit
+ * @param    {Object} config - limit configuration
+ * @param    {String} label - name of the configuration in assertions
+ * @param    {Number|Function} [cost] - default request cost
+ * @returns  {Object} limit
  */
-TokenTable.prototype.put = function put(key, value) {
-    this.table.set(key, value);
-};
+function createLimit(config, label, cost) {
+    assert.number(config.burst, label + '.burst');
+    assert.number(config.rate, label + '.rate');
+    assert.optionalFunc(config.key, label + '.key');
+    assert.optionalObject(config.overrides, label + '.overrides');
+    assert.optionalBool(config.perRoute, label + '.perRoute');
+    assert.optionalObject(config.routes, label + '.routes');
+
+    if (!xor(config.ip, config.xff, config.username, config.key)) {
+        throw new Error('(ip ^ username ^ xff ^ key)');
+    }
+
+    if (config.cost !== undefined) {
+        cost = config.cost;
+    }
+
+    if (cost !== undefined && typeof cost !== 'function') {
+        assert.number(cost, label + '.cost');
+    }
+
+    var routes = config.routes || {};
+
+    Object.keys(routes).forEach(function forEach(name) {
+        assert.number(routes[name].burst, label + '.routes.' + name + '.burst');
+        assert.number(routes[name].rate, label + '.routes.' + name + '.rate');
+    });
+
+    var getKey;
+
+    if (config.ip) {
+        getKey = function remoteAddress(req) {
+            return req.ip();
+        };
+    } else if (config.xff) {
+        getKey = forwardedFor;
+    } else if (config.username) {
+        getKey = function username(req) {
+            return req.username;
+        };
+    } else {
+        getKey = config.key;
+    }
+
+    return {
+        name: config.name,
+        burst: config.burst,
+        rate: config.rate,
+        cost: cost !== undefined ? cost : 1,
+        getKey: getKey,
+        address: Boolean(config.ip || config.xff),
+        overrides: compileOverrides(config.overrides),
+        perRoute: config.perRoute === true,
+        routes: routes,
+        prefix: ''
+    };
+}
 
 /**
- * Puts a value in the token table
+ * Resolves the bucket a request consumes from for a limit.
  *
  * @private
- * @memberof TokenTable
- * @instance
- * @function get
- * @param {String} key - a key
- * @returns {TokenBucket} token bucket instance
+ * @function resolveBucket
+ * @param    {Object} limit - limit
+ * @param    {Object} req - the request object
+ * @param    {Number} ipv6Subnet - IPv6 subnet prefix length
+ * @returns  {Object|null} the bucket `key`, `burst`, `rate` and request
+ *                         `cost`, null when the request isn't limited
  */
-TokenTable.prototype.get = function get(key) {
-    return this.table.get(key);
-};
+function resolveBucket(limit, req, ipv6Subnet) {
+    var key = limit.getKey(req);
+
+    // Before bothering with overrides, see if this request
+    // even matches
+    if (!key) {
+        return null;
+    }
+
+    key = String(key);
+
+    var burst = limit.burst;
+    var rate = limit.rate;
+    var routeName = req.route ? req.route.name : undefined;
+    var route =
+        routeName &&
+        Object.prototype.hasOwnProperty.call(limit.routes, routeName)
+            ? limit.routes[routeName]
+            : undefined;
+
+    if (route) {
+        burst = route.burst;
+        rate = route.rate;
+    }
+
+    var override = findOverride(limit.overrides, key);
+
+    if (override) {
+        burst = override.burst;
+        rate = override.rate;
+    }
+
+    if (!rate || !burst) {
+        return null;
+    }
+
+    var cost = limit.cost;
+
+    if (typeof cost === 'function') {
+        cost = cost(req);
+        assert.number(cost, 'options.cost(req)');
+    }
+
+    if (limit.address) {
+        key = groupAddress(key, ipv6Subnet);
+    }
+
+    // routes with their own limit never share buckets with other routes
+    if (routeName && (limit.perRoute || route)) {
+        key = routeName + ':' + key;
+    }
+
+    return {
+        key: limit.prefix + key,
+        burst: burst,
+        rate: rate,
+        cost: cost
+    };
+}
 
 ///--- Exported API
 
@@ -186,13 +352,27 @@ TokenTable.prototype.get = function get(key) {
  * code of `429`
  * [Too Many Requests]
  * (http://tools.ietf.org/html/draft-nottingham-http-new-status-03#section-4)
- * is returned.
+ * is returned, with a `Retry-After` header telling in how many seconds the
+ * bucket will hold enough tokens for the request.
+ *
+ * Requests cost one token by default, set `cost` to make expensive requests
+ * consume more of them.
  *
- * This throttle gives you three options on which to throttle:
- * username, IP address and 'X-Forwarded-For'. IP/XFF is a /32 match,
- * so keep that in mind if using it.  Username takes the user specified
- * on req.username (which gets automagically set for supported Authorization
- * types; otherwise set it yourself with a filter that runs before this).
+ * With `setHeaders`, the limits are advertised with the
+ * [RateLimit header fields]
+ * (https://datatracker.ietf.org/doc/draft-ietf-httpapi-ratelimit-headers/),
+ * e.g. `RateLimit-Policy: "default";q=10;w=20` for a burst of 10 and a rate of
+ * 0.5, and `RateLimit: "default";r=9;t=2` for 9 remaining tokens and 2
+ * seconds until the bucket is full again.
+ *
+ * This throttle gives you four options on which to throttle:
+ * username, IP address, 'X-Forwarded-For' and a `key(req)` function.
+ * IPv4 addresses are a /32 match, while IPv6 addresses are grouped by
+ * `ipv6Subnet`, a /64 by default, so that a host can't dodge its limit by
+ * rotating addresses. XFF uses the first address of the header, the client's.
+ * Username takes the user specified on req.username (which gets
+ * automagically set for supported Authorization types; otherwise set it
+ * yourself with a filter that runs before this).
  *
  * In both cases, you can set a `burst` and a `rate` (in requests/seconds),
  * as an integer/float.  Those really translate to the `TokenBucket`
@@ -200,10 +380,22 @@ TokenTable.prototype.get = function get(key) {
  *
  * In either case, the top level options burst/rate set a blanket throttling
  * rate, and then you can pass in an `overrides` object with rates for
- * specific users/IPs.  You should use overrides sparingly, as we make a new
+ * specific users/IPs.  IP overrides may be CIDR ranges, e.g. `10.0.0.0/8`,
+ * an exact match wins over a range and the most specific range wins over
+ * the others.  You should use overrides sparingly, as we make a new
  * TokenBucket to track each.
  *
- * On the `options` object ip and username are treated as an XOR.
+ * With `perRoute`, each route gets its own buckets, keyed by `req.route.name`,
+ * and `routes` sets the burst and rate of specific routes.
+ *
+ * Several limits can apply at once, e.g. per IP and per user, by passing
+ * them in `limits` instead of the top level options.  Each limit needs a
+ * `name`, requests consume from every limit in turn and are throttled by the
+ * first one they exceed, which gives back the tokens they took from the limits
+ * before it.  The `RateLimit` headers then list all the limits.
+ *
+ * On the `options` object, and on each limit, ip, xff, username and key are
+ * treated as an XOR.
  *
  * @public
  * @function throttle
@@ -211,14 +403,40 @@ TokenTable.prototype.get = function get(key) {
  * @param {Object} options - required options with:
  * @param {Number} options.burst - burst
  * @param {Number} options.rate - rate
- * @param {Boolean} [options.ip] - ip
+ * @param {Boolean} [options.ip] - throttle by client address, `req.ip()`,
+ *                               which honors the `trustProxy` server option
  * @param {Boolean} [options.username] - username
- * @param {Boolean} [options.xff] - xff
- * @param {Boolean} [options.setHeaders=false] - Set response headers for rate,
- *                               limit (burst) and remaining.
- * @param {Object} [options.overrides] - overrides
- * @param {Object} options.tokensTable - a storage engine this plugin will
- *                              use to store throttling keys -> bucket mappings.
+ * @param {Boolean} [options.xff] - throttle by `X-Forwarded-For` address,
+ *                               `req.ip()` when the server trusts proxies
+ * @param {Function} [options.key] - returns the throttling key of `req`, the
+ *                               request is not throttled when it is empty.
+ * @param {Boolean} [options.perRoute=false] - throttle each route apart
+ * @param {Object} [options.routes] - burst and rate by route name
+ * @param {Number} [options.ipv6Subnet=64] - prefix length by which IPv6
+ *                               addresses are grouped, 128 to disable.
+ * @param {Object[]} [options.limits] - limits to apply at once, in place of
+ *                               the top level one, each with a `name` and the
+ *                               `burst`, `rate`, `ip`, `xff`, `username`,
+ *                               `key`, `overrides`, `cost`, `perRoute` and
+ *                               `routes` options.
+ * @param {Boolean} [options.setHeaders=false] - Set the `RateLimit-Policy` and
+ *                               `RateLimit` response headers.
+ * @param {Boolean} [options.legacyHeaders=true] - Along with the standard
+ *                               headers, set the `X-RateLimit-Limit`,
+ *                               `X-RateLimit-Rate` and `X-RateLimit-Remaining`
+ *                               headers.
+ * @param {String} [options.name='default'] - name of the policy in the headers
+ * @param {Number|Function} [options.cost=1] - tokens consumed by a request, or
+ *                               a function returning them from `req`.
+ * @param {Object} [options.overrides] - overrides, by key or CIDR range
+ * @param {Object} [options.store] - an asynchronous storage engine this
+ *                              plugin will use to consume tokens, see
+ *                              `MemoryStore` for the interface. Use a
+ *                              `FileStore` to share limits across `cluster`
+ *                              workers.
+ * @param {Object} [options.tokensTable] - a synchronous storage engine this
+ *                              plugin will use to store throttling keys ->
+ *                              bucket mappings, when no `store` is given.
  *                              If you don't specify this, the default is to
  *                              use an in-memory O(1) LRU, with 10k distinct
  *                              keys.  Any implementation just needs to support
@@ -226,6 +444,9 @@ TokenTable.prototype.get = function get(key) {
  * @param {Number} [options.maxKeys=10000] - If using the default
  *                              implementation, you can specify how large you
  *                              want the table to be.
+ * @param {Boolean} [options.failOpen=true] - let requests through when the
+ *                              store fails, otherwise they are rejected with a
+ *                              `ServiceUnavailableError`.
  * @returns  {Function} Handler
  * @example
  * <caption>
@@ -241,97 +462,266 @@ TokenTable.prototype.get = function get(key) {
  *       rate: 0    // unlimited
  *   }
  * }
+ * @example
+ * <caption>
+ * Per IP and per user limits, with an internal network left unlimited:
+ * </caption>
+ * {
+ *   setHeaders: true,
+ *   limits: [
+ *     {
+ *       name: 'ip',
+ *       burst: 100,
+ *       rate: 10,
+ *       ip: true,
+ *       overrides: { '10.0.0.0/8': { burst: 0, rate: 0 } }
+ *     },
+ *     {
+ *       name: 'user',
+ *       burst: 10,
+ *       rate: 1,
+ *       key: function (req) { return req.username; },
+ *       perRoute: true
+ *     }
+ *   ]
+ * }
  */
 function throttle(options) {
     assert.object(options, 'options');
-    assert.number(options.burst, 'options.burst');
-    assert.number(options.rate, 'options.rate');
+    assert.optionalArrayOfObject(options.limits, 'options.limits');
     assert.optionalBool(options.setHeaders, 'options.setHeaders');
+    assert.optionalObject(options.store, 'options.store');
+    assert.optionalBool(options.failOpen, 'options.failOpen');
+    assert.optionalBool(options.legacyHeaders, 'options.legacyHeaders');
+    assert.optionalString(options.name, 'options.name');
+    assert.optionalNumber(options.ipv6Subnet, 'options.ipv6Subnet');
 
-    if (!xor(options.ip, options.xff, options.username)) {
-        throw new Error('(ip ^ username ^ xff)');
-    }
+    var ipv6Subnet = options.ipv6Subnet !== undefined ? options.ipv6Subnet : 64;
 
-    var table =
-        options.tokensTable || new TokenTable({ size: options.maxKeys });
+    assert.ok(
+        ipv6Subnet >= 0 && ipv6Subnet <= 128,
+        'options.ipv6Subnet must be between 0 and 128'
+    );
 
-    function rateLimit(req, res, next) {
-        var attr;
-        var burst = options.burst;
-        var rate = options.rate;
-
-        if (options.ip) {
-            attr = req.connection.remoteAddress;
-        } else if (options.xff) {
-            attr = req.headers['x-forwarded-for'];
-        } else if (options.username) {
-            attr = req.username;
-        } else {
-            req.log.warn({ config: options }, 'Invalid throttle configuration');
-            return next();
-        }
+    var limits;
 
-        // Before bothering with overrides, see if this request
-        // even matches
-        if (!attr) {
-            return next();
-        }
+    if (options.limits) {
+        assert.ok(options.limits.length > 0, 'options.limits is empty');
 
-        // Check the overrides
-        if (
-            options.overrides &&
-            options.overrides[attr] &&
-            options.overrides[attr].burst !== undefined &&
-            options.overrides[attr].rate !== undefined
-        ) {
-            burst = options.overrides[attr].burst;
-            rate = options.overrides[attr].rate;
-        }
+        limits = options.limits.map(function map(config, i) {
+            var label = 'options.limits[' + i + ']';
 
-        if (!rate || !burst) {
-            return next();
-        }
+            assert.string(config.name, label + '.name');
 
-        var bucket = table.get(attr);
+            var limit = createLimit(config, label, options.cost);
+            // keeps the buckets of each limit apart
+            limit.prefix = config.name + ':';
+            return limit;
+        });
 
-        if (!bucket) {
-            bucket = new TokenBucket({
-                capacity: burst,
-                fillRate: rate
-            });
-            table.put(attr, bucket);
-        }
+        var names = limits.map(function map(limit) {
+            return limit.name;
+        });
+
+        names.forEach(function forEach(name, i) {
+            assert.ok(
+                names.indexOf(name) === i,
+                'duplicate limit name: ' + name
+            );
+        });
+    } else {
+        limits = [createLimit(options, 'options', options.cost)];
+        limits[0].name = options.name || 'default';
+    }
+
+    var store =
+        options.store ||
+        new stores.MemoryStore({
+            table: options.tokensTable,
+            maxKeys: options.maxKeys
+        });
+    var failOpen = options.failOpen !== false;
+    var legacyHeaders = options.legacyHeaders !== false;
 
-        req.log.trace('Throttle(%s): num_tokens= %d', attr, bucket.tokens);
+    assert.func(store.consume, 'options.store.consume');
 
-        var tooManyRequests = !bucket.consume(1);
+    function rateLimit(req, res, next) {
+        // the limits checked so far, with their buckets and results
+        var checked = [];
+
+        function setHeaders(strictest) {
+            if (!options.setHeaders || checked.length === 0) {
+                return;
+            }
+
+            res.header(
+                'RateLimit-Policy',
+                checked
+                    .map(function map(entry) {
+                        return formatPolicy(
+                            entry.limit.name,
+                            entry.bucket.burst,
+                            entry.bucket.rate
+                        );
+                    })
+                    .join(', ')
+            );
+            res.header(
+                'RateLimit',
+                checked
+                    .map(function map(entry) {
+                        return formatRateLimit(entry.limit.name, entry.result);
+                    })
+                    .join(', ')
+            );
 
-        // set throttle headers after consume which changes the remaining tokens
-        if (options.setHeaders) {
-            res.header('X-RateLimit-Remaining', Math.floor(bucket.tokens));
-            res.header('X-RateLimit-Limit', burst);
-            res.header('X-RateLimit-Rate', rate);
+            if (!legacyHeaders) {
+                return;
+            }
+
+            // the legacy headers only describe one limit, the closest to
+            // throttling this client
+            if (!strictest) {
+                strictest = checked.reduce(function reduce(a, b) {
+                    return b.result.remaining < a.result.remaining ? b : a;
+                });
+            }
+
+            res.header(
+                'X-RateLimit-Remaining',
+                Math.floor(strictest.result.remaining)
+            );
+            res.header('X-RateLimit-Limit', strictest.bucket.burst);
+            res.header('X-RateLimit-Rate', strictest.bucket.rate);
         }
 
-        if (tooManyRequests) {
-            req.log.info(
-                {
-                    address: req.connection.remoteAddress || '?',
-                    method: req.method,
-                    url: req.url,
-                    user: req.username || '?'
-                },
-                'Throttling'
+        // gives back the tokens taken by limits the request passed, once
+        // another one rejected it: the request isn't served
+        function refund(entries, callback) {
+            if (entries.length === 0) {
+                callback();
+                return;
+            }
+
+            var entry = entries[0];
+
+            store.consume(
+                entry.bucket.key,
+                -entry.bucket.cost,
+                entry.bucket.burst,
+                entry.bucket.rate,
+                function onRefund(err, result) {
+                    if (err) {
+                        req.log.warn({ err: err }, 'Throttle refund failed');
+                    } else {
+                        entry.result = result;
+                    }
+
+                    refund(entries.slice(1), callback);
+                }
             );
+        }
 
-            var msg = sprintf(MESSAGE, rate);
-            return next(new TooManyRequestsError(msg));
+        function check(index) {
+            if (index === limits.length) {
+                setHeaders();
+                next();
+                return;
+            }
+
+            var limit = limits[index];
+            var bucket = resolveBucket(limit, req, ipv6Subnet);
+
+            if (!bucket) {
+                check(index + 1);
+                return;
+            }
+
+            store.consume(
+                bucket.key,
+                bucket.cost,
+                bucket.burst,
+                bucket.rate,
+                function onConsume(err, result) {
+                    if (err) {
+                        req.log.warn({ err: err }, 'Throttle store failed');
+
+                        if (failOpen) {
+                            check(index + 1);
+                            return;
+                        }
+
+                        refund(checked, function onRefunded() {
+                            next(
+                                new ServiceUnavailableError(
+                                    err,
+                                    'throttle failed'
+                                )
+                            );
+                        });
+                        return;
+                    }
+
+                    req.log.trace(
+                        'Throttle(%s): num_tokens= %d',
+                        bucket.key,
+                        result.remaining
+                    );
+
+                    var entry = {
+                        limit: limit,
+                        bucket: bucket,
+                        result: result
+                    };
+
+                    checked.push(entry);
+
+                    if (result.conformed) {
+                        check(index + 1);
+                        return;
+                    }
+
+                    refund(checked.slice(0, -1), function onRefunded() {
+                        // set throttle headers after consume which changes the
+                        // remaining tokens
+                        setHeaders(entry);
+
+                        req.log.info(
+                            {
+                                address: req.ip() || '?',
+                                method: req.method,
+                                url: req.url,
+                                user: req.username || '?',
+                                limit: limit.name
+                            },
+                            'Throttling'
+                        );
+
+                        // seconds until the bucket holds enough tokens
+                        var retryAfter = Math.ceil(
+                            (bucket.cost - result.remaining) / bucket.rate
+                        );
+
+                        res.header('Retry-After', retryAfter);
+
+                        var msg = sprintf(MESSAGE, bucket.rate);
+                        next(
+                            new TooManyRequestsError(
+                                { info: { retryAfter: retryAfter } },
+                                msg
+                            )
+                        );
+                    });
+                }
+            );
         }
 
-        return next();
+        check(0);
     }
 
     return rateLimit;
 }
 
 module.exports = throttle;
+module.exports.MemoryStore = stores.MemoryStore;
+module.exports.FileStore = stores.FileStore;
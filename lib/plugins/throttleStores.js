@@ -0,0 +1,541 @@
+'use strict';
+
+var fs = require('fs');
+
+var assert = require('assert-plus');
+var LRU = require('lru-cache');
+
+///--- Internal Class (TokenBucket)
+
+/**
+ * An implementation of the Token Bucket algorithm.
+ *
+ * Basically, in network throttling, there are two "mainstream"
+ * algorithms for throttling requests, Token Bucket and Leaky Bucket.
+ * For restify, I went with Token Bucket.  For a good description of the
+ * algorithm, see: http://en.wikipedia.org/wiki/Token_bucket
+ *
+ * In the options object, you pass in the total tokens and the fill rate.
+ * Practically speaking, this means "allow `fill rate` requests/second,
+ * with bursts up to `total tokens`".  Note that the bucket is initialized
+ * to full.
+ *
+ * Also, in googling, I came across a concise python implementation, so this
+ * is just a port of that. Thanks http://code.activestate.com/recipes/511490 !
+ *
+ * @private
+ * @class TokenBucket
+ * @param {Object} options - contains the parameters:
+ *                   - {Number} capacity the maximum burst.
+ *                   - {Number} fillRate the rate to refill tokens.
+ */
+function TokenBucket(options) {
+    assert.object(options, 'options');
+    assert.number(options.capacity, 'options.capacity');
+    assert.number(options.fillRate, 'options.fillRate');
+
+    this.tokens = this.capacity = options.capacity;
+    this.fillRate = options.fillRate;
+    this.time = Date.now();
+}
+
+/**
+ * Consume N tokens from the bucket.
+ *
+ * If there is not capacity, the tokens are not pulled from the bucket. A
+ * negative N gives tokens back, up to the capacity.
+ *
+ * @private
+ * @memberof TokenBucket
+ * @instance
+ * @function consume
+ * @param    {Number}  tokens - the number of tokens to pull out.
+ * @returns  {Boolean}        true if capacity, false otherwise.
+ */
+TokenBucket.prototype.consume = function consume(tokens) {
+    if (tokens <= this._fill()) {
+        this.tokens = Math.min(this.capacity, this.tokens - tokens);
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Fills the bucket with more tokens.
+ *
+ * Rather than do some whacky setTimeout() deal, we just approximate refilling
+ * the bucket by tracking elapsed time from the last time we touched the bucket.
+ *
+ * Simply, we set the bucket size to min(totalTokens,
+ *                                       current + (fillRate * elapsed time)).
+ *
+ * @private
+ * @memberof TokenBucket
+ * @instance
+ * @function _fill
+ * @returns  {Number} the current number of tokens in the bucket.
+ */
+TokenBucket.prototype._fill = function _fill() {
+    var now = Date.now();
+
+    // reset account for clock drift (like DST)
+    if (now < this.time) {
+        this.time = now - 1000;
+    }
+
+    if (this.tokens < this.capacity) {
+        var delta = this.fillRate * ((now - this.time) / 1000);
+        this.tokens = Math.min(this.capacity, this.tokens + delta);
+    }
+    this.time = now;
+
+    return this.tokens;
+};
+
+/**
+ * Changes the capacity and fill rate of the bucket, e.g. when the limits of
+ * a key were reconfigured.
+ *
+ * @private
+ * @memberof TokenBucket
+ * @instance
+ * @function configure
+ * @param    {Number} capacity - the maximum burst
+ * @param    {Number} fillRate - the rate to refill tokens
+ * @returns  {undefined} no return value
+ */
+TokenBucket.prototype.configure = function configure(capacity, fillRate) {
+    if (this.capacity !== capacity || this.fillRate !== fillRate) {
+        this._fill();
+        this.capacity = capacity;
+        this.fillRate = fillRate;
+        this.tokens = Math.min(this.tokens, capacity);
+    }
+};
+
+/**
+ * Returns the outcome of a consume call, as reported by stores.
+ *
+ * @private
+ * @memberof TokenBucket
+ * @instance
+ * @function result
+ * @param    {Boolean} conformed - whether the tokens were consumed
+ * @returns  {Object} the `conformed` flag, the `remaining` tokens and the
+ *                    milliseconds until the bucket is full again, `reset`
+ */
+TokenBucket.prototype.result = function result(conformed) {
+    var missing = this.capacity - this.tokens;
+    var reset = 0;
+
+    if (missing > 0 && this.fillRate > 0) {
+        reset = Math.ceil((missing / this.fillRate) * 1000);
+    }
+
+    return {
+        conformed: conformed,
+        remaining: this.tokens,
+        reset: reset
+    };
+};
+
+///--- Internal Class (TokenTable)
+/**
+ * Just a wrapper over LRU that supports put/get to store token -> bucket
+ * mappings.
+ *
+ * @private
+ * @class TokenTable
+ * @param {Object} options -      an options object
+ * @param {Number} options.size - size of the LRU
+ */
+function TokenTable(options) {
+    assert.object(options, 'options');
+
+    this.table = new LRU({ max: options.size || 10000 });
+}
+
+/**
+ * Puts a value in the token table
+ *
+ * @private
+ * @memberof TokenTable
+ * @instance
+ * @function put
+ * @param {String}      key -   a name
+ * @param {TokenBucket} value - a TokenBucket
+ * @returns {undefined} no return value
+ */
+TokenTable.prototype.put = function put(key, value) {
+    this.table.set(key, value);
+};
+
+/**
+ * Puts a value in the token table
+ *
+ * @private
+ * @memberof TokenTable
+ * @instance
+ * @function get
+ * @param {String} key - a key
+ * @returns {TokenBucket} token bucket instance
+ */
+TokenTable.prototype.get = function get(key) {
+    return this.table.get(key);
+};
+
+///--- API
+
+/**
+ * Keeps the token buckets of the `throttle` plugin in memory, in an LRU, or
+ * in any table supporting synchronous `put(key, bucket)` and `get(key)`.
+ *
+ * Stores implement `consume(key, tokens, capacity, rate, callback)`, which
+ * atomically takes `tokens` from the bucket of `key` when it holds enough of
+ * them, creating a full bucket of `capacity` tokens refilling at `rate`
+ * tokens per second if needed. Negative `tokens` are given back to the
+ * bucket, up to its `capacity`, when another limit rejected the request. The
+ * callback is called with an error, or a result object holding:
+ *
+ * * `conformed`: whether the tokens were consumed
+ * * `remaining`: tokens left in the bucket
+ * * `reset`: milliseconds until the bucket is full again
+ *
+ * @public
+ * @class MemoryStore
+ * @param {Object} [options] - an options object
+ * @param {Object} [options.table] - table storing the buckets, an LRU by
+ *                                   default
+ * @param {Number} [options.maxKeys=10000] - size of the default LRU
+ */
+function MemoryStore(options) {
+    var opts = options || {};
+
+    assert.object(opts, 'options');
+    assert.optionalObject(opts.table, 'options.table');
+    assert.optionalNumber(opts.maxKeys, 'options.maxKeys');
+
+    this.table = opts.table || new TokenTable({ size: opts.maxKeys });
+}
+
+/**
+ * Consumes tokens from the bucket of a key.
+ *
+ * @public
+ * @memberof MemoryStore
+ * @instance
+ * @function consume
+ * @param    {String} key - throttling key
+ * @param    {Number} tokens - tokens to consume
+ * @param    {Number} capacity - capacity of the bucket
+ * @param    {Number} rate - tokens added to the bucket per second
+ * @param    {Function} callback - called with an error or the result
+ * @returns  {undefined} no return value
+ */
+MemoryStore.prototype.consume = function consume(
+    key,
+    tokens,
+    capacity,
+    rate,
+    callback
+) {
+    var bucket = this.table.get(key);
+
+    if (!bucket) {
+        bucket = new TokenBucket({
+            capacity: capacity,
+            fillRate: rate
+        });
+        this.table.put(key, bucket);
+    } else {
+        bucket.configure(capacity, rate);
+    }
+
+    callback(null, bucket.result(bucket.consume(tokens)));
+};
+
+/**
+ * Keeps the token buckets of the `throttle` plugin in a JSON file, so that
+ * the processes of a `cluster`, or any processes of a host, share their
+ * limits.
+ *
+ * Each consume call locks the file with an exclusive lock file, reads the
+ * buckets, updates them and atomically replaces the file. Locks older than
+ * `staleLockTimeout` are considered abandoned, e.g. by a crashed process, and
+ * removed. Full buckets are not written, since a missing bucket is full.
+ *
+ * @public
+ * @class FileStore
+ * @param {Object} options - an options object
+ * @param {String} options.path - path of the JSON file
+ * @param {Number} [options.lockTimeout=1000] - milliseconds to wait for the
+ *  lock before failing
+ * @param {Number} [options.staleLockTimeout=5000] - age in milliseconds after
+ *  which a lock is considered abandoned
+ * @param {Number} [options.retryInterval=5] - milliseconds between two
+ *  attempts to take the lock
+ * @example
+ * var store = new restify.plugins.throttle.FileStore({
+ *     path: '/var/run/myapp/throttle.json'
+ * });
+ *
+ * server.use(restify.plugins.throttle({
+ *     burst: 100,
+ *     rate: 50,
+ *     ip: true,
+ *     store: store
+ * }));
+ */
+function FileStore(options) {
+    assert.object(options, 'options');
+    assert.string(options.path, 'options.path');
+    assert.optionalNumber(options.lockTimeout, 'options.lockTimeout');
+    assert.optionalNumber(options.staleLockTimeout, 'options.staleLockTimeout');
+    assert.optionalNumber(options.retryInterval, 'options.retryInterval');
+
+    this.path = options.path;
+    this.lockPath = options.path + '.lock';
+    this.lockTimeout = options.lockTimeout || 1000;
+    this.staleLockTimeout = options.staleLockTimeout || 5000;
+    this.retryInterval = options.retryInterval || 5;
+
+    // operations of this process are serialized, so that they don't compete
+    // for the lock with each other
+    this._queue = [];
+    this._running = false;
+}
+
+/**
+ * Consumes tokens from the bucket of a key.
+ *
+ * @public
+ * @memberof FileStore
+ * @instance
+ * @function consume
+ * @param    {String} key - throttling key
+ * @param    {Number} tokens - tokens to consume
+ * @param    {Number} capacity - capacity of the bucket
+ * @param    {Number} rate - tokens added to the bucket per second
+ * @param    {Function} callback - called with an error or the result
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype.consume = function consume(
+    key,
+    tokens,
+    capacity,
+    rate,
+    callback
+) {
+    this._queue.push({
+        key: key,
+        tokens: tokens,
+        capacity: capacity,
+        rate: rate,
+        callback: callback
+    });
+    this._next();
+};
+
+/**
+ * Runs the next queued operation, unless one is running.
+ *
+ * @private
+ * @memberof FileStore
+ * @instance
+ * @function _next
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype._next = function _next() {
+    var self = this;
+
+    if (self._running || self._queue.length === 0) {
+        return;
+    }
+
+    var op = self._queue.shift();
+
+    self._running = true;
+    self._lock(function onLock(lockErr) {
+        if (lockErr) {
+            self._done(op, lockErr);
+            return;
+        }
+
+        self._update(op, function onUpdate(err, result) {
+            fs.unlink(self.lockPath, function onUnlock() {
+                self._done(op, err, result);
+            });
+        });
+    });
+};
+
+/**
+ * Calls back an operation and runs the next one.
+ *
+ * @private
+ * @memberof FileStore
+ * @instance
+ * @function _done
+ * @param    {Object} op - operation
+ * @param    {Error} [err] - error
+ * @param    {Object} [result] - result
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype._done = function _done(op, err, result) {
+    this._running = false;
+    op.callback(err || null, result);
+    this._next();
+};
+
+/**
+ * Takes the lock file.
+ *
+ * @private
+ * @memberof FileStore
+ * @instance
+ * @function _lock
+ * @param    {Function} callback - called with an error once locked
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype._lock = function _lock(callback) {
+    var self = this;
+    var start = Date.now();
+
+    function attempt() {
+        fs.open(self.lockPath, 'wx', function onOpen(err, fd) {
+            if (!err) {
+                fs.close(fd, callback);
+                return;
+            }
+
+            if (err.code !== 'EEXIST') {
+                callback(err);
+                return;
+            }
+
+            fs.stat(self.lockPath, function onStat(statErr, stats) {
+                // the lock was released in the meantime
+                if (statErr && statErr.code === 'ENOENT') {
+                    attempt();
+                    return;
+                }
+
+                if (
+                    !statErr &&
+                    Date.now() - stats.mtime.getTime() > self.staleLockTimeout
+                ) {
+                    fs.unlink(self.lockPath, function onUnlink() {
+                        attempt();
+                    });
+                    return;
+                }
+
+                if (Date.now() - start >= self.lockTimeout) {
+                    callback(
+                        new Error(
+                            'timed out waiting for the lock ' + self.lockPath
+                        )
+                    );
+                    return;
+                }
+
+                setTimeout(attempt, self.retryInterval);
+            });
+        });
+    }
+
+    attempt();
+};
+
+/**
+ * Reads the buckets, consumes the tokens and writes the buckets back. Must be
+ * called with the lock held.
+ *
+ * @private
+ * @memberof FileStore
+ * @instance
+ * @function _update
+ * @param    {Object} op - operation
+ * @param    {Function} callback - called with an error or the result
+ * @returns  {undefined} no return value
+ */
+FileStore.prototype._update = function _update(op, callback) {
+    var self = this;
+
+    fs.readFile(self.path, 'utf8', function onRead(readErr, data) {
+        var buckets = {};
+
+        if (readErr && readErr.code !== 'ENOENT') {
+            callback(readErr);
+            return;
+        }
+
+        if (data) {
+            try {
+                buckets = JSON.parse(data);
+            } catch (e) {
+                callback(e);
+                return;
+            }
+        }
+
+        var bucket = new TokenBucket({
+            capacity: op.capacity,
+            fillRate: op.rate
+        });
+        var state = buckets[op.key];
+
+        if (state) {
+            bucket.tokens = state.tokens;
+            bucket.time = state.time;
+            bucket.capacity = state.capacity;
+            bucket.fillRate = state.fillRate;
+            bucket.configure(op.capacity, op.rate);
+        }
+
+        var result = bucket.result(bucket.consume(op.tokens));
+
+        buckets[op.key] = {
+            tokens: bucket.tokens,
+            time: bucket.time,
+            capacity: bucket.capacity,
+            fillRate: bucket.fillRate
+        };
+
+        var now = Date.now();
+
+        // forget the buckets that are full by now
+        Object.keys(buckets).forEach(function forEach(key) {
+            var b = buckets[key];
+            var tokens = b.tokens + (b.fillRate * (now - b.time)) / 1000;
+
+            if (tokens >= b.capacity) {
+                delete buckets[key];
+            }
+        });
+
+        var tmpPath = self.path + '.' + process.pid + '.tmp';
+
+        fs.writeFile(tmpPath, JSON.stringify(buckets), function onWrite(
+            writeErr
+        ) {
+            if (writeErr) {
+                callback(writeErr);
+                return;
+            }
+
+            fs.rename(tmpPath, self.path, function onRename(renameErr) {
+                callback(renameErr, result);
+            });
+        });
+    });
+};
+
+///--- Exports
+
+module.exports = {
+    TokenBucket: TokenBucket,
+    MemoryStore: MemoryStore,
+    FileStore: FileStore
+};
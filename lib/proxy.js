@@ -0,0 +1,378 @@
+'use strict';
+
+var assert = require('assert-plus');
+
+var ip = require('./ip');
+
+///--- Globals
+
+// headers the proxies may tell about the client in, see `proxyHeader`
+var HEADERS = ['x-forwarded', 'forwarded'];
+
+// ranges that can be trusted by name, as in `trustProxy: 'loopback'`
+var PRESETS = {
+    loopback: ['127.0.0.1/8', '::1/128'],
+    linklocal: ['169.254.0.0/16', 'fe80::/10'],
+    uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+///--- Helpers
+
+/**
+ * Splits a header holding a comma separated list.
+ *
+ * @private
+ * @function splitList
+ * @param    {String} [value] - header value
+ * @returns  {String[]} the non empty items
+ */
+function splitList(value) {
+    if (!value) {
+        return [];
+    }
+
+    return value
+        .split(',')
+        .map(function map(item) {
+            return item.trim();
+        })
+        .filter(function filter(item) {
+            return item.length > 0;
+        });
+}
+
+/**
+ * Parses a `Forwarded` header, as defined by
+ * [RFC 7239](https://tools.ietf.org/html/rfc7239), in the order of the hops.
+ * Parameter names are lowercased, quoted values unquoted.
+ *
+ * @private
+ * @function parseForwarded
+ * @param    {String} value - header value
+ * @returns  {Object[]|null} an object of parameters per hop, null when the
+ *                           header is malformed
+ */
+function parseForwarded(value) {
+    var elements = [];
+    var element = {};
+    var i = 0;
+
+    while (i < value.length) {
+        var c = value[i];
+
+        if (c === ' ' || c === '\t' || c === ';') {
+            i++;
+            continue;
+        }
+
+        if (c === ',') {
+            elements.push(element);
+            element = {};
+            i++;
+            continue;
+        }
+
+        var eq = value.indexOf('=', i);
+
+        if (eq === -1) {
+            return null;
+        }
+
+        var name = value
+            .slice(i, eq)
+            .trim()
+            .toLowerCase();
+        var param = '';
+
+        i = eq + 1;
+
+        if (value[i] === '"') {
+            i++;
+
+            while (i < value.length && value[i] !== '"') {
+                if (value[i] === '\\') {
+                    i++;
+                }
+
+                param += value.charAt(i);
+                i++;
+            }
+
+            if (i >= value.length) {
+                return null;
+            }
+
+            i++;
+        } else {
+            while (i < value.length && ';,'.indexOf(value[i]) === -1) {
+                param += value[i];
+                i++;
+            }
+
+            param = param.trim();
+        }
+
+        element[name] = param;
+    }
+
+    elements.push(element);
+
+    return elements;
+}
+
+/**
+ * Returns the address of a `Forwarded` node, or of an `X-Forwarded-For`
+ * entry, without its port.
+ *
+ * @private
+ * @function nodeAddress
+ * @param    {String} [node] - node, e.g. `192.0.2.43:47011` or
+ *                             `[2001:db8:cafe::17]:4711`
+ * @returns  {String|undefined} address, undefined for unknown and obfuscated
+ *                              nodes
+ */
+function nodeAddress(node) {
+    if (!node) {
+        return undefined;
+    }
+
+    var address = node;
+
+    if (address[0] === '[') {
+        address = address.slice(1, address.indexOf(']'));
+    } else if (address.split(':').length === 2) {
+        address = address.split(':')[0];
+    }
+
+    return ip.parse(address) ? address : undefined;
+}
+
+/**
+ * Returns the hops a request went through as told by the proxies, from the
+ * nearest to the farthest, with the address each proxy saw and, when known,
+ * the protocol and host the request was received with.
+ *
+ * Only the headers the proxies write are read: a client can send the other
+ * ones through proxies that leave them as is.
+ *
+ * @private
+ * @function hops
+ * @param    {Request} req - request
+ * @param    {String} header - `x-forwarded` or `forwarded`
+ * @returns  {Object[]} hops
+ */
+function hops(req, header) {
+    var headers = req.headers;
+    var list = [];
+
+    if (header === 'forwarded') {
+        if (!headers.forwarded) {
+            return list;
+        }
+
+        (parseForwarded(headers.forwarded) || []).forEach(function forEach(
+            element
+        ) {
+            list.push({
+                address: nodeAddress(element.for),
+                protocol: element.proto && element.proto.toLowerCase(),
+                host: element.host
+            });
+        });
+
+        return list.reverse();
+    }
+
+    var addresses = splitList(headers['x-forwarded-for']);
+    var protocols = splitList(headers['x-forwarded-proto']);
+    var hosts = splitList(headers['x-forwarded-host']);
+    var length = addresses.length;
+
+    // the proxy may only tell the protocol or the host
+    if (length === 0 && (protocols.length > 0 || hosts.length > 0)) {
+        length = 1;
+    }
+
+    // a proxy either appends to the X-Forwarded-Proto and -Host lists, along
+    // with X-Forwarded-For, or replaces them, their last value is the one of
+    // the nearest proxy then
+    function valueOf(values, index) {
+        if (values.length === 0) {
+            return undefined;
+        }
+
+        return values.length === length
+            ? values[index]
+            : values[values.length - 1];
+    }
+
+    for (var index = 0; index < length; index++) {
+        var protocol = valueOf(protocols, index);
+
+        list.push({
+            address: nodeAddress(addresses[index]),
+            protocol: protocol && protocol.toLowerCase(),
+            host: valueOf(hosts, index)
+        });
+    }
+
+    return list.reverse();
+}
+
+///--- API
+
+/**
+ * Compiles the `trustProxy` server option into a function telling whether a
+ * proxy is trusted from its address and its distance to the server, the
+ * proxy connected to the server being 0.
+ *
+ * @public
+ * @function compileTrust
+ * @param    {Boolean|Number|String|String[]|Function} [trustProxy] - true to
+ *           trust every proxy, a number of hops, CIDR ranges, or a
+ *           `trust(address, hop)` function
+ * @returns  {Function|null} `trust(address, hop)`, null when no proxy is
+ *                           trusted
+ */
+function compileTrust(trustProxy) {
+    if (trustProxy === undefined || trustProxy === false) {
+        return null;
+    }
+
+    if (trustProxy === true) {
+        return function trustAll() {
+            return true;
+        };
+    }
+
+    if (typeof trustProxy === 'number') {
+        assert.ok(trustProxy >= 0, 'trustProxy must not be negative');
+
+        return function trustHops(address, hop) {
+            return hop < trustProxy;
+        };
+    }
+
+    if (typeof trustProxy === 'function') {
+        return trustProxy;
+    }
+
+    var cidrs = typeof trustProxy === 'string' ? splitList(trustProxy) : [];
+
+    if (Array.isArray(trustProxy)) {
+        assert.arrayOfString(trustProxy, 'trustProxy');
+        cidrs = trustProxy;
+    }
+
+    assert.ok(
+        cidrs.length > 0,
+        'trustProxy must be a boolean, a number, CIDR ranges or a function'
+    );
+
+    var ranges = [];
+
+    cidrs.forEach(function forEach(cidr) {
+        (PRESETS[cidr] || [cidr]).forEach(function add(value) {
+            var range = ip.parseCidr(value);
+
+            assert.ok(range, 'trustProxy: invalid CIDR range ' + value);
+            ranges.push(range);
+        });
+    });
+
+    return function trustRanges(address) {
+        var parsed = ip.parse(address);
+
+        return (
+            parsed !== null &&
+            ranges.some(function some(range) {
+                return ip.contains(range, parsed);
+            })
+        );
+    };
+}
+
+/**
+ * Validates the `proxyHeader` server option.
+ *
+ * @public
+ * @function compileHeader
+ * @param    {String} [proxyHeader='x-forwarded'] - `x-forwarded` or
+ *                                                   `forwarded`
+ * @returns  {String} the header the proxies tell about the client in
+ */
+function compileHeader(proxyHeader) {
+    if (proxyHeader === undefined) {
+        return 'x-forwarded';
+    }
+
+    assert.string(proxyHeader, 'proxyHeader');
+    proxyHeader = proxyHeader.toLowerCase();
+    assert.ok(
+        HEADERS.indexOf(proxyHeader) !== -1,
+        'proxyHeader must be x-forwarded or forwarded'
+    );
+
+    return proxyHeader;
+}
+
+/**
+ * Resolves the client of a request from the `X-Forwarded-For`,
+ * `X-Forwarded-Proto` and `X-Forwarded-Host` headers, or from the `Forwarded`
+ * header only. The hops are walked from the server to the client, the
+ * information of a hop is only believed when the proxy telling it is
+ * trusted.
+ *
+ * @public
+ * @function resolve
+ * @param    {Request} req - request
+ * @param    {Function|null} trust - as returned by `compileTrust()`
+ * @param    {String} [header='x-forwarded'] - as returned by
+ *                                             `compileHeader()`
+ * @returns  {Object} the `ip` and `protocol` of the client, the `host` it
+ *                    requested, and in `ips` the addresses told by trusted
+ *                    proxies, from the client to the nearest proxy
+ */
+function resolve(req, trust, header) {
+    var socket = req.socket || req.connection || {};
+    var client = {
+        ip: socket.remoteAddress,
+        ips: [],
+        protocol: socket.encrypted ? 'https' : 'http',
+        host: req.headers.host
+    };
+
+    if (!trust) {
+        return client;
+    }
+
+    var list = hops(req, header || 'x-forwarded');
+    var address = client.ip;
+
+    for (var hop = 0; hop < list.length; hop++) {
+        if (address === undefined || !trust(address, hop)) {
+            break;
+        }
+
+        address = list[hop].address;
+
+        if (address !== undefined) {
+            client.ip = address;
+            client.ips.unshift(address);
+        }
+
+        client.protocol = list[hop].protocol || client.protocol;
+        client.host = list[hop].host || client.host;
+    }
+
+    return client;
+}
+
+///--- Exports
+
+module.exports = {
+    compileHeader: compileHeader,
+    compileTrust: compileTrust,
+    parseForwarded: parseForwarded,
+    resolve: resolve
+};
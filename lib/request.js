@@ -10,7 +10,9 @@ var mime = require('mime');
 var Negotiator = require('negotiator');
 var uuid = require('uuid');
 
+var cookies = require('./cookies');
 var dtrace = require('./dtrace');
+var proxy = require('./proxy');
 
 ///-- Helpers
 /**
@@ -37,6 +39,46 @@ function negotiator(req) {
     return req._negotiator;
 }
 
+/**
+ * Resolves, once, the client of a request behind the proxies trusted by the
+ * server.
+ *
+ * @private
+ * @function forwarded
+ * @param    {Object} req - the request object
+ * @returns  {Object} the `ip`, `ips`, `protocol` and `host` of the client
+ */
+function forwarded(req) {
+    if (!req._forwarded) {
+        req._forwarded = proxy.resolve(
+            req,
+            req._trustProxy || null,
+            req._proxyHeader
+        );
+    }
+
+    return req._forwarded;
+}
+
+/**
+ * Parses, once, the cookies of a request.
+ *
+ * @private
+ * @function parseCookies
+ * @param    {Object} req - the request object
+ * @returns  {Object} the `cookies` and `signedCookies` of the request
+ */
+function parseCookies(req) {
+    if (!req._cookies) {
+        req._cookies = cookies.parseRequest(
+            req.headers.cookie,
+            req._cookieSecrets || []
+        );
+    }
+
+    return req._cookies;
+}
+
 ///--- API
 
 /**
@@ -72,11 +114,58 @@ function patch(Request) {
     Request.prototype.absoluteUri = function absoluteUri(path) {
         assert.string(path, 'path');
 
-        var protocol = this.isSecure() ? 'https://' : 'http://';
-        var hostname = this.headers.host;
-        return url.resolve(protocol + hostname + this.path() + '/', path);
+        var client = forwarded(this);
+        var protocol = client.protocol + '://';
+        return url.resolve(protocol + client.host + this.path() + '/', path);
     };
 
+    /**
+     * The cookies of the request, by name, parsed from the `Cookie` header
+     * the first time they are read. With the `cookieSecrets` server option,
+     * signed cookies are left out, see `req.signedCookies`.
+     *
+     * @public
+     * @memberof Request
+     * @instance
+     * @name cookies
+     * @type {Object}
+     * @example
+     * server.get('/', function (req, res, next) {
+     *     res.send({ theme: req.cookies.theme });
+     *     return next();
+     * });
+     */
+    Object.defineProperty(Request.prototype, 'cookies', {
+        configurable: true,
+        get: function getCookies() {
+            return parseCookies(this).cookies;
+        },
+        set: function setCookies(value) {
+            parseCookies(this).cookies = value;
+        }
+    });
+
+    /**
+     * The signed cookies of the request, by name, verified with the
+     * `cookieSecrets` server option. Cookies whose signature doesn't verify,
+     * e.g. tampered with, are set to false.
+     *
+     * @public
+     * @memberof Request
+     * @instance
+     * @name signedCookies
+     * @type {Object}
+     */
+    Object.defineProperty(Request.prototype, 'signedCookies', {
+        configurable: true,
+        get: function getSignedCookies() {
+            return parseCookies(this).signedCookies;
+        },
+        set: function setSignedCookies(value) {
+            parseCookies(this).signedCookies = value;
+        }
+    });
+
     /**
      * Check if the Accept header is present, and includes the given type.
      * When the Accept header is not present true is returned.
@@ -633,10 +722,86 @@ function patch(Request) {
             return this._secure;
         }
 
-        this._secure = this.connection.encrypted ? true : false;
+        this._secure = this.protocol() === 'https';
         return this._secure;
     };
 
+    /**
+     * Returns the address of the client. With the `trustProxy` server option,
+     * it is read from the `Forwarded` or `X-Forwarded-For` headers set by the
+     * trusted proxies, otherwise it is the address of the socket.
+     *
+     * @public
+     * @memberof Request
+     * @instance
+     * @function ip
+     * @returns  {String} client address
+     */
+    Request.prototype.ip = function ip() {
+        return forwarded(this).ip;
+    };
+
+    /**
+     * Returns the addresses told by the trusted proxies, from the client to
+     * the proxy nearest to the server, which connected to it. Empty when no
+     * proxy is trusted.
+     *
+     * @public
+     * @memberof Request
+     * @instance
+     * @function ips
+     * @returns  {String[]} addresses
+     * @example
+     * // with trustProxy: 2
+     * // X-Forwarded-For: 203.0.113.1, 198.51.100.7, 10.0.0.3
+     * req.ips(); // => ['198.51.100.7', '10.0.0.3']
+     * req.ip(); // => '198.51.100.7'
+     */
+    Request.prototype.ips = function ips() {
+        return forwarded(this).ips.slice();
+    };
+
+    /**
+     * Returns the protocol the client used, `http` or `https`. With the
+     * `trustProxy` server option, it is read from the `Forwarded` or
+     * `X-Forwarded-Proto` headers set by the trusted proxies.
+     *
+     * @public
+     * @memberof Request
+     * @instance
+     * @function protocol
+     * @returns  {String} protocol
+     */
+    Request.prototype.protocol = function protocol() {
+        return forwarded(this).protocol;
+    };
+
+    /**
+     * Returns the hostname the client requested, without port. With the
+     * `trustProxy` server option, it is read from the `Forwarded` or
+     * `X-Forwarded-Host` headers set by the trusted proxies, otherwise from
+     * the `Host` header.
+     *
+     * @public
+     * @memberof Request
+     * @instance
+     * @function hostname
+     * @returns  {String|undefined} hostname
+     */
+    Request.prototype.hostname = function hostname() {
+        var host = forwarded(this).host;
+
+        if (!host) {
+            return undefined;
+        }
+
+        // IPv6 literals keep their brackets
+        var end = host[0] === '[' ? host.indexOf(']') + 1 : 0;
+        var colon = host.indexOf(':', end);
+
+        return colon === -1 ? host : host.slice(0, colon);
+    };
+
     /**
      * Check if the incoming request has been upgraded.
      *
@@ -710,6 +875,20 @@ function patch(Request) {
         return this.headers['user-agent'];
     };
 
+    /**
+     * Returns the `Last-Event-ID` header, the ID of the last server-sent event
+     * received by a client reconnecting to an event stream, see `res.sse()`.
+     *
+     * @public
+     * @memberof Request
+     * @instance
+     * @function lastEventId
+     * @returns  {String|undefined} event ID
+     */
+    Request.prototype.lastEventId = function lastEventId() {
+        return this.headers['last-event-id'];
+    };
+
     /**
      * Start the timer for a request handler.
      * By default, restify uses calls this automatically for all handlers
@@ -766,6 +945,13 @@ function patch(Request) {
 
         self._timerMap[name] = process.hrtime();
 
+        if (self._trace) {
+            self._trace.startHandler(
+                name,
+                name === handlerName ? undefined : self._currentHandler
+            );
+        }
+
         if (self.dtrace) {
             dtrace._rstfy_probes['handler-start'].fire(function fire() {
                 return [
@@ -809,6 +995,10 @@ function patch(Request) {
             time: self._timerMap[name]
         });
 
+        if (self._trace) {
+            self._trace.endHandler(name);
+        }
+
         if (self.dtrace) {
             dtrace._rstfy_probes['handler-done'].fire(function fire() {
                 return [
@@ -821,6 +1011,52 @@ function patch(Request) {
         }
     };
 
+    /**
+     * Returns the id of the request's trace, continued from its `traceparent`
+     * header or generated. Only available when the server was created with
+     * the `tracing` option.
+     *
+     * @public
+     * @memberof Request
+     * @instance
+     * @function traceId
+     * @returns  {String|undefined} trace id, 32 hex chars
+     */
+    Request.prototype.traceId = function traceId() {
+        return this._trace ? this._trace.root.traceId : undefined;
+    };
+
+    /**
+     * Returns the context of the span in progress: the current handler's,
+     * phase's, or the request's span. Pass it to
+     * `restify.tracing.formatTraceparent()` to propagate the trace to outgoing
+     * requests. Only available when the server was created with the `tracing`
+     * option.
+     *
+     * @public
+     * @memberof Request
+     * @instance
+     * @function spanContext
+     * @returns  {Object|undefined} the `traceId`, `spanId`, `traceFlags` and
+     *                              `traceState` of the span
+     * @example
+     * server.get('/users', function listUsers(req, res, next) {
+     *     var headers = {
+     *         traceparent: restify.tracing.formatTraceparent(
+     *             req.spanContext()
+     *         )
+     *     };
+     *     // call a downstream service with the headers
+     * });
+     */
+    Request.prototype.spanContext = function spanContext() {
+        if (!this._trace) {
+            return undefined;
+        }
+
+        return this._trace.activeSpan(this._currentHandler).context();
+    };
+
     /**
      * Returns the connection state of the request. Current possible values are:
      * - `close` - when the request has been closed by the clien
@@ -3,6 +3,7 @@
 'use strict';
 
 var http = require('http');
+var stream = require('stream');
 var sprintf = require('util').format;
 var url = require('url');
 
@@ -10,6 +11,8 @@ var assert = require('assert-plus');
 var mime = require('mime');
 var errors = require('restify-errors');
 
+var cookies = require('./cookies');
+var EventStream = require('./sse');
 var httpDate = require('./http_date');
 var utils = require('./utils');
 
@@ -251,6 +254,158 @@ function patch(Response) {
         return this.send(code, body, headers);
     };
 
+    /**
+     * Appends a `Set-Cookie` header to the response. With `signed`, the value
+     * is signed with the first of the `cookieSecrets` of the server, and read
+     * back from `req.signedCookies`.
+     *
+     * @public
+     * @memberof Response
+     * @instance
+     * @function setCookie
+     * @param    {String} name - cookie name
+     * @param    {String} value - cookie value
+     * @param    {Object} [opts] - cookie attributes
+     * @param    {Number} [opts.maxAge] - lifetime, in seconds
+     * @param    {Date} [opts.expires] - expiration date
+     * @param    {String} [opts.domain] - domain
+     * @param    {String} [opts.path='/'] - path
+     * @param    {Boolean} [opts.secure] - only sent over HTTPS
+     * @param    {Boolean} [opts.httpOnly] - hidden from scripts
+     * @param    {String|Boolean} [opts.sameSite] - `strict`, `lax` or `none`,
+     *                                              true for `strict`
+     * @param    {Boolean} [opts.partitioned] - partitioned by top level site,
+     *                                          requires `secure`
+     * @param    {Boolean} [opts.signed] - sign the value
+     * @returns  {Object} self, the response object
+     * @example
+     * res.setCookie('session', id, {
+     *     maxAge: 3600,
+     *     httpOnly: true,
+     *     secure: true,
+     *     sameSite: 'lax',
+     *     signed: true
+     * });
+     */
+    Response.prototype.setCookie = function setCookie(name, value, opts) {
+        assert.optionalObject(opts, 'opts');
+        opts = opts || {};
+        assert.optionalBool(opts.signed, 'opts.signed');
+
+        var attributes = utils.shallowCopy(opts);
+        delete attributes.signed;
+
+        if (opts.signed) {
+            var secrets = (this.req && this.req._cookieSecrets) || [];
+
+            assert.ok(
+                secrets.length > 0,
+                'signed cookies require the cookieSecrets server option'
+            );
+            attributes.secret = secrets[0];
+        }
+
+        this.header('Set-Cookie', cookies.serialize(name, value, attributes));
+        return this;
+    };
+
+    /**
+     * Expires a cookie on the client. The `domain` and `path` must be the
+     * ones the cookie was set with.
+     *
+     * @public
+     * @memberof Response
+     * @instance
+     * @function clearCookie
+     * @param    {String} name - cookie name
+     * @param    {Object} [opts] - cookie attributes, as for `setCookie()`
+     * @returns  {Object} self, the response object
+     */
+    Response.prototype.clearCookie = function clearCookie(name, opts) {
+        assert.optionalObject(opts, 'opts');
+
+        var attributes = utils.shallowCopy(opts || {});
+        delete attributes.signed;
+        attributes.maxAge = 0;
+        attributes.expires = new Date(0);
+
+        this.header('Set-Cookie', cookies.serialize(name, '', attributes));
+        return this;
+    };
+
+    /**
+     * Starts a stream of server-sent events, writing the status and the
+     * `text/event-stream` headers. Events are written to the returned
+     * `EventStream` with `send()`, and flushed as they are when the response
+     * is compressed. Heartbeat comments keep proxies from closing the
+     * connection while no event is sent.
+     *
+     * The `after` event is emitted once the stream is closed, by the server
+     * with `close()`, or by the client, as it disconnects.
+     *
+     * @public
+     * @memberof Response
+     * @instance
+     * @function sse
+     * @param    {Object} [opts] - an options object
+     * @param    {Number} [opts.heartbeat=15000] - interval of the heartbeat
+     *                                             comments, in milliseconds,
+     *                                             0 for none
+     * @param    {Number} [opts.retry] - reconnection delay of the client, in
+     *                                   milliseconds
+     * @returns  {EventStream} the event stream
+     * @example
+     * server.get('/prices', function (req, res, next) {
+     *     var events = res.sse({ retry: 5000 });
+     *
+     *     function onTick(tick) {
+     *         events.send({ event: 'tick', id: String(tick.seq), data: tick });
+     *     }
+     *
+     *     prices.replay(req.lastEventId(), onTick);
+     *     prices.on('tick', onTick);
+     *     events.once('close', function () {
+     *         prices.removeListener('tick', onTick);
+     *     });
+     *
+     *     return next();
+     * });
+     */
+    Response.prototype.sse = function sse(opts) {
+        assert.optionalObject(opts, 'opts');
+        opts = opts || {};
+        assert.optionalNumber(opts.heartbeat, 'opts.heartbeat');
+        assert.optionalNumber(opts.retry, 'opts.retry');
+        assert.ok(
+            !this.headersSent,
+            'res.sse() must be called before the headers are sent'
+        );
+
+        // the response is sent, handlers reaching the end of the chain don't
+        // need to
+        this._sent = true;
+
+        this.setHeader('Content-Type', 'text/event-stream');
+        this.setHeader('Cache-Control', 'no-cache');
+        // keeps nginx from buffering the events
+        this.setHeader('X-Accel-Buffering', 'no');
+        this.removeHeader('Content-Length');
+        this.writeHead(this.statusCode);
+
+        var events = new EventStream(this, {
+            heartbeat: opts.heartbeat === undefined ? 15000 : opts.heartbeat
+        });
+
+        if (opts.retry !== undefined) {
+            events.send({ retry: opts.retry });
+        } else if (typeof this.flushHeaders === 'function') {
+            // the client learns the stream is open
+            this.flushHeaders();
+        }
+
+        return events;
+    };
+
     /**
      * Sets the link header.
      *
@@ -279,7 +434,7 @@ function patch(Response) {
      * @instance
      * @function send
      * @param    {Number} [code] - http status code
-     * @param    {Object | Buffer | Error} [body] - the content to send
+     * @param    {Object | Buffer | Error | Stream} [body] - the content to send
      * @param    {Object} [headers] - any add'l headers to set
      * @returns  {Object} the response object
      * @example
@@ -287,13 +442,21 @@ function patch(Response) {
      * You can use send() to wrap up all the usual writeHead(), write(), end()
      * calls on the HTTP API of node.
      * You can pass send either a `code` and `body`, or just a body. body can be
-     * an `Object`, a `Buffer`, or an `Error`.
+     * an `Object`, a `Buffer`, an `Error`, a readable stream or an async
+     * iterable.
      * When you call `send()`, restify figures out how to format the response
      * based on the `content-type`.
+     * Streams of bytes are sent as is, as `application/octet-stream` unless
+     * another content-type is set. Object mode streams and async iterables
+     * are streams of values, formatted as they are read by formatters having
+     * a `stream` function, e.g. as the items of a JSON array. Streamed bodies
+     * are sent chunked.
      * </caption>
      * res.send({hello: 'world'});
      * res.send(201, {hello: 'world'});
      * res.send(new BadRequestError('meh'));
+     * res.send(fs.createReadStream('./report.csv'));
+     * res.send(db.query('SELECT * FROM users').stream());
      */
     Response.prototype.send = function send(code, body, headers) {
         var self = this;
@@ -367,7 +530,8 @@ function patch(Response) {
      *
      * @private
      * @param {Object} opts - an option sobject
-     * @param {Object | Buffer | String | Error} opts.body - the content to send
+     * @param {Object | Buffer | String | Error | Stream} opts.body - the
+     *                                                     content to send
      * @param {Boolean} opts.format - When false, skip formatting
      * @param {Number} [opts.code] - http status code
      * @param {Object} [opts.headers] - any add'l headers to set
@@ -381,6 +545,13 @@ function patch(Response) {
         var body = opts.body;
         var headers = opts.headers || {};
 
+        // a handler answering after its timeout, the timeout error was sent
+        // instead, see Server#_onHandlerTimeout
+        if (self.req._timedOut && (self._sent || self.headersSent)) {
+            log.debug('response sent after the handler timeout, ignored');
+            return self;
+        }
+
         self._sent = true;
 
         // Now lets try to derive values for optional arguments that we were not
@@ -421,6 +592,9 @@ function patch(Response) {
         // 204 = No Content and 304 = Not Modified, we don't want to send the
         // body in these cases. HEAD never provides a body.
         if (isHead || code === 204 || code === 304) {
+            if (isStreamable(body)) {
+                release(body);
+            }
             return flush(self);
         }
 
@@ -431,6 +605,22 @@ function patch(Response) {
                 return flush(self);
             }
 
+            // Byte streams are already formatted, they are sent as is
+            if (isByteStream(body)) {
+                var streamType =
+                    self.contentType ||
+                    self.getHeader('Content-Type') ||
+                    'application/octet-stream';
+
+                if (self._charSet) {
+                    streamType =
+                        streamType.split(';')[0] + '; charset=' + self._charSet;
+                }
+
+                self.setHeader('Content-Type', streamType);
+                return streamBody(self, body);
+            }
+
             // At this point we know we have a body that needs to be formatted,
             // so lets derive the formatter based on the response object's
             // properties
@@ -504,6 +694,25 @@ function patch(Response) {
             // type inferred from the most relevant formatter found.
             self.setHeader('Content-Type', type);
 
+            if (formatter && isStreamable(body)) {
+                // Streams and async iterables of values are formatted as they
+                // are read, by formatters supporting it
+                if (typeof formatter.stream !== 'function') {
+                    release(body);
+                    return formatterError(
+                        self,
+                        new errors.InternalServerError({
+                            message:
+                                'formatter (' +
+                                formatterType +
+                                ') does not support streaming'
+                        })
+                    );
+                }
+
+                return streamBody(self, body, formatter.stream(self.req, self));
+            }
+
             if (formatter) {
                 // Finally, invoke the formatter and flush the request with it's
                 // results
@@ -531,6 +740,10 @@ function patch(Response) {
             }
         }
 
+        if (isStreamable(body)) {
+            return streamBody(self, body);
+        }
+
         return flush(self, body);
     };
 
@@ -886,6 +1099,196 @@ function flush(res, body) {
     return res;
 }
 
+/**
+ * Returns whether a body is a stream or an async iterable, rather than a value
+ * to send at once.
+ *
+ * @private
+ * @function isStreamable
+ * @param {*} body - response body
+ * @returns {Boolean} true for streams and async iterables
+ */
+function isStreamable(body) {
+    return (
+        body !== null &&
+        typeof body === 'object' &&
+        !Buffer.isBuffer(body) &&
+        (typeof body.pipe === 'function' ||
+            typeof body[Symbol.asyncIterator] === 'function')
+    );
+}
+
+/**
+ * Returns whether a body is a stream of bytes, as opposed to a stream or an
+ * async iterable of values.
+ *
+ * @private
+ * @function isByteStream
+ * @param {*} body - response body
+ * @returns {Boolean} true for readable streams not in object mode
+ */
+function isByteStream(body) {
+    return (
+        isStreamable(body) &&
+        typeof body.pipe === 'function' &&
+        body.readableObjectMode !== true
+    );
+}
+
+/**
+ * Releases a body that won't be read, e.g. for HEAD requests.
+ *
+ * @private
+ * @function release
+ * @param {Object} body - stream or async iterable
+ * @returns {undefined} no return value
+ */
+function release(body) {
+    if (typeof body.destroy === 'function') {
+        body.destroy();
+    } else if (typeof body.return === 'function') {
+        // async generators run their finally blocks
+        Promise.resolve(body.return()).catch(function onReturnError() {});
+    }
+}
+
+/**
+ * Sends a stream or async iterable as the response body, optionally through
+ * the transform stream of a formatter. Chunks are written as they are read,
+ * pausing the source while the response doesn't drain, with the status and
+ * headers written along with the first one. As the length of the body isn't
+ * known, it is sent chunked.
+ *
+ * When the source fails before anything was written, an error response is
+ * sent instead. Once the headers are sent, it is too late to tell the client,
+ * the connection is destroyed so that it doesn't take the truncated body for
+ * a complete one, and the error is reported by the `after` event.
+ *
+ * @private
+ * @function streamBody
+ * @param {Response} res - response
+ * @param {Object} body - stream or async iterable
+ * @param {stream.Transform} [transform] - formatter stream
+ * @returns {Response} response
+ */
+function streamBody(res, body, transform) {
+    var source = typeof body.pipe === 'function' ? body : null;
+    var output;
+    var started = false;
+    var done = false;
+
+    if (!source) {
+        source = stream.Readable.from(body);
+    }
+
+    function start() {
+        if (!started) {
+            started = true;
+            res.writeHead(res.statusCode);
+        }
+    }
+
+    function onData(chunk) {
+        start();
+
+        if (res.write(chunk) === false) {
+            output.pause();
+            res.once('drain', onDrain);
+        }
+    }
+
+    function onDrain() {
+        output.resume();
+    }
+
+    function onEnd() {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        start();
+        res.end();
+
+        if (res.log.trace()) {
+            res.log.trace({ res: res }, 'response sent');
+        }
+    }
+
+    function onError(err) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        output.removeListener('data', onData);
+        source.destroy();
+
+        if (!started) {
+            var httpErr = err.statusCode
+                ? err
+                : new InternalServerError(err, 'could not stream body');
+
+            res.log.warn(
+                { req: res.req, err: err },
+                'error streaming response body'
+            );
+            res.err = res.err || err;
+
+            // nothing was written yet, the error is sent instead, formatted as
+            // any other error rather than as the stream's content type
+            res.contentType = undefined;
+            res.removeHeader('Content-Type');
+            res.__send({
+                // as in formatterError, keep the status code set by the user
+                code:
+                    res.statusCode >= 200 && res.statusCode < 300
+                        ? httpErr.statusCode
+                        : res.statusCode,
+                body: httpErr,
+                format: true
+            });
+            return;
+        }
+
+        res.log.warn(
+            { req: res.req, err: err },
+            'error streaming response body, destroying the connection'
+        );
+        res._streamError = err;
+        res.err = res.err || err;
+        res.destroy();
+    }
+
+    // the client went away, stop reading
+    function onClose() {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        output.removeListener('data', onData);
+        source.destroy();
+    }
+
+    if (transform) {
+        output = stream.pipeline(source, transform, function onPipeline(err) {
+            if (err) {
+                onError(err);
+            }
+        });
+    } else {
+        output = source;
+        output.on('error', onError);
+    }
+
+    res.once('close', onClose);
+    output.on('data', onData);
+    output.once('end', onEnd);
+
+    return res;
+}
+
 /**
  * formatterError is used to handle any case where we were unable to
  * properly format the provided body
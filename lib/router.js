@@ -7,13 +7,18 @@ var http = require('http');
 var _ = require('lodash');
 var assert = require('assert-plus');
 var errors = require('restify-errors');
+var semver = require('semver');
 var uuid = require('uuid');
 
 var Chain = require('./chain');
 var RouterRegistryRadix = require('./routerRegistryRadix');
+var schemaValidation = require('./schema');
+var argumentsToChain = require('./utils').argumentsToChain;
+var shallowCopy = require('./utils').shallowCopy;
 
 ///--- Globals
 
+var InvalidVersionError = errors.InvalidVersionError;
 var MethodNotAllowedError = errors.MethodNotAllowedError;
 var ResourceNotFoundError = errors.ResourceNotFoundError;
 
@@ -23,10 +28,13 @@ var ResourceNotFoundError = errors.ResourceNotFoundError;
  * Router class handles mapping of http verbs and a regexp path,
  * to an array of handler functions.
  *
+ * A router can also be created on its own, and mounted on a server under a
+ * path prefix with `server.mount()`.
+ *
  * @class
  * @public
- * @param  {Object} options - an options object
- * @param  {Bunyan} options.log - Bunyan logger instance
+ * @param  {Object} [options] - an options object
+ * @param  {Bunyan} [options.log] - Bunyan logger instance
  * @param {Boolean} [options.onceNext=false] - Prevents calling next multiple
  *  times
  * @param {Boolean} [options.strictNext=false] - Throws error when next() is
@@ -34,16 +42,27 @@ var ResourceNotFoundError = errors.ResourceNotFoundError;
  * @param {Object} [options.registry] - route registry
  * @param {Boolean} [options.ignoreTrailingSlash=false] - ignore trailing slash
  * on paths
+ * @param {Boolean} [options.handleOptionsStar=true] - respond with a 200 to
+ * `OPTIONS *` requests when no route matches
+ * @example
+ * var accounts = new restify.Router();
+ *
+ * accounts.use(authenticate);
+ * accounts.get('/:id', getAccount);
+ *
+ * server.mount('/v2/accounts', accounts);
  */
 function Router(options) {
-    assert.object(options, 'options');
-    assert.object(options.log, 'options.log');
+    assert.optionalObject(options, 'options');
+    options = options || {};
+    assert.optionalObject(options.log, 'options.log');
     assert.optionalBool(options.onceNext, 'options.onceNext');
     assert.optionalBool(options.strictNext, 'options.strictNext');
     assert.optionalBool(
         options.ignoreTrailingSlash,
         'options.ignoreTrailingSlash'
     );
+    assert.optionalBool(options.handleOptionsStar, 'options.handleOptionsStar');
 
     EventEmitter.call(this);
 
@@ -51,10 +70,21 @@ function Router(options) {
     this.onceNext = !!options.onceNext;
     this.strictNext = !!options.strictNext;
     this.name = 'RestifyRouter';
+    this.handleOptionsStar = options.handleOptionsStar !== false;
+    this.ignoreTrailingSlash = !!options.ignoreTrailingSlash;
+    this.useChain = new Chain({
+        onceNext: this.onceNext,
+        strictNext: this.strictNext
+    });
 
     // Internals
     this._anonymousHandlerCounter = 0;
     this._registry = options.registry || new RouterRegistryRadix(options);
+    // Routers this router is mounted on, with their prefix and namespace
+    this._parents = [];
+    // Copies of our routes mounted on the parent routers, by route name
+    this._copies = {};
+    this._useHandler = createUseHandler(this);
 }
 util.inherits(Router, EventEmitter);
 
@@ -73,7 +103,8 @@ Router.prototype.lookup = function lookup(req, res) {
     var pathname = req.getUrl().pathname;
 
     // Find route
-    var registryRoute = this._registry.lookup(req.method, pathname);
+    var version = typeof req.version === 'function' ? req.version() : undefined;
+    var registryRoute = this._registry.lookup(req.method, pathname, version);
 
     // Not found
     if (!registryRoute) {
@@ -84,6 +115,12 @@ Router.prototype.lookup = function lookup(req, res) {
     req.params = Object.assign(req.params, registryRoute.params);
     req.route = registryRoute.route;
 
+    // Versioned route
+    if (registryRoute.version) {
+        req._matchedVersion = registryRoute.version;
+        res.header('api-version', registryRoute.version);
+    }
+
     // Call handler chain
     return registryRoute.handler;
 };
@@ -114,6 +151,31 @@ Router.prototype.lookupByName = function lookupByName(name, req, res) {
     return route.chain.run.bind(route.chain);
 };
 
+/**
+ * Returns the HTTP methods that have a route mounted for the given pathname.
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function getAllowedMethods
+ * @param  {String} pathname - request pathname
+ * @returns {String[]} HTTP methods, empty when no route matches the path
+ * @example
+ * server.get('/foo/:id', handler);
+ * server.del('/foo/:id', handler);
+ * server.router.getAllowedMethods('/foo/bar');
+ * // => ['DELETE', 'GET']
+ */
+Router.prototype.getAllowedMethods = function getAllowedMethods(pathname) {
+    var self = this;
+
+    assert.string(pathname, 'pathname');
+
+    return http.METHODS.filter(function filter(method) {
+        return !!self._registry.lookup(method, pathname);
+    });
+};
+
 /**
  * Takes an object of route params and query params, and 'renders' a URL.
  *
@@ -156,7 +218,7 @@ Router.prototype.render = function render(routeName, params, query) {
         return null;
     }
 
-    var _path = route.spec.path;
+    var _path = joinPath(self._getPrefix(), route.spec.path);
     var _url = _path.replace(/\/:([A-Za-z0-9_]+)(\([^\\]+?\))?/g, pathItem);
     var items = Object.keys(query || {}).map(queryItem);
     var queryString = items.length > 0 ? '?' + items.join('&') : '';
@@ -174,6 +236,17 @@ Router.prototype.render = function render(routeName, params, query) {
  * @param    {String} opts.name - name
  * @param    {String} opts.method - method
  * @param    {String} opts.path - path can be any String
+ * @param    {String|String[]} [opts.version] - versions served by the route,
+ * matched against the `accept-version` header. Versions can be ranges, such
+ * as `2.x`. Several routes can be mounted on the same method and path with
+ * different versions.
+ * @param    {String} [opts.prefix] - prefix of the router the route was
+ * mounted from, part of `opts.path`
+ * @param    {Object} [opts.schema] - JSON Schemas of the request's `params`,
+ * `query`, `headers` and `body`, requests are validated against them before
+ * the route's handlers run
+ * @param    {Number} [opts.timeout] - milliseconds the route's handlers may
+ * run, see the `handlerTimeout` server option
  * @param    {Function[]} handlers - handlers
  * @returns  {String} returns the route name if creation is successful.
  * @fires ...String#mount
@@ -185,17 +258,44 @@ Router.prototype.mount = function mount(opts, handlers) {
     assert.string(opts.method, 'opts.method');
     assert.arrayOfFunc(handlers, 'handlers');
     assert.optionalString(opts.name, 'opts.name');
+    assert.optionalObject(opts.schema, 'opts.schema');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+
+    var versions = opts.versions || opts.version || [];
+
+    if (typeof versions === 'string') {
+        versions = [versions];
+    }
+
+    assert.arrayOfString(versions, 'opts.version');
+    versions.forEach(function forEach(version) {
+        assert.ok(
+            semver.valid(version) || semver.validRange(version),
+            'opts.version: invalid version ' + version
+        );
+    });
 
     var chain = new Chain({
         onceNext: self.onceNext,
         strictNext: self.strictNext
     });
 
+    // Routes mounted from another router already validate their schema
+    var validated = handlers.some(function some(handler) {
+        return handler._schema === opts.schema;
+    });
+
+    if (opts.schema && !validated) {
+        chain.add(schemaValidation.createValidator(opts.schema));
+    }
+
     // Route
     var route = {
         name: self._getRouteName(opts.name, opts.method, opts.path),
         method: opts.method,
         path: opts.path,
+        prefix: opts.prefix || '',
+        versions: versions,
         spec: opts,
         chain: chain
     };
@@ -214,6 +314,10 @@ Router.prototype.mount = function mount(opts, handlers) {
     self._registry.add(route);
     self.emit('mount', route.method, route.path);
 
+    self._parents.forEach(function forEach(parent) {
+        mountOnParent(self, parent, route);
+    });
+
     return route;
 };
 
@@ -231,9 +335,224 @@ Router.prototype.unmount = function unmount(name) {
     assert.string(name, 'name');
 
     var route = this._registry.remove(name);
+
+    // Remove the copies mounted on the parent routers
+    (this._copies[name] || []).forEach(function forEach(copy) {
+        copy.router.unmount(copy.name);
+    });
+    delete this._copies[name];
+
     return route;
 };
 
+// eslint-disable-next-line jsdoc/check-param-names
+/**
+ * Adds handlers that run for the routes of this router only, after the
+ * server's `use()` handlers. They run when the router is mounted on a server,
+ * or is a group created with `server.group()`.
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function use
+ * @param {...Function|Array} handler - A variable number of handler functions
+ * and/or a variable number of nested arrays of handler functions
+ * @returns {Router} returns self
+ */
+Router.prototype.use = function use() {
+    var self = this;
+    var handlers = Array.prototype.slice.call(arguments);
+
+    argumentsToChain(handlers).forEach(function forEach(handler) {
+        handler._name = handler.name || 'use-' + self.useChain.count();
+        self.useChain.add(handler);
+    });
+
+    return this;
+};
+
+/**
+ * Mounts a chain on the given path against this HTTP verb
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function get
+ * @param   {Server~methodOpts} opts - if string, the URL to handle.
+ *                                 if options, the URL to handle, at minimum.
+ * @returns {String}               the name of the newly created route.
+ */
+Router.prototype.get = routerMethodFactory('GET');
+
+/**
+ * Mounts a chain on the given path against this HTTP verb
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function head
+ * @param   {Server~methodOpts} opts - if string, the URL to handle.
+ *                                 if options, the URL to handle, at minimum.
+ * @returns {String}               the name of the newly created route.
+ */
+Router.prototype.head = routerMethodFactory('HEAD');
+
+/**
+ * Mounts a chain on the given path against this HTTP verb
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function post
+ * @param   {Server~methodOpts} opts - if string, the URL to handle.
+ *                                 if options, the URL to handle, at minimum.
+ * @returns {String}               the name of the newly created route.
+ */
+Router.prototype.post = routerMethodFactory('POST');
+
+/**
+ * Mounts a chain on the given path against this HTTP verb
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function put
+ * @param   {Server~methodOpts} opts - if string, the URL to handle.
+ *                                 if options, the URL to handle, at minimum.
+ * @returns {String}               the name of the newly created route.
+ */
+Router.prototype.put = routerMethodFactory('PUT');
+
+/**
+ * Mounts a chain on the given path against this HTTP verb
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function patch
+ * @param   {Server~methodOpts} opts - if string, the URL to handle.
+ *                                 if options, the URL to handle, at minimum.
+ * @returns {String}               the name of the newly created route.
+ */
+Router.prototype.patch = routerMethodFactory('PATCH');
+
+/**
+ * Mounts a chain on the given path against this HTTP verb
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function del
+ * @param   {Server~methodOpts} opts - if string, the URL to handle.
+ *                                 if options, the URL to handle, at minimum.
+ * @returns {String}               the name of the newly created route.
+ */
+Router.prototype.del = routerMethodFactory('DELETE');
+
+/**
+ * Mounts a chain on the given path against this HTTP verb
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function opts
+ * @param   {Server~methodOpts} opts - if string, the URL to handle.
+ *                                 if options, the URL to handle, at minimum.
+ * @returns {String}               the name of the newly created route.
+ */
+Router.prototype.opts = routerMethodFactory('OPTIONS');
+
+/**
+ * Mounts the routes of another router under a path prefix. Routes added to
+ * the router later on are mounted as well.
+ *
+ * The mounted routes are named after the prefix, e.g. the `getid` route of a
+ * router mounted on `/v2/accounts` is named `v2accounts.getid`, and their
+ * chain starts with the router's `use()` handlers.
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function attach
+ * @param    {String} prefix - path prefix, e.g. `/v2/accounts`
+ * @param    {Router} router - the router to mount
+ * @param    {Object} [opts] - an options object
+ * @param    {String} [opts.name] - namespace of the route names, derived from
+ * the prefix by default
+ * @returns  {Router} returns self
+ */
+Router.prototype.attach = function attach(prefix, router, opts) {
+    var self = this;
+
+    assert.string(prefix, 'prefix');
+    assert.ok(router instanceof Router, 'router must be a Router');
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalString(opts.name, 'opts.name');
+
+    prefix = prefix.replace(/\/+$/, '');
+    assert.ok(
+        prefix === '' || prefix[0] === '/',
+        'prefix must start with a slash'
+    );
+    assert.ok(
+        !hasAncestor(self, router),
+        'router can not be mounted on itself'
+    );
+
+    var parent = {
+        router: self,
+        prefix: prefix,
+        name: opts.name || prefix.replace(/\W/g, '').toLowerCase()
+    };
+
+    router._parents.push(parent);
+    _.forEach(router.getRoutes(), function forEach(route) {
+        mountOnParent(router, parent, route);
+    });
+
+    return self;
+};
+
+/**
+ * Creates a router mounted under a path prefix, and passes it to `fn` to
+ * register the group's routes and `use()` handlers.
+ *
+ * @public
+ * @memberof Router
+ * @instance
+ * @function group
+ * @param    {String} prefix - path prefix, e.g. `/v2/accounts`
+ * @param    {Object} [opts] - an options object, see `attach()`
+ * @param    {Function} fn - called with the group's router
+ * @returns  {Router} the group's router
+ * @example
+ * server.router.group('/v2/accounts', function (g) {
+ *     g.use(authenticate);
+ *     g.get('/:id', getAccount);
+ * });
+ */
+Router.prototype.group = function group(prefix, opts, fn) {
+    if (typeof opts === 'function') {
+        fn = opts;
+        opts = undefined;
+    }
+
+    assert.func(fn, 'fn');
+
+    var router = new Router({
+        log: this.log,
+        onceNext: this.onceNext,
+        strictNext: this.strictNext,
+        ignoreTrailingSlash: this.ignoreTrailingSlash
+    });
+
+    this.attach(prefix, router, opts);
+    fn(router);
+
+    return router;
+};
+
 /**
  * toString() serialization.
  *
@@ -262,7 +581,16 @@ Router.prototype.getDebugInfo = function getDebugInfo() {
             name: route.name,
             method: route.method.toLowerCase(),
             path: route.path,
-            handlers: route.chain.getHandlers()
+            prefix: route.prefix,
+            versions: route.versions,
+            // expand the use() handlers of mounted routers
+            handlers: _.flatMap(route.chain.getHandlers(), function flatMap(
+                handler
+            ) {
+                return handler._useChain
+                    ? handler._useChain.getHandlers()
+                    : handler;
+            })
         };
     });
 };
@@ -282,9 +610,9 @@ Router.prototype.getRoutes = function getRoutes() {
 /**
  * Returns true if the router generated a 404 for an options request.
  *
- * TODO: this is relevant for CORS only. Should move this out eventually to a
- * userland middleware? This also seems a little like overreach, as there is no
- * option to opt out of this behavior today.
+ * This is only relevant for CORS. Preflight requests for mounted routes are
+ * better answered by the `cors` plugin, and this behavior can be turned off
+ * with the `handleOptionsStar` option.
  *
  * @private
  * @static
@@ -316,16 +644,37 @@ Router.prototype.defaultRoute = function defaultRoute(req, res, next) {
     var pathname = req.getUrl().pathname;
 
     // Allow CORS
-    if (Router._optionsError(req, res, pathname)) {
+    if (self.handleOptionsStar && Router._optionsError(req, res, pathname)) {
         res.send(200);
         next(null, req, res);
         return;
     }
 
+    // Check for a version mismatch
+    var registryRoute = self._registry.lookup(req.method, pathname);
+
+    if (registryRoute && registryRoute.versions) {
+        var versionErr = new InvalidVersionError(
+            {
+                info: {
+                    versions: registryRoute.versions
+                }
+            },
+            '%s is not supported by %s %s',
+            req.version() || '?',
+            req.method,
+            pathname
+        );
+        next(versionErr, req, res);
+        return;
+    }
+
     // Check for 405 instead of 404
-    var allowedMethods = http.METHODS.filter(function some(method) {
-        return method !== req.method && self._registry.lookup(method, pathname);
-    });
+    var allowedMethods = self
+        .getAllowedMethods(pathname)
+        .filter(function filter(method) {
+            return method !== req.method;
+        });
 
     if (allowedMethods.length) {
         res.methods = allowedMethods;
@@ -371,4 +720,146 @@ Router.prototype._getRouteName = function _getRouteName(name, method, path) {
     return name;
 };
 
+/**
+ * Returns the prefix the router is mounted under, including the prefixes of
+ * its parents. Only the first mount point is considered.
+ *
+ * @private
+ * @memberof Router
+ * @instance
+ * @function _getPrefix
+ * @returns  {String} prefix, empty for the server's router
+ */
+Router.prototype._getPrefix = function _getPrefix() {
+    var parent = this._parents[0];
+
+    if (!parent) {
+        return '';
+    }
+
+    return parent.router._getPrefix() + parent.prefix;
+};
+
+///--- Helpers
+
+/**
+ * Prepends a prefix to a path, `/` being the prefix itself.
+ *
+ * @private
+ * @function joinPath
+ * @param    {String} prefix - path prefix
+ * @param    {String} path - path
+ * @returns  {String} prefixed path
+ */
+function joinPath(prefix, path) {
+    if (prefix && path === '/') {
+        return prefix;
+    }
+
+    return prefix + path;
+}
+
+/**
+ * Returns true if `ancestor` is the router itself or one of its parents.
+ *
+ * @private
+ * @function hasAncestor
+ * @param    {Router} router - router
+ * @param    {Router} ancestor - candidate ancestor
+ * @returns  {Boolean} is an ancestor
+ */
+function hasAncestor(router, ancestor) {
+    return (
+        router === ancestor ||
+        router._parents.some(function some(parent) {
+            return hasAncestor(parent.router, ancestor);
+        })
+    );
+}
+
+/**
+ * Creates the handler running the `use()` handlers of a router, for the
+ * routes it mounts on its parents.
+ *
+ * @private
+ * @function createUseHandler
+ * @param    {Router} router - router
+ * @returns  {Function} handler
+ */
+function createUseHandler(router) {
+    function routerUse(req, res, next) {
+        router.useChain.run(req, res, function useChainDone(err) {
+            // the chain moved the current handler to its own handlers
+            req._currentHandler = routerUse._name;
+            next(err);
+        });
+    }
+
+    routerUse._useChain = router.useChain;
+
+    return routerUse;
+}
+
+/**
+ * Mounts a copy of a router's route on one of its parents.
+ *
+ * @private
+ * @function mountOnParent
+ * @param    {Router} router - router the route belongs to
+ * @param    {Object} parent - parent, as stored in `router._parents`
+ * @param    {Object} route - route
+ * @returns  {undefined} no return value
+ */
+function mountOnParent(router, parent, route) {
+    var opts = shallowCopy(route.spec);
+
+    opts.name = parent.name ? parent.name + '.' + route.name : route.name;
+    opts.path = joinPath(parent.prefix, route.path);
+    opts.prefix = parent.prefix + route.prefix;
+
+    var copy = parent.router.mount(
+        opts,
+        [router._useHandler].concat(route.chain.getHandlers())
+    );
+
+    router._copies[route.name] = (router._copies[route.name] || []).concat({
+        router: parent.router,
+        name: copy.name
+    });
+}
+
+/**
+ * Mounts a chain on the given path against this HTTP verb
+ *
+ * @private
+ * @function routerMethodFactory
+ * @param {String} method - name of the HTTP method
+ * @returns {Function} factory
+ */
+function routerMethodFactory(method) {
+    return function routerMethod(opts) {
+        if (typeof opts === 'string') {
+            opts = {
+                path: opts
+            };
+        } else if (typeof opts === 'object') {
+            opts = shallowCopy(opts);
+        } else {
+            throw new TypeError('path (string) required');
+        }
+
+        if (arguments.length < 2) {
+            throw new TypeError('handler (function) required');
+        }
+
+        opts.method = method;
+        opts.path = opts.path || opts.url;
+
+        var handlers = Array.prototype.slice.call(arguments, 1);
+        var route = this.mount(opts, argumentsToChain(handlers));
+
+        return route.name;
+    };
+}
+
 module.exports = Router;
@@ -2,8 +2,63 @@
 
 var assert = require('assert-plus');
 var FindMyWay = require('find-my-way');
+var semver = require('semver');
 var Chain = require('./chain');
 
+///--- Helpers
+
+/**
+ * Finds the route that best matches the requested version: the one with the
+ * highest version satisfying it. Versions declared as ranges (e.g. `2.x`)
+ * match when they intersect the requested range, and rank by their lowest
+ * version. Unversioned routes match any version.
+ *
+ * @private
+ * @function matchVersion
+ * @param  {Object[]} entries - routes mounted on the same method and path,
+ *                              with their handlers
+ * @param  {String} version - requested version or range
+ * @returns {Object|undefined} the matching entry, and the matched version
+ */
+function matchVersion(entries, version) {
+    var best;
+
+    if (!semver.validRange(version)) {
+        return undefined;
+    }
+
+    entries.forEach(function forEach(entry) {
+        var versions = entry.route.versions;
+
+        if (!versions || versions.length === 0) {
+            best = best || { entry: entry };
+            return;
+        }
+
+        versions.forEach(function forEachVersion(v) {
+            var rank;
+
+            if (semver.valid(v)) {
+                if (!semver.satisfies(v, version)) {
+                    return;
+                }
+                rank = v;
+            } else {
+                if (!semver.intersects(v, version)) {
+                    return;
+                }
+                rank = semver.minVersion(v).version;
+            }
+
+            if (!best || !best.rank || semver.gt(rank, best.rank)) {
+                best = { entry: entry, version: v, rank: rank };
+            }
+        });
+    });
+
+    return best;
+}
+
 /**
  * Radix tree based router registry backed by `find-my-way`
  *
@@ -16,6 +71,9 @@ var Chain = require('./chain');
 function RouterRegistryRadix(options) {
     this._findMyWay = new FindMyWay(options);
     this._routes = {};
+    // Routes mounted on the same method and path, only allowed when they are
+    // versioned
+    this._entries = {};
 }
 
 /**
@@ -31,6 +89,8 @@ function RouterRegistryRadix(options) {
  * @param    {String} route.path - any String accepted by
  * [find-my-way](https://github.com/delvedor/find-my-way)
  * @param    {Chain} route.chain - Chain instance
+ * @param    {String[]} [route.versions] - versions served by the route, more
+ * than one route can be mounted on the same method and path when versioned
  * @returns  {Boolean} true
  */
 RouterRegistryRadix.prototype.add = function add(route) {
@@ -38,17 +98,40 @@ RouterRegistryRadix.prototype.add = function add(route) {
     assert.string(route.method, 'route.method');
     assert.string(route.path, 'path');
     assert.ok(route.chain instanceof Chain, 'route.chain');
+    assert.optionalArrayOfString(route.versions, 'route.versions');
 
-    this._findMyWay.on(
-        route.method,
-        route.path,
-        function onRoute(req, res, next) {
+    var key = route.method + ' ' + route.path;
+    var entries = this._entries[key];
+    var entry = {
+        route: route,
+        handler: function onRoute(req, res, next) {
             route.chain.run(req, res, next);
-        },
-        {
-            route: route
         }
-    );
+    };
+
+    if (entries && isVersioned(route) && entries.every(isVersionedEntry)) {
+        route.versions.forEach(function forEach(version) {
+            entries.forEach(function forEachEntry(other) {
+                assert.ok(
+                    other.route.versions.indexOf(version) === -1,
+                    'version ' +
+                        version +
+                        ' already declared for ' +
+                        route.method +
+                        ' ' +
+                        route.path
+                );
+            });
+        });
+        entries.push(entry);
+    } else {
+        // find-my-way throws for duplicated routes
+        entries = [entry];
+        this._findMyWay.on(route.method, route.path, entry.handler, {
+            entries: entries
+        });
+        this._entries[key] = entries;
+    }
 
     this._routes[route.name] = route;
 
@@ -75,7 +158,21 @@ RouterRegistryRadix.prototype.remove = function remove(name) {
     }
 
     // remove from registry
-    this._findMyWay.off(route.method, route.path);
+    var key = route.method + ' ' + route.path;
+    var entries = this._entries[key];
+
+    entries.splice(
+        entries.findIndex(function findIndex(entry) {
+            return entry.route === route;
+        }),
+        1
+    );
+
+    if (entries.length === 0) {
+        this._findMyWay.off(route.method, route.path);
+        delete this._entries[key];
+    }
+
     delete this._routes[name];
 
     return route;
@@ -90,11 +187,18 @@ RouterRegistryRadix.prototype.remove = function remove(name) {
  * @function Registry
  * @param  {String} method - method
  * @param  {String} pathname - pathname
- * @returns {Chain|undefined} handler or undefined
+ * @param  {String} [version='*'] - requested version or range
+ * @returns {Object|undefined} the route, its params and handler, plus all the
+ * versions mounted on the path for versioned routes, or undefined
  */
-RouterRegistryRadix.prototype.lookup = function lookup(method, pathname) {
+RouterRegistryRadix.prototype.lookup = function lookup(
+    method,
+    pathname,
+    version
+) {
     assert.string(method, 'method');
     assert.string(pathname, 'pathname');
+    assert.optionalString(version, 'version');
 
     var fmwRoute = this._findMyWay.find(method, pathname);
 
@@ -103,12 +207,29 @@ RouterRegistryRadix.prototype.lookup = function lookup(method, pathname) {
         return undefined;
     }
 
-    // Call handler chain
-    return {
-        route: fmwRoute.store.route,
+    var entries = fmwRoute.store.entries;
+    var match = matchVersion(entries, version || '*');
+
+    // No route for the requested version
+    if (!match) {
+        return undefined;
+    }
+
+    var result = {
+        route: match.entry.route,
         params: fmwRoute.params,
-        handler: fmwRoute.handler
+        handler: match.entry.handler
     };
+
+    if (match.version) {
+        result.version = match.version;
+        result.versions = entries.reduce(function reduce(acc, entry) {
+            return acc.concat(entry.route.versions || []);
+        }, []);
+    }
+
+    // Call handler chain
+    return result;
 };
 
 /**
@@ -137,4 +258,28 @@ RouterRegistryRadix.prototype.toString = function toString() {
     return this._findMyWay.prettyPrint();
 };
 
+/**
+ * Returns true if the route is versioned.
+ *
+ * @private
+ * @function isVersioned
+ * @param  {Object} route - a route object
+ * @returns {Boolean} is versioned
+ */
+function isVersioned(route) {
+    return !!route.versions && route.versions.length > 0;
+}
+
+/**
+ * Returns true if the registry entry holds a versioned route.
+ *
+ * @private
+ * @function isVersionedEntry
+ * @param  {Object} entry - a registry entry
+ * @returns {Boolean} is versioned
+ */
+function isVersionedEntry(entry) {
+    return isVersioned(entry.route);
+}
+
 module.exports = RouterRegistryRadix;
@@ -0,0 +1,195 @@
+'use strict';
+
+var assert = require('assert-plus');
+var Ajv = require('ajv');
+var errors = require('restify-errors');
+var qs = require('qs');
+
+///--- Globals
+
+var BadRequestError = errors.BadRequestError;
+var UnprocessableEntityError = errors.UnprocessableEntityError;
+
+// Parts of the request that can be validated, in the order they are checked
+var LOCATIONS = ['params', 'query', 'headers', 'body'];
+
+// Path params, query strings and headers are always strings, they are
+// coerced to the types declared in the schema. Bodies are validated as is.
+var coercingAjv = new Ajv({
+    allErrors: true,
+    coerceTypes: 'array',
+    jsonPointers: true,
+    useDefaults: true
+});
+var ajv = new Ajv({
+    allErrors: true,
+    jsonPointers: true,
+    useDefaults: true
+});
+
+///--- Helpers
+
+/**
+ * Returns the field an ajv error is about, as a dotted path.
+ *
+ * @private
+ * @function errorField
+ * @param    {Object} error - ajv error
+ * @returns  {String} field, empty for the whole location
+ */
+function errorField(error) {
+    var segments = error.dataPath
+        .split('/')
+        .slice(1)
+        .map(function map(segment) {
+            return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+        });
+
+    if (error.keyword === 'required') {
+        segments.push(error.params.missingProperty);
+    }
+
+    return segments.join('.');
+}
+
+/**
+ * Returns the value of a request location to validate. The query string is
+ * parsed when the queryParser plugin is not used.
+ *
+ * @private
+ * @function getValue
+ * @param    {Request} req - the request object
+ * @param    {String} location - one of params, query, headers or body
+ * @returns  {*} value
+ */
+function getValue(req, location) {
+    if (location === 'query' && typeof req.query === 'function') {
+        req.query = qs.parse(req.getQuery());
+    }
+
+    return req[location];
+}
+
+///--- API
+
+/**
+ * Compiles the JSON Schemas of a route, and returns a handler validating
+ * requests against them. Path params, query strings and headers are coerced
+ * in place to the declared types, e.g. an `:id` param declared as an integer
+ * is a number once validated.
+ *
+ * Requests failing validation are rejected with a `BadRequestError`, or an
+ * `UnprocessableEntityError` when only the body is invalid. Both list every
+ * failing field in their `errors` info, which is also sent to the client.
+ *
+ * @public
+ * @function createValidator
+ * @throws   {Error} when a schema is invalid
+ * @param    {Object} schema - schemas of the route
+ * @param    {Object} [schema.params] - schema of `req.params`
+ * @param    {Object} [schema.query] - schema of `req.query`
+ * @param    {Object} [schema.headers] - schema of `req.headers`, with lower
+ *                                       cased names
+ * @param    {Object} [schema.body] - schema of `req.body`
+ * @returns  {Function} handler
+ * @example
+ * server.get({
+ *     path: '/accounts/:id',
+ *     schema: {
+ *         params: {
+ *             type: 'object',
+ *             properties: { id: { type: 'integer' } }
+ *         }
+ *     }
+ * }, function (req, res, next) {
+ *     // req.params.id is a number
+ * });
+ */
+function createValidator(schema) {
+    assert.object(schema, 'schema');
+
+    Object.keys(schema).forEach(function forEach(location) {
+        assert.ok(
+            LOCATIONS.indexOf(location) !== -1,
+            'schema.' + location + ' is not one of ' + LOCATIONS.join(', ')
+        );
+        assert.object(schema[location], 'schema.' + location);
+    });
+
+    var validators = LOCATIONS.filter(function filter(location) {
+        return !!schema[location];
+    }).map(function map(location) {
+        var compiler = location === 'body' ? ajv : coercingAjv;
+
+        return {
+            location: location,
+            validate: compiler.compile(schema[location])
+        };
+    });
+
+    function validateSchema(req, res, next) {
+        var failures = [];
+
+        validators.forEach(function forEach(validator) {
+            var location = validator.location;
+
+            if (validator.validate(getValue(req, location))) {
+                return;
+            }
+
+            validator.validate.errors.forEach(function forEachError(error) {
+                failures.push({
+                    location: location,
+                    field: errorField(error),
+                    message: error.message
+                });
+            });
+        });
+
+        if (failures.length === 0) {
+            next();
+            return;
+        }
+
+        var onlyBody = failures.every(function every(failure) {
+            return failure.location === 'body';
+        });
+        var ErrorClass = onlyBody ? UnprocessableEntityError : BadRequestError;
+        var err = new ErrorClass(
+            {
+                info: {
+                    errors: failures
+                },
+                toJSON: function toJSON() {
+                    return {
+                        code: this.body.code,
+                        message: this.body.message,
+                        errors: failures
+                    };
+                }
+            },
+            'request validation failed: %s',
+            failures
+                .map(function map(failure) {
+                    var name = failure.field
+                        ? failure.location + '.' + failure.field
+                        : failure.location;
+                    return name + ' ' + failure.message;
+                })
+                .join(', ')
+        );
+
+        next(err);
+    }
+
+    // Lets the router know the schema is already validated by this handler
+    validateSchema._schema = schema;
+
+    return validateSchema;
+}
+
+///--- Exports
+
+module.exports = {
+    createValidator: createValidator
+};
@@ -15,9 +15,15 @@ var spdy = require('spdy');
 var vasync = require('vasync');
 
 var Chain = require('./chain');
+var cookies = require('./cookies');
 var dtrace = require('./dtrace');
 var formatters = require('./formatters');
+var injection = require('./inject');
+var openapi = require('./openapi');
+var proxy = require('./proxy');
+var argumentsToChain = require('./utils').argumentsToChain;
 var shallowCopy = require('./utils').shallowCopy;
+var Tracer = require('./tracing').Tracer;
 var upgrade = require('./upgrade');
 var deprecationWarnings = require('./deprecationWarnings');
 var customErrorTypes = require('./errorTypes');
@@ -81,11 +87,35 @@ var sprintf = util.format;
  *  `res.writeContinue()` in `server.on('checkContinue')` when proxing
  * @param {Boolean} [options.ignoreTrailingSlash=false] - ignore trailing slash
  * on paths
+ * @param {Boolean} [options.handleOptionsStar=true] - respond with a 200 to
+ * `OPTIONS *` requests when no route matches. Set to false when CORS
+ * preflight requests are handled by the `cors` plugin.
  * @param {Boolean} [options.strictFormatters=true] - enables strict formatters
  * behavior: a formatter matching the response's content-type is required. If
  * not found, the response's content-type is automatically set to
  * 'application/octet-stream'. If a formatter for that content-type is not
  * found, sending the response errors.
+ * @param {Object} [options.tracing] - enables W3C Trace Context propagation
+ * and span tracing, see `restify.tracing.Tracer` for its options.
+ * @param {Number} [options.handlerTimeout] - milliseconds the `use` and route
+ * handlers of a request may run before it is answered with a timeout error,
+ * routes can set their own `timeout`.
+ * @param {Number} [options.handlerTimeoutStatus=504] - status of the timeout
+ * responses, 504 for a `GatewayTimeoutError` or 503 for a
+ * `ServiceUnavailableError`.
+ * @param {Boolean|Number|String|String[]|Function} [options.trustProxy] - the
+ * proxies whose `X-Forwarded-*` or `Forwarded` headers are believed by
+ * `req.ip()`, `req.protocol()` and `req.hostname()`: true for all of them, a
+ * number of hops from the server, CIDR ranges, including the `loopback`,
+ * `linklocal` and `uniquelocal` presets, or a `trust(address, hop)` function.
+ * @param {String} [options.proxyHeader='x-forwarded'] - the headers the
+ * trusted proxies write: `x-forwarded` for `X-Forwarded-For`,
+ * `X-Forwarded-Proto` and `X-Forwarded-Host`, or `forwarded` for the
+ * `Forwarded` header of RFC 7239. The other headers are ignored, as clients
+ * can send them through the proxies.
+ * @param {String|String[]} [options.cookieSecrets] - secrets of the signed
+ * cookies, see `res.setCookie()`. The first one signs the cookies, all of them
+ * verify the cookies of `req.signedCookies`, so that secrets can be rotated.
  * @example
  * var restify = require('restify');
  * var server = restify.createServer();
@@ -108,6 +138,16 @@ function Server(options) {
     assert.optionalBool(options.onceNext, 'options.onceNext');
     assert.optionalBool(options.strictNext, 'options.strictNext');
     assert.optionalBool(options.strictFormatters, 'options.strictFormatters');
+    assert.optionalObject(options.tracing, 'options.tracing');
+    assert.optionalNumber(options.handlerTimeout, 'options.handlerTimeout');
+    assert.optionalNumber(
+        options.handlerTimeoutStatus,
+        'options.handlerTimeoutStatus'
+    );
+    assert.ok(
+        [undefined, 503, 504].indexOf(options.handlerTimeoutStatus) !== -1,
+        'options.handlerTimeoutStatus must be 503 or 504'
+    );
 
     var self = this;
 
@@ -131,6 +171,12 @@ function Server(options) {
     this.secure = false;
     this.socketio = options.socketio || false;
     this.dtrace = options.dtrace || false;
+    this.tracer = options.tracing ? new Tracer(options.tracing) : null;
+    this.handlerTimeout = options.handlerTimeout || 0;
+    this.handlerTimeoutStatus = options.handlerTimeoutStatus || 504;
+    this.trustProxy = proxy.compileTrust(options.trustProxy);
+    this.proxyHeader = proxy.compileHeader(options.proxyHeader);
+    this.cookieSecrets = cookies.normalizeSecrets(options.cookieSecrets);
     this._inflightRequests = 0;
 
     this.strictFormatters = true;
@@ -230,6 +276,31 @@ function Server(options) {
 
     this.server.on('request', this._onRequest.bind(this));
 
+    // Keep track of open connections so that shutdown() can drain them. The
+    // number of requests being served on each connection tells us which ones
+    // are idle.
+    this._connections = new Map();
+    this._shutdownState = null;
+
+    var connectionEvent = 'connection';
+
+    if (this.http2) {
+        connectionEvent = 'session';
+    } else if (this.spdy || this.secure || options.httpsServerOptions) {
+        connectionEvent = 'secureConnection';
+    }
+
+    this.server.on(connectionEvent, function onConnection(conn) {
+        self._connections.set(conn, 0);
+        conn.once('close', function onConnectionClose() {
+            self._connections.delete(conn);
+        });
+
+        if (self._shutdownState) {
+            self._closeConnection(conn);
+        }
+    });
+
     this.__defineGetter__('maxHeadersCount', function getMaxHeadersCount() {
         return self.server.maxHeadersCount;
     });
@@ -356,6 +427,176 @@ Server.prototype.close = function close(callback) {
     return this.server.close();
 };
 
+/**
+ * Gracefully shuts down this server, and invokes callback (optionally) when
+ * done.
+ *
+ * The server stops accepting new connections, responses still in flight are
+ * sent with `Connection: close` and idle keep-alive connections are closed
+ * right away. Once there are no more inflight requests, or when the timeout
+ * expires, the remaining connections are destroyed and a `shutdown` event is
+ * emitted.
+ *
+ * With http2, sessions are closed gracefully: no new streams are accepted
+ * while the active ones run to completion.
+ *
+ * @public
+ * @memberof Server
+ * @instance
+ * @function   shutdown
+ * @param    {Object}    [opts] - an options object
+ * @param    {Number}    [opts.timeout=10000] - time in milliseconds to wait
+ * for inflight requests before destroying the remaining connections
+ * @param    {Function}  [callback] - callback to invoke when done
+ * @returns  {undefined} no return value
+ * @fires    shutdown
+ * @example
+ * process.on('SIGTERM', function () {
+ *     server.shutdown({ timeout: 5000 }, function () {
+ *         process.exit(0);
+ *     });
+ * });
+ */
+Server.prototype.shutdown = function shutdown(opts, callback) {
+    var self = this;
+
+    if (typeof opts === 'function') {
+        callback = opts;
+        opts = {};
+    }
+
+    opts = opts || {};
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+    assert.optionalFunc(callback, 'callback');
+
+    if (self._shutdownState) {
+        if (!callback) {
+            return;
+        }
+
+        if (self._shutdownState.done) {
+            process.nextTick(callback);
+        } else {
+            self.once('shutdown', callback);
+        }
+        return;
+    }
+
+    var timeout = opts.timeout !== undefined ? opts.timeout : 10000;
+    var closed = false;
+    var drained = false;
+
+    function finish() {
+        if (!closed || !drained) {
+            return;
+        }
+
+        self._shutdownState.done = true;
+        self.emit('shutdown');
+
+        if (callback) {
+            callback();
+        }
+    }
+
+    self._shutdownState = {
+        done: false,
+        timer: setTimeout(function onShutdownTimeout() {
+            self.log.warn(
+                { inflightRequests: self._inflightRequests },
+                'shutdown timeout reached, destroying connections'
+            );
+            self._shutdownState.onDrained();
+        }, timeout),
+        onDrained: function onDrained() {
+            if (drained) {
+                return;
+            }
+
+            drained = true;
+            clearTimeout(self._shutdownState.timer);
+
+            self._connections.forEach(function forEach(inflight, conn) {
+                conn.destroy();
+            });
+
+            finish();
+        }
+    };
+
+    self.server.close(function onClose() {
+        closed = true;
+        finish();
+    });
+
+    self._connections.forEach(function forEach(inflight, conn) {
+        self._closeConnection(conn);
+    });
+
+    self._checkShutdown();
+};
+
+/**
+ * Runs a request through the server without binding a port, which is mostly
+ * useful for testing. The request goes through the first, pre, use and route
+ * handler chains, and the `after` event, like any request received by the
+ * server.
+ *
+ * @public
+ * @memberof Server
+ * @instance
+ * @function   inject
+ * @param    {Object} opts - an options object
+ * @param    {String} opts.url - request url, including the query string
+ * @param    {String} [opts.method='GET'] - HTTP method
+ * @param    {Object} [opts.headers] - request headers
+ * @param    {String|Buffer|Object} [opts.payload] - request body, objects are
+ * serialized as JSON
+ * @param    {String} [opts.remoteAddress='127.0.0.1'] - client address
+ * @returns  {Promise} resolves with an object holding the `statusCode`,
+ * `headers`, `body` (a string), `rawPayload` (a Buffer) and `trailers` of the
+ * response
+ * @example
+ * server.inject({
+ *     method: 'POST',
+ *     url: '/users',
+ *     payload: { name: 'alice' }
+ * }).then(function (res) {
+ *     console.log(res.statusCode, JSON.parse(res.body));
+ * });
+ */
+Server.prototype.inject = function inject(opts) {
+    var self = this;
+
+    if (typeof opts === 'string') {
+        opts = { url: opts };
+    }
+
+    var req = injection.createInjectedRequest(opts);
+    var res = injection.createInjectedResponse(req);
+
+    return new Promise(function injectPromise(resolve) {
+        function done() {
+            resolve(res.toResult());
+        }
+
+        // The 'after' event is emitted right after 'restifyDone'
+        req.once('restifyDone', done);
+
+        res.once('finish', function onFinish() {
+            // Requests stopped by the first chain are never set up, they are
+            // done as soon as the response is
+            if (res._handlersFinished === undefined) {
+                req.removeListener('restifyDone', done);
+                done();
+            }
+        });
+
+        self._onRequest(req, res);
+    });
+};
+
 ///--- Routing methods
 
 /**
@@ -365,6 +606,21 @@ Server.prototype.close = function close(callback) {
  * @property {String} name a name for the route
  * @property {String} path can be any String accepted by
  * [find-my-way](https://github.com/delvedor/find-my-way)
+ * @property {String|String[]} version versions served by the route
+ * @property {Object} schema JSON Schemas of the request's `params`, `query`,
+ * `headers` and `body`, validated before the route's handlers run
+ * @property {String} summary summary of the route, for `server.toOpenAPI()`
+ * @property {String} description description of the route, for
+ * `server.toOpenAPI()`
+ * @property {String[]} tags tags of the route, for `server.toOpenAPI()`
+ * @property {Object} responses responses of the route keyed by status code,
+ * with a `description`, and a `schema` of the JSON body, for
+ * `server.toOpenAPI()`
+ * @property {Boolean} openapi set to false to leave the route out of
+ * `server.toOpenAPI()`
+ * @property {Number} timeout milliseconds the `use` and route handlers may run
+ * before the request is answered with a timeout error, overrides the
+ * `handlerTimeout` server option, 0 for no timeout
  * @example
  * // a static route
  * server.get('/foo', function(req, res, next) {});
@@ -481,6 +737,57 @@ Server.prototype.del = serverMethodFactory('DELETE');
  */
 Server.prototype.opts = serverMethodFactory('OPTIONS');
 
+/**
+ * Mounts the routes of a router under a path prefix. The router's `use()`
+ * handlers run after the server's ones, for the router's routes only. Route
+ * names are namespaced with the prefix, or `opts.name`.
+ *
+ * @public
+ * @memberof Server
+ * @instance
+ * @function mount
+ * @param    {String} prefix - path prefix, e.g. `/v2/accounts`
+ * @param    {Router} router - a `restify.Router` instance
+ * @param    {Object} [opts] - an options object
+ * @param    {String} [opts.name] - namespace of the route names
+ * @returns  {Object} returns self
+ * @example
+ * var accounts = new restify.Router();
+ * accounts.use(authenticate);
+ * accounts.get({ name: 'account', path: '/:id' }, getAccount);
+ *
+ * server.mount('/v2/accounts', accounts);
+ * server.router.render('v2accounts.account', { id: 42 });
+ * // => '/v2/accounts/42'
+ */
+Server.prototype.mount = function mount(prefix, router, opts) {
+    this.router.attach(prefix, router, opts);
+    return this;
+};
+
+/**
+ * Groups routes under a path prefix. `fn` is called with a router to
+ * register the group's routes on, see `server.mount()`.
+ *
+ * @public
+ * @memberof Server
+ * @instance
+ * @function group
+ * @param    {String} prefix - path prefix, e.g. `/v2/accounts`
+ * @param    {Object} [opts] - an options object
+ * @param    {String} [opts.name] - namespace of the route names
+ * @param    {Function} fn - called with the group's router
+ * @returns  {Router} the group's router
+ * @example
+ * server.group('/v2/accounts', function (g) {
+ *     g.use(authenticate);
+ *     g.get('/:id', getAccount);
+ * });
+ */
+Server.prototype.group = function group(prefix, opts, fn) {
+    return this.router.group(prefix, opts, fn);
+};
+
 ///---  Request lifecycle and middleware methods
 
 // eslint-disable-next-line jsdoc/check-param-names
@@ -829,6 +1136,38 @@ Server.prototype.getDebugInfo = function getDebugInfo() {
     return self._debugInfo;
 };
 
+/**
+ * Returns an OpenAPI 3.1 document describing the server's routes. Paths are
+ * translated to OpenAPI templates, route schemas to parameters and request
+ * bodies, and the `summary`, `description`, `tags` and `responses` route
+ * options are used when present.
+ *
+ * @public
+ * @memberof Server
+ * @instance
+ * @function toOpenAPI
+ * @param    {Object} info - OpenAPI info object
+ * @param    {String} info.title - title of the API
+ * @param    {String} info.version - version of the API
+ * @returns  {Object} OpenAPI document
+ * @example
+ * server.get({
+ *     path: '/accounts/:id',
+ *     summary: 'Get an account',
+ *     responses: { 200: { description: 'The account' } }
+ * }, getAccount);
+ *
+ * server.toOpenAPI({ title: 'Accounts', version: '2.0.0' });
+ * // => {
+ * //   openapi: '3.1.0',
+ * //   info: { title: 'Accounts', version: '2.0.0' },
+ * //   paths: { '/accounts/{id}': { get: { ... } } }
+ * // }
+ */
+Server.prototype.toOpenAPI = function toOpenAPI(info) {
+    return openapi.createDocument(this.router.getRoutes(), info);
+};
+
 /**
  * toString() the server for easy reading/output.
  *
@@ -977,15 +1316,19 @@ Server.prototype._onRequest = function _onRequest(req, res) {
         // immediately.
         if (handle === false) {
             self._inflightRequests--;
+            self._checkShutdown();
             return;
         }
     }
 
+    self._trackConnection(req, res);
+
     this.emit('request', req, res);
 
     // Skip Socket.io endpoints
     if (this.socketio && /^\/socket\.io.*/.test(req.url)) {
         self._inflightRequests--;
+        self._checkShutdown();
         return;
     }
 
@@ -1040,9 +1383,18 @@ Server.prototype._runPre = function _runPre(req, res) {
     req._currentHandler = 'pre';
     req._timePreStart = process.hrtime();
 
+    if (req._trace) {
+        req._trace.startPhase('pre');
+    }
+
     self.preChain.run(req, res, function preChainDone(err) {
         // Execution time of a handler with error can be significantly lower
         req._timePreEnd = process.hrtime();
+
+        if (req._trace) {
+            req._trace.endPhase();
+        }
+
         self._afterPre(err, req, res);
     });
 };
@@ -1105,7 +1457,14 @@ Server.prototype._runRoute = function _runRoute(req, res) {
     // Emit routed
     self.emit('routed', req, res, req.route);
 
+    self._startHandlerTimer(req, res);
+
     self._runUse(req, res, function afterUse() {
+        // the request was already answered
+        if (req._timedOut) {
+            return;
+        }
+
         // DTrace
         if (self.dtrace) {
             dtrace._rstfy_probes['route-start'].fire(function fire() {
@@ -1121,10 +1480,19 @@ Server.prototype._runRoute = function _runRoute(req, res) {
         }
 
         req._timeRouteStart = process.hrtime();
+
+        if (req._trace) {
+            req._trace.startPhase('route');
+        }
+
         routeHandler(req, res, function afterRouter(err) {
             // Execution time of a handler with error can be significantly lower
             req._timeRouteEnd = process.hrtime();
 
+            if (req._trace) {
+                req._trace.endPhase();
+            }
+
             // DTrace
             if (self.dtrace) {
                 dtrace._rstfy_probes['route-done'].fire(function fire() {
@@ -1143,6 +1511,94 @@ Server.prototype._runRoute = function _runRoute(req, res) {
     });
 };
 
+/**
+ * Starts the timer of the `use` and route handlers of a request, from the
+ * route's `timeout` or the `handlerTimeout` server option.
+ *
+ * @private
+ * @memberof Server
+ * @instance
+ * @function _startHandlerTimer
+ * @param  {Request} req - request
+ * @param  {Response} res - response
+ * @returns {undefined} no return value
+ */
+Server.prototype._startHandlerTimer = function _startHandlerTimer(req, res) {
+    var self = this;
+    var timeout = req.route.spec.timeout;
+
+    if (timeout === undefined) {
+        timeout = self.handlerTimeout;
+    }
+
+    if (!timeout) {
+        return;
+    }
+
+    req._handlerTimer = setTimeout(function onHandlerTimeout() {
+        self._onHandlerTimeout(req, res, timeout);
+    }, timeout);
+};
+
+/**
+ * Answers a request whose handlers ran for longer than its timeout, with a
+ * `GatewayTimeoutError` or a `ServiceUnavailableError` whose info tells the
+ * handler that was running. The handlers left running are ignored from then
+ * on: their `next()` calls don't run other handlers, and their late
+ * `res.send()` calls are dropped.
+ *
+ * @private
+ * @memberof Server
+ * @instance
+ * @function _onHandlerTimeout
+ * @param  {Request} req - request
+ * @param  {Response} res - response
+ * @param  {Number} timeout - timeout in milliseconds
+ * @returns {undefined} no return value
+ */
+Server.prototype._onHandlerTimeout = function _onHandlerTimeout(
+    req,
+    res,
+    timeout
+) {
+    var self = this;
+
+    if (res._handlersFinished || res._finished) {
+        return;
+    }
+
+    var TimeoutError =
+        self.handlerTimeoutStatus === 503
+            ? errors.ServiceUnavailableError
+            : errors.GatewayTimeoutError;
+    var err = new TimeoutError(
+        {
+            info: {
+                timeout: timeout,
+                handler: req._currentHandler,
+                route: req.route.name
+            }
+        },
+        'handler %s timed out after %d ms',
+        req._currentHandler,
+        timeout
+    );
+
+    req.log.warn({ err: err }, 'handler timed out');
+
+    // a response being streamed can't be replaced, it is left to finish
+    if (res.headersSent || res._sent) {
+        res._handlersFinished = true;
+        req._timedOut = true;
+        self._finishReqResCycle(req, res, err);
+        return;
+    }
+
+    self._onHandlerError(err, req, res);
+    req._timedOut = true;
+    self._finishReqResCycle(req, res, err);
+};
+
 /**
  * After use handlers finished
  *
@@ -1158,6 +1614,12 @@ Server.prototype._runRoute = function _runRoute(req, res) {
 Server.prototype._afterRoute = function _afterRoute(err, req, res) {
     var self = this;
 
+    // the request was already answered, late handlers are ignored
+    if (req._timedOut) {
+        return;
+    }
+
+    clearTimeout(req._handlerTimer);
     res._handlersFinished = true;
 
     // Handle error
@@ -1191,9 +1653,18 @@ Server.prototype._runUse = function _runUse(req, res, next) {
     req._currentHandler = 'use';
     req._timeUseStart = process.hrtime();
 
+    if (req._trace) {
+        req._trace.startPhase('use');
+    }
+
     self.useChain.run(req, res, function useChainDone(err) {
         // Execution time of a handler with error can be significantly lower
         req._timeUseEnd = process.hrtime();
+
+        if (req._trace) {
+            req._trace.endPhase();
+        }
+
         self._afterUse(err, req, res, next);
     });
 };
@@ -1214,6 +1685,11 @@ Server.prototype._runUse = function _runUse(req, res, next) {
 Server.prototype._afterUse = function _afterUse(err, req, res, next) {
     var self = this;
 
+    // the request was already answered, late handlers are ignored
+    if (req._timedOut) {
+        return;
+    }
+
     // Handle error
     if (err) {
         self._onHandlerError(err, req, res);
@@ -1298,6 +1774,13 @@ Server.prototype._setupRequest = function _setupRequest(req, res) {
     if (req.log === undefined) {
         req.log = self.log;
     }
+    if (self.tracer) {
+        req._trace = self.tracer.startRequest(req);
+        req.log = req.log.child({
+            trace_id: req._trace.root.traceId,
+            span_id: req._trace.root.spanId
+        });
+    }
     if (res.log === undefined) {
         res.log = req.log;
     }
@@ -1307,6 +1790,9 @@ Server.prototype._setupRequest = function _setupRequest(req, res) {
     req.params = {};
     req.timers = [];
     req.dtrace = self.dtrace;
+    req._trustProxy = self.trustProxy;
+    req._proxyHeader = self.proxyHeader;
+    req._cookieSecrets = self.cookieSecrets;
 
     // Extend response
     res.acceptable = self.acceptable;
@@ -1329,6 +1815,12 @@ Server.prototype._setupRequest = function _setupRequest(req, res) {
     // the connection (or we lose the connection).
     // we consider a closed request as flushed from metrics point of view
     function onReqAborted() {
+        // A response failing while it was streamed destroys the connection
+        // itself, its error is the one to report
+        if (res._streamError) {
+            return;
+        }
+
         // Request was aborted, override the status code
         var err = new customErrorTypes.RequestCloseError();
         err.statusCode = 444;
@@ -1419,6 +1911,8 @@ Server.prototype._finishReqResCycle = function _finishReqResCycle(
     }
 
     if (res._flushed && res._handlersFinished) {
+        clearTimeout(req._handlerTimer);
+
         // decrement number of requests
         self._inflightRequests--;
         res._finished = true;
@@ -1426,17 +1920,26 @@ Server.prototype._finishReqResCycle = function _finishReqResCycle(
 
         // after event has signature of function(req, res, route, err) {...}
         var finalErr = err || res.err;
+
+        if (req._trace) {
+            req._trace.end(req, res, finalErr);
+        }
+
         req.emit('restifyDone', route, finalErr);
         self.emit('after', req, res, route, finalErr);
+
+        self._checkShutdown();
     } else if (
         res._handlersFinished === true &&
         res.headersSent === false &&
+        !res._sent &&
         !res.err
     ) {
         // if we reached the end of the handler chain and headers haven't been
         // sent AND there isn't an existing res.err (e.g., req abort/close),
         // it's possible it's a user error and a response was never written.
-        // send a 500.
+        // send a 500. Streamed responses write their headers along with their
+        // first chunk, which may not have been read yet.
         res.send(
             new errors.InternalServerError(
                 'reached the end of the handler chain without ' +
@@ -1456,6 +1959,94 @@ Server.prototype._finishReqResCycle = function _finishReqResCycle(
     }
 };
 
+/**
+ * Keeps count of the requests being served on the request's connection, so
+ * that idle connections can be closed when shutting down.
+ *
+ * @private
+ * @memberof Server
+ * @instance
+ * @function _trackConnection
+ * @param    {Object}    req - the request object
+ * @param    {Object}    res - the response object
+ * @returns  {undefined} no return value
+ */
+Server.prototype._trackConnection = function _trackConnection(req, res) {
+    var self = this;
+    var conn = req.socket;
+
+    // http2 sessions are closed as a whole, and upgrade requests take over
+    // their socket
+    if (self.http2 || req._upgradeRequest || !self._connections.has(conn)) {
+        return;
+    }
+
+    self._connections.set(conn, self._connections.get(conn) + 1);
+
+    // Let the client know this connection won't be reused
+    res.once('header', function onHeader() {
+        if (self._shutdownState && !res.headersSent) {
+            res.setHeader('Connection', 'close');
+        }
+    });
+
+    function onResponseDone() {
+        res.removeListener('finish', onResponseDone);
+        res.removeListener('close', onResponseDone);
+
+        if (!self._connections.has(conn)) {
+            return;
+        }
+
+        self._connections.set(conn, self._connections.get(conn) - 1);
+
+        if (self._shutdownState) {
+            self._closeConnection(conn);
+        }
+    }
+
+    res.once('finish', onResponseDone);
+    res.once('close', onResponseDone);
+};
+
+/**
+ * Closes a connection when shutting down. Connections serving requests are
+ * left open until their responses are done.
+ *
+ * @private
+ * @memberof Server
+ * @instance
+ * @function _closeConnection
+ * @param    {Object}    conn - a socket, or a http2 session
+ * @returns  {undefined} no return value
+ */
+Server.prototype._closeConnection = function _closeConnection(conn) {
+    if (this.http2) {
+        // Graceful, active streams are allowed to complete
+        conn.close();
+        return;
+    }
+
+    if (this._connections.get(conn) === 0) {
+        conn.end();
+    }
+};
+
+/**
+ * Completes the shutdown once the last inflight request is done.
+ *
+ * @private
+ * @memberof Server
+ * @instance
+ * @function _checkShutdown
+ * @returns  {undefined} no return value
+ */
+Server.prototype._checkShutdown = function _checkShutdown() {
+    if (this._shutdownState && this._inflightRequests === 0) {
+        this._shutdownState.onDrained();
+    }
+};
+
 /**
  * Helper function to, when on router error, emit error events and then
  * flush the err.
@@ -1602,43 +2193,6 @@ Server.prototype._emitErrorEvents = function _emitErrorEvents(
 
 ///--- Helpers
 
-/**
- * Verify and flatten a nested array of request handlers.
- *
- * @private
- * @function argumentsToChain
- * @throws   {TypeError}
- * @param    {Function[]} handlers - pass through of funcs from server.[method]
- * @returns  {Array} request handlers
- */
-function argumentsToChain(handlers) {
-    assert.array(handlers, 'handlers');
-
-    var chain = [];
-
-    // A recursive function for unwinding a nested array of handlers into a
-    // single chain.
-    function process(array) {
-        for (var i = 0; i < array.length; i++) {
-            if (Array.isArray(array[i])) {
-                // Recursively call on nested arrays
-                process(array[i]);
-                continue;
-            }
-            // If an element of the array isn't an array, ensure it is a
-            // handler function and then push it onto the chain of handlers
-            assert.func(array[i], 'handler');
-            chain.push(array[i]);
-        }
-
-        return chain;
-    }
-
-    // Return the chain, note that if `handlers` is an empty array, this will
-    // return an empty array.
-    return process(handlers);
-}
-
 /**
  * merge optional formatters with the default formatters to create a single
  * formatters object. the passed in optional formatters object looks like:
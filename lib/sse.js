@@ -0,0 +1,235 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var assert = require('assert-plus');
+
+///--- Globals
+
+// field values can't span lines, the data is split into several fields
+var NEWLINE = /\r\n|\r|\n/;
+
+///--- Helpers
+
+/**
+ * Formats a field of an event, a line per line of its value.
+ *
+ * @private
+ * @function field
+ * @param    {String} name - field name, empty for comments
+ * @param    {String} value - field value
+ * @returns  {String} the field lines
+ */
+function field(name, value) {
+    return value
+        .split(NEWLINE)
+        .map(function map(line) {
+            return name + ': ' + line + '\n';
+        })
+        .join('');
+}
+
+/**
+ * Asserts that a field value holds a single line.
+ *
+ * @private
+ * @function assertLine
+ * @param    {String} value - field value
+ * @param    {String} name - name of the option
+ * @returns  {undefined} no return value
+ */
+function assertLine(value, name) {
+    assert.string(value, name);
+    assert.ok(!NEWLINE.test(value), name + ' must not hold line breaks');
+}
+
+///--- API
+
+/**
+ * A stream of server-sent events, as returned by `res.sse()`. Emits `close`
+ * once the stream is closed, by the server or the client.
+ *
+ * @public
+ * @class EventStream
+ * @param {Response} res - the response object, its headers already written
+ * @param {Object} opts - an options object
+ * @param {Number} opts.heartbeat - interval of the heartbeat comments, in
+ *                                  milliseconds, 0 for none
+ */
+function EventStream(res, opts) {
+    var self = this;
+
+    EventEmitter.call(self);
+
+    self.res = res;
+    self.closed = false;
+
+    /**
+     * The `Last-Event-ID` of the request, the ID of the last event received
+     * by a client reconnecting.
+     *
+     * @public
+     * @memberof EventStream
+     * @instance
+     * @name lastEventId
+     * @type {String|undefined}
+     */
+    self.lastEventId = res.req.lastEventId();
+
+    self._heartbeat = null;
+
+    if (opts.heartbeat > 0) {
+        self._heartbeat = setInterval(function onHeartbeat() {
+            self.comment();
+        }, opts.heartbeat);
+        self._heartbeat.unref();
+    }
+
+    res.once('close', function onClose() {
+        self._cleanup();
+    });
+}
+util.inherits(EventStream, EventEmitter);
+
+/**
+ * Writes a frame, flushing it through the compression plugins.
+ *
+ * @private
+ * @memberof EventStream
+ * @instance
+ * @function _write
+ * @param    {String} frame - frame
+ * @returns  {Boolean} false when the response should drain
+ */
+EventStream.prototype._write = function _write(frame) {
+    var res = this.res;
+
+    if (this.closed) {
+        return false;
+    }
+
+    var flushed = res.write(frame);
+
+    // compressResponse and gzipResponse buffer what is written, events are
+    // only useful as they happen
+    if (typeof res.flush === 'function') {
+        res.flush();
+    }
+
+    return flushed;
+};
+
+/**
+ * Stops the heartbeat and emits `close`, once.
+ *
+ * @private
+ * @memberof EventStream
+ * @instance
+ * @function _cleanup
+ * @returns  {undefined} no return value
+ */
+EventStream.prototype._cleanup = function _cleanup() {
+    if (this._heartbeat) {
+        clearInterval(this._heartbeat);
+        this._heartbeat = null;
+    }
+
+    if (this.closed) {
+        return;
+    }
+
+    this.closed = true;
+    this.emit('close');
+};
+
+/**
+ * Sends an event. Data that isn't a string is sent as JSON.
+ *
+ * @public
+ * @memberof EventStream
+ * @instance
+ * @function send
+ * @param    {Object} evt - the event
+ * @param    {*} [evt.data] - data of the event
+ * @param    {String} [evt.event] - type of the event, `message` when not set
+ * @param    {String} [evt.id] - ID of the event, sent back in the
+ *                               `Last-Event-ID` header by reconnecting clients
+ * @param    {Number} [evt.retry] - reconnection delay of the client, in
+ *                                  milliseconds
+ * @returns  {Boolean} false when the client doesn't keep up, the response
+ *                     emits `drain` once it does, also false once closed
+ * @example
+ * events.send({ event: 'price', id: String(tick.seq), data: tick });
+ */
+EventStream.prototype.send = function send(evt) {
+    assert.object(evt, 'evt');
+
+    var frame = '';
+
+    if (evt.id !== undefined) {
+        assertLine(evt.id, 'evt.id');
+        assert.ok(evt.id.indexOf('\0') === -1, 'evt.id must not hold NUL');
+        frame += 'id: ' + evt.id + '\n';
+    }
+
+    if (evt.event !== undefined) {
+        assertLine(evt.event, 'evt.event');
+        frame += 'event: ' + evt.event + '\n';
+    }
+
+    if (evt.retry !== undefined) {
+        assert.number(evt.retry, 'evt.retry');
+        frame += 'retry: ' + Math.max(0, Math.floor(evt.retry)) + '\n';
+    }
+
+    if (evt.data !== undefined) {
+        frame += field(
+            'data',
+            typeof evt.data === 'string' ? evt.data : JSON.stringify(evt.data)
+        );
+    }
+
+    return this._write(frame + '\n');
+};
+
+/**
+ * Sends a comment, ignored by clients, e.g. to keep proxies from closing idle
+ * connections, as the heartbeat does.
+ *
+ * @public
+ * @memberof EventStream
+ * @instance
+ * @function comment
+ * @param    {String} [text] - comment
+ * @returns  {Boolean} false when the client doesn't keep up, also false once
+ *                     closed
+ */
+EventStream.prototype.comment = function comment(text) {
+    assert.optionalString(text, 'text');
+
+    return this._write(field('', text || ''));
+};
+
+/**
+ * Ends the stream. Clients reconnect after their retry delay unless told
+ * otherwise, e.g. with an event, or a 204 response to their next request.
+ *
+ * @public
+ * @memberof EventStream
+ * @instance
+ * @function close
+ * @returns  {undefined} no return value
+ */
+EventStream.prototype.close = function close() {
+    if (this.closed) {
+        return;
+    }
+
+    this._cleanup();
+    this.res.end();
+};
+
+///--- Exports
+
+module.exports = EventStream;
@@ -0,0 +1,648 @@
+'use strict';
+
+var crypto = require('crypto');
+
+var assert = require('assert-plus');
+
+///--- Globals
+
+var TRACEPARENT_REGEX = new RegExp(
+    '^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$'
+);
+var INVALID_TRACE_ID = '00000000000000000000000000000000';
+var INVALID_SPAN_ID = '0000000000000000';
+var SAMPLED_FLAG = 0x01;
+
+// tracestate keys and values, as defined by the W3C Trace Context spec
+var TRACESTATE_KEY_REGEX = new RegExp(
+    '^(?:[a-z][_0-9a-z\\-*/]{0,255}|' +
+        '[a-z0-9][_0-9a-z\\-*/]{0,240}@[a-z][_0-9a-z\\-*/]{0,13})$'
+);
+var TRACESTATE_VALUE_REGEX = new RegExp(
+    '^[\\x20-\\x2b\\x2d-\\x3c\\x3e-\\x7e]{0,255}' +
+        '[\\x21-\\x2b\\x2d-\\x3c\\x3e-\\x7e]$'
+);
+var TRACESTATE_MAX_MEMBERS = 32;
+
+///--- Helpers
+
+/**
+ * Generates a random, non-zero, hex encoded id.
+ *
+ * @private
+ * @function randomId
+ * @param    {Number} bytes - size of the id
+ * @returns  {String} id
+ */
+function randomId(bytes) {
+    var id;
+
+    do {
+        id = crypto.randomBytes(bytes).toString('hex');
+    } while (/^0+$/.test(id));
+
+    return id;
+}
+
+/**
+ * Converts the result of `process.hrtime()` to milliseconds.
+ *
+ * @private
+ * @function hrtimeToMs
+ * @param    {Array} hrtime - result of `process.hrtime()`
+ * @returns  {Number} milliseconds
+ */
+function hrtimeToMs(hrtime) {
+    return hrtime[0] * 1e3 + hrtime[1] / 1e6;
+}
+
+/**
+ * Parses a `traceparent` header.
+ *
+ * Headers of unknown versions are read as version `00`, as required by the
+ * spec, invalid headers are ignored.
+ *
+ * @public
+ * @function parseTraceparent
+ * @param    {String} [header] - `traceparent` header
+ * @returns  {Object|null} the `version`, `traceId`, `spanId` and `traceFlags`
+ *                         of the parent span, null when invalid
+ * @example
+ * parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+ * // => {
+ * //   version: '00',
+ * //   traceId: '0af7651916cd43dd8448eb211c80319c',
+ * //   spanId: 'b7ad6b7169203331',
+ * //   traceFlags: 1
+ * // }
+ */
+function parseTraceparent(header) {
+    if (typeof header !== 'string') {
+        return null;
+    }
+
+    var match = TRACEPARENT_REGEX.exec(header.trim());
+
+    if (!match) {
+        return null;
+    }
+
+    var version = match[1];
+
+    // version 00 has no extra fields, and version ff is forbidden
+    if (version === 'ff' || (version === '00' && match[5] !== undefined)) {
+        return null;
+    }
+
+    // future versions may only append fields
+    if (match[5] !== undefined && match[5][1] === undefined) {
+        return null;
+    }
+
+    if (match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+        return null;
+    }
+
+    return {
+        version: version,
+        traceId: match[2],
+        spanId: match[3],
+        traceFlags: parseInt(match[4], 16)
+    };
+}
+
+/**
+ * Formats a span context as a `traceparent` header, to propagate it to
+ * outgoing requests.
+ *
+ * @public
+ * @function formatTraceparent
+ * @param    {Object} context - span context
+ * @param    {String} context.traceId - trace id, 32 hex chars
+ * @param    {String} context.spanId - span id, 16 hex chars
+ * @param    {Number} [context.traceFlags=0] - trace flags
+ * @returns  {String} `traceparent` header
+ */
+function formatTraceparent(context) {
+    assert.object(context, 'context');
+    assert.string(context.traceId, 'context.traceId');
+    assert.string(context.spanId, 'context.spanId');
+    assert.optionalNumber(context.traceFlags, 'context.traceFlags');
+
+    var flags = ('0' + (context.traceFlags || 0).toString(16)).slice(-2);
+
+    return '00-' + context.traceId + '-' + context.spanId + '-' + flags;
+}
+
+/**
+ * Parses a `tracestate` header. Members are kept in order, duplicated keys
+ * and members over the limit of 32 are dropped, and an invalid member
+ * invalidates the whole header.
+ *
+ * @public
+ * @function parseTracestate
+ * @param    {String|String[]} [header] - `tracestate` header, or its values
+ *                                        when it was sent several times
+ * @returns  {Array|null} `[key, value]` pairs, null when absent or invalid
+ */
+function parseTracestate(header) {
+    if (Array.isArray(header)) {
+        header = header.join(',');
+    }
+
+    if (typeof header !== 'string') {
+        return null;
+    }
+
+    var members = [];
+    var keys = {};
+    var parts = header.split(',');
+
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i].trim();
+
+        // empty members are allowed
+        if (part === '') {
+            continue;
+        }
+
+        var index = part.indexOf('=');
+        var key = part.slice(0, index);
+        var value = part.slice(index + 1);
+
+        if (
+            index === -1 ||
+            !TRACESTATE_KEY_REGEX.test(key) ||
+            !TRACESTATE_VALUE_REGEX.test(value)
+        ) {
+            return null;
+        }
+
+        if (!keys[key] && members.length < TRACESTATE_MAX_MEMBERS) {
+            keys[key] = true;
+            members.push([key, value]);
+        }
+    }
+
+    return members.length > 0 ? members : null;
+}
+
+/**
+ * Formats `tracestate` members as a header.
+ *
+ * @public
+ * @function formatTracestate
+ * @param    {Array} [members] - `[key, value]` pairs
+ * @returns  {String} `tracestate` header, empty when there are no members
+ */
+function formatTracestate(members) {
+    return (members || [])
+        .map(function map(member) {
+            return member[0] + '=' + member[1];
+        })
+        .join(',');
+}
+
+///--- Internal Class (Span)
+
+/**
+ * A timed operation of a trace.
+ *
+ * @private
+ * @class Span
+ * @param {Object} options - an options object
+ * @param {String} options.name - span name
+ * @param {String} options.kind - `server` or `internal`
+ * @param {String} options.traceId - trace id
+ * @param {String} [options.parentSpanId] - id of the parent span
+ * @param {Number} options.traceFlags - trace flags
+ * @param {Array} [options.traceState] - `tracestate` members
+ * @param {Object} [options.attributes] - span attributes
+ */
+function Span(options) {
+    this.name = options.name;
+    this.kind = options.kind;
+    this.traceId = options.traceId;
+    this.spanId = randomId(8);
+    this.parentSpanId = options.parentSpanId;
+    this.traceFlags = options.traceFlags;
+    this.traceState = options.traceState;
+    this.attributes = options.attributes || {};
+    this.status = { code: 'unset' };
+    this.startTime = Date.now();
+    this.endTime = undefined;
+    this.duration = undefined;
+    this._hrStart = process.hrtime();
+}
+
+/**
+ * Sets an attribute of the span.
+ *
+ * @private
+ * @memberof Span
+ * @instance
+ * @function setAttribute
+ * @param    {String} key - attribute name
+ * @param    {*} value - attribute value
+ * @returns  {Span} span
+ */
+Span.prototype.setAttribute = function setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+};
+
+/**
+ * Ends the span, further calls are ignored.
+ *
+ * @private
+ * @memberof Span
+ * @instance
+ * @function end
+ * @returns  {undefined} no return value
+ */
+Span.prototype.end = function end() {
+    if (this.endTime !== undefined) {
+        return;
+    }
+
+    this.duration = hrtimeToMs(process.hrtime(this._hrStart));
+    this.endTime = this.startTime + this.duration;
+};
+
+/**
+ * Returns the context of the span, to propagate it.
+ *
+ * @private
+ * @memberof Span
+ * @instance
+ * @function context
+ * @returns  {Object} the `traceId`, `spanId`, `traceFlags` and `traceState`
+ *                    of the span
+ */
+Span.prototype.context = function context() {
+    return {
+        traceId: this.traceId,
+        spanId: this.spanId,
+        traceFlags: this.traceFlags,
+        traceState: this.traceState
+    };
+};
+
+///--- Internal Class (RequestTrace)
+
+/**
+ * The spans of a request: the server span, the spans of the pre, use and
+ * route phases, and the spans of their handlers.
+ *
+ * @private
+ * @class RequestTrace
+ * @param {Tracer} tracer - tracer
+ * @param {Object} req - the request object
+ */
+function RequestTrace(tracer, req) {
+    var parent = parseTraceparent(req.headers.traceparent);
+    var sampled = parent
+        ? (parent.traceFlags & SAMPLED_FLAG) !== 0
+        : tracer.sampler(req);
+
+    this.tracer = tracer;
+    this.sampled = sampled;
+    this.spans = [];
+    this.root = this._start({
+        name: req.method,
+        kind: 'server',
+        traceId: parent ? parent.traceId : randomId(16),
+        parentSpanId: parent ? parent.spanId : undefined,
+        // keep the upstream flags we don't know about
+        traceFlags: parent
+            ? (parent.traceFlags & ~SAMPLED_FLAG) | (sampled ? 1 : 0)
+            : sampled
+            ? SAMPLED_FLAG
+            : 0,
+        // tracestate is meaningless without a valid traceparent
+        traceState: parent
+            ? parseTracestate(req.headers.tracestate) || undefined
+            : undefined,
+        attributes: {
+            'http.request.method': req.method,
+            'url.path': req.path()
+        }
+    });
+    this._phase = null;
+    this._handlers = {};
+}
+
+/**
+ * Starts a span of the request's trace.
+ *
+ * @private
+ * @memberof RequestTrace
+ * @instance
+ * @function _start
+ * @param    {Object} options - span options
+ * @returns  {Span} span
+ */
+RequestTrace.prototype._start = function _start(options) {
+    var span = new Span(options);
+
+    this.spans.push(span);
+    return span;
+};
+
+/**
+ * Starts a child span.
+ *
+ * @private
+ * @memberof RequestTrace
+ * @instance
+ * @function _startChild
+ * @param    {Span} parent - parent span
+ * @param    {String} name - span name
+ * @param    {Object} attributes - span attributes
+ * @returns  {Span} span
+ */
+RequestTrace.prototype._startChild = function _startChild(
+    parent,
+    name,
+    attributes
+) {
+    return this._start({
+        name: name,
+        kind: 'internal',
+        traceId: parent.traceId,
+        parentSpanId: parent.spanId,
+        traceFlags: parent.traceFlags,
+        traceState: parent.traceState,
+        attributes: attributes
+    });
+};
+
+/**
+ * Starts the span of a phase: `pre`, `use` or `route`.
+ *
+ * @private
+ * @memberof RequestTrace
+ * @instance
+ * @function startPhase
+ * @param    {String} phase - phase name
+ * @returns  {undefined} no return value
+ */
+RequestTrace.prototype.startPhase = function startPhase(phase) {
+    this._phase = this._startChild(this.root, phase, {
+        'restify.phase': phase
+    });
+};
+
+/**
+ * Ends the span of the current phase.
+ *
+ * @private
+ * @memberof RequestTrace
+ * @instance
+ * @function endPhase
+ * @returns  {undefined} no return value
+ */
+RequestTrace.prototype.endPhase = function endPhase() {
+    if (this._phase) {
+        this._phase.end();
+        this._phase = null;
+    }
+};
+
+/**
+ * Starts the span of a handler. Nested handlers, timed with
+ * `req.startHandlerTimer()` inside a handler, are children of that handler's
+ * span.
+ *
+ * @private
+ * @memberof RequestTrace
+ * @instance
+ * @function startHandler
+ * @param    {String} name - handler timer name
+ * @param    {String} [parentName] - timer name of the enclosing handler
+ * @returns  {undefined} no return value
+ */
+RequestTrace.prototype.startHandler = function startHandler(name, parentName) {
+    var parent =
+        (parentName && this._handlers[parentName]) || this._phase || this.root;
+    var attributes = { 'restify.handler': name };
+
+    if (this._phase) {
+        attributes['restify.phase'] = this._phase.name;
+    }
+
+    this._handlers[name] = this._startChild(parent, name, attributes);
+};
+
+/**
+ * Ends the span of a handler.
+ *
+ * @private
+ * @memberof RequestTrace
+ * @instance
+ * @function endHandler
+ * @param    {String} name - handler timer name
+ * @returns  {undefined} no return value
+ */
+RequestTrace.prototype.endHandler = function endHandler(name) {
+    var span = this._handlers[name];
+
+    if (span) {
+        span.end();
+        delete this._handlers[name];
+    }
+};
+
+/**
+ * Returns the innermost span in progress: the current handler's, phase's, or
+ * the server span.
+ *
+ * @private
+ * @memberof RequestTrace
+ * @instance
+ * @function activeSpan
+ * @param    {String} [handlerName] - timer name of the current handler
+ * @returns  {Span} span
+ */
+RequestTrace.prototype.activeSpan = function activeSpan(handlerName) {
+    return (
+        (handlerName && this._handlers[handlerName]) || this._phase || this.root
+    );
+};
+
+/**
+ * Ends the server span, and the spans left in progress, and exports the
+ * spans of the request when it is sampled.
+ *
+ * @private
+ * @memberof RequestTrace
+ * @instance
+ * @function end
+ * @param    {Object} req - the request object
+ * @param    {Object} res - the response object
+ * @param    {Error} [err] - error of the request
+ * @returns  {undefined} no return value
+ */
+RequestTrace.prototype.end = function end(req, res, err) {
+    var root = this.root;
+
+    if (root.endTime !== undefined) {
+        return;
+    }
+
+    if (req.route) {
+        root.name = req.method + ' ' + req.route.path;
+        root.setAttribute('http.route', req.route.path);
+    }
+
+    root.setAttribute('http.response.status_code', res.statusCode);
+
+    // client errors are not errors of the server span
+    if (res.statusCode >= 500 || (err && !res.statusCode)) {
+        root.status = { code: 'error' };
+
+        if (err && err.message) {
+            root.status.message = err.message;
+        }
+    }
+
+    this.spans.forEach(function forEach(span) {
+        span.end();
+    });
+
+    if (this.sampled) {
+        this.tracer.export(this.spans, req);
+    }
+};
+
+///--- API
+
+/**
+ * Creates spans for the requests of a server, and exports them.
+ *
+ * An exporter is any object with an `export(spans)` method, called with the
+ * spans of each sampled request once it is done.
+ *
+ * @public
+ * @class Tracer
+ * @param {Object} options - an options object
+ * @param {Object} options.exporter - span exporter
+ * @param {Function} [options.sampler] - `sampler(req)` returns whether to
+ *  sample a request that did not come with a `traceparent`, all requests are
+ *  sampled by default
+ */
+function Tracer(options) {
+    assert.object(options, 'options');
+    assert.object(options.exporter, 'options.exporter');
+    assert.func(options.exporter.export, 'options.exporter.export');
+    assert.optionalFunc(options.sampler, 'options.sampler');
+
+    this.exporter = options.exporter;
+    this.sampler =
+        options.sampler ||
+        function sampleAll() {
+            return true;
+        };
+}
+
+/**
+ * Starts the trace of a request, continuing the trace of its `traceparent`
+ * if any.
+ *
+ * @public
+ * @memberof Tracer
+ * @instance
+ * @function startRequest
+ * @param    {Object} req - the request object
+ * @returns  {RequestTrace} trace of the request
+ */
+Tracer.prototype.startRequest = function startRequest(req) {
+    return new RequestTrace(this, req);
+};
+
+/**
+ * Exports spans, an exporter failing is logged, not thrown.
+ *
+ * @private
+ * @memberof Tracer
+ * @instance
+ * @function export
+ * @param    {Span[]} spans - spans of a request
+ * @param    {Object} req - the request object
+ * @returns  {undefined} no return value
+ */
+Tracer.prototype.export = function _export(spans, req) {
+    try {
+        this.exporter.export(spans);
+    } catch (e) {
+        if (req.log) {
+            req.log.warn({ err: e }, 'failed to export spans');
+        }
+    }
+};
+
+/**
+ * Keeps finished spans in memory, which is mostly useful for testing.
+ *
+ * @public
+ * @class InMemoryExporter
+ * @example
+ * var exporter = new restify.tracing.InMemoryExporter();
+ * var server = restify.createServer({ tracing: { exporter: exporter } });
+ * // ...
+ * exporter.getFinishedSpans();
+ */
+function InMemoryExporter() {
+    this._spans = [];
+}
+
+/**
+ * Keeps spans.
+ *
+ * @public
+ * @memberof InMemoryExporter
+ * @instance
+ * @function export
+ * @param    {Span[]} spans - spans
+ * @returns  {undefined} no return value
+ */
+InMemoryExporter.prototype.export = function _export(spans) {
+    this._spans = this._spans.concat(spans);
+};
+
+/**
+ * Returns the spans exported so far.
+ *
+ * @public
+ * @memberof InMemoryExporter
+ * @instance
+ * @function getFinishedSpans
+ * @returns  {Span[]} spans
+ */
+InMemoryExporter.prototype.getFinishedSpans = function getFinishedSpans() {
+    return this._spans.slice();
+};
+
+/**
+ * Forgets the spans exported so far.
+ *
+ * @public
+ * @memberof InMemoryExporter
+ * @instance
+ * @function reset
+ * @returns  {undefined} no return value
+ */
+InMemoryExporter.prototype.reset = function reset() {
+    this._spans = [];
+};
+
+///--- Exports
+
+module.exports = {
+    Tracer: Tracer,
+    InMemoryExporter: InMemoryExporter,
+    parseTraceparent: parseTraceparent,
+    formatTraceparent: formatTraceparent,
+    parseTracestate: parseTracestate,
+    formatTracestate: formatTracestate
+};
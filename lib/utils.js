@@ -2,6 +2,8 @@
 
 'use strict';
 
+var assert = require('assert-plus');
+
 /**
  * Return a shallow copy of the given object;
  *
@@ -54,9 +56,48 @@ function mergeQs(obj1, obj2) {
     return merged;
 }
 
+/**
+ * Verify and flatten a nested array of request handlers.
+ *
+ * @public
+ * @function argumentsToChain
+ * @throws   {TypeError}
+ * @param    {Function[]} handlers - pass through of funcs from server.[method]
+ *                                 or router.[method]
+ * @returns  {Array} request handlers
+ */
+function argumentsToChain(handlers) {
+    assert.array(handlers, 'handlers');
+
+    var chain = [];
+
+    // A recursive function for unwinding a nested array of handlers into a
+    // single chain.
+    function process(array) {
+        for (var i = 0; i < array.length; i++) {
+            if (Array.isArray(array[i])) {
+                // Recursively call on nested arrays
+                process(array[i]);
+                continue;
+            }
+            // If an element of the array isn't an array, ensure it is a
+            // handler function and then push it onto the chain of handlers
+            assert.func(array[i], 'handler');
+            chain.push(array[i]);
+        }
+
+        return chain;
+    }
+
+    // Return the chain, note that if `handlers` is an empty array, this will
+    // return an empty array.
+    return process(handlers);
+}
+
 ///--- Exports
 
 module.exports = {
     shallowCopy: shallowCopy,
-    mergeQs: mergeQs
+    mergeQs: mergeQs,
+    argumentsToChain: argumentsToChain
 };
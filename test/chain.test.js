@@ -124,6 +124,72 @@ test('abort with closed request', function(t) {
     );
 });
 
+// AbortController is a global since node 15
+if (global.AbortController) {
+    test('abort with aborted signal', function(t) {
+        var chain = new Chain();
+        var controller = new global.AbortController();
+        var reason = new Error('expired');
+
+        chain.add(function(req, res, next) {
+            controller.abort(reason);
+            next();
+        });
+        chain.add(function(req, res, next) {
+            t.fail('Should not be here');
+        });
+        chain.run(
+            {
+                signal: controller.signal,
+                startHandlerTimer: function() {},
+                endHandlerTimer: function() {},
+                connectionState: function() {
+                    return '';
+                }
+            },
+            {},
+            function(err) {
+                t.equal(err, reason);
+                t.done();
+            }
+        );
+    });
+
+    test('aborted signal ignored once the response is sent', function(t) {
+        var chain = new Chain();
+        var controller = new global.AbortController();
+        var res = { headersSent: false };
+        var counter = 0;
+
+        chain.add(function(req, _res, next) {
+            counter++;
+            res.headersSent = true;
+            controller.abort(new Error('expired'));
+            next();
+        });
+        chain.add(function(req, _res, next) {
+            counter++;
+            next();
+        });
+        chain.run(
+            {
+                signal: controller.signal,
+                startHandlerTimer: function() {},
+                endHandlerTimer: function() {},
+                connectionState: function() {
+                    return '';
+                }
+            },
+            res,
+            function(err) {
+                t.ifError(err);
+                t.equal(counter, 2);
+                t.done();
+            }
+        );
+    });
+}
+
 test('cals error middleware', function(t) {
     t.expect(2);
     var chain = new Chain();
@@ -0,0 +1,173 @@
+'use strict';
+/* eslint-disable func-names */
+
+var cookies = require('../lib/cookies');
+var restify = require('../lib');
+
+if (require.cache[__dirname + '/lib/helper.js']) {
+    delete require.cache[__dirname + '/lib/helper.js'];
+}
+var helper = require('./lib/helper.js');
+
+///--- Globals
+
+var test = helper.test;
+
+function createServer(cookieSecrets) {
+    return restify.createServer({
+        handleUncaughtExceptions: true,
+        log: helper.getLog('server'),
+        cookieSecrets: cookieSecrets
+    });
+}
+
+///--- Tests
+
+test('parse Cookie headers', function(t) {
+    t.deepEqual(cookies.parse('a=1; b="two words"; c=caf%C3%A9; a=3; d=%E0'), {
+        a: '1',
+        b: 'two words',
+        c: 'café',
+        d: '%E0'
+    });
+    t.deepEqual(cookies.parse('flag; =orphan'), {});
+    t.deepEqual(cookies.parse(undefined), {});
+    t.end();
+});
+
+test('sign and unsign values', function(t) {
+    var signed = cookies.sign('user.42', 'new');
+
+    t.equal(signed.indexOf('user.42.'), 0);
+    t.equal(cookies.unsign(signed, ['new']), 'user.42');
+    // old secrets still verify while they are rotated out
+    t.equal(
+        cookies.unsign(cookies.sign('user.42', 'old'), ['new', 'old']),
+        'user.42'
+    );
+    t.equal(cookies.unsign(signed, ['other']), false);
+    t.equal(cookies.unsign('user.43' + signed.slice(7), ['new']), false);
+    t.equal(cookies.unsign('unsigned', ['new']), false);
+    t.end();
+});
+
+test('serialize Set-Cookie headers', function(t) {
+    t.equal(cookies.serialize('a', 'b c'), 'a=b%20c; Path=/');
+    t.equal(
+        cookies.serialize('id', '1', {
+            expires: new Date(0),
+            domain: 'example.com',
+            path: '/api',
+            secure: true,
+            httpOnly: true,
+            sameSite: 'lax',
+            partitioned: true
+        }),
+        'id=1; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Domain=example.com; ' +
+            'Path=/api; Secure; HttpOnly; SameSite=Lax; Partitioned'
+    );
+    t.ok(
+        /^id=1; Max-Age=60; Expires=/.test(
+            cookies.serialize('id', '1', {
+                maxAge: 60
+            })
+        )
+    );
+    t.throws(function() {
+        cookies.serialize('bad name', '1');
+    }, /token/);
+    t.throws(function() {
+        cookies.serialize('id', '1', { sameSite: 'sometimes' });
+    }, /sameSite/);
+    t.throws(function() {
+        cookies.serialize('id', '1', { partitioned: true });
+    }, /must be secure/);
+    t.throws(function() {
+        cookies.serialize('id', '1', { path: '/; Domain=evil.com' });
+    }, /invalid cookie Path/);
+    t.end();
+});
+
+test('setCookie appends Set-Cookie headers', function(t) {
+    var server = createServer(['new', 'old']);
+
+    server.get('/', function(req, res, next) {
+        res.setCookie('theme', 'dark', { maxAge: 60 });
+        res.setCookie('session', 'abc', { httpOnly: true, signed: true });
+        res.clearCookie('legacy', { path: '/old' });
+        res.send(200);
+        next();
+    });
+
+    server.inject('/').then(function(res) {
+        var headers = res.headers['set-cookie'];
+
+        t.equal(headers.length, 3);
+        t.ok(/^theme=dark; Max-Age=60; Expires=.*; Path=\/$/.test(headers[0]));
+        t.equal(
+            headers[1],
+            'session=' +
+                encodeURIComponent('s:' + cookies.sign('abc', 'new')) +
+                '; Path=/; HttpOnly'
+        );
+        t.equal(
+            headers[2],
+            'legacy=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; ' +
+                'Path=/old'
+        );
+        t.end();
+    });
+});
+
+test('req.cookies and req.signedCookies', function(t) {
+    var server = createServer(['new', 'old']);
+
+    server.get('/', function(req, res, next) {
+        res.send({
+            cookies: req.cookies,
+            signedCookies: req.signedCookies
+        });
+        next();
+    });
+
+    server
+        .inject({
+            url: '/',
+            headers: {
+                cookie: [
+                    'theme=dark',
+                    'session=' +
+                        encodeURIComponent('s:' + cookies.sign('abc', 'old')),
+                    'user=s:' + cookies.sign('42', 'stolen')
+                ].join('; ')
+            }
+        })
+        .then(function(res) {
+            t.deepEqual(JSON.parse(res.body), {
+                cookies: { theme: 'dark' },
+                signedCookies: { session: 'abc', user: false }
+            });
+            t.end();
+        });
+});
+
+test('signed cookies require cookieSecrets', function(t) {
+    var server = createServer();
+
+    server.get('/', function(req, res, next) {
+        t.throws(function() {
+            res.setCookie('session', 'abc', { signed: true });
+        }, /cookieSecrets/);
+        // without secrets, signed looking cookies are plain ones
+        t.equal(req.cookies.session, 's:abc.def');
+        t.deepEqual(req.signedCookies, {});
+        res.send(200);
+        next();
+    });
+
+    server
+        .inject({ url: '/', headers: { cookie: 'session=s:abc.def' } })
+        .then(function() {
+            t.end();
+        });
+});
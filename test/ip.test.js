@@ -0,0 +1,86 @@
+'use strict';
+/* eslint-disable func-names */
+
+var ip = require('../lib/ip');
+
+if (require.cache[__dirname + '/lib/helper.js']) {
+    delete require.cache[__dirname + '/lib/helper.js'];
+}
+var helper = require('./lib/helper.js');
+
+///--- Globals
+
+var test = helper.test;
+
+///--- Tests
+
+test('parse IPv4 and IPv6 addresses', function(t) {
+    t.deepEqual(ip.parse('10.1.2.3'), { version: 4, bytes: [10, 1, 2, 3] });
+    t.deepEqual(ip.parse('::1').bytes, [
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        1
+    ]);
+    t.equal(
+        ip.format(ip.parse('2001:DB8::8a2e:370:7334')),
+        '2001:db8:0:0:0:8a2e:370:7334'
+    );
+    t.equal(ip.format(ip.parse('[fe80::1%eth0]')), 'fe80:0:0:0:0:0:0:1');
+    t.deepEqual(ip.parse('::ffff:127.0.0.1'), {
+        version: 4,
+        bytes: [127, 0, 0, 1]
+    });
+    t.equal(ip.parse('example.com'), null);
+    t.equal(ip.parse('10.0.0.256'), null);
+    t.equal(ip.parse(undefined), null);
+    t.end();
+});
+
+test('parseCidr', function(t) {
+    var range = ip.parseCidr('10.1.2.3/8');
+
+    t.equal(range.prefix, 8);
+    t.deepEqual(range.bytes, [10, 0, 0, 0]);
+    t.equal(ip.parseCidr('2001:db8::1').prefix, 128);
+    t.equal(ip.parseCidr('::ffff:10.0.0.0/104').prefix, 8);
+    t.equal(ip.parseCidr('10.0.0.0/33'), null);
+    t.equal(ip.parseCidr('10.0.0.0/a'), null);
+    t.equal(ip.parseCidr('nope/8'), null);
+    t.end();
+});
+
+test('contains', function(t) {
+    var v4 = ip.parseCidr('192.168.0.0/16');
+    var v6 = ip.parseCidr('2001:db8:1:2::/64');
+
+    t.ok(ip.contains(v4, ip.parse('192.168.10.1')));
+    t.ok(ip.contains(v4, ip.parse('::ffff:192.168.0.1')));
+    t.notOk(ip.contains(v4, ip.parse('192.169.0.1')));
+    t.ok(ip.contains(v6, ip.parse('2001:db8:1:2:ffff::1')));
+    t.notOk(ip.contains(v6, ip.parse('2001:db8:1:3::1')));
+    t.notOk(ip.contains(v6, ip.parse('192.168.0.1')));
+    t.ok(ip.contains(ip.parseCidr('0.0.0.0/0'), ip.parse('8.8.8.8')));
+    t.end();
+});
+
+test('mask', function(t) {
+    t.equal(
+        ip.format(ip.mask(ip.parse('2001:db8:1:2:3:4:5:6'), 64)),
+        '2001:db8:1:2:0:0:0:0'
+    );
+    t.equal(ip.format(ip.mask(ip.parse('10.1.2.3'), 20)), '10.1.0.0');
+    t.end();
+});
@@ -0,0 +1,168 @@
+'use strict';
+/* eslint-disable func-names */
+
+var restify = require('../lib');
+var translatePath = require('../lib/openapi').translatePath;
+
+if (require.cache[__dirname + '/lib/helper.js']) {
+    delete require.cache[__dirname + '/lib/helper.js'];
+}
+var helper = require('./lib/helper.js');
+
+///--- Globals
+
+var test = helper.test;
+
+function handler(req, res, next) {
+    res.send(200);
+    next();
+}
+
+///--- Tests
+
+test('translatePath', function(t) {
+    t.deepEqual(translatePath('/foo'), { template: '/foo', params: [] });
+    t.deepEqual(translatePath('/foo/:id/bar'), {
+        template: '/foo/{id}/bar',
+        params: [{ name: 'id' }]
+    });
+    t.deepEqual(translatePath('/files/:name(^\\d+).png'), {
+        template: '/files/{name}.png',
+        params: [{ name: 'name', pattern: '^\\d+$' }]
+    });
+    t.deepEqual(translatePath('/range/:from-:to'), {
+        template: '/range/{from}-{to}',
+        params: [{ name: 'from' }, { name: 'to' }]
+    });
+    t.deepEqual(translatePath('/static/*'), {
+        template: '/static/{wildcard}',
+        params: [{ name: 'wildcard' }]
+    });
+    t.deepEqual(translatePath('/time/10::30'), {
+        template: '/time/10:30',
+        params: []
+    });
+    t.end();
+});
+
+test('toOpenAPI describes routes', function(t) {
+    var server = restify.createServer();
+
+    server.get(
+        {
+            name: 'getAccount',
+            path: '/accounts/:id',
+            summary: 'Get an account',
+            tags: ['accounts'],
+            schema: {
+                params: {
+                    type: 'object',
+                    properties: { id: { type: 'integer' } }
+                },
+                query: {
+                    type: 'object',
+                    required: ['fields'],
+                    properties: { fields: { type: 'string' } }
+                },
+                headers: {
+                    type: 'object',
+                    properties: {
+                        accept: { type: 'string' },
+                        'x-tenant': { type: 'string' }
+                    }
+                }
+            },
+            responses: {
+                200: {
+                    description: 'The account',
+                    schema: { type: 'object' }
+                }
+            }
+        },
+        handler
+    );
+    server.post(
+        {
+            path: '/accounts',
+            schema: { body: { type: 'object' } }
+        },
+        handler
+    );
+    server.get({ path: '/openapi.json', openapi: false }, handler);
+
+    var doc = server.toOpenAPI({ title: 'Accounts', version: '1.0.0' });
+
+    t.equal(doc.openapi, '3.1.0');
+    t.deepEqual(doc.info, { title: 'Accounts', version: '1.0.0' });
+    t.deepEqual(Object.keys(doc.paths), ['/accounts/{id}', '/accounts']);
+    t.deepEqual(doc.paths['/accounts/{id}'].get, {
+        operationId: 'getAccount',
+        summary: 'Get an account',
+        tags: ['accounts'],
+        parameters: [
+            {
+                name: 'id',
+                in: 'path',
+                required: true,
+                schema: { type: 'integer' }
+            },
+            {
+                name: 'fields',
+                in: 'query',
+                required: true,
+                schema: { type: 'string' }
+            },
+            {
+                name: 'x-tenant',
+                in: 'header',
+                required: false,
+                schema: { type: 'string' }
+            }
+        ],
+        responses: {
+            200: {
+                description: 'The account',
+                content: {
+                    'application/json': { schema: { type: 'object' } }
+                }
+            }
+        }
+    });
+    t.deepEqual(doc.paths['/accounts'].post, {
+        operationId: 'postaccounts',
+        requestBody: {
+            required: true,
+            content: {
+                'application/json': { schema: { type: 'object' } }
+            }
+        },
+        responses: {
+            default: { description: 'Default response' }
+        }
+    });
+    t.end();
+});
+
+test('toOpenAPI describes regex params and groups', function(t) {
+    var server = restify.createServer();
+
+    server.group('/v2', function(g) {
+        g.get('/files/:name(^\\w+).png', handler);
+    });
+
+    var doc = server.toOpenAPI({ title: 'Files', version: '2.0.0' });
+
+    t.deepEqual(doc.paths['/v2/files/{name}.png'].get.parameters, [
+        {
+            name: 'name',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', pattern: '^\\w+$' }
+        }
+    ]);
+    t.equal(
+        doc.paths['/v2/files/{name}.png'].get.operationId,
+        'v2.getfilesnamewpng'
+    );
+    t.end();
+});
@@ -0,0 +1,266 @@
+'use strict';
+/* eslint-disable func-names */
+
+var EventEmitter = require('events').EventEmitter;
+var http = require('http');
+
+var assert = require('chai').assert;
+var restify = require('../../lib/index.js');
+var adaptiveConcurrencyThrottle = restify.plugins.adaptiveConcurrencyThrottle;
+
+function fakeRequest() {
+    return { log: { trace: function() {} } };
+}
+
+function fakeResponse() {
+    var res = new EventEmitter();
+
+    res.headers = {};
+    res.header = function(name, value) {
+        res.headers[name] = value;
+    };
+
+    return res;
+}
+
+// admits a request, returns its response or the error it was rejected with
+function admit(plugin) {
+    var res = fakeResponse();
+    var result;
+
+    plugin(fakeRequest(), res, function(err) {
+        result = err || res;
+    });
+
+    return result;
+}
+
+function finish(res) {
+    res.emit('finish');
+}
+
+describe('adaptiveConcurrencyThrottle', function() {
+    it('Unit: Should shed load above the limit', function() {
+        var plugin = adaptiveConcurrencyThrottle({
+            initialLimit: 2
+        });
+        var res = fakeResponse();
+        var rejected;
+
+        admit(plugin);
+        admit(plugin);
+        plugin(fakeRequest(), res, function(err) {
+            rejected = err;
+        });
+
+        assert.equal(rejected.name, 'ServiceUnavailableError');
+        assert.equal(res.headers['Retry-After'], 1);
+        assert.equal(plugin.state.inflightRequests, 2);
+    });
+
+    it('Unit: Should admit requests once others finish', function() {
+        var plugin = adaptiveConcurrencyThrottle({
+            initialLimit: 1,
+            maxLimit: 1
+        });
+        var res = admit(plugin);
+
+        assert.instanceOf(admit(plugin), Error);
+        finish(res);
+        assert.equal(plugin.state.inflightRequests, 0);
+        assert.notInstanceOf(admit(plugin), Error);
+    });
+
+    it('Unit: Should release a request once', function() {
+        var plugin = adaptiveConcurrencyThrottle({
+            initialLimit: 2
+        });
+        var res = admit(plugin);
+
+        admit(plugin);
+        finish(res);
+        res.emit('close');
+        assert.equal(plugin.state.inflightRequests, 1);
+    });
+
+    it('Unit: Should grow and shrink an aimd limit', function() {
+        var fast = adaptiveConcurrencyThrottle({
+            algorithm: 'aimd',
+            initialLimit: 3
+        });
+
+        // grows while at least half of the limit is in use
+        [admit(fast), admit(fast), admit(fast)].forEach(function(res) {
+            finish(res);
+        });
+        assert.equal(fast.state.limit, 5);
+
+        var slow = adaptiveConcurrencyThrottle({
+            algorithm: 'aimd',
+            initialLimit: 10,
+            latencyThreshold: -1,
+            backoffRatio: 0.5
+        });
+
+        finish(admit(slow));
+        assert.equal(slow.state.limit, 5);
+        finish(admit(slow));
+        finish(admit(slow));
+        assert.equal(slow.state.limit, 1);
+    });
+
+    it('Unit: Should shrink a gradient limit as latency grows', function(done) {
+        var plugin = adaptiveConcurrencyThrottle({
+            initialLimit: 10
+        });
+        var i;
+
+        var fast = [];
+
+        // fast requests, the limit grows while they fill it
+        for (i = 0; i < 10; i++) {
+            fast.push(admit(plugin));
+        }
+        fast.forEach(function(res) {
+            finish(res);
+        });
+
+        var grown = plugin.state.limit;
+        var slow = [];
+
+        assert.isAbove(grown, 10);
+
+        for (i = 0; i < grown; i++) {
+            slow.push(admit(plugin));
+        }
+
+        setTimeout(function() {
+            slow.forEach(function(res) {
+                finish(res);
+            });
+
+            assert.isBelow(plugin.state.limit, grown);
+            assert.isAbove(plugin.state.shortLatency, 20);
+            done();
+        }, 50);
+    });
+
+    it('Unit: Should not grow a limit the server does not use', function() {
+        var plugin = adaptiveConcurrencyThrottle({
+            initialLimit: 10
+        });
+
+        for (var i = 0; i < 20; i++) {
+            finish(admit(plugin));
+        }
+
+        assert.equal(plugin.state.limit, 10);
+    });
+
+    it('Integration: Should shed load as a first handler', function(done) {
+        var server = restify.createServer();
+        var plugin = adaptiveConcurrencyThrottle({
+            initialLimit: 1,
+            maxLimit: 1
+        });
+        var release;
+
+        server.first(plugin);
+        server.get('/foo', function(req, res, next) {
+            release = function() {
+                res.send(200);
+                next();
+            };
+        });
+
+        function get(callback) {
+            http.get(
+                {
+                    host: '127.0.0.1',
+                    port: server.address().port,
+                    path: '/foo'
+                },
+                function(res) {
+                    var body = '';
+
+                    res.setEncoding('utf8');
+                    res.on('data', function(chunk) {
+                        body += chunk;
+                    });
+                    res.once('end', function() {
+                        callback(res, body);
+                    });
+                }
+            );
+        }
+
+        server.listen(0, '127.0.0.1', function() {
+            get(function(res) {
+                assert.equal(res.statusCode, 200);
+                assert.equal(plugin.state.inflightRequests, 0);
+                server.close(done);
+            });
+
+            // wait for the first request to reach its handler
+            function waitForFirst() {
+                if (!release) {
+                    setTimeout(waitForFirst, 5);
+                    return;
+                }
+
+                get(function(res, body) {
+                    assert.equal(res.statusCode, 503);
+                    assert.equal(res.headers['retry-after'], '1');
+                    assert.equal(JSON.parse(body).code, 'ServiceUnavailable');
+                    release();
+                });
+            }
+
+            waitForFirst();
+        });
+    });
+
+    it('Integration: Should release requests rejected later', function(done) {
+        var server = restify.createServer();
+        var plugin = adaptiveConcurrencyThrottle({
+            initialLimit: 1,
+            maxLimit: 1
+        });
+
+        server.first(plugin);
+        server.first(function(req, res) {
+            res.statusCode = 403;
+            res.end();
+            return false;
+        });
+
+        function get(callback) {
+            http.get(
+                {
+                    host: '127.0.0.1',
+                    port: server.address().port,
+                    path: '/foo'
+                },
+                function(res) {
+                    res.resume();
+                    res.once('end', function() {
+                        callback(res);
+                    });
+                }
+            );
+        }
+
+        server.listen(0, '127.0.0.1', function() {
+            get(function(res) {
+                assert.equal(res.statusCode, 403);
+
+                // a leaked slot would reject this one with a 503
+                get(function(res2) {
+                    assert.equal(res2.statusCode, 403);
+                    assert.equal(plugin.state.inflightRequests, 0);
+                    server.close(done);
+                });
+            });
+        });
+    });
+});
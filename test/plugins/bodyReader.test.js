@@ -3,6 +3,7 @@
 
 // core requires
 var http = require('http');
+var zlib = require('zlib');
 
 // external requires
 var assert = require('chai').assert;
@@ -17,6 +18,35 @@ var SERVER;
 var CLIENT;
 var PORT;
 
+function postEncoded(body, contentEncoding, callback) {
+    var req = http.request(
+        {
+            hostname: '127.0.0.1',
+            port: PORT,
+            path: '/compressed',
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Encoding': contentEncoding,
+                'Content-Length': body.length
+            }
+        },
+        function(res) {
+            var data = '';
+
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                data += chunk;
+            });
+            res.once('end', function() {
+                callback(res, data);
+            });
+        }
+    );
+
+    req.end(body);
+}
+
 describe('body reader', function() {
     beforeEach(function(done) {
         SERVER = restify.createServer({
@@ -90,7 +120,10 @@ describe('body reader', function() {
                 function(err, _, res) {
                     assert.isOk(err, 'should fail');
                     assert.equal(res.statusCode, 415);
-                    assert.equal(res.headers['accept-encoding'], 'gzip');
+                    assert.equal(
+                        res.headers['accept-encoding'],
+                        'gzip, deflate, br'
+                    );
                     done();
                 }
             );
@@ -188,6 +221,89 @@ describe('body reader', function() {
         });
     });
 
+    describe('br and deflate content encoding', function() {
+        var BODY = JSON.stringify({ apple: 'red' });
+
+        beforeEach(function() {
+            CLIENT = restifyClients.createJsonClient({
+                url: 'http://127.0.0.1:' + PORT,
+                retry: false
+            });
+        });
+
+        it('should parse br and deflate encoded content', function(done) {
+            SERVER.use(restify.plugins.bodyParser());
+            SERVER.post('/compressed', function(req, res, next) {
+                res.send(req.body);
+                next();
+            });
+
+            postEncoded(zlib.brotliCompressSync(BODY), 'br', function(
+                res,
+                data
+            ) {
+                assert.equal(res.statusCode, 200);
+                assert.equal(data, BODY);
+
+                postEncoded(zlib.deflateSync(BODY), 'deflate', function(
+                    res2,
+                    data2
+                ) {
+                    assert.equal(res2.statusCode, 200);
+                    assert.equal(data2, BODY);
+                    done();
+                });
+            });
+        });
+
+        it('should parse stacked encodings', function(done) {
+            SERVER.use(restify.plugins.bodyParser());
+            SERVER.post('/compressed', function(req, res, next) {
+                res.send(req.body);
+                next();
+            });
+
+            var body = zlib.brotliCompressSync(zlib.gzipSync(BODY));
+
+            postEncoded(body, 'gzip, identity, br', function(res, data) {
+                assert.equal(res.statusCode, 200);
+                assert.equal(data, BODY);
+                done();
+            });
+        });
+
+        it('should reject invalid encoded content', function(done) {
+            SERVER.use(restify.plugins.bodyParser());
+            SERVER.post('/compressed', function(req, res, next) {
+                res.send(req.body);
+                next();
+            });
+
+            postEncoded(Buffer.from(BODY), 'br', function(res) {
+                assert.equal(res.statusCode, 400);
+                done();
+            });
+        });
+
+        it('should limit the decompressed body size', function(done) {
+            SERVER.use(restify.plugins.bodyParser({ maxBodySize: 1024 }));
+            SERVER.post('/compressed', function(req, res, next) {
+                res.send(req.body);
+                next();
+            });
+
+            var bomb = zlib.gzipSync(
+                JSON.stringify({ data: 'a'.repeat(256 * 1024) })
+            );
+
+            assert.isBelow(bomb.length, 1024);
+            postEncoded(bomb, 'gzip', function(res) {
+                assert.equal(res.statusCode, 413);
+                done();
+            });
+        });
+    });
+
     it('should not add a listener for each call on same socket', done => {
         SERVER.use(restify.plugins.bodyParser());
 
@@ -0,0 +1,271 @@
+'use strict';
+/* eslint-disable func-names */
+
+// external requires
+var http = require('http');
+var zlib = require('zlib');
+var assert = require('chai').assert;
+var restify = require('../../lib/index.js');
+
+// local files
+var helper = require('../lib/helper');
+
+// local globals
+var SERVER;
+var PORT;
+var BODY = { data: new Array(2048).join('a') };
+
+function get(path, headers, callback) {
+    http.get(
+        {
+            host: '127.0.0.1',
+            port: PORT,
+            path: path,
+            headers: headers
+        },
+        function(res) {
+            var chunks = [];
+
+            res.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            res.once('end', function() {
+                callback(res, Buffer.concat(chunks));
+            });
+        }
+    );
+}
+
+describe('compressResponse', function() {
+    beforeEach(function(done) {
+        SERVER = restify.createServer({
+            dtrace: helper.dtrace,
+            log: helper.getLog('server')
+        });
+
+        SERVER.listen(0, '127.0.0.1', function() {
+            PORT = SERVER.address().port;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        SERVER.close(done);
+    });
+
+    it('should negotiate the preferred encoding', function(done) {
+        SERVER.use(restify.plugins.compressResponse());
+        SERVER.get('/', function(req, res, next) {
+            res.send(BODY);
+            next();
+        });
+
+        get('/', { 'Accept-Encoding': 'gzip, br;q=0.8' }, function(res, body) {
+            assert.equal(res.headers['content-encoding'], 'gzip');
+            assert.equal(res.headers.vary, 'Accept-Encoding');
+            assert.isUndefined(res.headers['content-length']);
+            assert.deepEqual(JSON.parse(zlib.gunzipSync(body)), BODY);
+
+            get('/', { 'Accept-Encoding': 'gzip;q=0.5, br' }, function(
+                res2,
+                body2
+            ) {
+                assert.equal(res2.headers['content-encoding'], 'br');
+                assert.deepEqual(
+                    JSON.parse(zlib.brotliDecompressSync(body2)),
+                    BODY
+                );
+                done();
+            });
+        });
+    });
+
+    it('should use deflate and the server preference on ties', function(done) {
+        SERVER.use(
+            restify.plugins.compressResponse({ encodings: ['deflate', 'gzip'] })
+        );
+        SERVER.get('/', function(req, res, next) {
+            res.send(BODY);
+            next();
+        });
+
+        get('/', { 'Accept-Encoding': '*' }, function(res, body) {
+            assert.equal(res.headers['content-encoding'], 'deflate');
+            assert.deepEqual(JSON.parse(zlib.inflateSync(body)), BODY);
+            done();
+        });
+    });
+
+    it('should not compress when identity is preferred', function(done) {
+        SERVER.use(restify.plugins.compressResponse());
+        SERVER.get('/', function(req, res, next) {
+            res.send(BODY);
+            next();
+        });
+
+        get('/', { 'Accept-Encoding': 'gzip;q=0.1, identity' }, function(
+            res,
+            body
+        ) {
+            assert.isUndefined(res.headers['content-encoding']);
+            assert.equal(res.headers.vary, 'Accept-Encoding');
+            assert.deepEqual(JSON.parse(body), BODY);
+
+            get('/', {}, function(res2) {
+                assert.isUndefined(res2.headers['content-encoding']);
+                done();
+            });
+        });
+    });
+
+    it('should not compress bodies under the threshold', function(done) {
+        SERVER.use(restify.plugins.compressResponse({ threshold: 100 }));
+        SERVER.get('/small', function(req, res, next) {
+            res.send({ hello: 'world' });
+            next();
+        });
+        SERVER.get('/end', function(req, res, next) {
+            res.setHeader('Content-Type', 'text/plain');
+            res.end('hello');
+            next();
+        });
+
+        get('/small', { 'Accept-Encoding': 'gzip' }, function(res, body) {
+            assert.isUndefined(res.headers['content-encoding']);
+            assert.equal(res.headers.vary, 'Accept-Encoding');
+            assert.equal(res.headers['content-length'], body.length);
+
+            get('/end', { 'Accept-Encoding': 'gzip' }, function(res2, body2) {
+                assert.isUndefined(res2.headers['content-encoding']);
+                assert.equal(body2.toString(), 'hello');
+                done();
+            });
+        });
+    });
+
+    it('should not compress incompressible content types', function(done) {
+        SERVER.use(restify.plugins.compressResponse({ threshold: 0 }));
+        SERVER.get('/', function(req, res, next) {
+            res.setHeader('Content-Type', 'image/png');
+            res.send(Buffer.alloc(2048));
+            next();
+        });
+
+        get('/', { 'Accept-Encoding': 'gzip' }, function(res, body) {
+            assert.isUndefined(res.headers['content-encoding']);
+            assert.isUndefined(res.headers.vary);
+            assert.equal(body.length, 2048);
+            done();
+        });
+    });
+
+    it('should respect an existing Content-Encoding', function(done) {
+        var gzipped = zlib.gzipSync(JSON.stringify(BODY));
+
+        SERVER.use(restify.plugins.compressResponse());
+        SERVER.get('/', function(req, res, next) {
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Encoding', 'gzip');
+            res.writeHead(200);
+            res.end(gzipped);
+            next();
+        });
+
+        get('/', { 'Accept-Encoding': 'br' }, function(res, body) {
+            assert.equal(res.headers['content-encoding'], 'gzip');
+            assert.deepEqual(JSON.parse(zlib.gunzipSync(body)), BODY);
+            done();
+        });
+    });
+
+    it('should weaken strong ETags of compressed responses', function(done) {
+        SERVER.use(restify.plugins.compressResponse());
+        SERVER.get('/', function(req, res, next) {
+            res.setHeader('ETag', '"abc"');
+            res.send(BODY);
+            next();
+        });
+
+        get('/', { 'Accept-Encoding': 'gzip' }, function(res) {
+            assert.equal(res.headers.etag, 'W/"abc"');
+            done();
+        });
+    });
+
+    it('should flush streamed responses', function(done) {
+        var finish;
+
+        SERVER.use(restify.plugins.compressResponse());
+        SERVER.get('/', function(req, res, next) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.writeHead(200);
+            res.write('data: first\n\n');
+            res.flush();
+
+            finish = function() {
+                res.end('data: second\n\n');
+                next();
+            };
+        });
+
+        http.get(
+            {
+                host: '127.0.0.1',
+                port: PORT,
+                path: '/',
+                headers: { 'Accept-Encoding': 'gzip' }
+            },
+            function(res) {
+                var gunzip = zlib.createGunzip();
+                var text = '';
+
+                assert.equal(res.headers['content-encoding'], 'gzip');
+                res.pipe(gunzip);
+                gunzip.on('data', function(chunk) {
+                    text += chunk;
+
+                    // the first event arrives before the response ends
+                    if (text === 'data: first\n\n') {
+                        finish();
+                    }
+                });
+                gunzip.once('end', function() {
+                    assert.equal(text, 'data: first\n\ndata: second\n\n');
+                    done();
+                });
+            }
+        );
+    });
+
+    it('should destroy responses written after their end', function(done) {
+        SERVER.use(restify.plugins.compressResponse());
+        SERVER.get('/', function(req, res, next) {
+            var warn = res.log.warn;
+            var logged;
+
+            res.log.warn = function(obj) {
+                logged = obj.err;
+                return warn.apply(this, arguments);
+            };
+            res.once('close', function() {
+                assert.equal(logged.code, 'ERR_STREAM_WRITE_AFTER_END');
+                done();
+            });
+
+            res.setHeader('Content-Type', 'text/plain');
+            res.writeHead(200);
+            res.end(BODY.data);
+            res.write('too late');
+            next();
+        });
+
+        http.get({
+            host: '127.0.0.1',
+            port: PORT,
+            path: '/',
+            headers: { 'Accept-Encoding': 'gzip' }
+        }).on('error', function() {
+            // the connection is destroyed on purpose
+        });
+    });
+});
@@ -0,0 +1,213 @@
+'use strict';
+/* eslint-disable func-names */
+
+// external requires
+var assert = require('chai').assert;
+var restify = require('../../lib/index.js');
+var restifyClients = require('restify-clients');
+
+// local files
+var helper = require('../lib/helper');
+
+// local globals
+var SERVER;
+var CLIENT;
+var PORT;
+
+describe('cors', function() {
+    beforeEach(function(done) {
+        SERVER = restify.createServer({
+            dtrace: helper.dtrace,
+            log: helper.getLog('server'),
+            handleOptionsStar: false
+        });
+
+        SERVER.get('/foo/:id', function(req, res, next) {
+            res.header('x-request-id', req.id());
+            res.send({ hello: 'world' });
+            next();
+        });
+        SERVER.del('/foo/:id', function(req, res, next) {
+            res.send(204);
+            next();
+        });
+
+        SERVER.listen(0, '127.0.0.1', function() {
+            PORT = SERVER.address().port;
+            CLIENT = restifyClients.createJsonClient({
+                url: 'http://127.0.0.1:' + PORT,
+                dtrace: helper.dtrace,
+                retry: false
+            });
+
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        CLIENT.close();
+        SERVER.close(done);
+    });
+
+    it('should not set headers without an Origin', function(done) {
+        SERVER.pre(restify.plugins.cors({ server: SERVER }));
+
+        CLIENT.get('/foo/bar', function(err, _, res) {
+            assert.ifError(err);
+            assert.notOk(res.headers['access-control-allow-origin']);
+            done();
+        });
+    });
+
+    it('should allow any origin by default', function(done) {
+        SERVER.pre(
+            restify.plugins.cors({
+                server: SERVER,
+                exposeHeaders: ['x-request-id']
+            })
+        );
+
+        var opts = {
+            path: '/foo/bar',
+            headers: { origin: 'https://example.com' }
+        };
+        CLIENT.get(opts, function(err, _, res) {
+            assert.ifError(err);
+            assert.equal(res.headers['access-control-allow-origin'], '*');
+            assert.equal(
+                res.headers['access-control-expose-headers'],
+                'x-request-id'
+            );
+            assert.notOk(res.headers.vary);
+            done();
+        });
+    });
+
+    it('should echo allowed origins with credentials', function(done) {
+        SERVER.pre(
+            restify.plugins.cors({
+                server: SERVER,
+                origins: ['https://example.com'],
+                credentials: true
+            })
+        );
+
+        var opts = {
+            path: '/foo/bar',
+            headers: { origin: 'https://example.com' }
+        };
+        CLIENT.get(opts, function(err, _, res) {
+            assert.ifError(err);
+            assert.equal(
+                res.headers['access-control-allow-origin'],
+                'https://example.com'
+            );
+            assert.equal(
+                res.headers['access-control-allow-credentials'],
+                'true'
+            );
+            assert.equal(res.headers.vary, 'Origin');
+            done();
+        });
+    });
+
+    it('should not allow unknown origins', function(done) {
+        SERVER.pre(
+            restify.plugins.cors({
+                server: SERVER,
+                origins: [/\.example\.com$/]
+            })
+        );
+
+        var opts = {
+            path: '/foo/bar',
+            headers: { origin: 'https://evil.com' }
+        };
+        CLIENT.get(opts, function(err, _, res) {
+            assert.ifError(err);
+            assert.notOk(res.headers['access-control-allow-origin']);
+            assert.equal(res.headers.vary, 'Origin');
+            done();
+        });
+    });
+
+    it('should accept an origin function', function(done) {
+        SERVER.pre(
+            restify.plugins.cors({
+                server: SERVER,
+                origins: function(origin, req) {
+                    return origin === 'https://a.example.com';
+                }
+            })
+        );
+
+        var opts = {
+            path: '/foo/bar',
+            headers: { origin: 'https://a.example.com' }
+        };
+        CLIENT.get(opts, function(err, _, res) {
+            assert.ifError(err);
+            assert.equal(
+                res.headers['access-control-allow-origin'],
+                'https://a.example.com'
+            );
+            done();
+        });
+    });
+
+    it('should answer preflight requests for mounted routes', function(done) {
+        SERVER.pre(
+            restify.plugins.cors({
+                server: SERVER,
+                origins: ['https://example.com'],
+                maxAge: 600
+            })
+        );
+
+        var opts = {
+            path: '/foo/bar',
+            headers: {
+                origin: 'https://example.com',
+                'access-control-request-method': 'DELETE',
+                'access-control-request-headers': 'x-foo'
+            }
+        };
+        CLIENT.opts(opts, function(err, _, res) {
+            assert.ifError(err);
+            assert.equal(res.statusCode, 204);
+            assert.equal(
+                res.headers['access-control-allow-origin'],
+                'https://example.com'
+            );
+            assert.equal(
+                res.headers['access-control-allow-methods'],
+                'DELETE, GET'
+            );
+            assert.equal(res.headers['access-control-allow-headers'], 'x-foo');
+            assert.equal(res.headers['access-control-max-age'], '600');
+            assert.equal(
+                res.headers.vary,
+                'Origin, Access-Control-Request-Headers'
+            );
+            done();
+        });
+    });
+
+    it('should ignore preflight requests for unknown paths', function(done) {
+        SERVER.pre(restify.plugins.cors({ server: SERVER }));
+
+        var opts = {
+            path: '/bar',
+            headers: {
+                origin: 'https://example.com',
+                'access-control-request-method': 'GET'
+            }
+        };
+        CLIENT.opts(opts, function(err, _, res) {
+            assert.ok(err);
+            assert.equal(res.statusCode, 404);
+            assert.notOk(res.headers['access-control-allow-methods']);
+            done();
+        });
+    });
+});
@@ -0,0 +1,197 @@
+'use strict';
+/* eslint-disable func-names */
+
+var assert = require('chai').assert;
+var errors = require('restify-errors');
+var proxyquire = require('proxyquire');
+var restify = require('../../lib/index.js');
+var restifyClients = require('restify-clients');
+
+// Allow tests to set the event loop delay, in ms, measured by the histogram
+var DELAY = 100;
+var ENABLED = false;
+
+var eventLoopThrottle = proxyquire('../../lib/plugins/eventLoopThrottle.js', {
+    perf_hooks: {
+        monitorEventLoopDelay: function(options) {
+            // like the real one, the histogram records the delay along with
+            // the sampling interval
+            var resolution = options.resolution;
+
+            return {
+                enable: function() {
+                    ENABLED = true;
+                },
+                disable: function() {
+                    ENABLED = false;
+                },
+                reset: function() {},
+                percentile: function(percentile) {
+                    return (DELAY + percentile + resolution) * 1e6;
+                },
+                get mean() {
+                    return (DELAY + resolution) * 1e6;
+                }
+            };
+        }
+    }
+});
+
+var MR = Math.random;
+describe('eventLoopThrottle', function() {
+    var plugin;
+
+    before('Setup: stub math.random', function(done) {
+        Math.random = function() {
+            return 0;
+        };
+        done();
+    });
+
+    beforeEach(function() {
+        DELAY = 100;
+    });
+
+    it('Unit: Should shed load', function(done) {
+        plugin = eventLoopThrottle({ limit: 50, max: 150 });
+        function next(err) {
+            assert(err instanceof Error, 'Should call next with error');
+            assert.equal(err.statusCode, 503, 'Defaults to 503 status');
+
+            var info = errors.info(err);
+
+            assert.equal(info.plugin, 'eventLoopThrottle');
+            assert.equal(info.eventLoopDelay, 100);
+            assert.equal(info.reject, 0.5);
+            done();
+        }
+        plugin({}, {}, next);
+    });
+
+    it('Unit: Should let request through when not under load', function(done) {
+        DELAY = 10;
+        plugin = eventLoopThrottle();
+        function next(err) {
+            assert.isUndefined(err, 'Should call next');
+            done();
+        }
+        plugin({}, {}, next);
+    });
+
+    it('Unit: Should not count the sampling resolution', function(done) {
+        DELAY = 0;
+        plugin = eventLoopThrottle({ limit: 50, max: 150, resolution: 100 });
+        assert.equal(plugin.state.eventLoopDelay, 0);
+        plugin({}, {}, function(err) {
+            assert.isUndefined(err, 'Should call next');
+            done();
+        });
+    });
+
+    it('Unit: Should measure a percentile', function() {
+        plugin = eventLoopThrottle({ percentile: 99 });
+        assert.equal(plugin.state.eventLoopDelay, 199);
+    });
+
+    it('Unit: Update should update state', function() {
+        plugin = eventLoopThrottle({ limit: 50, max: 150 });
+        plugin.update({ limit: 100, max: 200, halfLife: 1000, interval: 100 });
+        assert.equal(plugin.state.limit, 100, 'opts.limit');
+        assert.equal(plugin.state.max, 200, 'opts.max');
+        assert.equal(plugin.state.halfLife, 1000, 'opts.halfLife');
+        assert.equal(plugin.state.interval, 100, 'opts.interval');
+        assert.equal(plugin.state.reject, 0);
+        assert.throws(function() {
+            plugin.update({ limit: 300 });
+        }, /limit must be less than max/);
+    });
+
+    it('Unit: Should stop monitoring on close', function() {
+        plugin = eventLoopThrottle();
+        assert.isTrue(ENABLED);
+        plugin.close();
+        assert.isFalse(ENABLED);
+    });
+
+    it('Unit: Should have proper name', function() {
+        plugin = eventLoopThrottle();
+        assert.equal(plugin.name, 'eventLoopThrottle');
+    });
+
+    it('Integration: Should shed load', function(done) {
+        var server = restify.createServer();
+        plugin = eventLoopThrottle({ limit: 0, max: 1 });
+        server.pre(plugin);
+        server.get('/foo', function(req, res, next) {
+            res.send(200);
+            next();
+        });
+        server.listen(0, '127.0.0.1', function() {
+            var client = restifyClients.createJsonClient({
+                url: 'http://127.0.0.1:' + server.address().port,
+                retry: false
+            });
+            client.get({ path: '/foo' }, function(e, _, res) {
+                assert(e, 'Request is shed');
+                assert.equal(res.statusCode, 503);
+                client.close();
+                server.close(done);
+            });
+        });
+    });
+
+    it('Integration: Should monitor the event loop', function(done) {
+        // the real monitor, blocked by synchronous work
+        var realPlugin = restify.plugins.eventLoopThrottle({
+            interval: 50,
+            halfLife: 10,
+            resolution: 1
+        });
+        var start = Date.now();
+
+        setTimeout(function() {
+            while (Date.now() - start < 100) {
+                // block the event loop
+            }
+
+            setTimeout(function() {
+                assert.isAbove(realPlugin.state.eventLoopDelay, 0);
+                realPlugin.close();
+                done();
+            }, 60);
+        }, 10);
+    });
+
+    it('Integration: Should read an idle event loop as such', function(done) {
+        // the real monitor, with a coarse resolution
+        var realPlugin = restify.plugins.eventLoopThrottle({
+            interval: 250,
+            halfLife: 10,
+            resolution: 100
+        });
+
+        setTimeout(function() {
+            assert.isBelow(realPlugin.state.eventLoopDelay, 10);
+            assert.isAtMost(realPlugin.state.reject, 0);
+            // Math.random is stubbed to 0, any reject share would reject
+            realPlugin({}, {}, function(err) {
+                realPlugin.close();
+                assert.isUndefined(err, 'Should call next');
+                done();
+            });
+        }, 600);
+    });
+
+    afterEach(function(done) {
+        if (plugin) {
+            plugin.close();
+        }
+        plugin = undefined;
+        done();
+    });
+
+    after('Teardown: Reset Math.random', function(done) {
+        Math.random = MR;
+        done();
+    });
+});
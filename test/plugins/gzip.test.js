@@ -2,6 +2,8 @@
 /* eslint-disable func-names */
 
 // external requires
+var http = require('http');
+var zlib = require('zlib');
 var assert = require('chai').assert;
 var restify = require('../../lib/index.js');
 var restifyClients = require('restify-clients');
@@ -162,4 +164,44 @@ describe('gzip parser', function() {
             done();
         });
     });
+
+    it('should flush server-sent events', function(done) {
+        var events;
+
+        SERVER.use(restify.plugins.gzipResponse());
+        SERVER.get('/events', function(req, res, next) {
+            events = res.sse({ heartbeat: 0 });
+            events.send({ data: 'first' });
+            next();
+        });
+
+        http.get(
+            {
+                host: '127.0.0.1',
+                port: PORT,
+                path: '/events',
+                headers: { 'Accept-Encoding': 'gzip' }
+            },
+            function(res) {
+                var gunzip = zlib.createGunzip();
+                var text = '';
+
+                assert.equal(res.headers['content-encoding'], 'gzip');
+                res.pipe(gunzip);
+                gunzip.on('data', function(chunk) {
+                    text += chunk;
+
+                    // the first event arrives before the stream is closed
+                    if (text === 'data: first\n\n') {
+                        events.send({ data: 'second' });
+                        events.close();
+                    }
+                });
+                gunzip.once('end', function() {
+                    assert.equal(text, 'data: first\n\ndata: second\n\n');
+                    done();
+                });
+            }
+        );
+    });
 });
@@ -0,0 +1,70 @@
+'use strict';
+/* eslint-disable func-names */
+
+// external requires
+var assert = require('chai').assert;
+var restify = require('../../lib/index.js');
+var restifyClients = require('restify-clients');
+
+// local files
+var helper = require('../lib/helper');
+
+// local globals
+var SERVER;
+var CLIENT;
+var PORT;
+
+describe('openapi', function() {
+    beforeEach(function(done) {
+        SERVER = restify.createServer({
+            dtrace: helper.dtrace,
+            log: helper.getLog('server')
+        });
+
+        SERVER.listen(0, '127.0.0.1', function() {
+            PORT = SERVER.address().port;
+            CLIENT = restifyClients.createJsonClient({
+                url: 'http://127.0.0.1:' + PORT,
+                dtrace: helper.dtrace,
+                retry: false
+            });
+
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        CLIENT.close();
+        SERVER.close(done);
+    });
+
+    it('should serve the OpenAPI document', function(done) {
+        SERVER.get('/foo/:id', function(req, res, next) {
+            res.send({ hello: 'world' });
+            next();
+        });
+        SERVER.get(
+            { path: '/docs/openapi.json', openapi: false },
+            restify.plugins.openapi({
+                server: SERVER,
+                info: { title: 'Foo', version: '1.0.0' }
+            })
+        );
+
+        CLIENT.get('/docs/openapi.json', function(err, _, res, obj) {
+            assert.ifError(err);
+            assert.equal(res.statusCode, 200);
+            assert.equal(obj.openapi, '3.1.0');
+            assert.deepEqual(obj.info, { title: 'Foo', version: '1.0.0' });
+            assert.deepEqual(Object.keys(obj.paths), ['/foo/{id}']);
+            assert.equal(obj.paths['/foo/{id}'].get.operationId, 'getfooid');
+            done();
+        });
+    });
+
+    it('should require an info object', function() {
+        assert.throws(function() {
+            restify.plugins.openapi({ server: SERVER });
+        }, /opts.info/);
+    });
+});
@@ -0,0 +1,204 @@
+'use strict';
+/* eslint-disable func-names */
+
+var EventEmitter = require('events').EventEmitter;
+
+var assert = require('chai').assert;
+var errors = require('restify-errors');
+var restify = require('../../lib/index.js');
+var restifyClients = require('restify-clients');
+var priorityQueueThrottle = restify.plugins.priorityQueueThrottle;
+
+function fakeRequest(priority) {
+    return {
+        priority: priority,
+        log: { trace: function() {} }
+    };
+}
+
+function classify(req) {
+    return req.priority;
+}
+
+describe('priorityQueueThrottle', function() {
+    var server;
+    var plugin;
+    var results;
+
+    // runs a request through the plugin, its result is recorded once it is
+    // let through, or rejected
+    function send(name, priority) {
+        var req = fakeRequest(priority);
+        var res = new EventEmitter();
+
+        req.name = name;
+        plugin(req, res, function(err) {
+            results.push(err === undefined ? name : err);
+        });
+
+        return { req: req, res: res };
+    }
+
+    beforeEach(function() {
+        server = new EventEmitter();
+        results = [];
+    });
+
+    afterEach(function() {
+        plugin.close();
+    });
+
+    it('Unit: Should let requests through under the limit', function() {
+        plugin = priorityQueueThrottle({ server: server, limit: 2 });
+        send('a');
+        send('b');
+        send('c');
+
+        assert.deepEqual(results, ['a', 'b']);
+        assert.deepEqual(plugin.state, {
+            limit: 2,
+            inflightRequests: 2,
+            queued: { default: 1 }
+        });
+    });
+
+    it('Unit: Should dequeue the highest priorities first', function() {
+        plugin = priorityQueueThrottle({
+            server: server,
+            limit: 1,
+            priorities: ['health', 'paid', 'free'],
+            classify: classify
+        });
+
+        var first = send('first', 'free');
+        send('free', 'free');
+        send('unknown', 'nope');
+        send('paid', 'paid');
+        send('health', 'health');
+
+        assert.deepEqual(results, ['first']);
+        assert.deepEqual(plugin.state.queued, { health: 1, paid: 1, free: 2 });
+
+        server.emit('after', first.req);
+        assert.deepEqual(results, ['first', 'health']);
+
+        // requests that weren't let through don't free a slot
+        server.emit('after', fakeRequest());
+        assert.equal(plugin.state.inflightRequests, 1);
+    });
+
+    it('Unit: Should reject requests when the queue is full', function() {
+        plugin = priorityQueueThrottle({
+            server: server,
+            limit: 1,
+            priorities: ['high', 'low'],
+            queueSize: { low: 0 },
+            classify: classify
+        });
+
+        send('a', 'high');
+        send('b', 'high');
+        send('c', 'low');
+
+        assert.equal(results.length, 2);
+        assert.instanceOf(results[1], errors.ServiceUnavailableError);
+        assert.deepEqual(errors.info(results[1]), {
+            plugin: 'priorityQueueThrottle',
+            priority: 'low',
+            reason: 'queue full',
+            inflightRequests: 1,
+            limit: 1
+        });
+        assert.deepEqual(plugin.state.queued, { high: 1, low: 0 });
+    });
+
+    it('Unit: Should time out queued requests', function(done) {
+        plugin = priorityQueueThrottle({
+            server: server,
+            limit: 1,
+            queueTimeout: 20
+        });
+
+        var first = send('a');
+        send('b');
+
+        setTimeout(function() {
+            assert.equal(results.length, 2);
+            assert.equal(results[1].statusCode, 503);
+            assert.equal(errors.info(results[1]).reason, 'queue timeout');
+            assert.equal(plugin.state.queued.default, 0);
+
+            // nothing left to let through
+            server.emit('after', first.req);
+            assert.equal(results.length, 2);
+            done();
+        }, 50);
+    });
+
+    it('Unit: Should drop requests of disconnected clients', function() {
+        plugin = priorityQueueThrottle({ server: server, limit: 1 });
+
+        var first = send('a');
+        var gone = send('b');
+        send('c');
+
+        gone.res.emit('close');
+        assert.deepEqual(results, ['a', false]);
+
+        server.emit('after', first.req);
+        assert.deepEqual(results, ['a', false, 'c']);
+    });
+
+    it('Unit: Should reject queued requests on close', function() {
+        plugin = priorityQueueThrottle({ server: server, limit: 1 });
+
+        send('a');
+        send('b');
+        plugin.close();
+
+        assert.equal(results.length, 2);
+        assert.equal(errors.info(results[1]).reason, 'queue closed');
+    });
+
+    it('Integration: Should queue requests', function(done) {
+        var restifyServer = restify.createServer();
+        var handled = 0;
+
+        plugin = priorityQueueThrottle({ server: restifyServer, limit: 1 });
+        restifyServer.pre(plugin);
+        restifyServer.get('/foo', function(req, res, next) {
+            handled++;
+
+            // both requests wait for each other without the queue
+            setTimeout(function() {
+                res.send(200, { handled: handled });
+                next();
+            }, 20);
+        });
+
+        restifyServer.listen(0, '127.0.0.1', function() {
+            var client = restifyClients.createJsonClient({
+                url: 'http://127.0.0.1:' + restifyServer.address().port,
+                retry: false,
+                agent: false
+            });
+            var bodies = [];
+
+            function onResponse(err, _, res, body) {
+                assert.ifError(err);
+                assert.equal(res.statusCode, 200);
+                bodies.push(body.handled);
+
+                if (bodies.length === 2) {
+                    // the second request waited for the first to finish
+                    assert.deepEqual(bodies, [1, 2]);
+                    client.close();
+                    restifyServer.close(done);
+                }
+            }
+
+            client.get('/foo', onResponse);
+            client.get('/foo', onResponse);
+        });
+    });
+});
@@ -0,0 +1,164 @@
+'use strict';
+/* eslint-disable func-names */
+
+// external requires
+var assert = require('chai').assert;
+var restify = require('../../lib/index.js');
+var restifyClients = require('restify-clients');
+
+// local files
+var helper = require('../lib/helper');
+
+// local globals
+var SERVER;
+var CLIENT;
+var PORT;
+
+describe('prometheus', function() {
+    beforeEach(function(done) {
+        SERVER = restify.createServer({
+            dtrace: helper.dtrace,
+            log: helper.getLog('server')
+        });
+
+        SERVER.listen(0, '127.0.0.1', function() {
+            PORT = SERVER.address().port;
+            CLIENT = restifyClients.createStringClient({
+                url: 'http://127.0.0.1:' + PORT,
+                dtrace: helper.dtrace,
+                retry: false
+            });
+
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        CLIENT.close();
+        SERVER.close(done);
+    });
+
+    it('should serve request metrics', function(done) {
+        var prometheus = restify.plugins.prometheus({
+            server: SERVER,
+            buckets: [0.1, 1]
+        });
+
+        SERVER.on('after', prometheus.collect);
+        SERVER.get('/metrics', prometheus.handler);
+        SERVER.get({ name: 'foo', path: '/foo/:id' }, function(req, res, next) {
+            res.send(200, 'hello');
+            next();
+        });
+
+        CLIENT.get('/foo/bar', function(err) {
+            assert.ifError(err);
+
+            CLIENT.get('/metrics', function(err2, _, res, data) {
+                assert.ifError(err2);
+                assert.equal(
+                    res.headers['content-type'],
+                    'text/plain; version=0.0.4; charset=utf-8'
+                );
+
+                var lines = data.split('\n');
+                assert.include(lines, '# TYPE http_requests_total counter');
+                assert.include(
+                    lines,
+                    'http_requests_total{method="GET",route="foo",' +
+                        'status_code="200"} 1'
+                );
+                assert.include(
+                    lines,
+                    'http_request_duration_seconds_bucket{method="GET",' +
+                        'route="foo",status_code="200",le="+Inf"} 1'
+                );
+                assert.include(
+                    lines,
+                    'http_request_duration_seconds_count{method="GET",' +
+                        'route="foo",status_code="200"} 1'
+                );
+                assert.include(
+                    lines,
+                    'http_request_phase_duration_seconds_count{method="GET",' +
+                        'route="foo",phase="route"} 1'
+                );
+                assert.include(lines, 'http_inflight_requests 1');
+                assert.notInclude(lines, '# EOF');
+                done();
+            });
+        });
+    });
+
+    it('should serve OpenMetrics when accepted', function(done) {
+        var prometheus = restify.plugins.prometheus({
+            server: SERVER,
+            prefix: 'api_'
+        });
+
+        SERVER.on('after', prometheus.collect);
+        SERVER.get('/metrics', prometheus.handler);
+
+        CLIENT.get('/nope', function(err) {
+            assert.ok(err);
+
+            var opts = {
+                path: '/metrics',
+                headers: {
+                    accept: 'application/openmetrics-text; version=1.0.0'
+                }
+            };
+            CLIENT.get(opts, function(err2, _, res, data) {
+                assert.ifError(err2);
+                assert.match(
+                    res.headers['content-type'],
+                    /^application\/openmetrics-text/
+                );
+
+                var lines = data.split('\n');
+                assert.include(lines, '# TYPE api_http_requests counter');
+                assert.include(
+                    lines,
+                    'api_http_requests_total{method="GET",route="unmatched",' +
+                        'status_code="404"} 1'
+                );
+                assert.equal(lines[lines.length - 2], '# EOF');
+                done();
+            });
+        });
+    });
+
+    it('should cap the number of label values', function() {
+        var prometheus = restify.plugins.prometheus({
+            server: SERVER,
+            maxLabelValues: 2
+        });
+
+        ['a', 'b', 'c', 'd'].forEach(function(name) {
+            prometheus.observe(
+                null,
+                { method: 'GET', statusCode: 200, totalLatency: 5 },
+                {},
+                {},
+                { name: name }
+            );
+        });
+
+        var lines = prometheus.serialize().split('\n');
+        assert.include(
+            lines,
+            'http_requests_total{method="GET",route="b",status_code="200"} 1'
+        );
+        assert.include(
+            lines,
+            'http_requests_total{method="GET",route="other",' +
+                'status_code="200"} 2'
+        );
+    });
+
+    it('should require increasing buckets', function() {
+        assert.throws(function() {
+            restify.plugins.prometheus({ server: SERVER, buckets: [1, 0.5] });
+        }, /increasing order/);
+    });
+});
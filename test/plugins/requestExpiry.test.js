@@ -2,6 +2,8 @@
 /* eslint-disable func-names */
 
 // external modules
+var http = require('http');
+
 var assert = require('chai').assert;
 var restify = require('../../lib/index.js');
 var restifyClients = require('restify-clients');
@@ -399,4 +401,135 @@ describe('request expiry parser', function() {
             });
         });
     });
+
+    describe('grpc-timeout header', function() {
+        beforeEach(function() {
+            SERVER.use(
+                restify.plugins.requestExpiry({
+                    grpcTimeoutHeader: 'grpc-timeout'
+                })
+            );
+        });
+
+        it('should expose the deadline to handlers', function(done) {
+            SERVER.get('/request/expiry', function(req, res, next) {
+                assert.closeTo(req.deadline(), Date.now() + 5000, 100);
+                assert.closeTo(req.timeRemaining(), 5000, 100);
+                res.send();
+                next();
+            });
+
+            var obj = {
+                path: '/request/expiry',
+                headers: { 'grpc-timeout': '5S' }
+            };
+
+            CLIENT.get(obj, function(err, _, res) {
+                assert.ifError(err);
+                assert.equal(res.statusCode, 200);
+                done();
+            });
+        });
+
+        it('should never expire without a valid timeout', function(done) {
+            SERVER.get('/request/expiry', function(req, res, next) {
+                assert.equal(req.deadline(), Infinity);
+                assert.equal(req.timeRemaining(), Infinity);
+                res.send();
+                next();
+            });
+
+            var obj = {
+                path: '/request/expiry',
+                headers: { 'grpc-timeout': '123456789S' }
+            };
+
+            CLIENT.get(obj, function(err, _, res) {
+                assert.ifError(err);
+                assert.equal(res.statusCode, 200);
+                done();
+            });
+        });
+
+        // req.signal needs AbortController, a global since node 15
+        if (global.AbortController) {
+            it('should abort the signal at the deadline', function(done) {
+                SERVER.get('/request/expiry', function(req, res, next) {
+                    assert.isFalse(req.signal.aborted);
+                    req.signal.addEventListener('abort', function() {
+                        assert.equal(
+                            req.signal.reason.name,
+                            'GatewayTimeoutError'
+                        );
+                        assert.equal(req.timeRemaining(), 0);
+                        next();
+                    });
+                });
+
+                var obj = {
+                    path: '/request/expiry',
+                    headers: { 'grpc-timeout': '30m' }
+                };
+
+                CLIENT.get(obj, function(err, _, res) {
+                    assert.ok(err);
+                    assert.equal(res.statusCode, 504);
+                    done();
+                });
+            });
+
+            it('should stop the chain once aborted', function(done) {
+                var called = false;
+
+                SERVER.use(function slow(req, res, next) {
+                    setTimeout(next, 50);
+                });
+                SERVER.get('/request/expiry', function(req, res, next) {
+                    called = true;
+                    res.send();
+                    next();
+                });
+
+                var obj = {
+                    path: '/request/expiry',
+                    headers: { 'grpc-timeout': '20000u' }
+                };
+
+                CLIENT.get(obj, function(err, _, res) {
+                    assert.ok(err);
+                    assert.equal(res.statusCode, 504);
+                    assert.isFalse(called);
+                    done();
+                });
+            });
+
+            it('should abort the signal once the client left', function(done) {
+                var clientReq;
+
+                SERVER.get('/request/expiry', function(req, res, next) {
+                    req.signal.addEventListener('abort', function() {
+                        assert.equal(
+                            req.signal.reason.name,
+                            'RequestCloseError'
+                        );
+                        next();
+                        done();
+                    });
+
+                    clientReq.destroy();
+                });
+
+                clientReq = http.get({
+                    host: '127.0.0.1',
+                    port: PORT,
+                    path: '/request/expiry',
+                    headers: { 'grpc-timeout': '10S' }
+                });
+
+                clientReq.on('error', function() {
+                    // the client hung up on purpose
+                });
+            });
+        }
+    });
 });
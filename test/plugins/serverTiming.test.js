@@ -0,0 +1,175 @@
+'use strict';
+/* eslint-disable func-names */
+
+var http = require('http');
+
+// external requires
+var assert = require('chai').assert;
+var restify = require('../../lib/index.js');
+
+// local files
+var helper = require('../lib/helper');
+
+// local globals
+var SERVER;
+var PORT;
+
+function get(path, headers, callback) {
+    http.get(
+        {
+            host: '127.0.0.1',
+            port: PORT,
+            path: path,
+            headers: headers
+        },
+        function(res) {
+            res.resume();
+            res.on('end', function() {
+                callback(res);
+            });
+        }
+    );
+}
+
+function names(value) {
+    return value.split(', ').map(function(entry) {
+        return entry.split(';')[0];
+    });
+}
+
+describe('serverTiming', function() {
+    beforeEach(function(done) {
+        SERVER = restify.createServer({
+            dtrace: helper.dtrace,
+            log: helper.getLog('server')
+        });
+
+        SERVER.listen(0, '127.0.0.1', function() {
+            PORT = SERVER.address().port;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        SERVER.close(done);
+    });
+
+    it('should send the duration of each phase', function(done) {
+        SERVER.pre(restify.plugins.serverTiming());
+        SERVER.use(function slow(req, res, next) {
+            setTimeout(next, 20);
+        });
+        SERVER.get('/', function(req, res, next) {
+            res.send('hello');
+            next();
+        });
+
+        get('/', {}, function(res) {
+            var value = res.headers['server-timing'];
+
+            assert.deepEqual(names(value), ['pre', 'use', 'route', 'total']);
+
+            var use = /use;dur=([\d.]+)/.exec(value);
+            assert.isAtLeast(parseFloat(use[1]), 15);
+            done();
+        });
+    });
+
+    it('should send the duration of each handler', function(done) {
+        SERVER.pre(restify.plugins.serverTiming({ handlers: true }));
+        SERVER.use(function loadUser(req, res, next) {
+            next();
+        });
+        SERVER.get('/', function getUser(req, res, next) {
+            res.send('hello');
+            next();
+        });
+
+        get('/', {}, function(res) {
+            var value = res.headers['server-timing'];
+
+            assert.include(names(value), 'loadUser');
+            assert.match(value, /loadUser;desc="handler";dur=[\d.]+/);
+            done();
+        });
+    });
+
+    it('should only expose timings to some requests', function(done) {
+        SERVER.pre(
+            restify.plugins.serverTiming({
+                expose: function(req) {
+                    return req.header('X-Internal') === 'yes';
+                }
+            })
+        );
+        SERVER.get('/', function(req, res, next) {
+            res.send('hello');
+            next();
+        });
+
+        get('/', {}, function(res) {
+            assert.isUndefined(res.headers['server-timing']);
+
+            get('/', { 'X-Internal': 'yes' }, function(res2) {
+                assert.ok(res2.headers['server-timing']);
+                done();
+            });
+        });
+    });
+
+    it('should keep the timings of the application', function(done) {
+        SERVER.pre(restify.plugins.serverTiming());
+        SERVER.get('/', function(req, res, next) {
+            res.header('Server-Timing', 'db;dur=12');
+            res.send('hello');
+            next();
+        });
+
+        get('/', {}, function(res) {
+            var value = res.headers['server-timing'];
+
+            assert.equal(names(value)[0], 'db');
+            assert.include(names(value), 'route');
+            done();
+        });
+    });
+
+    it('should send a trailer for streamed responses', function(done) {
+        SERVER.pre(restify.plugins.serverTiming());
+        SERVER.get('/', function(req, res, next) {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.write('hello');
+
+            setTimeout(function() {
+                res.end(' world');
+                next();
+            }, 20);
+        });
+
+        get('/', {}, function(res) {
+            assert.equal(res.headers['transfer-encoding'], 'chunked');
+            assert.ok(res.headers['server-timing']);
+
+            var trailer = res.trailers['server-timing'];
+            var route = /route;dur=([\d.]+)/.exec(trailer);
+
+            assert.isAtLeast(parseFloat(route[1]), 15);
+            done();
+        });
+    });
+
+    it('should not send trailers when disabled', function(done) {
+        SERVER.pre(restify.plugins.serverTiming({ trailer: false }));
+        SERVER.get('/', function(req, res, next) {
+            res.write('hello');
+            res.end();
+            next();
+        });
+
+        get('/', {}, function(res) {
+            assert.ok(res.headers['server-timing']);
+            assert.isUndefined(res.trailers['server-timing']);
+            done();
+        });
+    });
+});
@@ -0,0 +1,414 @@
+'use strict';
+/* eslint-disable func-names */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// external requires
+var assert = require('chai').assert;
+var restify = require('../../lib/index.js');
+
+// local files
+var helper = require('../lib/helper');
+
+// local globals
+var MemoryStore = restify.plugins.session.MemoryStore;
+var FileStore = restify.plugins.session.FileStore;
+var SERVER;
+
+function sessionCookie(res) {
+    var headers = [].concat(res.headers['set-cookie'] || []);
+
+    for (var i = 0; i < headers.length; i++) {
+        if (headers[i].indexOf('sid=') === 0) {
+            return headers[i];
+        }
+    }
+
+    return undefined;
+}
+
+function sessionId(res) {
+    var header = sessionCookie(res);
+
+    return header ? header.split(';')[0].slice('sid='.length) : undefined;
+}
+
+function get(url, id) {
+    return SERVER.inject({
+        url: url,
+        headers: id ? { cookie: 'sid=' + id } : {}
+    });
+}
+
+describe('session', function() {
+    var store;
+
+    beforeEach(function() {
+        store = new MemoryStore();
+        SERVER = restify.createServer({
+            log: helper.getLog('server'),
+            cookieSecrets: 'secret'
+        });
+    });
+
+    function setup(opts) {
+        opts = opts || {};
+        opts.store = opts.store || store;
+
+        SERVER.pre(restify.plugins.session(opts));
+        SERVER.get('/count', function(req, res, next) {
+            req.session.count = (req.session.count || 0) + 1;
+            res.send({ count: req.session.count });
+            next();
+        });
+        SERVER.get('/read', function(req, res, next) {
+            res.send({ count: req.session.count || 0 });
+            next();
+        });
+        SERVER.get('/login', function(req, res, next) {
+            req.session.regenerate(function(err) {
+                assert.ifError(err);
+                req.session.user = 'admin';
+                res.send(204);
+                next();
+            });
+        });
+        SERVER.get('/logout', function(req, res, next) {
+            req.session.destroy(function(err) {
+                assert.ifError(err);
+                res.send(204);
+                next();
+            });
+        });
+    }
+
+    it('should only create sessions holding data', function(done) {
+        setup();
+
+        get('/read')
+            .then(function(res) {
+                assert.isUndefined(sessionCookie(res));
+                return get('/count');
+            })
+            .then(function(res) {
+                var id = sessionId(res);
+
+                assert.match(sessionCookie(res), /HttpOnly; SameSite=Lax/);
+                assert.match(sessionCookie(res), /Max-Age=86400/);
+                assert.lengthOf(id, 32);
+                return get('/count', id);
+            })
+            .then(function(res) {
+                assert.equal(JSON.parse(res.body).count, 2);
+                // the cookie of existing sessions isn't sent again
+                assert.isUndefined(sessionCookie(res));
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should only save modified sessions', function(done) {
+        var sets = 0;
+        var set = store.set;
+
+        store.set = function() {
+            sets++;
+            return set.apply(store, arguments);
+        };
+        setup();
+
+        get('/count')
+            .then(function(res) {
+                return get('/read', sessionId(res));
+            })
+            .then(function(res) {
+                assert.equal(JSON.parse(res.body).count, 1);
+                assert.equal(sets, 1);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should ignore unknown session IDs', function(done) {
+        setup();
+
+        var unknown = 'a'.repeat(32);
+
+        get('/count', unknown)
+            .then(function(res) {
+                assert.equal(JSON.parse(res.body).count, 1);
+                assert.notEqual(sessionId(res), unknown);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should regenerate and destroy sessions', function(done) {
+        var id;
+
+        setup();
+
+        get('/count')
+            .then(function(res) {
+                id = sessionId(res);
+                return get('/login', id);
+            })
+            .then(function(res) {
+                var newId = sessionId(res);
+
+                assert.notEqual(newId, id);
+                // the old ID is gone, the data moved to the new one
+                store.get(id, function(err, data) {
+                    assert.ifError(err);
+                    assert.isNull(data);
+                });
+                store.get(newId, function(err, data) {
+                    assert.ifError(err);
+                    assert.deepEqual(data, { count: 1, user: 'admin' });
+                });
+
+                id = newId;
+                return get('/logout', id);
+            })
+            .then(function(res) {
+                assert.match(sessionCookie(res), /^sid=; Max-Age=0/);
+                store.get(id, function(err, data) {
+                    assert.ifError(err);
+                    assert.isNull(data);
+                    done();
+                });
+            })
+            .catch(done);
+    });
+
+    it('should extend rolling sessions', function(done) {
+        var touched = [];
+
+        store.touch = function(id, data, ttl, callback) {
+            touched.push(id);
+            MemoryStore.prototype.touch.call(store, id, data, ttl, callback);
+        };
+        setup({ rolling: true, ttl: 60 });
+
+        get('/count')
+            .then(function(res) {
+                return get('/read', sessionId(res));
+            })
+            .then(function(res) {
+                assert.match(sessionCookie(res), /Max-Age=60/);
+                assert.lengthOf(touched, 1);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should require touch() for rolling sessions', function() {
+        assert.throws(function() {
+            restify.plugins.session({
+                rolling: true,
+                store: {
+                    get: function() {},
+                    set: function() {},
+                    destroy: function() {}
+                }
+            });
+        }, /touch\(\)/);
+    });
+
+    it('should sign the session cookie', function(done) {
+        setup({ signed: true });
+
+        get('/count')
+            .then(function(res) {
+                var value = decodeURIComponent(sessionId(res));
+
+                assert.match(value, /^s:/);
+                return SERVER.inject({
+                    url: '/count',
+                    headers: { cookie: sessionCookie(res).split(';')[0] }
+                });
+            })
+            .then(function(res) {
+                assert.equal(JSON.parse(res.body).count, 2);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should support stores returning promises', function(done) {
+        var data = {};
+
+        setup({
+            store: {
+                get: function(id) {
+                    return Promise.resolve(data[id] || null);
+                },
+                set: function(id, value) {
+                    data[id] = value;
+                    return Promise.resolve();
+                },
+                destroy: function(id) {
+                    delete data[id];
+                    return Promise.resolve();
+                }
+            }
+        });
+
+        get('/count')
+            .then(function(res) {
+                return get('/count', sessionId(res));
+            })
+            .then(function(res) {
+                assert.equal(JSON.parse(res.body).count, 2);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should fail on store errors', function(done) {
+        setup({
+            store: {
+                get: function(id, callback) {
+                    callback(new Error('unreachable'));
+                },
+                set: function() {},
+                destroy: function() {}
+            }
+        });
+
+        get('/read', 'a'.repeat(32))
+            .then(function(res) {
+                assert.equal(res.statusCode, 500);
+                done();
+            })
+            .catch(done);
+    });
+
+    describe('FileStore', function() {
+        var dir;
+
+        beforeEach(function() {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'restify-session-'));
+        });
+
+        afterEach(function() {
+            fs.readdirSync(dir).forEach(function(file) {
+                fs.unlinkSync(path.join(dir, file));
+            });
+            fs.rmdirSync(dir);
+        });
+
+        it('should save, read and destroy sessions', function(done) {
+            var fileStore = new FileStore({ path: dir });
+
+            fileStore.set('abc', { user: 'admin' }, 60, function(err) {
+                assert.ifError(err);
+
+                fileStore.get('abc', function(err2, data) {
+                    assert.ifError(err2);
+                    assert.deepEqual(data, { user: 'admin' });
+
+                    fileStore.destroy('abc', function(err3) {
+                        assert.ifError(err3);
+                        assert.deepEqual(fs.readdirSync(dir), []);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should extend rolling sessions', function(done) {
+            var fileStore = new FileStore({ path: dir });
+
+            function expires(id) {
+                return JSON.parse(
+                    fs.readFileSync(path.join(dir, id + '.json'), 'utf8')
+                ).expires;
+            }
+
+            setup({ store: fileStore, rolling: true, ttl: 60 });
+
+            var id;
+            var saved;
+
+            get('/count')
+                .then(function(res) {
+                    id = sessionId(res);
+                    saved = expires(id);
+
+                    return new Promise(function(resolve) {
+                        setTimeout(resolve, 20);
+                    });
+                })
+                .then(function() {
+                    return get('/read', id);
+                })
+                .then(function(res) {
+                    assert.equal(JSON.parse(res.body).count, 1);
+                    assert.match(sessionCookie(res), /Max-Age=60/);
+                    // the stored session lives as long as its cookie
+                    assert.isAbove(expires(id), saved);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should save a session concurrently', function(done) {
+            var fileStore = new FileStore({ path: dir });
+            var pending = 10;
+
+            function onSet(err) {
+                assert.ifError(err);
+
+                if (--pending > 0) {
+                    return;
+                }
+
+                fileStore.get('abc', function(err2, data) {
+                    assert.ifError(err2);
+                    assert.isNumber(data.n);
+                    assert.deepEqual(fs.readdirSync(dir), ['abc.json']);
+                    done();
+                });
+            }
+
+            for (var n = 0; n < 10; n++) {
+                fileStore.set('abc', { n: n }, 60, onSet);
+            }
+        });
+
+        it('should prune expired sessions', function(done) {
+            var fileStore = new FileStore({ path: dir });
+
+            fileStore.set('old', { a: 1 }, -1, function(err) {
+                assert.ifError(err);
+
+                fileStore.set('new', { a: 2 }, 60, function(err2) {
+                    assert.ifError(err2);
+
+                    fileStore.prune(function(err3) {
+                        assert.ifError(err3);
+                        assert.deepEqual(fs.readdirSync(dir), ['new.json']);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should reject invalid IDs', function(done) {
+            var fileStore = new FileStore({ path: dir });
+
+            fileStore.get('../etc/passwd', function(err, data) {
+                assert.ifError(err);
+                assert.isNull(data);
+
+                fileStore.set('../escape', {}, 60, function(err2) {
+                    assert.ok(err2);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -243,4 +243,433 @@ describe('throttle plugin', function() {
             );
         });
     });
+
+    describe('standard headers and costs', function() {
+        it('should set RateLimit headers', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    burst: 17,
+                    rate: 0.1,
+                    username: true,
+                    setHeaders: true,
+                    legacyHeaders: false
+                },
+                function(client, server) {
+                    client.get('/test/throttleMe', function(err, _, res) {
+                        assert.ifError(err);
+                        assert.equal(
+                            res.headers['ratelimit-policy'],
+                            '"default";q=17;w=170'
+                        );
+                        assert.equal(
+                            res.headers.ratelimit,
+                            '"default";r=16;t=10'
+                        );
+                        assert.isUndefined(res.headers['x-ratelimit-limit']);
+                        client.close();
+                        server.close(done);
+                    });
+                }
+            );
+        });
+
+        it('should set Retry-After when throttled', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    burst: 1,
+                    rate: 0.5,
+                    username: true
+                },
+                function(client, server) {
+                    client.get('/test/throttleMe', function(err) {
+                        assert.ifError(err);
+
+                        client.get('/test/throttleMe', function(err2, _, res) {
+                            assert.equal(res.statusCode, 429);
+                            assert.equal(res.headers['retry-after'], '2');
+                            client.close();
+                            server.close(done);
+                        });
+                    });
+                }
+            );
+        });
+
+        it('should consume the cost of requests', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    burst: 5,
+                    rate: 1,
+                    username: true,
+                    setHeaders: true,
+                    name: 'users',
+                    cost: function(req) {
+                        return req.params.name === 'expensive' ? 3 : 1;
+                    }
+                },
+                function(client, server) {
+                    client.get('/test/expensive', function(err, _, res) {
+                        assert.ifError(err);
+                        assert.match(res.headers.ratelimit, /^"users";r=2;/);
+
+                        client.get('/test/expensive', function(err2, __, res2) {
+                            assert.equal(res2.statusCode, 429);
+                            assert.equal(res2.headers['retry-after'], '1');
+                            client.close();
+                            server.close(done);
+                        });
+                    });
+                }
+            );
+        });
+    });
+
+    describe('keys, ranges and limits', function() {
+        it('should throttle by key function', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    burst: 1,
+                    rate: 0.1,
+                    key: function(req) {
+                        return req.params.name;
+                    }
+                },
+                function(client, server) {
+                    client.get('/test/alpha', function(err) {
+                        assert.ifError(err);
+
+                        client.get('/test/alpha', function(err2, _, res) {
+                            assert.equal(res.statusCode, 429);
+
+                            client.get('/test/beta', function(err3) {
+                                assert.ifError(err3);
+                                client.close();
+                                server.close(done);
+                            });
+                        });
+                    });
+                }
+            );
+        });
+
+        it('should apply the most specific CIDR override', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    burst: 1,
+                    rate: 0.1,
+                    ip: true,
+                    overrides: {
+                        '127.0.0.0/8': { burst: 0, rate: 0 },
+                        '127.0.0.0/24': { burst: 2, rate: 0.1 }
+                    }
+                },
+                function(client, server) {
+                    client.get('/test/throttleMe', function(err) {
+                        assert.ifError(err);
+
+                        client.get('/test/throttleMe', function(err2) {
+                            assert.ifError(err2);
+
+                            client.get('/test/throttleMe', function(
+                                err3,
+                                _,
+                                res
+                            ) {
+                                assert.equal(res.statusCode, 429);
+                                client.close();
+                                server.close(done);
+                            });
+                        });
+                    });
+                }
+            );
+        });
+
+        it('should group IPv6 addresses by subnet', function(done) {
+            function get(client, address, callback) {
+                client.get(
+                    {
+                        path: '/test/throttleMe',
+                        headers: { 'X-Forwarded-For': address + ', 10.0.0.1' }
+                    },
+                    function(err, _, res) {
+                        callback(res.statusCode);
+                    }
+                );
+            }
+
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    burst: 1,
+                    rate: 0.1,
+                    xff: true
+                },
+                function(client, server) {
+                    get(client, '2001:db8::1', function(status) {
+                        assert.equal(status, 200);
+
+                        get(client, '2001:db8::2', function(status2) {
+                            assert.equal(status2, 429);
+
+                            get(client, '2001:db8:0:1::1', function(status3) {
+                                assert.equal(status3, 200);
+                                client.close();
+                                server.close(done);
+                            });
+                        });
+                    });
+                }
+            );
+        });
+
+        it('should throttle clients behind trusted proxies', function(done) {
+            var server = restify.createServer({
+                log: helper.getLog('server'),
+                trustProxy: 1
+            });
+
+            server.use(
+                restify.plugins.throttle({ burst: 1, rate: 0.1, xff: true })
+            );
+            server.get('/', function(req, res, next) {
+                res.send();
+                next();
+            });
+
+            function get(forwardedFor) {
+                return server
+                    .inject({
+                        url: '/',
+                        headers: { 'X-Forwarded-For': forwardedFor }
+                    })
+                    .then(function(res) {
+                        return res.statusCode;
+                    });
+            }
+
+            // the client can't escape its limit by spoofing the header
+            get('1.1.1.1, 203.0.113.1')
+                .then(function(status) {
+                    assert.equal(status, 200);
+                    return get('2.2.2.2, 203.0.113.1');
+                })
+                .then(function(status) {
+                    assert.equal(status, 429);
+                    return get('203.0.113.2');
+                })
+                .then(function(status) {
+                    assert.equal(status, 200);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should apply several limits at once', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    setHeaders: true,
+                    limits: [
+                        { name: 'ip', burst: 10, rate: 1, ip: true },
+                        { name: 'user', burst: 1, rate: 0.5, username: true }
+                    ]
+                },
+                function(client, server) {
+                    client.get('/test/throttleMe', function(err, _, res) {
+                        assert.ifError(err);
+                        assert.equal(
+                            res.headers['ratelimit-policy'],
+                            '"ip";q=10;w=10, "user";q=1;w=2'
+                        );
+                        assert.match(
+                            res.headers.ratelimit,
+                            /^"ip";r=9;t=1, "user";r=0;t=2$/
+                        );
+                        // the legacy headers describe the strictest limit
+                        assert.equal(res.headers['x-ratelimit-limit'], '1');
+
+                        client.get('/test/throttleMe', function(
+                            err2,
+                            __,
+                            res2
+                        ) {
+                            assert.equal(res2.statusCode, 429);
+                            assert.equal(res2.headers['retry-after'], '2');
+
+                            client.get('/test/other', function(err3) {
+                                assert.ifError(err3);
+                                client.close();
+                                server.close(done);
+                            });
+                        });
+                    });
+                }
+            );
+        });
+
+        it('should refund limits passed before a rejection', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    setHeaders: true,
+                    limits: [
+                        { name: 'ip', burst: 2, rate: 0.01, ip: true },
+                        { name: 'user', burst: 1, rate: 0.01, username: true }
+                    ]
+                },
+                function(client, server) {
+                    client.get('/test/bob', function(err) {
+                        assert.ifError(err);
+
+                        client.get('/test/bob', function(err2, _, res2) {
+                            assert.equal(res2.statusCode, 429);
+                            // the ip limit kept its token
+                            assert.match(
+                                res2.headers.ratelimit,
+                                /^"ip";r=1;t=\d+, "user";r=0;t=\d+$/
+                            );
+
+                            client.get('/test/alice', function(err3) {
+                                assert.ifError(err3);
+                                client.close();
+                                server.close(done);
+                            });
+                        });
+                    });
+                }
+            );
+        });
+
+        it('should throttle routes apart', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    burst: 1,
+                    rate: 0.1,
+                    username: true,
+                    perRoute: true,
+                    routes: {
+                        other: { burst: 2, rate: 0.1 }
+                    }
+                },
+                function(client, server) {
+                    server.get(
+                        { name: 'other', path: '/other/test/:name' },
+                        function(req, res, next) {
+                            res.send();
+                            next();
+                        }
+                    );
+
+                    var paths = [
+                        '/test/bob',
+                        '/test/bob',
+                        '/other/test/bob',
+                        '/other/test/bob',
+                        '/other/test/bob'
+                    ];
+                    var statuses = [];
+
+                    function get() {
+                        if (statuses.length === paths.length) {
+                            assert.deepEqual(statuses, [
+                                200,
+                                429,
+                                200,
+                                200,
+                                429
+                            ]);
+                            client.close();
+                            server.close(done);
+                            return;
+                        }
+
+                        client.get(paths[statuses.length], function(
+                            err,
+                            _,
+                            res
+                        ) {
+                            statuses.push(res.statusCode);
+                            get();
+                        });
+                    }
+
+                    get();
+                }
+            );
+        });
+
+        it('should reject invalid limits', function() {
+            assert.throws(function() {
+                restify.plugins.throttle({
+                    burst: 1,
+                    rate: 1,
+                    ip: true,
+                    key: function() {
+                        return 'key';
+                    }
+                });
+            }, /ip \^ username \^ xff \^ key/);
+            assert.throws(function() {
+                restify.plugins.throttle({
+                    limits: [{ burst: 1, rate: 1, ip: true }]
+                });
+            }, /name/);
+        });
+    });
+
+    describe('store errors', function() {
+        var failingStore = {
+            consume: function(key, tokens, capacity, rate, callback) {
+                callback(new Error('store unavailable'));
+            }
+        };
+
+        it('should fail open by default', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    burst: 1,
+                    rate: 1,
+                    username: true,
+                    store: failingStore
+                },
+                function(client, server) {
+                    client.get('/test/throttleMe', function(err, _, res) {
+                        assert.ifError(err);
+                        assert.equal(res.statusCode, 200);
+                        client.close();
+                        server.close(done);
+                    });
+                }
+            );
+        });
+
+        it('should fail closed', function(done) {
+            setupClientServer(
+                '127.0.0.1',
+                {
+                    burst: 1,
+                    rate: 1,
+                    username: true,
+                    store: failingStore,
+                    failOpen: false
+                },
+                function(client, server) {
+                    client.get('/test/throttleMe', function(err, _, res) {
+                        assert.ok(err);
+                        assert.equal(res.statusCode, 503);
+                        client.close();
+                        server.close(done);
+                    });
+                }
+            );
+        });
+    });
 });
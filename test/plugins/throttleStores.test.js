@@ -0,0 +1,168 @@
+'use strict';
+/* eslint-disable func-names */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var assert = require('chai').assert;
+var restify = require('../../lib/index.js');
+
+///--- Globals
+
+var MemoryStore = restify.plugins.throttle.MemoryStore;
+var FileStore = restify.plugins.throttle.FileStore;
+
+///--- Tests
+
+describe('throttle stores', function() {
+    describe('MemoryStore', function() {
+        it('should consume tokens until the bucket is empty', function(done) {
+            var store = new MemoryStore();
+
+            store.consume('key', 2, 3, 1, function(err, result) {
+                assert.ifError(err);
+                assert.isTrue(result.conformed);
+                assert.equal(Math.floor(result.remaining), 1);
+                assert.closeTo(result.reset, 2000, 50);
+
+                store.consume('key', 2, 3, 1, function(err2, result2) {
+                    assert.ifError(err2);
+                    assert.isFalse(result2.conformed);
+                    assert.equal(Math.floor(result2.remaining), 1);
+
+                    store.consume('other', 1, 3, 1, function(err3, result3) {
+                        assert.ifError(err3);
+                        assert.isTrue(result3.conformed);
+                        assert.equal(Math.floor(result3.remaining), 2);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should follow capacity changes', function(done) {
+            var store = new MemoryStore();
+
+            store.consume('key', 1, 10, 1, function(err) {
+                assert.ifError(err);
+
+                store.consume('key', 1, 2, 1, function(err2, result) {
+                    assert.ifError(err2);
+                    assert.isTrue(result.conformed);
+                    assert.equal(Math.floor(result.remaining), 1);
+                    done();
+                });
+            });
+        });
+
+        it('should give tokens back up to the capacity', function(done) {
+            var store = new MemoryStore();
+
+            store.consume('key', 2, 3, 1, function(err) {
+                assert.ifError(err);
+
+                store.consume('key', -5, 3, 1, function(err2, result) {
+                    assert.ifError(err2);
+                    assert.isTrue(result.conformed);
+                    assert.equal(result.remaining, 3);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('FileStore', function() {
+        var dir;
+
+        beforeEach(function() {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'restify-throttle-'));
+        });
+
+        afterEach(function() {
+            fs.readdirSync(dir).forEach(function(file) {
+                fs.unlinkSync(path.join(dir, file));
+            });
+            fs.rmdirSync(dir);
+        });
+
+        it('should share buckets between stores', function(done) {
+            var file = path.join(dir, 'buckets.json');
+            // as if used by two cluster workers
+            var first = new FileStore({ path: file });
+            var second = new FileStore({ path: file });
+            var results = [];
+
+            function onConsume(err, result) {
+                assert.ifError(err);
+                results.push(result.conformed);
+
+                if (results.length < 3) {
+                    return;
+                }
+
+                assert.equal(
+                    results.filter(function(conformed) {
+                        return conformed;
+                    }).length,
+                    2
+                );
+                assert.isFalse(fs.existsSync(file + '.lock'));
+                done();
+            }
+
+            first.consume('key', 1, 2, 0.001, onConsume);
+            second.consume('key', 1, 2, 0.001, onConsume);
+            first.consume('key', 1, 2, 0.001, onConsume);
+        });
+
+        it('should forget full buckets', function(done) {
+            var file = path.join(dir, 'buckets.json');
+            var store = new FileStore({ path: file });
+
+            store.consume('fast', 1, 2, 1000, function(err) {
+                assert.ifError(err);
+
+                // the fast bucket is full again by then
+                setTimeout(function() {
+                    store.consume('slow', 1, 2, 0.001, function(err2) {
+                        assert.ifError(err2);
+
+                        var buckets = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+                        assert.deepEqual(Object.keys(buckets), ['slow']);
+                        done();
+                    });
+                }, 10);
+            });
+        });
+
+        it('should remove stale locks', function(done) {
+            var file = path.join(dir, 'buckets.json');
+            var store = new FileStore({ path: file, staleLockTimeout: 10 });
+            var old = new Date(Date.now() - 1000);
+
+            fs.writeFileSync(file + '.lock', '');
+            fs.utimesSync(file + '.lock', old, old);
+
+            store.consume('key', 1, 2, 1, function(err, result) {
+                assert.ifError(err);
+                assert.isTrue(result.conformed);
+                done();
+            });
+        });
+
+        it('should time out waiting for the lock', function(done) {
+            var file = path.join(dir, 'buckets.json');
+            var store = new FileStore({ path: file, lockTimeout: 20 });
+
+            fs.writeFileSync(file + '.lock', '');
+
+            store.consume('key', 1, 2, 1, function(err) {
+                assert.ok(err);
+                assert.include(err.message, 'timed out');
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,229 @@
+'use strict';
+/* eslint-disable func-names */
+
+var proxy = require('../lib/proxy');
+var restify = require('../lib');
+
+if (require.cache[__dirname + '/lib/helper.js']) {
+    delete require.cache[__dirname + '/lib/helper.js'];
+}
+var helper = require('./lib/helper.js');
+
+///--- Globals
+
+var test = helper.test;
+
+function request(remoteAddress, headers) {
+    return {
+        socket: { remoteAddress: remoteAddress },
+        headers: headers
+    };
+}
+
+///--- Tests
+
+test('parse Forwarded headers', function(t) {
+    t.deepEqual(
+        proxy.parseForwarded(
+            'for=192.0.2.43, For="[2001:db8:cafe::17]:4711";proto=https;' +
+                'host="api.example.com"'
+        ),
+        [
+            { for: '192.0.2.43' },
+            {
+                for: '[2001:db8:cafe::17]:4711',
+                proto: 'https',
+                host: 'api.example.com'
+            }
+        ]
+    );
+    t.deepEqual(proxy.parseForwarded('for="\\"quoted\\""'), [
+        { for: '"quoted"' }
+    ]);
+    t.equal(proxy.parseForwarded('for'), null);
+    t.equal(proxy.parseForwarded('for="unterminated'), null);
+    t.end();
+});
+
+test('compile trustProxy', function(t) {
+    t.equal(proxy.compileTrust(), null);
+    t.equal(proxy.compileTrust(false), null);
+    t.ok(proxy.compileTrust(true)('203.0.113.1', 5));
+
+    var hops = proxy.compileTrust(2);
+    t.ok(hops('203.0.113.1', 1));
+    t.notOk(hops('203.0.113.1', 2));
+
+    var ranges = proxy.compileTrust('loopback, 10.0.0.0/8');
+    t.ok(ranges('127.0.0.1'));
+    t.ok(ranges('::ffff:127.0.0.1'));
+    t.ok(ranges('10.1.2.3'));
+    t.notOk(ranges('192.168.0.1'));
+    t.notOk(ranges('unknown'));
+
+    t.ok(proxy.compileTrust(['uniquelocal'])('fd00::1'));
+
+    t.throws(function() {
+        proxy.compileTrust('10.0.0.0/33');
+    }, /invalid CIDR range/);
+    t.throws(function() {
+        proxy.compileTrust([]);
+    }, /trustProxy must be/);
+    t.end();
+});
+
+test('resolve ignores forwarded headers without trust', function(t) {
+    var client = proxy.resolve(
+        request('10.0.0.1', {
+            host: 'localhost:8080',
+            'x-forwarded-for': '203.0.113.1',
+            'x-forwarded-proto': 'https'
+        }),
+        null
+    );
+
+    t.deepEqual(client, {
+        ip: '10.0.0.1',
+        ips: [],
+        protocol: 'http',
+        host: 'localhost:8080'
+    });
+    t.end();
+});
+
+test('resolve stops at the first untrusted hop', function(t) {
+    var req = request('10.0.0.1', {
+        host: 'internal',
+        // the first entry is spoofed by the client
+        'x-forwarded-for': '1.1.1.1, 203.0.113.1, 10.0.0.2',
+        'x-forwarded-proto': 'https',
+        'x-forwarded-host': 'api.example.com'
+    });
+    var client = proxy.resolve(req, proxy.compileTrust('10.0.0.0/8'));
+
+    t.equal(client.ip, '203.0.113.1');
+    t.deepEqual(client.ips, ['203.0.113.1', '10.0.0.2']);
+    t.equal(client.protocol, 'https');
+    t.equal(client.host, 'api.example.com');
+
+    client = proxy.resolve(req, proxy.compileTrust(1));
+    t.equal(client.ip, '10.0.0.2');
+    t.deepEqual(client.ips, ['10.0.0.2']);
+    t.end();
+});
+
+test('compile proxyHeader', function(t) {
+    t.equal(proxy.compileHeader(), 'x-forwarded');
+    t.equal(proxy.compileHeader('Forwarded'), 'forwarded');
+    t.throws(function() {
+        proxy.compileHeader('x-real-ip');
+    }, /proxyHeader must be/);
+    t.end();
+});
+
+test('resolve ignores Forwarded headers sent by clients', function(t) {
+    // the trusted proxy only appends to X-Forwarded-For
+    var req = request('10.0.0.5', {
+        host: 'api.example.com',
+        forwarded: 'for=1.2.3.4;proto=https;host=evil.com',
+        'x-forwarded-for': '203.0.113.9'
+    });
+    var client = proxy.resolve(req, proxy.compileTrust('10.0.0.0/8'));
+
+    t.deepEqual(client, {
+        ip: '203.0.113.9',
+        ips: ['203.0.113.9'],
+        protocol: 'http',
+        host: 'api.example.com'
+    });
+    t.end();
+});
+
+test('resolve reads the Forwarded header when opted in', function(t) {
+    var req = request('10.0.0.1', {
+        host: 'internal',
+        forwarded:
+            'for="[2001:db8::1]:4711";proto=https;host=api.example.com, ' +
+            'for=10.0.0.2:3000;proto=http',
+        'x-forwarded-for': '1.1.1.1',
+        'x-forwarded-host': 'evil.com'
+    });
+    var client = proxy.resolve(req, proxy.compileTrust(true), 'forwarded');
+
+    t.equal(client.ip, '2001:db8::1');
+    t.deepEqual(client.ips, ['2001:db8::1', '10.0.0.2']);
+    t.equal(client.protocol, 'https');
+    t.equal(client.host, 'api.example.com');
+
+    req.headers.forwarded = 'for=unknown;proto=https';
+    client = proxy.resolve(req, proxy.compileTrust(true), 'forwarded');
+    t.equal(client.ip, '10.0.0.1');
+    t.equal(client.protocol, 'https');
+    t.equal(client.host, 'internal');
+
+    // X-Forwarded-* headers are client sent then
+    delete req.headers.forwarded;
+    client = proxy.resolve(req, proxy.compileTrust(true), 'forwarded');
+    t.equal(client.ip, '10.0.0.1');
+    t.equal(client.host, 'internal');
+    t.end();
+});
+
+test('request helpers honor trustProxy', function(t) {
+    var server = restify.createServer({
+        handleUncaughtExceptions: true,
+        log: helper.getLog('server'),
+        trustProxy: 'loopback'
+    });
+
+    server.get('/', function(req, res, next) {
+        res.send({
+            ip: req.ip(),
+            ips: req.ips(),
+            protocol: req.protocol(),
+            hostname: req.hostname(),
+            secure: req.isSecure(),
+            uri: req.absoluteUri('/foo')
+        });
+        next();
+    });
+
+    server
+        .inject({
+            url: '/',
+            headers: {
+                'x-forwarded-for': '203.0.113.1',
+                'x-forwarded-proto': 'https',
+                'x-forwarded-host': 'api.example.com:8443'
+            }
+        })
+        .then(function(res) {
+            t.deepEqual(JSON.parse(res.body), {
+                ip: '203.0.113.1',
+                ips: ['203.0.113.1'],
+                protocol: 'https',
+                hostname: 'api.example.com',
+                secure: true,
+                uri: 'https://api.example.com:8443/foo'
+            });
+
+            return server.inject({
+                url: '/',
+                remoteAddress: '198.51.100.7',
+                headers: { host: '[::1]:80', 'x-forwarded-proto': 'https' }
+            });
+        })
+        .then(function(res) {
+            var body = JSON.parse(res.body);
+
+            t.equal(body.ip, '198.51.100.7');
+            t.equal(body.protocol, 'http');
+            t.equal(body.hostname, '[::1]');
+            t.notOk(body.secure);
+            t.end();
+        })
+        .catch(function(err) {
+            t.ifError(err);
+            t.end();
+        });
+});
@@ -1,6 +1,8 @@
 'use strict';
 /* eslint-disable func-names */
 
+var http = require('http');
+var stream = require('stream');
 var url = require('url');
 var restifyClients = require('restify-clients');
 var errs = require('restify-errors');
@@ -760,3 +762,277 @@ test('GH-1791: should send NaN as null with application/json', function(t) {
         t.end();
     });
 });
+
+// an async iterable of the given values, failing after them with err
+function asyncIterable(values, err) {
+    var iterable = {};
+
+    iterable[Symbol.asyncIterator] = function() {
+        var i = 0;
+
+        return {
+            next: function() {
+                if (i < values.length) {
+                    return Promise.resolve({ value: values[i++], done: false });
+                }
+
+                return err
+                    ? Promise.reject(err)
+                    : Promise.resolve({ value: undefined, done: true });
+            }
+        };
+    };
+
+    return iterable;
+}
+
+test('should stream byte streams as is', function(t) {
+    SERVER.get('/stream/bytes', function(req, res, next) {
+        res.status(201);
+        res.header('content-type', 'text/csv');
+        res.send(
+            stream.Readable.from(['a,b\n', '1,2\n'], { objectMode: false })
+        );
+        return next();
+    });
+
+    STRING_CLIENT.get(join(LOCALHOST, '/stream/bytes'), function(
+        err,
+        req,
+        res,
+        data
+    ) {
+        t.ifError(err);
+        t.equal(res.statusCode, 201);
+        t.equal(res.headers['content-type'], 'text/csv');
+        t.equal(res.headers['transfer-encoding'], 'chunked');
+        t.equal(data, 'a,b\n1,2\n');
+        t.end();
+    });
+});
+
+test('should stream async iterables as JSON arrays', function(t) {
+    SERVER.get('/stream/json', function(req, res, next) {
+        res.send(asyncIterable([{ id: 1 }, { id: 2 }, undefined]));
+        return next();
+    });
+    SERVER.get('/stream/empty', function(req, res, next) {
+        res.send(stream.Readable.from([]));
+        return next();
+    });
+
+    CLIENT.get(join(LOCALHOST, '/stream/json'), function(err, _, res, obj) {
+        t.ifError(err);
+        t.equal(res.headers['content-type'], 'application/json');
+        t.deepEqual(obj, [{ id: 1 }, { id: 2 }, null]);
+
+        STRING_CLIENT.get(join(LOCALHOST, '/stream/empty'), function(
+            err2,
+            req2,
+            res2,
+            data
+        ) {
+            t.ifError(err2);
+            t.equal(data, '[]');
+            t.end();
+        });
+    });
+});
+
+test('should stream values through the formatter of their type', function(t) {
+    SERVER.get('/stream/text', function(req, res, next) {
+        res.contentType = 'text/plain';
+        res.send(stream.Readable.from(['a', 1, true]));
+        return next();
+    });
+    SERVER.get('/stream/jsonp', function(req, res, next) {
+        res.contentType = 'application/javascript';
+        res.send(stream.Readable.from(['a']));
+        return next();
+    });
+
+    STRING_CLIENT.get(join(LOCALHOST, '/stream/text'), function(
+        err,
+        req,
+        res,
+        data
+    ) {
+        t.ifError(err);
+        t.equal(data, 'a1true');
+
+        // formatters without streaming mode can't stream
+        STRING_CLIENT.get(join(LOCALHOST, '/stream/jsonp'), function(
+            err2,
+            req2,
+            res2
+        ) {
+            t.ok(err2);
+            t.equal(res2.statusCode, 500);
+            t.end();
+        });
+    });
+});
+
+test('should send an error when a stream fails right away', function(t) {
+    var boom = new Error('boom');
+    var afterErr;
+
+    SERVER.get('/stream/fail-early', function(req, res, next) {
+        res.send(asyncIterable([], boom));
+        return next();
+    });
+
+    SERVER.once('after', function(req, res, route, err) {
+        afterErr = err;
+    });
+
+    STRING_CLIENT.get(join(LOCALHOST, '/stream/fail-early'), function(
+        err,
+        req,
+        res,
+        data
+    ) {
+        t.ok(err);
+        t.equal(res.statusCode, 500);
+        t.equal(res.headers['content-type'], 'application/json');
+        t.equal(JSON.parse(data).code, 'InternalServer');
+        t.equal(JSON.parse(data).message.indexOf('could not stream body'), 0);
+        t.equal(afterErr, boom);
+        t.end();
+    });
+});
+
+test('should destroy the connection when a stream fails', function(t) {
+    var boom = new Error('boom');
+
+    SERVER.get('/stream/fail', function(req, res, next) {
+        res.send(asyncIterable([{ id: 1 }], boom));
+        return next();
+    });
+
+    SERVER.once('after', function(req, res, route, err) {
+        t.equal(err, boom);
+        t.equal(res.statusCode, 200);
+        t.end();
+    });
+
+    STRING_CLIENT.get(join(LOCALHOST, '/stream/fail'), function(err) {
+        t.ok(err);
+    });
+});
+
+test('should not stream bodies of HEAD requests', function(t) {
+    var body = stream.Readable.from(['a', 'b'], { objectMode: false });
+
+    SERVER.head('/stream/head', function(req, res, next) {
+        res.send(body);
+        return next();
+    });
+
+    STRING_CLIENT.head(join(LOCALHOST, '/stream/head'), function(err, _, res) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+        t.ok(body.destroyed);
+        t.end();
+    });
+});
+
+test('sse should send events', function(t) {
+    SERVER.get('/sse', function(req, res, next) {
+        var events = res.sse({ retry: 1000 });
+
+        t.equal(events.lastEventId, '41');
+        events.send({ id: '42', event: 'update', data: { a: 1 } });
+        events.send({ data: 'two\nlines' });
+        events.comment('bye');
+        events.close();
+        // no more events once closed
+        t.equal(events.send({ data: 'late' }), false);
+        return next();
+    });
+
+    SERVER.once('after', function(req, res, route, err) {
+        t.ifError(err);
+        t.equal(res.statusCode, 200);
+    });
+
+    http.get(
+        {
+            host: '127.0.0.1',
+            port: PORT,
+            path: '/sse',
+            headers: { 'Last-Event-ID': '41' }
+        },
+        function(res) {
+            var text = '';
+
+            t.equal(res.headers['content-type'], 'text/event-stream');
+            t.equal(res.headers['cache-control'], 'no-cache');
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                text += chunk;
+            });
+            res.once('end', function() {
+                t.equal(
+                    text,
+                    'retry: 1000\n\n' +
+                        'id: 42\nevent: update\ndata: {"a":1}\n\n' +
+                        'data: two\ndata: lines\n\n' +
+                        ': bye\n'
+                );
+                t.end();
+            });
+        }
+    );
+});
+
+test('sse should reject fields spanning lines', function(t) {
+    SERVER.get('/sse/invalid', function(req, res, next) {
+        var events = res.sse({ heartbeat: 0 });
+
+        t.throws(function() {
+            events.send({ event: 'a\nb', data: 'x' });
+        }, /line breaks/);
+        events.close();
+        return next();
+    });
+
+    STRING_CLIENT.get(join(LOCALHOST, '/sse/invalid'), function(err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('sse should send heartbeats until the client leaves', function(t) {
+    var events;
+    var req;
+
+    SERVER.get('/sse/heartbeat', function(_, res, next) {
+        events = res.sse({ heartbeat: 10 });
+        return next();
+    });
+
+    SERVER.once('after', function(_, res, route, err) {
+        t.equal(err.name, 'RequestCloseError');
+        events.once('close', function() {
+            t.ok(events.closed);
+            t.end();
+        });
+    });
+
+    req = http.get(
+        {
+            host: '127.0.0.1',
+            port: PORT,
+            path: '/sse/heartbeat'
+        },
+        function(res) {
+            res.setEncoding('utf8');
+            res.once('data', function(chunk) {
+                t.ok(/^: \n/.test(chunk));
+                req.destroy();
+            });
+        }
+    );
+    req.on('error', function() {});
+});
@@ -315,18 +315,111 @@ test('prints debug info', function(t) {
             name: 'get',
             method: 'get',
             path: '/',
+            prefix: '',
+            versions: [],
             handlers: [handler1]
         },
         post: {
             name: 'post',
             method: 'post',
             path: '/',
+            prefix: '',
+            versions: [],
             handlers: [handler1, handler2]
         }
     });
     t.end();
 });
 
+test('prints debug info with versions', function(t) {
+    function handler1(req, res, next) {
+        res.send('Hello world');
+    }
+
+    var router = new Router({
+        log: {}
+    });
+    router.mount({ method: 'GET', path: '/', version: '1.0.0' }, [handler1]);
+    router.mount({ method: 'GET', path: '/', version: ['2.0.0', '3.x'] }, [
+        handler1
+    ]);
+
+    var debugInfo = router.getDebugInfo();
+    var names = Object.keys(debugInfo);
+
+    t.equal(names.length, 2);
+    t.deepEqual(debugInfo[names[0]].versions, ['1.0.0']);
+    t.deepEqual(debugInfo[names[1]].versions, ['2.0.0', '3.x']);
+    t.end();
+});
+
+test('mounts a router under a prefix', function(t) {
+    function handler(req, res, next) {
+        res.send('Hello world');
+    }
+
+    var router = new Router({
+        log: {}
+    });
+    var accounts = new Router();
+
+    accounts.get('/', handler);
+    router.attach('/v2/accounts/', accounts);
+    accounts.get({ name: 'account', path: '/:id' }, handler);
+
+    t.deepEqual(Object.keys(router.getRoutes()), [
+        'v2accounts.get',
+        'v2accounts.account'
+    ]);
+    t.equal(router.getRoutes()['v2accounts.get'].path, '/v2/accounts');
+    t.equal(router.getRoutes()['v2accounts.account'].path, '/v2/accounts/:id');
+
+    // Unmounting the router's route removes the mounted copy
+    accounts.unmount('account');
+    t.deepEqual(Object.keys(router.getRoutes()), ['v2accounts.get']);
+
+    t.throws(function() {
+        accounts.attach('/loop', router);
+    }, /can not be mounted on itself/);
+    t.end();
+});
+
+test('prints debug info of groups', function(t) {
+    function handler(req, res, next) {
+        res.send('Hello world');
+    }
+    function outer(req, res, next) {
+        next();
+    }
+    function inner(req, res, next) {
+        next();
+    }
+
+    var router = new Router({
+        log: {}
+    });
+
+    router.group('/v2', function(v2) {
+        v2.use(outer);
+        v2.group('/accounts', { name: 'accounts' }, function(accounts) {
+            accounts.use(inner);
+            accounts.get('/:id', handler);
+        });
+    });
+
+    t.deepEqual(router.getDebugInfo(), {
+        'v2.accounts.getid': {
+            name: 'v2.accounts.getid',
+            method: 'get',
+            path: '/v2/accounts/:id',
+            prefix: '/v2/accounts',
+            versions: [],
+            handlers: [outer, inner, handler]
+        }
+    });
+    t.end();
+});
+
 test('toString()', function(t) {
     function handler(req, res, next) {
         res.send('Hello world');
@@ -516,3 +609,21 @@ test('render route (query string)', function(t) {
 
     t.end();
 });
+
+test('render route (mounted router)', function(t) {
+    var server = restify.createServer();
+    var countries = new restify.Router();
+
+    countries.get({ name: 'country', path: '/:name' }, mockResponse);
+    server.mount('/v2/countries', countries, { name: 'countries' });
+
+    t.equal(
+        server.router.render('countries.country', { name: 'Australia' }),
+        '/v2/countries/Australia'
+    );
+    t.equal(
+        countries.render('country', { name: 'Australia' }),
+        '/v2/countries/Australia'
+    );
+    t.end();
+});
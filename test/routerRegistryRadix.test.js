@@ -15,16 +15,22 @@ var test = helper.test;
 
 function getTestRoute(opts) {
     var chain = new Chain();
-    var name = opts.method + '-' + opts.path;
+    var name = opts.name || opts.method + '-' + opts.path;
     name = name.replace(/\W/g, '').toLowerCase();
 
-    return {
+    var route = {
         name: name,
         method: opts.method,
         path: opts.path,
         spec: opts,
         chain: chain
     };
+
+    if (opts.versions) {
+        route.versions = opts.versions;
+    }
+
+    return route;
 }
 
 ///--- Tests
@@ -75,6 +81,103 @@ test('lookups a route', function(t) {
     t.done();
 });
 
+test('lookups a versioned route', function(t) {
+    var registry = new RouterRegistryRadix();
+    var v1 = getTestRoute({
+        name: 'v1',
+        method: 'GET',
+        path: '/a/:b',
+        versions: ['1.0.0', '1.2.0']
+    });
+    var v2 = getTestRoute({
+        name: 'v2',
+        method: 'GET',
+        path: '/a/:b',
+        versions: ['2.x']
+    });
+    registry.add(v1);
+    registry.add(v2);
+
+    var result = registry.lookup('GET', '/a/b');
+    t.equal(result.route, v2);
+    t.equal(result.version, '2.x');
+    t.deepEqual(result.params, { b: 'b' });
+    t.deepEqual(result.versions, ['1.0.0', '1.2.0', '2.x']);
+
+    result = registry.lookup('GET', '/a/b', '~1.0');
+    t.equal(result.route, v1);
+    t.equal(result.version, '1.0.0');
+
+    result = registry.lookup('GET', '/a/b', '^1.0.0');
+    t.equal(result.route, v1);
+    t.equal(result.version, '1.2.0');
+
+    result = registry.lookup('GET', '/a/b', '2.3.1');
+    t.equal(result.route, v2);
+
+    t.equal(registry.lookup('GET', '/a/b', '3.0.0'), undefined);
+    t.equal(registry.lookup('GET', '/a/b', 'foo'), undefined);
+
+    t.done();
+});
+
+test('rejects duplicated versions', function(t) {
+    var registry = new RouterRegistryRadix();
+    registry.add(
+        getTestRoute({
+            name: 'v1',
+            method: 'GET',
+            path: '/',
+            versions: ['1.0.0']
+        })
+    );
+
+    t.throws(function() {
+        registry.add(
+            getTestRoute({
+                name: 'v1bis',
+                method: 'GET',
+                path: '/',
+                versions: ['1.0.0']
+            })
+        );
+    });
+    t.throws(function() {
+        registry.add(getTestRoute({ name: 'any', method: 'GET', path: '/' }));
+    });
+
+    t.done();
+});
+
+test('removes a versioned route', function(t) {
+    var registry = new RouterRegistryRadix();
+    registry.add(
+        getTestRoute({
+            name: 'v1',
+            method: 'GET',
+            path: '/',
+            versions: ['1.0.0']
+        })
+    );
+    registry.add(
+        getTestRoute({
+            name: 'v2',
+            method: 'GET',
+            path: '/',
+            versions: ['2.0.0']
+        })
+    );
+
+    registry.remove('v2');
+    t.equal(registry.lookup('GET', '/').route.name, 'v1');
+    t.equal(registry.lookup('GET', '/', '2.0.0'), undefined);
+
+    registry.remove('v1');
+    t.equal(registry.lookup('GET', '/'), undefined);
+
+    t.done();
+});
+
 test('get registered routes', function(t) {
     var registry = new RouterRegistryRadix();
     registry.add(getTestRoute({ method: 'GET', path: '/' }));
@@ -483,6 +483,29 @@ test('OPTIONS', function(t) {
     }).end();
 });
 
+test('OPTIONS * with handleOptionsStar disabled', function(t) {
+    var server = restify.createServer({
+        handleOptionsStar: false,
+        log: helper.getLog('server')
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        var opts = {
+            hostname: '127.0.0.1',
+            port: server.address().port,
+            path: '*',
+            method: 'OPTIONS',
+            agent: false
+        };
+        http.request(opts, function(res) {
+            t.equal(res.statusCode, 404);
+            server.close(function() {
+                t.end();
+            });
+        }).end();
+    });
+});
+
 test('RegExp ok', function(t) {
     SERVER.get('/example/:file(^\\d+).png', function tester(req, res, next) {
         t.deepEqual(req.params, {
@@ -527,6 +550,281 @@ test('get (path and version ok)', function(t) {
     });
 });
 
+test('get (path and multiple versions)', function(t) {
+    SERVER.get({ path: '/versioned/:id', version: '1.0.0' }, function v1(
+        req,
+        res,
+        next
+    ) {
+        res.send({ version: 1, matched: req.matchedVersion() });
+        next();
+    });
+    SERVER.get(
+        { path: '/versioned/:id', version: ['2.0.0', '3.x'] },
+        function v2(req, res, next) {
+            res.send({ version: 2, matched: req.matchedVersion() });
+            next();
+        }
+    );
+
+    CLIENT.get('/versioned/foo', function(err, _, res, obj) {
+        t.ifError(err);
+        t.equal(res.headers['api-version'], '3.x');
+        t.deepEqual(obj, { version: 2, matched: '3.x' });
+
+        var opts = {
+            path: '/versioned/foo',
+            headers: {
+                'accept-version': '~1'
+            }
+        };
+        CLIENT.get(opts, function(err2, _2, res2, obj2) {
+            t.ifError(err2);
+            t.equal(res2.headers['api-version'], '1.0.0');
+            t.deepEqual(obj2, { version: 1, matched: '1.0.0' });
+
+            opts.headers['accept-version'] = '2.0.0';
+            CLIENT.get(opts, function(err3, _3, res3, obj3) {
+                t.ifError(err3);
+                t.equal(res3.headers['api-version'], '2.0.0');
+                t.deepEqual(obj3, { version: 2, matched: '2.0.0' });
+                t.end();
+            });
+        });
+    });
+});
+
+test('get (path and version not allowed)', function(t) {
+    SERVER.get({ path: '/versioned', version: ['1.0.0', '2.0.0'] }, function(
+        req,
+        res,
+        next
+    ) {
+        t.fail('should not run');
+        res.send();
+        next();
+    });
+
+    SERVER.once('VersionNotAllowed', function(req, res, err, cb) {
+        t.deepEqual(errors.info(err).versions, ['1.0.0', '2.0.0']);
+        cb();
+    });
+
+    var opts = {
+        path: '/versioned',
+        headers: {
+            'accept-version': '~3'
+        }
+    };
+    CLIENT.get(opts, function(err, _, res) {
+        t.ok(err);
+        t.equal(err.name, 'InvalidVersionError');
+        t.equal(res.statusCode, 400);
+        t.end();
+    });
+});
+
+test('group use handlers only run for the group routes', function(t) {
+    SERVER.group('/v2/accounts', function(g) {
+        g.use(function(req, res, next) {
+            res.header('x-group', 'accounts');
+            next();
+        });
+        g.get('/:id', function(req, res, next) {
+            res.send({ id: req.params.id, route: req.route.name });
+            next();
+        });
+    });
+    SERVER.get('/v2/users/:id', function(req, res, next) {
+        res.send({ id: req.params.id });
+        next();
+    });
+
+    CLIENT.get('/v2/accounts/foo', function(err, _, res, obj) {
+        t.ifError(err);
+        t.equal(res.headers['x-group'], 'accounts');
+        t.deepEqual(obj, { id: 'foo', route: 'v2accounts.getid' });
+
+        CLIENT.get('/v2/users/foo', function(err2, _2, res2, obj2) {
+            t.ifError(err2);
+            t.notOk(res2.headers['x-group']);
+            t.deepEqual(obj2, { id: 'foo' });
+            t.end();
+        });
+    });
+});
+
+test('mount a router with a stopping use handler', function(t) {
+    var router = new restify.Router();
+
+    router.use(function(req, res, next) {
+        res.send(403);
+        next(false);
+    });
+    router.get('/', function(req, res, next) {
+        t.fail('should not run');
+        next();
+    });
+    SERVER.mount('/admin', router);
+
+    CLIENT.get('/admin', function(err, _, res) {
+        t.ok(err);
+        t.equal(res.statusCode, 403);
+        t.end();
+    });
+});
+
+test('schema coerces params and query', function(t) {
+    SERVER.get(
+        {
+            path: '/accounts/:id',
+            schema: {
+                params: {
+                    type: 'object',
+                    properties: { id: { type: 'integer' } }
+                },
+                query: {
+                    type: 'object',
+                    properties: {
+                        limit: { type: 'integer', default: 10 },
+                        tags: { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            }
+        },
+        function(req, res, next) {
+            res.send({ id: req.params.id, query: req.query });
+            next();
+        }
+    );
+
+    CLIENT.get('/accounts/42?tags=a', function(err, _, res, obj) {
+        t.ifError(err);
+        t.deepEqual(obj, { id: 42, query: { limit: 10, tags: ['a'] } });
+        t.end();
+    });
+});
+
+test('schema rejects invalid requests with a BadRequestError', function(t) {
+    SERVER.get(
+        {
+            path: '/accounts/:id',
+            schema: {
+                params: {
+                    type: 'object',
+                    properties: { id: { type: 'integer' } }
+                },
+                headers: {
+                    type: 'object',
+                    required: ['x-tenant']
+                }
+            }
+        },
+        function(req, res, next) {
+            t.fail('should not run');
+            next();
+        }
+    );
+
+    CLIENT.get('/accounts/foo', function(err, _, res, obj) {
+        t.ok(err);
+        t.equal(res.statusCode, 400);
+        t.equal(obj.code, 'BadRequest');
+        t.deepEqual(obj.errors, [
+            {
+                location: 'params',
+                field: 'id',
+                message: 'should be integer'
+            },
+            {
+                location: 'headers',
+                field: 'x-tenant',
+                message: "should have required property 'x-tenant'"
+            }
+        ]);
+        t.end();
+    });
+});
+
+test('schema rejects invalid bodies with a 422', function(t) {
+    SERVER.use(restify.plugins.bodyParser());
+    SERVER.post(
+        {
+            path: '/accounts',
+            schema: {
+                body: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: { age: { type: 'integer' } }
+                }
+            }
+        },
+        function(req, res, next) {
+            res.send(201, req.body);
+            next();
+        }
+    );
+
+    CLIENT.post('/accounts', { age: '12' }, function(err, _, res, obj) {
+        t.ok(err);
+        t.equal(res.statusCode, 422);
+        t.deepEqual(obj.errors, [
+            {
+                location: 'body',
+                field: 'name',
+                message: "should have required property 'name'"
+            },
+            {
+                location: 'body',
+                field: 'age',
+                message: 'should be integer'
+            }
+        ]);
+
+        CLIENT.post('/accounts', { name: 'foo' }, function(err2, _2, res2) {
+            t.ifError(err2);
+            t.equal(res2.statusCode, 201);
+            t.end();
+        });
+    });
+});
+
+test('schema is validated once for mounted routers', function(t) {
+    var calls = 0;
+    var router = new restify.Router();
+
+    router.use(function(req, res, next) {
+        calls++;
+        next();
+    });
+    router.get(
+        {
+            path: '/:id',
+            schema: {
+                params: {
+                    type: 'object',
+                    properties: { id: { type: 'integer' } }
+                }
+            }
+        },
+        function(req, res, next) {
+            res.send({ id: req.params.id });
+            next();
+        }
+    );
+    SERVER.mount('/accounts', router);
+
+    var handlers = SERVER.getDebugInfo().routes[0].handlers;
+    t.deepEqual(handlers, ['anonymous', 'validateSchema', 'anonymous']);
+
+    CLIENT.get('/accounts/42', function(err, _, res, obj) {
+        t.ifError(err);
+        t.equal(calls, 1);
+        t.deepEqual(obj, { id: 42 });
+        t.end();
+    });
+});
+
 test('GH-63 res.send 204 is sending a body', function(t) {
     SERVER.del('/hello/:name', function tester(req, res, next) {
         res.send(204);
@@ -1915,6 +2213,192 @@ test("should emit 'close' on server close", function(t) {
     });
 });
 
+test('shutdown closes idle keep-alive connections', function(t) {
+    var server = restify.createServer({ log: helper.getLog('server') });
+    var agent = new http.Agent({ keepAlive: true });
+
+    server.get('/foo', function(req, res, next) {
+        res.send(200);
+        next();
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        var opts = {
+            hostname: '127.0.0.1',
+            port: server.address().port,
+            path: '/foo',
+            agent: agent
+        };
+        http.get(opts, function(res) {
+            t.equal(res.statusCode, 200);
+            res.resume();
+            res.on('end', function() {
+                var start = Date.now();
+                server.shutdown({ timeout: 5000 }, function() {
+                    t.ok(Date.now() - start < 5000, 'did not time out');
+                    agent.destroy();
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('shutdown drains inflight requests', function(t) {
+    var server = restify.createServer({ log: helper.getLog('server') });
+    var shutdownEmitted = false;
+
+    server.on('shutdown', function() {
+        shutdownEmitted = true;
+    });
+
+    server.get('/slow', function(req, res, next) {
+        server.shutdown();
+        setTimeout(function() {
+            res.send(200);
+            next();
+        }, 100);
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        var opts = {
+            hostname: '127.0.0.1',
+            port: server.address().port,
+            path: '/slow',
+            agent: new http.Agent({ keepAlive: true })
+        };
+        http.get(opts, function(res) {
+            t.equal(res.statusCode, 200);
+            t.equal(res.headers.connection, 'close');
+            res.resume();
+            server.shutdown(function() {
+                t.ok(shutdownEmitted);
+                t.equal(server.inflightRequests(), 0);
+                t.end();
+            });
+        });
+    });
+});
+
+test('shutdown destroys connections after timeout', function(t) {
+    var server = restify.createServer({ log: helper.getLog('server') });
+
+    server.get('/hang', function(req, res, next) {
+        server.shutdown({ timeout: 100 }, function() {
+            t.end();
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        var opts = {
+            hostname: '127.0.0.1',
+            port: server.address().port,
+            path: '/hang',
+            agent: false
+        };
+        http.get(opts, function() {
+            t.fail('should not get a response');
+        }).on('error', function(err) {
+            t.ok(err);
+        });
+    });
+});
+
+test('inject runs a request through all chains', function(t) {
+    var server = restify.createServer({ log: helper.getLog('server') });
+    var events = [];
+
+    server.pre(function pre(req, res, next) {
+        events.push('pre');
+        next();
+    });
+    server.use(restify.plugins.queryParser());
+    server.use(restify.plugins.bodyParser());
+    server.post('/echo/:id', function echo(req, res, next) {
+        events.push('route');
+        res.header('x-id', req.params.id);
+        res.send(201, { body: req.body, query: req.query });
+        next();
+    });
+    server.on('after', function() {
+        events.push('after');
+    });
+
+    server
+        .inject({
+            method: 'POST',
+            url: '/echo/foo?a=1',
+            payload: { hello: 'world' }
+        })
+        .then(function(res) {
+            t.equal(res.statusCode, 201);
+            t.equal(res.headers['x-id'], 'foo');
+            t.equal(res.headers['content-type'], 'application/json');
+            t.deepEqual(JSON.parse(res.body), {
+                body: { hello: 'world' },
+                query: { a: '1' }
+            });
+            t.deepEqual(events, ['pre', 'route', 'after']);
+            t.equal(server.inflightRequests(), 0);
+            t.equal(server.address(), null);
+            t.end();
+        })
+        .catch(function(err) {
+            t.ifError(err);
+            t.end();
+        });
+});
+
+test('inject returns errors and trailers', function(t) {
+    var server = restify.createServer({ log: helper.getLog('server') });
+
+    server.get('/trailers', function trailers(req, res, next) {
+        res.writeHead(200, {
+            'content-type': 'text/plain',
+            trailer: 'x-checksum'
+        });
+        res.write('hello');
+        res.addTrailers({ 'x-checksum': 'abc' });
+        res.end();
+        next();
+    });
+
+    server
+        .inject({ url: '/doesnotexist' })
+        .then(function(res) {
+            t.equal(res.statusCode, 404);
+            t.equal(JSON.parse(res.body).code, 'ResourceNotFound');
+            return server.inject('/trailers');
+        })
+        .then(function(res) {
+            t.equal(res.statusCode, 200);
+            t.equal(res.body, 'hello');
+            t.equal(res.headers['content-type'], 'text/plain');
+            t.deepEqual(res.trailers, { 'x-checksum': 'abc' });
+            t.end();
+        })
+        .catch(function(err) {
+            t.ifError(err);
+            t.end();
+        });
+});
+
+test('inject resolves requests stopped by the first chain', function(t) {
+    var server = restify.createServer({ log: helper.getLog('server') });
+
+    server.first(function(req, res) {
+        res.statusCode = 503;
+        res.end();
+        return false;
+    });
+
+    server.inject({ url: '/foo' }).then(function(res) {
+        t.equal(res.statusCode, 503);
+        t.equal(server.inflightRequests(), 0);
+        t.end();
+    });
+});
+
 test('should cleanup inflight requests count for 404s', function(t) {
     SERVER.get('/foo1', function(req, res, next) {
         t.equal(SERVER.inflightRequests(), 1);
@@ -2994,3 +3478,118 @@ test('req and res should use own logger by if set during .first', function(t) {
         t.end();
     });
 });
+
+test('route timeout answers hung handlers with a 504', function(t) {
+    var server = restify.createServer({ log: helper.getLog('server') });
+    var afterErrors = [];
+    var lateSend;
+
+    server.get(
+        { path: '/hung', name: 'hung', timeout: 20 },
+        async function hungHandler(req, res) {
+            await new Promise(function(resolve) {
+                lateSend = function() {
+                    // the timeout response was already sent
+                    res.send(200, 'late');
+                    resolve();
+                };
+            });
+        }
+    );
+
+    server.on('after', function(req, res, route, err) {
+        afterErrors.push(err);
+    });
+
+    server.inject('/hung').then(function(res) {
+        t.equal(res.statusCode, 504);
+        t.equal(JSON.parse(res.body).code, 'GatewayTimeout');
+        t.equal(afterErrors.length, 1);
+        t.deepEqual(errors.info(afterErrors[0]), {
+            timeout: 20,
+            handler: 'hungHandler',
+            route: 'hung'
+        });
+
+        lateSend();
+
+        setImmediate(function() {
+            t.equal(afterErrors.length, 1);
+            t.equal(server.inflightRequests(), 0);
+            t.end();
+        });
+    });
+});
+
+test('handlerTimeout is the default timeout of routes', function(t) {
+    var server = restify.createServer({
+        log: helper.getLog('server'),
+        handlerTimeout: 20,
+        handlerTimeoutStatus: 503
+    });
+    var called = false;
+
+    server.use(function slowUse(req, res, next) {
+        setTimeout(next, req.path() === '/slow' ? 50 : 30);
+    });
+    server.get('/slow', function(req, res, next) {
+        called = true;
+        res.send(200);
+        next();
+    });
+    server.get({ path: '/untimed', timeout: 0 }, function(req, res, next) {
+        res.send(200);
+        next();
+    });
+
+    server.inject('/slow').then(function(res) {
+        t.equal(res.statusCode, 503);
+        t.equal(JSON.parse(res.body).code, 'ServiceUnavailable');
+        t.ok(
+            /slowUse timed out after 20 ms/.test(JSON.parse(res.body).message)
+        );
+
+        server.inject('/untimed').then(function(res2) {
+            t.equal(res2.statusCode, 200);
+
+            // the chain of the timed out request never reaches its route
+            setTimeout(function() {
+                t.equal(called, false);
+                t.end();
+            }, 40);
+        });
+    });
+});
+
+test('handlers after a timed out one never run', function(t) {
+    var server = restify.createServer({ log: helper.getLog('server') });
+    var called = false;
+
+    server.get(
+        { path: '/slow', timeout: 20 },
+        function slow(req, res, next) {
+            setTimeout(next, 50);
+        },
+        function later(req, res, next) {
+            called = true;
+            next();
+        }
+    );
+
+    server.inject('/slow').then(function(res) {
+        t.equal(res.statusCode, 504);
+
+        // the timed out handler calls next() after the response was sent
+        setTimeout(function() {
+            t.equal(called, false);
+            t.end();
+        }, 60);
+    });
+});
+
+test('handlerTimeoutStatus only accepts 503 and 504', function(t) {
+    t.throws(function() {
+        restify.createServer({ handlerTimeout: 10, handlerTimeoutStatus: 500 });
+    }, /503 or 504/);
+    t.end();
+});
@@ -109,3 +109,49 @@ test('get (path only)', function(t) {
         t.ifError(err);
     });
 });
+
+test('shutdown closes sessions gracefully', function(t) {
+    var server = restify.createServer({
+        http2: {
+            cert: CERT,
+            key: KEY,
+            ca: CA
+        },
+        log: helper.getLog('server')
+    });
+
+    server.get('/slow', function(req, res, next) {
+        server.shutdown({ timeout: 5000 }, function() {
+            t.equal(server.inflightRequests(), 0);
+            t.end();
+        });
+        setTimeout(function() {
+            res.json({ hello: 'world' });
+            next();
+        }, 50);
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        var client = http2.connect(
+            'https://127.0.0.1:' + server.address().port,
+            {
+                rejectUnauthorized: false
+            }
+        );
+        var req = client.request({
+            ':path': '/slow',
+            ':method': 'GET'
+        });
+
+        req.on('response', function(headers) {
+            t.equal(headers[':status'], 200);
+        });
+        req.on('error', function(err) {
+            t.ifError(err);
+        });
+        req.resume();
+        req.on('end', function() {
+            client.close();
+        });
+    });
+});
@@ -0,0 +1,285 @@
+'use strict';
+/* eslint-disable func-names */
+
+var errors = require('restify-errors');
+var restify = require('../lib');
+var tracing = require('../lib/tracing');
+
+if (require.cache[__dirname + '/lib/helper.js']) {
+    delete require.cache[__dirname + '/lib/helper.js'];
+}
+var helper = require('./lib/helper.js');
+
+///--- Globals
+
+var test = helper.test;
+
+var TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+var PARENT_ID = 'b7ad6b7169203331';
+var TRACEPARENT = '00-' + TRACE_ID + '-' + PARENT_ID + '-01';
+
+function findSpan(spans, name) {
+    return spans.filter(function(span) {
+        return span.name === name;
+    })[0];
+}
+
+///--- Tests
+
+test('parseTraceparent', function(t) {
+    t.deepEqual(tracing.parseTraceparent(TRACEPARENT), {
+        version: '00',
+        traceId: TRACE_ID,
+        spanId: PARENT_ID,
+        traceFlags: 1
+    });
+    t.deepEqual(
+        tracing.parseTraceparent('cc-' + TRACE_ID + '-' + PARENT_ID + '-00-x'),
+        {
+            version: 'cc',
+            traceId: TRACE_ID,
+            spanId: PARENT_ID,
+            traceFlags: 0
+        }
+    );
+    t.equal(tracing.parseTraceparent(undefined), null);
+    t.equal(tracing.parseTraceparent(TRACEPARENT + '-extra'), null);
+    t.equal(tracing.parseTraceparent('ff' + TRACEPARENT.slice(2)), null);
+    t.equal(tracing.parseTraceparent(TRACEPARENT.toUpperCase()), null);
+    t.equal(
+        tracing.parseTraceparent(
+            '00-00000000000000000000000000000000-' + PARENT_ID + '-01'
+        ),
+        null
+    );
+    t.equal(
+        tracing.parseTraceparent('00-' + TRACE_ID + '-0000000000000000-01'),
+        null
+    );
+    t.end();
+});
+
+test('formatTraceparent', function(t) {
+    t.equal(
+        tracing.formatTraceparent({
+            traceId: TRACE_ID,
+            spanId: PARENT_ID,
+            traceFlags: 1
+        }),
+        TRACEPARENT
+    );
+    t.end();
+});
+
+test('parseTracestate and formatTracestate', function(t) {
+    t.deepEqual(tracing.parseTracestate('congo=t61rcWkgMzE, rojo=00f067aa'), [
+        ['congo', 't61rcWkgMzE'],
+        ['rojo', '00f067aa']
+    ]);
+    t.deepEqual(tracing.parseTracestate(['a=1,,b@vendor=2', 'a=3']), [
+        ['a', '1'],
+        ['b@vendor', '2']
+    ]);
+    t.equal(tracing.parseTracestate('Invalid=1'), null);
+    t.equal(tracing.parseTracestate('a=1,b'), null);
+    t.equal(tracing.parseTracestate(''), null);
+    t.equal(
+        tracing.formatTracestate([
+            ['congo', 't61rcWkgMzE'],
+            ['rojo', '1']
+        ]),
+        'congo=t61rcWkgMzE,rojo=1'
+    );
+    t.end();
+});
+
+test('creates spans for phases and handlers', function(t) {
+    var exporter = new tracing.InMemoryExporter();
+    var server = restify.createServer({ tracing: { exporter: exporter } });
+
+    server.pre(function preHandler(req, res, next) {
+        next();
+    });
+    server.use(function useHandler(req, res, next) {
+        next();
+    });
+    server.get('/users/:id', function getUser(req, res, next) {
+        req.startHandlerTimer('loadUser');
+        req.endHandlerTimer('loadUser');
+        res.send(200);
+        next();
+    });
+
+    server.inject('/users/1').then(function(res) {
+        t.equal(res.statusCode, 200);
+
+        var spans = exporter.getFinishedSpans();
+        var root = findSpan(spans, 'GET /users/:id');
+
+        t.ok(root);
+        t.equal(root.kind, 'server');
+        t.equal(root.parentSpanId, undefined);
+        t.equal(root.traceFlags, 1);
+        t.equal(root.attributes['http.route'], '/users/:id');
+        t.equal(root.attributes['http.response.status_code'], 200);
+        t.equal(root.status.code, 'unset');
+
+        ['pre', 'use', 'route'].forEach(function(phase) {
+            t.equal(findSpan(spans, phase).parentSpanId, root.spanId);
+        });
+        t.equal(
+            findSpan(spans, 'preHandler').parentSpanId,
+            findSpan(spans, 'pre').spanId
+        );
+        t.equal(
+            findSpan(spans, 'useHandler').parentSpanId,
+            findSpan(spans, 'use').spanId
+        );
+        t.equal(
+            findSpan(spans, 'getUser').parentSpanId,
+            findSpan(spans, 'route').spanId
+        );
+        t.equal(
+            findSpan(spans, 'getUser-loadUser').parentSpanId,
+            findSpan(spans, 'getUser').spanId
+        );
+
+        spans.forEach(function(span) {
+            t.equal(span.traceId, root.traceId);
+            t.equal(typeof span.duration, 'number');
+        });
+        t.end();
+    });
+});
+
+test('continues the trace of the traceparent header', function(t) {
+    var exporter = new tracing.InMemoryExporter();
+    var server = restify.createServer({ tracing: { exporter: exporter } });
+    var context;
+
+    server.get('/', function(req, res, next) {
+        t.equal(req.traceId(), TRACE_ID);
+        context = req.spanContext();
+        res.send(200);
+        next();
+    });
+
+    server
+        .inject({
+            url: '/',
+            headers: {
+                traceparent: TRACEPARENT,
+                tracestate: 'congo=t61rcWkgMzE'
+            }
+        })
+        .then(function() {
+            var spans = exporter.getFinishedSpans();
+            var root = findSpan(spans, 'GET /');
+
+            t.equal(root.traceId, TRACE_ID);
+            t.equal(root.parentSpanId, PARENT_ID);
+            t.deepEqual(root.traceState, [['congo', 't61rcWkgMzE']]);
+            t.equal(context.traceId, TRACE_ID);
+            t.notEqual(context.spanId, root.spanId);
+            t.equal(context.spanId, findSpan(spans, 'handler-0').spanId);
+            t.deepEqual(context.traceState, [['congo', 't61rcWkgMzE']]);
+            t.end();
+        });
+});
+
+test('does not export traces the parent did not sample', function(t) {
+    var exporter = new tracing.InMemoryExporter();
+    var server = restify.createServer({ tracing: { exporter: exporter } });
+
+    server.get('/', function(req, res, next) {
+        t.equal(req.spanContext().traceFlags, 0);
+        res.send(200);
+        next();
+    });
+
+    server
+        .inject({
+            url: '/',
+            headers: { traceparent: TRACEPARENT.slice(0, -2) + '00' }
+        })
+        .then(function() {
+            t.deepEqual(exporter.getFinishedSpans(), []);
+            t.end();
+        });
+});
+
+test('uses the sampler for new traces', function(t) {
+    var exporter = new tracing.InMemoryExporter();
+    var server = restify.createServer({
+        tracing: {
+            exporter: exporter,
+            sampler: function(req) {
+                return req.path() !== '/health';
+            }
+        }
+    });
+
+    server.get('/health', function(req, res, next) {
+        res.send(200);
+        next();
+    });
+
+    server.inject('/health').then(function() {
+        t.deepEqual(exporter.getFinishedSpans(), []);
+        t.end();
+    });
+});
+
+test('marks the server span of 5xx responses as errors', function(t) {
+    var exporter = new tracing.InMemoryExporter();
+    var server = restify.createServer({ tracing: { exporter: exporter } });
+
+    server.get('/', function(req, res, next) {
+        next(new errors.InternalServerError('boom'));
+    });
+
+    server.inject('/').then(function(res) {
+        var root = findSpan(exporter.getFinishedSpans(), 'GET /');
+
+        t.equal(res.statusCode, 500);
+        t.deepEqual(root.status, { code: 'error', message: 'boom' });
+        t.end();
+    });
+});
+
+test('binds the trace ids to the request logger', function(t) {
+    var exporter = new tracing.InMemoryExporter();
+    var server = restify.createServer({ tracing: { exporter: exporter } });
+    var bindings;
+
+    server.get('/', function(req, res, next) {
+        bindings = req.log.bindings();
+        res.send(200);
+        next();
+    });
+
+    server
+        .inject({ url: '/', headers: { traceparent: TRACEPARENT } })
+        .then(function() {
+            var root = findSpan(exporter.getFinishedSpans(), 'GET /');
+
+            t.equal(bindings.trace_id, TRACE_ID);
+            t.equal(bindings.span_id, root.spanId);
+            t.end();
+        });
+});
+
+test('traceId and spanContext without tracing', function(t) {
+    var server = restify.createServer();
+
+    server.get('/', function(req, res, next) {
+        t.equal(req.traceId(), undefined);
+        t.equal(req.spanContext(), undefined);
+        res.send(200);
+        next();
+    });
+
+    server.inject('/').then(function() {
+        t.end();
+    });
+});
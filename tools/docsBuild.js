@@ -33,7 +33,10 @@ var docsConfig = [
         title: 'Response API',
         permalink: '/docs/response-api/',
         output: path.join(__dirname, OUTPUT_PATH, 'response.md'),
-        files: [path.join(__dirname, LIB_PATH, 'response.js')]
+        files: [
+            path.join(__dirname, LIB_PATH, 'response.js'),
+            path.join(__dirname, LIB_PATH, 'sse.js')
+        ]
     },
     {
         title: 'Plugins API',
@@ -57,20 +60,35 @@ var docsConfig = [
             path.join(__dirname, LIB_PATH, 'plugins/bodyParser.js'),
             path.join(__dirname, LIB_PATH, 'plugins/requestLogger.js'),
             path.join(__dirname, LIB_PATH, 'plugins/gzip.js'),
+            path.join(__dirname, LIB_PATH, 'plugins/compress.js'),
             path.join(__dirname, LIB_PATH, 'plugins/static.js'),
             path.join(__dirname, LIB_PATH, 'plugins/staticFiles.js'),
             path.join(__dirname, LIB_PATH, 'plugins/throttle.js'),
+            path.join(__dirname, LIB_PATH, 'plugins/throttleStores.js'),
             path.join(__dirname, LIB_PATH, 'plugins/requestExpiry.js'),
             path.join(
                 __dirname,
                 LIB_PATH,
                 'plugins/inflightRequestThrottle.js'
             ),
+            path.join(
+                __dirname,
+                LIB_PATH,
+                'plugins/adaptiveConcurrencyThrottle.js'
+            ),
+            path.join(__dirname, LIB_PATH, 'plugins/priorityQueueThrottle.js'),
             path.join(__dirname, LIB_PATH, 'plugins/cpuUsageThrottle.js'),
+            path.join(__dirname, LIB_PATH, 'plugins/eventLoopThrottle.js'),
             path.join(__dirname, LIB_PATH, 'plugins/conditionalHandler.js'),
             path.join(__dirname, LIB_PATH, 'plugins/conditionalRequest.js'),
+            path.join(__dirname, LIB_PATH, 'plugins/cors.js'),
+            path.join(__dirname, LIB_PATH, 'plugins/session.js'),
+            path.join(__dirname, LIB_PATH, 'plugins/sessionStores.js'),
+            path.join(__dirname, LIB_PATH, 'plugins/openapi.js'),
             path.join(__dirname, LIB_PATH, 'plugins/audit.js'),
-            path.join(__dirname, LIB_PATH, 'plugins/metrics.js')
+            path.join(__dirname, LIB_PATH, 'plugins/metrics.js'),
+            path.join(__dirname, LIB_PATH, 'plugins/serverTiming.js'),
+            path.join(__dirname, LIB_PATH, 'plugins/prometheus.js')
         ],
         config: path.join(__dirname, DOCS_PATH, 'config/plugins.yaml')
     },